@@ -0,0 +1,294 @@
+// ============================================================================
+// BOXO EVENT CALENDAR - BACKUP SUPPORT
+// ============================================================================
+// This file describes calendar backups and manages the backup directory:
+// 1. The tables a backup holds, and the columns and links each row must have
+// 2. Checking a backup before it is restored (structure, duplicates, broken links)
+// 3. Settings for scheduled backups, read from environment variables
+// 4. Naming, listing and pruning the backup files kept in the backup directory
+// Reading and writing the database itself is done by the Database class (database.js).
+// ============================================================================
+
+// ===== IMPORTS & DEPENDENCIES =====
+const fs = require('fs');                  // File system access for the backup directory
+const path = require('path');              // Node.js utility for working with file paths
+
+// ===== CONSTANTS =====
+const SNAPSHOT_FORMAT = 'boxo-calendar-backup';  // Marks a JSON file as a calendar backup
+const SNAPSHOT_VERSION = 1;                      // Bumped whenever the backup layout changes
+const MAX_REPORTED_ERRORS = 20;                  // Problems listed before the rest are summed up
+const DEFAULT_INTERVAL_HOURS = 24;               // Scheduled backups run once a day unless configured
+const DEFAULT_RETENTION = 7;                     // ...and the newest week of them is kept
+const BACKUP_FILE_PATTERN = /^boxo-backup-\d{8}-\d{6}\.db$/;  // Names of scheduled backup files
+
+// Tables a backup holds, parents before children (restores insert in this order and delete in reverse).
+// Sessions are left out on purpose: their tokens are passwords in all but name, and restored
+// sessions would sign people in as whoever had that user ID in the backup. The search index
+// (events_fts) is left out too - it is rebuilt from the events after a restore.
+//   key        - column that identifies a row (must be unique)
+//   required   - columns every row must have a value for
+//   references - { column: table } links to the key of a row in another table (NULL is allowed)
+//   optional   - table may be missing from backups of databases older than the table
+//   archived   - table is backed up for the record but never restored (see RESTORED_TABLES)
+const BACKUP_TABLES = [
+    { name: 'settings', key: 'key', required: ['key', 'value'] },
+    { name: 'event_types', key: 'id', required: ['id', 'name', 'label', 'color', 'icon'] },
+    { name: 'users', key: 'id', required: ['id', 'username', 'email', 'full_name', 'role'] },
+    {
+        name: 'events', key: 'id', required: ['id', 'title', 'description', 'date', 'time', 'type'],
+        references: { created_by: 'users', deleted_by: 'users' }
+    },
+    {
+        name: 'event_exceptions', key: 'id', required: ['id', 'event_id', 'occurrence_date', 'status'],
+        references: { event_id: 'events' }, optional: true
+    },
+    {
+        name: 'event_revisions', key: 'id', required: ['id', 'event_id', 'revision', 'snapshot'],
+        references: { event_id: 'events', user_id: 'users' }, optional: true
+    },
+    {
+        name: 'registrations', key: 'id', required: ['id', 'event_id', 'user_id', 'status'],
+        references: { event_id: 'events', user_id: 'users' }, optional: true
+    },
+    {
+        name: 'checkin_codes', key: 'event_id', required: ['event_id', 'code'],
+        references: { event_id: 'events' }, optional: true
+    },
+    {
+        name: 'attendance', key: 'id', required: ['id', 'event_id', 'occurrence_date', 'user_id'],
+        references: { event_id: 'events', user_id: 'users' }, optional: true
+    },
+    {
+        name: 'sent_reminders', key: 'id', required: ['id', 'event_id', 'occurrence_date', 'user_id', 'reminder'],
+        references: { event_id: 'events', user_id: 'users' }, optional: true
+    },
+    // Entries keep the username they were made by, so user_id is not checked here
+    { name: 'audit_log', key: 'id', required: ['id', 'action'], optional: true, archived: true }
+];
+
+// Tables a restore replaces. The audit log is not one of them: it is the record of what admins
+// did - restores included - so restoring must never erase or rewrite it. It stays as it is,
+// and the backup's copy is only there to be read.
+const RESTORED_TABLES = BACKUP_TABLES.filter(table => !table.archived);
+
+// ===== VALIDATION =====
+
+/**
+ * Check a backup before it is restored
+ * Restoring replaces everything but the audit log, so anything that would leave the calendar
+ * broken is refused: missing tables or columns, duplicate IDs, usernames or emails, rows pointing at events or users
+ * that are not in the backup, events of unknown types, and backups without an active admin
+ * (nobody could sign in to put things right). The backup's audit log is not checked - it is never restored.
+ * @param {Object} snapshot - Parsed backup { format, version, tables: { tableName: [rows] } }
+ * @param {Object} options - { roles } - user roles that exist
+ * @returns {Array<string>} Problems found (empty when the backup can be restored)
+ */
+const validateSnapshot = (snapshot, options) => {
+    const errors = [];
+
+    if (!snapshot || typeof snapshot !== 'object' || snapshot.format !== SNAPSHOT_FORMAT) {
+        return ['This is not a calendar backup'];
+    }
+    if (!Number.isInteger(snapshot.version) || snapshot.version < 1) {
+        return ['The backup has no valid version number'];
+    }
+    if (snapshot.version > SNAPSHOT_VERSION) {
+        return [`The backup was made by a newer version of the calendar (backup version ${snapshot.version}, this server reads up to ${SNAPSHOT_VERSION})`];
+    }
+    if (!snapshot.tables || typeof snapshot.tables !== 'object') {
+        return ['The backup has no tables'];
+    }
+
+    // Keys seen per table, for the reference checks below
+    const keys = {};
+
+    RESTORED_TABLES.forEach(table => {
+        const rows = snapshot.tables[table.name];
+        if (rows === undefined && table.optional) {
+            keys[table.name] = new Set();
+            return;
+        }
+        if (!Array.isArray(rows)) {
+            errors.push(`Table ${table.name} is missing`);
+            return;
+        }
+
+        const seen = new Set();
+        rows.forEach((row, index) => {
+            const where = `${table.name} row ${index + 1}`;
+            if (!row || typeof row !== 'object' || Array.isArray(row)) {
+                errors.push(`${where} is not a record`);
+                return;
+            }
+
+            const missing = table.required.filter(column => row[column] === undefined || row[column] === null);
+            if (missing.length > 0) {
+                errors.push(`${where} has no ${missing.join(', ')}`);
+                return;
+            }
+            const nested = Object.keys(row).find(column => row[column] !== null && typeof row[column] === 'object');
+            if (nested) {
+                errors.push(`${where} has a list or object in column ${nested}`);
+                return;
+            }
+            if (table.key === 'id' || table.key === 'event_id') {
+                if (!Number.isInteger(row[table.key]) || row[table.key] < 1) {
+                    errors.push(`${where} has an invalid ${table.key} (${JSON.stringify(row[table.key])})`);
+                    return;
+                }
+            }
+            if (seen.has(row[table.key])) {
+                errors.push(`${where} repeats ${table.key} ${row[table.key]}`);
+                return;
+            }
+            seen.add(row[table.key]);
+        });
+        keys[table.name] = seen;
+    });
+    if (errors.length > 0) return summarizeErrors(errors);
+
+    // Every link must point at a row that is restored along with it
+    RESTORED_TABLES.forEach(table => {
+        (snapshot.tables[table.name] || []).forEach((row, index) => {
+            Object.entries(table.references || {}).forEach(([column, target]) => {
+                const value = row[column];
+                if (value !== undefined && value !== null && !keys[target].has(value)) {
+                    errors.push(`${table.name} row ${index + 1} refers to ${target} ${value}, which is not in the backup`);
+                }
+            });
+        });
+    });
+
+    const typeNames = new Set(snapshot.tables.event_types.map(type => type.name));
+    snapshot.tables.events.forEach((event, index) => {
+        if (!typeNames.has(event.type)) {
+            errors.push(`events row ${index + 1} has type "${event.type}", which is not in the backup`);
+        }
+    });
+
+    // Usernames and emails are UNIQUE columns
+    ['username', 'email'].forEach(column => {
+        const seen = new Set();
+        snapshot.tables.users.forEach((user, index) => {
+            const value = String(user[column]).toLowerCase();
+            if (seen.has(value)) errors.push(`users row ${index + 1} repeats ${column} "${user[column]}"`);
+            seen.add(value);
+        });
+    });
+
+    snapshot.tables.users.forEach((user, index) => {
+        if (!options.roles.includes(user.role)) {
+            errors.push(`users row ${index + 1} has unknown role "${user.role}"`);
+        }
+    });
+    const hasAdmin = snapshot.tables.users.some(user => user.role === 'admin' && user.is_active !== 0 && user.is_active !== false);
+    if (!hasAdmin) {
+        errors.push('The backup has no active admin account, so nobody could sign in after restoring it');
+    }
+
+    return summarizeErrors(errors);
+};
+
+/**
+ * Shorten a long list of problems
+ * @param {Array<string>} errors - Problems found
+ * @returns {Array<string>} At most MAX_REPORTED_ERRORS problems, plus a count of the rest
+ */
+const summarizeErrors = (errors) => {
+    if (errors.length <= MAX_REPORTED_ERRORS) return errors;
+    return [...errors.slice(0, MAX_REPORTED_ERRORS), `...and ${errors.length - MAX_REPORTED_ERRORS} more problems`];
+};
+
+// ===== CONFIGURATION =====
+
+/**
+ * Read scheduled backup settings from environment variables
+ * BACKUP_DIR turns scheduled backups on; BACKUP_INTERVAL_HOURS (default 24, fractions allowed)
+ * sets how often they run and BACKUP_RETENTION (default 7) how many are kept.
+ * @param {Object} env - Environment variables (usually process.env)
+ * @returns {Object|null} { directory, intervalHours, retention }, or null when scheduled backups are off
+ */
+const configFromEnv = (env) => {
+    if (!env.BACKUP_DIR) return null;
+
+    const intervalHours = Number(env.BACKUP_INTERVAL_HOURS);
+    const retention = Number(env.BACKUP_RETENTION);
+    return {
+        directory: path.resolve(env.BACKUP_DIR),
+        intervalHours: intervalHours > 0 ? intervalHours : DEFAULT_INTERVAL_HOURS,
+        retention: Number.isInteger(retention) && retention > 0 ? retention : DEFAULT_RETENTION
+    };
+};
+
+// ===== BACKUP FILES =====
+
+/**
+ * Build the file name of a backup taken at a given time
+ * Names sort in the order the backups were taken.
+ * @param {Date} date - When the backup was taken
+ * @param {string} [extension] - File extension (default 'db')
+ * @returns {string} e.g. 'boxo-backup-20261019-143000.db' (UTC)
+ */
+const backupFileName = (date, extension = 'db') => {
+    const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    return `boxo-backup-${stamp}.${extension}`;
+};
+
+/**
+ * Check that a name is one of the scheduled backup files
+ * Also keeps download requests from reaching outside the backup directory.
+ * @param {string} name - File name
+ * @returns {boolean} True for names backupFileName produces
+ */
+const isBackupFileName = (name) => BACKUP_FILE_PATTERN.test(name);
+
+/**
+ * List the backups in a directory, newest first
+ * Other files in the directory are ignored.
+ * @param {string} directory - Backup directory
+ * @returns {Promise<Array>} [{ name, size, created_at }] - size in bytes, created_at as an ISO timestamp
+ */
+const listBackups = async (directory) => {
+    let names;
+    try {
+        names = await fs.promises.readdir(directory);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];   // Nothing backed up yet
+        throw error;
+    }
+
+    const backups = [];
+    for (const name of names.filter(isBackupFileName).sort().reverse()) {
+        const stats = await fs.promises.stat(path.join(directory, name));
+        backups.push({ name, size: stats.size, created_at: stats.mtime.toISOString() });
+    }
+    return backups;
+};
+
+/**
+ * Delete the oldest backups so only the newest ones are kept
+ * @param {string} directory - Backup directory
+ * @param {number} keep - Number of backups to keep
+ * @returns {Promise<Array<string>>} Names of the deleted files
+ */
+const pruneBackups = async (directory, keep) => {
+    const expired = (await listBackups(directory)).slice(keep).map(backup => backup.name);
+    for (const name of expired) {
+        await fs.promises.unlink(path.join(directory, name));
+    }
+    return expired;
+};
+
+// ===== EXPORT MODULE =====
+module.exports = {
+    SNAPSHOT_FORMAT,
+    SNAPSHOT_VERSION,
+    BACKUP_TABLES,
+    RESTORED_TABLES,
+    validateSnapshot,
+    configFromEnv,
+    backupFileName,
+    isBackupFileName,
+    listBackups,
+    pruneBackups
+};
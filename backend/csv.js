@@ -0,0 +1,137 @@
+// ============================================================================
+// BOXO EVENT CALENDAR - CSV SUPPORT
+// ============================================================================
+// This file turns rows of data into CSV files (RFC 4180) for download, and reads uploaded ones:
+// 1. Quoting of values that contain commas, quotes or line breaks
+// 2. Protection against spreadsheet formulas hidden in user-entered text
+// 3. Building a whole file from column definitions
+// 4. Parsing a CSV file back into rows of text fields
+// ============================================================================
+
+// ===== CONSTANTS =====
+const CRLF = '\r\n';                        // RFC 4180 uses CRLF line endings
+const BYTE_ORDER_MARK = '\uFEFF';           // Tells spreadsheet programs the file is UTF-8
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r']; // Characters that make spreadsheets run a cell as a formula
+
+// ===== FORMATTING HELPERS =====
+
+/**
+ * Format a single value as a CSV field
+ * Text starting with a formula character gets a leading apostrophe, so a name such as
+ * "=HYPERLINK(...)" is shown as text instead of being run when the file is opened.
+ * Fields containing commas, quotes or line breaks are wrapped in quotes (quotes doubled).
+ * @param {*} value - Value to format (null and undefined become empty fields)
+ * @returns {string} CSV field
+ */
+const escapeValue = (value) => {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIXES.includes(text.charAt(0))) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV file
+ * @param {Array<Object>} columns - Column definitions { header, value } where value is a
+ *   function (row) => cell value
+ * @param {Array<Object>} rows - Data rows
+ * @returns {string} CSV text with a header line, starting with a UTF-8 byte order mark
+ */
+const buildCsv = (columns, rows) => {
+    const lines = [
+        columns.map(column => escapeValue(column.header)).join(','),
+        ...rows.map(row => columns.map(column => escapeValue(column.value(row))).join(','))
+    ];
+    return BYTE_ORDER_MARK + lines.join(CRLF) + CRLF;
+};
+
+// ===== PARSING =====
+
+/**
+ * Undo the formula protection added by escapeValue, so exported files import unchanged
+ * @param {string} text - Field text
+ * @returns {string} Text without the protecting apostrophe
+ */
+const unescapeValue = (text) => {
+    return text.charAt(0) === "'" && FORMULA_PREFIXES.includes(text.charAt(1)) ? text.slice(1) : text;
+};
+
+/**
+ * Parse CSV text into rows of fields
+ * Accepts quoted fields (with doubled quotes and line breaks inside), CRLF or LF line endings
+ * and a leading byte order mark. Lines with nothing on them are skipped.
+ * @param {string} text - Contents of a CSV file
+ * @returns {Array<Array<string>>} Rows, each an array of field texts
+ * @throws {Error} If a quoted field is never closed
+ */
+const parseCsv = (text) => {
+    const input = text.charAt(0) === BYTE_ORDER_MARK ? text.slice(1) : text;
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;     // Inside a quoted field
+    let line = 1;           // Line being read, for error messages
+    let quoteLine = 1;      // Line the open quoted field started on
+
+    /**
+     * Finish the current field and add it to the row
+     */
+    const endField = () => {
+        row.push(unescapeValue(field));
+        field = '';
+    };
+
+    /**
+     * Finish the current row, keeping it unless it is blank
+     */
+    const endRow = () => {
+        endField();
+        if (row.length > 1 || row[0] !== '') rows.push(row);
+        row = [];
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input.charAt(i);
+
+        if (quoted) {
+            if (char === '"' && input.charAt(i + 1) === '"') {
+                field += '"';           // Doubled quote inside a quoted field
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+            quoteLine = line;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\r' || char === '\n') {
+            // CRLF counts as one line break
+            if (char === '\r' && input.charAt(i + 1) === '\n') i++;
+            endRow();
+            line++;
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error(`A quoted field starting on line ${quoteLine} is never closed`);
+    }
+    if (field !== '' || row.length > 0) endRow();
+
+    return rows;
+};
+
+// ===== EXPORT MODULE =====
+module.exports = {
+    buildCsv,
+    escapeValue,
+    parseCsv
+};
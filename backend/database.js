@@ -1,121 +1,284 @@
 // ============================================================================
 // BOXO EVENT CALENDAR - DATABASE CLASS
 // ============================================================================
-// This file contains the Database class that handles all database operations:
-// 1. SQLite database connection and table creation
+// This file contains the Database class - the SQLite storage, and the default one
+// (storage.js defines the interface it implements). It handles all database operations:
+// 1. SQLite database connection and versioned schema migrations (see migrations/)
 // 2. User management (create, validate, authentication)
 // 3. Session management (login tokens, expiration)
-// 4. Event management (CRUD operations)
-// 5. Data security (password hashing, input validation)
+// 4. Event management (CRUD operations, filtered/paginated queries, recurring series and their exceptions)
+//    with a trash for deleted events and a revision history of every change
+// 5. Full-text search over event titles and descriptions (SQLite FTS5)
+// 6. Site-wide settings (site title, admin email, timezone) and event types
+// 7. Event registrations with optional capacity and a first-come, first-served waitlist
+// 8. Attendance check-in codes and the record of who checked in
+// 9. The record of reminder emails sent, so none is sent twice
+// 10. The audit log of event changes, logins and logouts
+// 11. Backups: consistent snapshots as rows or as a SQLite file, and restoring from them
+// 12. Data security (password hashing, input validation)
 // ============================================================================
 
 // ===== IMPORTS & DEPENDENCIES =====
 const sqlite3 = require('sqlite3').verbose();  // SQLite database driver - .verbose() enables detailed error reporting
 const bcrypt = require('bcrypt');              // Password hashing library for secure password storage
 const path = require('path');                  // Node.js utility for working with file paths
+const { AsyncResource } = require('async_hooks'); // Keeps sqlite3 callbacks in the caller's transaction context
+const fs = require('fs');                      // Reads the migrations directory
+const crypto = require('crypto');              // Random passwords for accounts restored without one
+const recurrence = require('./recurrence');    // Date arithmetic for moving recurring series (imports from recurrence.js)
+const backup = require('./backup');            // Tables included in backups (imports from backup.js)
+const { Storage, DEFAULT_SETTINGS, REVISION_FIELDS, searchWords } = require('./storage'); // Storage interface and shared values
+
+// ===== EVENT REVISIONS =====
+// Revision snapshots (REVISION_FIELDS, see storage.js) are built in SQL with json_object()
+// so a revision always matches exactly what was stored.
+const REVISION_SNAPSHOT_SQL = `json_object(${REVISION_FIELDS.map(field => `'${field}', e.${field}`).join(', ')})`;
+
+// ===== EVENT QUERY OPTIONS =====
+
+// ORDER BY clauses for the sort orders queryEvents accepts (Storage.SORT_ORDERS).
+// Expanded occurrences are sorted in memory with the matching comparator from storage.js.
+const EVENT_SORT_SQL = {
+    'date':     'e.date ASC, e.time ASC, e.id ASC',
+    '-date':    'e.date DESC, e.time DESC, e.id DESC',
+    'title':    'e.title COLLATE NOCASE ASC, e.date ASC, e.time ASC, e.id ASC',
+    '-title':   'e.title COLLATE NOCASE DESC, e.date DESC, e.time DESC, e.id DESC',
+    'created':  'e.created_at ASC, e.id ASC',
+    '-created': 'e.created_at DESC, e.id DESC'
+};
+
+/**
+ * Build the WHERE clause for an event query
+ * Every value is passed as a parameter so nothing from the request is spliced into the SQL
+ * Events in the trash are always left out
+ * @param {Object} filters - { from, to, types, createdBy, search } (all optional)
+ * @returns {Object} { where, params } - SQL fragment and its parameters
+ */
+const buildEventFilters = (filters) => {
+    const conditions = ['e.deleted_at IS NULL'];
+    const params = [];
+
+    // Single events are filtered on their date here; recurring series may have occurrences
+    // anywhere (including moved ones), so they are kept and trimmed after expansion
+    // Multi-day events match every range they overlap, so "from" is compared with the end date
+    if (filters.from) {
+        conditions.push('(e.recurrence_rule IS NOT NULL OR COALESCE(e.end_date, e.date) >= ?)');
+        params.push(filters.from);
+    }
+    if (filters.to) {
+        conditions.push('(e.recurrence_rule IS NOT NULL OR e.date <= ?)');
+        params.push(filters.to);
+    }
+    if (filters.types && filters.types.length > 0) {
+        conditions.push(`e.type IN (${filters.types.map(() => '?').join(', ')})`);
+        params.push(...filters.types);
+    }
+    if (filters.createdBy !== undefined) {
+        conditions.push('e.created_by = ?');
+        params.push(filters.createdBy);
+    }
+    if (filters.search) {
+        // Escape LIKE wildcards so '%' and '_' in the search text match literally
+        const pattern = `%${filters.search.replace(/[\\%_]/g, character => `\\${character}`)}%`;
+        conditions.push(`(e.title LIKE ? ESCAPE '\\' OR e.description LIKE ? ESCAPE '\\')`);
+        params.push(pattern, pattern);
+    }
+
+    return {
+        where: `WHERE ${conditions.join(' AND ')}`,
+        params
+    };
+};
+
+// ===== FULL-TEXT SEARCH =====
+// Characters that mark highlighted matches in search results (see Storage.MATCH_MARKERS)
+const { start: MATCH_START, end: MATCH_END } = Storage.MATCH_MARKERS;
+
+/**
+ * Turn search text typed by a user into an FTS5 query
+ * Each word becomes a quoted prefix term ("work"* matches "workshop"), and all words must match.
+ * Quoting means characters with a meaning in FTS5 syntax (AND, -, :, parentheses...) are searched literally.
+ * @param {string} text - Search text, e.g. 'javascript work'
+ * @returns {string|null} FTS5 query such as '"javascript"* "work"*', or null if the text has no words
+ */
+const buildMatchQuery = (text) => {
+    const words = searchWords(text);
+    if (words.length === 0) return null;
+    return words.map(word => `"${word}"*`).join(' ');
+};
+
+// ===== BACKUP FILE HELPERS =====
+
+/**
+ * Open a SQLite file other than the calendar database (a backup being written or read)
+ * @param {string} filePath - Path of the file
+ * @param {number} mode - sqlite3.OPEN_READWRITE (never creates the file)
+ * @returns {Promise<sqlite3.Database>} Open connection
+ */
+const openDatabaseFile = (filePath, mode) => new Promise((resolve, reject) => {
+    const file = new sqlite3.Database(filePath, mode, (err) => err ? reject(err) : resolve(file));
+});
+
+/**
+ * Close a connection opened with openDatabaseFile
+ * @param {sqlite3.Database} file - Open connection
+ * @returns {Promise<void>}
+ */
+const closeDatabaseFile = (file) => new Promise((resolve, reject) => {
+    file.close((err) => err ? reject(err) : resolve());
+});
+
+// ===== SCHEMA MIGRATIONS =====
+// Each schema change is a numbered file in migrations/ (001-baseline-schema.js, 002-...).
+// The schema_version table records which ones a database has had; migrate() applies the rest.
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)-[\w-]+\.js$/;   // Number, then a short name
+
+/**
+ * Load every migration in the migrations directory, in order
+ * Numbers must run 1, 2, 3... without gaps or repeats, so a missing or misnamed file
+ * stops the server instead of being skipped.
+ * @returns {Array<Object>} [{ version, name, description, up }]
+ */
+const loadMigrations = () => {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .filter(name => MIGRATION_FILE_PATTERN.test(name))
+        .map(name => ({ version: Number(name.match(MIGRATION_FILE_PATTERN)[1]), name, ...require(path.join(MIGRATIONS_DIR, name)) }))
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+        if (migration.version !== index + 1) {
+            throw new Error(`Migration ${migration.name} should be numbered ${index + 1} - migrations must be numbered 1, 2, 3... without gaps or repeats`);
+        }
+        if (typeof migration.up !== 'function') {
+            throw new Error(`Migration ${migration.name} does not export an up() function`);
+        }
+    });
+    return migrations;
+};
 
 // ===== DATABASE CLASS DEFINITION =====
-class Database {
+class Database extends Storage {
     /**
-     * Constructor - Initialize database connection and create tables
+     * Constructor - Open the database connection
+     * The schema is not ready until initialize() has finished
+     * @param {Object} config - Storage configuration from storage.configFromEnv
      */
-    constructor() {
+    constructor(config) {
+        super(config);
+
         // Create SQLite database connection
         // path.join(__dirname, 'boxo_calendar.db') creates full path to database file
-        this.db = new sqlite3.Database(path.join(__dirname, 'boxo_calendar.db'));
-        
-        // Initialize database tables when class is instantiated
-        this.initializeTables();
+        this.connection = new sqlite3.Database(path.join(__dirname, 'boxo_calendar.db'));
+
+        // Every method runs its statements through this.db, which keeps changes made by other
+        // requests out of open transactions (see wrapConnection)
+        this.db = this.wrapConnection();
+
+        // Backups can be written as (and restored from) SQLite files
+        this.supportsSqliteBackups = true;
     }
 
     /**
-     * Create all necessary database tables if they don't exist
-     * @returns {Promise} Resolves when all tables are created
+     * Prepare the database for use: bring the schema up to date, then fill in defaults
+     * Must finish before the server accepts requests.
+     * @returns {Promise<void>} Rejects if a migration fails or the database is newer than this code
      */
-    async initializeTables() {
-        return new Promise((resolve, reject) => {
-            // serialize() ensures all database operations run in sequence
-            this.db.serialize(() => {
-                
-                // ===== CREATE USERS TABLE =====
-                this.db.run(`
-                    CREATE TABLE IF NOT EXISTS users (
-                        id INTEGER PRIMARY KEY AUTOINCREMENT,    -- Unique user ID (auto-generated)
-                        username TEXT UNIQUE NOT NULL,           -- Username (must be unique)
-                        email TEXT UNIQUE NOT NULL,              -- Email address (must be unique)
-                        password_hash TEXT NOT NULL,             -- Hashed password (never store plain text)
-                        full_name TEXT NOT NULL,                 -- User's full name
-                        role TEXT DEFAULT 'admin',               -- User role (default: admin)
-                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- Account creation time
-                        last_login DATETIME,                     -- Last login timestamp
-                        is_active BOOLEAN DEFAULT 1              -- Account status (1=active, 0=disabled)
-                    )
-                `, (err) => {
-                    if (err) console.error('Error creating users table:', err);
-                });
+    async initialize() {
+        await this.migrate();
 
-                // ===== CREATE EVENTS TABLE =====
-                this.db.run(`
-                    CREATE TABLE IF NOT EXISTS events (
-                        id INTEGER PRIMARY KEY AUTOINCREMENT,    -- Unique event ID
-                        title TEXT NOT NULL,                     -- Event title
-                        description TEXT NOT NULL,               -- Event description
-                        date DATE NOT NULL,                      -- Event date (YYYY-MM-DD)
-                        time TIME NOT NULL,                      -- Event time (HH:MM)
-                        type TEXT NOT NULL CHECK(type IN ('assignment', 'webinar', 'workshop')), -- Event type (restricted values)
-                        created_by INTEGER,                      -- User ID who created the event
-                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- Event creation time
-                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- Last update time
-                        FOREIGN KEY (created_by) REFERENCES users (id)  -- Link to users table
-                    )
-                `, (err) => {
-                    if (err) console.error('Error creating events table:', err);
+        // Fill in default settings without overwriting values an admin has saved
+        for (const [key, value] of Object.entries(DEFAULT_SETTINGS)) {
+            await new Promise((resolve, reject) => {
+                this.db.run(`INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)`, [key, value], (err) => {
+                    err ? reject(err) : resolve();
                 });
+            });
+        }
 
-                // ===== CREATE SESSIONS TABLE =====
-                // This table manages user login sessions and authentication tokens
-                this.db.run(`
-                    CREATE TABLE IF NOT EXISTS sessions (
-                        id INTEGER PRIMARY KEY AUTOINCREMENT,    -- Unique session ID
-                        user_id INTEGER NOT NULL,                -- User ID this session belongs to
-                        token TEXT UNIQUE NOT NULL,              -- Unique session token
-                        expires_at DATETIME NOT NULL,            -- When this session expires
-                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- Session creation time
-                        FOREIGN KEY (user_id) REFERENCES users (id)     -- Link to users table
-                    )
-                `, (err) => {
-                    if (err) console.error('Error creating sessions table:', err);
+        // Create a demo admin user for testing
+        await this.createDemoAdmin();
+    }
+
+    // ===== SCHEMA MIGRATION METHODS =====
+
+    /**
+     * Apply every migration the database has not had yet
+     * Each migration runs in its own transaction together with its schema_version row, so a
+     * failing migration leaves the database exactly as the previous one left it.
+     * @returns {Promise<number>} Schema version the database is at afterwards
+     */
+    async migrate() {
+        const migrations = loadMigrations();
+        const latest = migrations.length;
+
+        // Helpers handed to each migration, on the same connection (and so inside its transaction)
+        const helpers = {
+            run: (sql, params = []) => new Promise((resolve, reject) => {
+                this.db.run(sql, params, function(err) {
+                    err ? reject(err) : resolve({ changes: this.changes, lastID: this.lastID });
                 });
+            }),
+            get: (sql, params = []) => new Promise((resolve, reject) => {
+                this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+            }),
+            all: (sql, params = []) => new Promise((resolve, reject) => {
+                this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+            })
+        };
+
+        await helpers.run(`
+            CREATE TABLE IF NOT EXISTS schema_version (
+                version INTEGER PRIMARY KEY,             -- Number of the migration applied
+                name TEXT NOT NULL,                      -- Its file name
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP   -- When it was applied (UTC)
+            )
+        `);
+        const { current } = await helpers.get(`SELECT COALESCE(MAX(version), 0) AS current FROM schema_version`);
+
+        // A database migrated by newer code may have tables or columns this code would misuse
+        if (current > latest) {
+            throw new Error(`The database is at schema version ${current}, but this version of the calendar only knows up to ${latest}. ` +
+                'Upgrade the calendar, or restore a backup made by this version.');
+        }
 
-                // Create a demo admin user for testing
-                this.createDemoAdmin();
-                resolve(); // Signal that initialization is complete
+        for (const migration of migrations.slice(current)) {
+            await this.runInTransaction(async () => {
+                await migration.up(helpers);
+                await helpers.run(`INSERT INTO schema_version (version, name) VALUES (?, ?)`, [migration.version, migration.name]);
             });
-        });
+            console.log(`✅ Applied migration ${migration.name}`);
+        }
+        return latest;
     }
 
     /**
      * Create a default admin user for the system
      * This allows immediate access without requiring user registration
+     * @returns {Promise<void>} Resolves once the account exists
      */
     async createDemoAdmin() {
         const saltRounds = 10; // bcrypt salt rounds - higher = more secure but slower
         
-        // Hash the default password 'boxo2025' for security
-        const hashedPassword = await bcrypt.hash('boxo2025', saltRounds);
+        // Hash the first admin password (ADMIN_PASSWORD, or a random one) for security
+        const password = this.initialAdminPassword();
+        const hashedPassword = await bcrypt.hash(password, saltRounds);
         
         // Insert demo admin user (OR IGNORE prevents duplicate insertion)
-        this.db.run(`
-            INSERT OR IGNORE INTO users (username, email, password_hash, full_name, role)
-            VALUES (?, ?, ?, ?, ?)
-        `, ['admin', 'admin@boxo.com', hashedPassword, 'System Administrator', 'admin'], (err) => {
-            if (err && !err.message.includes('UNIQUE constraint failed')) {
-                console.error('Error creating demo admin:', err);
-            } else if (!err) {
-                console.log('✅ Demo admin user created successfully');
-                console.log('   Username: admin');
-                console.log('   Password: boxo2025');
-            }
+        // The password is only reported when the account is new - an existing one keeps its own
+        const storage = this;
+        return new Promise((resolve) => {
+            this.db.run(`
+                INSERT OR IGNORE INTO users (username, email, password_hash, full_name, role)
+                VALUES (?, ?, ?, ?, ?)
+            `, ['admin', 'admin@boxo.com', hashedPassword, 'System Administrator', 'admin'], function(err) {
+                if (err && !err.message.includes('UNIQUE constraint failed')) {
+                    console.error('Error creating demo admin:', err);
+                } else if (!err && this.changes > 0) {
+                    storage.reportDemoAdmin(password);
+                }
+                resolve();
+            });
         });
     }
 
@@ -123,12 +286,13 @@ class Database {
 
     /**
      * Create a new user account
-     * @param {Object} userData - User information {username, email, password, fullName}
+     * @param {Object} userData - User information {username, email, password, fullName, role}
      * @returns {Promise<Object>} Created user object (without password)
      */
     async createUser(userData) {
         // Destructure user data from input object
         const { username, email, password, fullName } = userData;
+        const role = userData.role || 'student'; // Self-registered accounts are read-only students
         
         // Hash the password for secure storage
         const saltRounds = 10; // bcrypt complexity setting
@@ -137,9 +301,9 @@ class Database {
         return new Promise((resolve, reject) => {
             // Insert new user into database
             this.db.run(`
-                INSERT INTO users (username, email, password_hash, full_name)
-                VALUES (?, ?, ?, ?)
-            `, [username, email, hashedPassword, fullName], function(err) {
+                INSERT INTO users (username, email, password_hash, full_name, role)
+                VALUES (?, ?, ?, ?, ?)
+            `, [username, email, hashedPassword, fullName, role], function(err) {
                 if (err) {
                     // Database error (e.g., duplicate username/email)
                     reject(err);
@@ -149,7 +313,8 @@ class Database {
                         id: this.lastID,  // Auto-generated user ID
                         username, 
                         email, 
-                        fullName 
+                        fullName,
+                        role
                     });
                 }
             });
@@ -195,6 +360,67 @@ class Database {
         });
     }
 
+    /**
+     * Get all user accounts for the user management screen
+     * @returns {Promise<Array>} Users without password hashes, ordered by username
+     */
+    async getAllUsers() {
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT id, username, email, full_name, role, created_at, last_login, is_active
+                FROM users
+                ORDER BY username ASC
+            `, (err, users) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(users);
+                }
+            });
+        });
+    }
+
+    /**
+     * Change a user's role and/or active status
+     * @param {number} userId - ID of user to update
+     * @param {Object} changes - { role, isActive } - undefined fields are left unchanged
+     * @returns {Promise<Object>} Updated user (without password hash)
+     */
+    async updateUser(userId, changes) {
+        const { role, isActive } = changes;
+
+        await new Promise((resolve, reject) => {
+            // COALESCE keeps the current value when a field was not supplied
+            this.db.run(`
+                UPDATE users
+                SET role = COALESCE(?, role), is_active = COALESCE(?, is_active)
+                WHERE id = ?
+            `, [role ?? null, isActive === undefined ? null : (isActive ? 1 : 0), userId], function(err) {
+                if (err) {
+                    reject(err);
+                } else if (this.changes === 0) {
+                    // No rows were updated - user doesn't exist
+                    reject(new Error('User not found'));
+                } else {
+                    resolve();
+                }
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            this.db.get(`
+                SELECT id, username, email, full_name, role, created_at, last_login, is_active
+                FROM users WHERE id = ?
+            `, [userId], (err, user) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(user);
+                }
+            });
+        });
+    }
+
     // ===== SESSION MANAGEMENT METHODS =====
 
     /**
@@ -267,7 +493,7 @@ class Database {
     // ===== EVENT MANAGEMENT METHODS =====
 
     /**
-     * Get all events from database
+     * Get all events from database (except those in the trash)
      * @returns {Promise<Array>} Array of all events with creator usernames
      */
     async getAllEvents() {
@@ -278,6 +504,7 @@ class Database {
                 SELECT e.*, u.username as created_by_username 
                 FROM events e 
                 LEFT JOIN users u ON e.created_by = u.id 
+                WHERE e.deleted_at IS NULL
                 ORDER BY e.date ASC, e.time ASC
             `, (err, events) => {
                 if (err) {
@@ -289,83 +516,297 @@ class Database {
         });
     }
 
+    /**
+     * Find events matching a set of filters, one page at a time
+     * @param {Object} [filters] - Query options (all optional)
+     * @param {string} [filters.from] - Only events on or after this date (YYYY-MM-DD)
+     * @param {string} [filters.to] - Only events on or before this date (YYYY-MM-DD)
+     * @param {Array<string>} [filters.types] - Only events of these types
+     * @param {number} [filters.createdBy] - Only events created by this user ID
+     * @param {string} [filters.search] - Text that must appear in the title or description
+     * @param {string} [filters.sort] - One of Storage.SORT_ORDERS (default 'date')
+     * @param {boolean} [filters.expand] - Return occurrences of recurring series instead of one row per series
+     * @param {number} [filters.limit] - Maximum number of results (default: all)
+     * @param {number} [filters.offset] - Number of results to skip (default 0)
+     * @returns {Promise<Object>} { events, total } - the requested page and the number of matches across all pages
+     */
+    async queryEvents(filters = {}) {
+        const { limit, offset = 0 } = filters;
+
+        // Occurrences only exist after expansion, so they are counted and paged in memory
+        if (filters.expand) {
+            const occurrences = await this.getExpandedEvents(filters);
+            const page = limit === undefined ? occurrences.slice(offset) : occurrences.slice(offset, offset + limit);
+            return { events: page, total: occurrences.length };
+        }
+
+        const { where, params } = buildEventFilters(filters);
+        const order = EVENT_SORT_SQL[filters.sort] || EVENT_SORT_SQL.date;
+
+        const [events, total] = await Promise.all([
+            new Promise((resolve, reject) => {
+                // LIMIT -1 means "no limit" in SQLite, which keeps the query shape the same
+                this.db.all(`
+                    SELECT e.*, u.username as created_by_username
+                    FROM events e
+                    LEFT JOIN users u ON e.created_by = u.id
+                    ${where}
+                    ORDER BY ${order}
+                    LIMIT ? OFFSET ?
+                `, [...params, limit === undefined ? -1 : limit, offset], (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                });
+            }),
+            new Promise((resolve, reject) => {
+                this.db.get(`SELECT COUNT(*) as count FROM events e ${where}`, params, (err, row) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(row.count);
+                    }
+                });
+            })
+        ]);
+
+        return { events, total };
+    }
+
+    /**
+     * Search event titles and descriptions, best matches first
+     * Words match as prefixes ("work" finds "workshop") and every word must appear.
+     * Matches in the title count ten times as much as matches in the description.
+     * @param {string} text - Search text typed by the user
+     * @param {Object} [options] - Search options
+     * @param {Array<string>} [options.types] - Only events of these types
+     * @param {number} [options.limit] - Maximum number of results (default 20)
+     * @param {number} [options.offset] - Number of results to skip (default 0)
+     * @returns {Promise<Object>} { events, total } - events carry title_match and description_match,
+     *   with matches wrapped in MATCH_START/MATCH_END characters (see Storage.MATCH_MARKERS)
+     */
+    async searchEvents(text, options = {}) {
+        const { types = [], limit = 20, offset = 0 } = options;
+        const match = buildMatchQuery(text);
+        if (!match) return { events: [], total: 0 };
+
+        const typeFilter = types.length > 0 ? `AND e.type IN (${types.map(() => '?').join(', ')})` : '';
+        const params = [match, ...types];
+
+        const [events, total] = await Promise.all([
+            new Promise((resolve, reject) => {
+                // highlight() marks every match in the title; snippet() picks the best ~12 words of the description
+                this.db.all(`
+                    SELECT e.*, u.username as created_by_username,
+                        highlight(events_fts, 0, ?, ?) as title_match,
+                        snippet(events_fts, 1, ?, ?, '…', 12) as description_match,
+                        bm25(events_fts, 10.0, 1.0) as rank
+                    FROM events_fts
+                    JOIN events e ON e.id = events_fts.rowid
+                    LEFT JOIN users u ON e.created_by = u.id
+                    WHERE events_fts MATCH ? AND e.deleted_at IS NULL ${typeFilter}
+                    ORDER BY rank ASC, e.date ASC, e.time ASC
+                    LIMIT ? OFFSET ?
+                `, [MATCH_START, MATCH_END, MATCH_START, MATCH_END, ...params, limit, offset], (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                });
+            }),
+            new Promise((resolve, reject) => {
+                this.db.get(`
+                    SELECT COUNT(*) as count
+                    FROM events_fts
+                    JOIN events e ON e.id = events_fts.rowid
+                    WHERE events_fts MATCH ? AND e.deleted_at IS NULL ${typeFilter}
+                `, params, (err, row) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(row.count);
+                    }
+                });
+            })
+        ]);
+
+        return { events, total };
+    }
+
+    /**
+     * Get a single event by ID
+     * Events in the trash are treated as missing unless options.includeDeleted is set
+     * @param {number} eventId - ID of event to fetch
+     * @param {Object} [options] - { includeDeleted }
+     * @returns {Promise<Object|null>} Event with creator username, or null if not found
+     */
+    async getEventById(eventId, options = {}) {
+        const deletedFilter = options.includeDeleted ? '' : 'AND e.deleted_at IS NULL';
+
+        return new Promise((resolve, reject) => {
+            this.db.get(`
+                SELECT e.*, u.username as created_by_username
+                FROM events e
+                LEFT JOIN users u ON e.created_by = u.id
+                WHERE e.id = ? ${deletedFilter}
+            `, [eventId], (err, event) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(event || null);
+                }
+            });
+        });
+    }
+
     /**
      * Create a new event
-     * @param {Object} eventData - Event information {title, description, date, time, type}
+     * The new event is also saved as its first revision
+     * @param {Object} eventData - Event information {title, description, date, time, end_date, end_time, all_day,
+     *                             location, online_url, dial_in, capacity, timezone, type, recurrence_rule}
      * @param {number} createdBy - User ID of event creator
      * @returns {Promise<Object>} Created event object
      */
     async createEvent(eventData, createdBy) {
         // Extract event details from input object
-        const { title, description, date, time, type } = eventData;
+        const { title, description, date, time, type, timezone } = eventData;
+        const recurrenceRule = eventData.recurrence_rule || null; // NULL for single events
+        const endDate = eventData.end_date || null;              // NULL when no end was given
+        const endTime = eventData.end_time || null;
+        const allDay = eventData.all_day ? 1 : 0;
+        const location = eventData.location || null;            // Venue and meeting details are all optional
+        const onlineUrl = eventData.online_url || null;
+        const dialIn = eventData.dial_in || null;
+        const capacity = eventData.capacity || null;             // NULL = no limit on registrations
         
-        return new Promise((resolve, reject) => {
+        const eventId = await new Promise((resolve, reject) => {
             // Insert new event into database
             this.db.run(`
-                INSERT INTO events (title, description, date, time, type, created_by)
-                VALUES (?, ?, ?, ?, ?, ?)
-            `, [title, description, date, time, type, createdBy], function(err) {
+                INSERT INTO events (title, description, date, time, end_date, end_time, all_day,
+                                    location, online_url, dial_in, capacity, timezone, type, recurrence_rule, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [title, description, date, time, endDate, endTime, allDay,
+                location, onlineUrl, dialIn, capacity, timezone, type, recurrenceRule, createdBy], function(err) {
                 if (err) {
                     reject(err);
                 } else {
-                    // Return created event with generated ID
-                    resolve({ 
-                        id: this.lastID,  // Auto-generated event ID
-                        title, 
-                        description, 
-                        date, 
-                        time, 
-                        type,
-                        created_by: createdBy,
-                        created_at: new Date().toISOString()
-                    });
+                    resolve(this.lastID); // Auto-generated event ID
                 }
             });
         });
+
+        await this.saveEventRevision(eventId, createdBy);
+
+        // Return created event with generated ID
+        return {
+            id: eventId,
+            title, 
+            description, 
+            date, 
+            time, 
+            end_date: endDate,
+            end_time: endTime,
+            all_day: allDay,
+            location,
+            online_url: onlineUrl,
+            dial_in: dialIn,
+            capacity,
+            timezone,
+            type,
+            recurrence_rule: recurrenceRule,
+            created_by: createdBy,
+            created_at: new Date().toISOString()
+        };
     }
 
     /**
      * Update an existing event
+     * The event keeps the timezone it was created in, so date and time are read in that zone.
+     * The new version is saved as a revision; events in the trash cannot be updated.
+     * When a series that stays a series moves to another start date, its exceptions move by as
+     * many days, so cancelled and changed occurrences stay with the occurrences they belong to.
      * @param {number} eventId - ID of event to update
      * @param {Object} eventData - Updated event data
+     * @param {number} updatedBy - User ID of whoever made the change
+     * @param {number} [restoredFrom] - Revision being rolled back to, if this update is a rollback
      * @returns {Promise<Object>} Updated event object
      */
-    async updateEvent(eventId, eventData) {
+    async updateEvent(eventId, eventData, updatedBy, restoredFrom = null) {
         const { title, description, date, time, type } = eventData;
-        
-        return new Promise((resolve, reject) => {
-            // Update event in database and set updated_at timestamp
-            this.db.run(`
-                UPDATE events 
-                SET title = ?, description = ?, date = ?, time = ?, type = ?, updated_at = CURRENT_TIMESTAMP
-                WHERE id = ?
-            `, [title, description, date, time, type, eventId], function(err) {
-                if (err) {
-                    reject(err);
-                } else if (this.changes === 0) {
-                    // No rows were updated - event doesn't exist
-                    reject(new Error('Event not found'));
-                } else {
-                    // Return updated event data
-                    resolve({ id: eventId, title, description, date, time, type });
-                }
+        const recurrenceRule = eventData.recurrence_rule || null; // NULL turns a series back into a single event
+        const endDate = eventData.end_date || null;              // NULL removes the event's end
+        const endTime = eventData.end_time || null;
+        const allDay = eventData.all_day ? 1 : 0;
+        const location = eventData.location || null;             // Empty values clear the venue and meeting details
+        const onlineUrl = eventData.online_url || null;
+        const dialIn = eventData.dial_in || null;
+        const capacity = eventData.capacity || null;             // NULL removes the limit
+
+        await this.runInTransaction(async () => {
+            const current = await new Promise((resolve, reject) => {
+                this.db.get(`SELECT date, recurrence_rule FROM events WHERE id = ? AND deleted_at IS NULL`, [eventId], (err, row) => {
+                    err ? reject(err) : resolve(row);
+                });
+            });
+            if (!current) throw new Error('Event not found');
+
+            await new Promise((resolve, reject) => {
+                // Update event in database and set updated_at timestamp
+                this.db.run(`
+                    UPDATE events
+                    SET title = ?, description = ?, date = ?, time = ?, end_date = ?, end_time = ?, all_day = ?,
+                        location = ?, online_url = ?, dial_in = ?, capacity = ?,
+                        type = ?, recurrence_rule = ?, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ? AND deleted_at IS NULL
+                `, [title, description, date, time, endDate, endTime, allDay,
+                    location, onlineUrl, dialIn, capacity, type, recurrenceRule, eventId], function(err) {
+                    if (err) {
+                        reject(err);
+                    } else if (this.changes === 0) {
+                        // No rows were updated - event doesn't exist
+                        reject(new Error('Event not found'));
+                    } else {
+                        resolve();
+                    }
+                });
             });
+
+            if (current.recurrence_rule && recurrenceRule && date !== current.date) {
+                await this.shiftEventExceptions(eventId, recurrence.daysBetween(current.date, date));
+            }
+            await this.saveEventRevision(eventId, updatedBy, restoredFrom);
         });
+
+        // Return updated event data
+        return {
+            id: eventId, title, description, date, time,
+            end_date: endDate, end_time: endTime, all_day: allDay,
+            location, online_url: onlineUrl, dial_in: dialIn, capacity,
+            type, recurrence_rule: recurrenceRule
+        };
     }
 
     /**
-     * Delete an event
+     * Move an event to the trash
+     * It disappears from every listing but keeps its exceptions, registrations, attendance
+     * and revisions, so restoreEvent brings it back exactly as it was
      * @param {number} eventId - ID of event to delete
+     * @param {number} deletedBy - User ID of whoever deleted it
      * @returns {Promise<void>}
      */
-    async deleteEvent(eventId) {
+    async deleteEvent(eventId, deletedBy) {
         return new Promise((resolve, reject) => {
-            // Remove event from database
-            this.db.run(`DELETE FROM events WHERE id = ?`, [eventId], function(err) {
+            this.db.run(`
+                UPDATE events SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ?
+                WHERE id = ? AND deleted_at IS NULL
+            `, [deletedBy, eventId], function(err) {
                 if (err) {
                     reject(err);
                 } else if (this.changes === 0) {
-                    // No rows were deleted - event doesn't exist
+                    // No rows were updated - event doesn't exist or is already in the trash
                     reject(new Error('Event not found'));
                 } else {
                     resolve();
@@ -376,7 +817,7 @@ class Database {
 
     /**
      * Get events filtered by type
-     * @param {string} type - Event type to filter by ('assignment', 'webinar', 'workshop')
+     * @param {string} type - Event type to filter by (name from event_types, e.g. 'workshop')
      * @returns {Promise<Array>} Array of events of specified type
      */
     async getEventsByType(type) {
@@ -386,7 +827,7 @@ class Database {
                 SELECT e.*, u.username as created_by_username 
                 FROM events e 
                 LEFT JOIN users u ON e.created_by = u.id 
-                WHERE e.type = ? 
+                WHERE e.type = ? AND e.deleted_at IS NULL
                 ORDER BY e.date ASC, e.time ASC
             `, [type], (err, events) => {
                 if (err) {
@@ -398,6 +839,1251 @@ class Database {
         });
     }
 
+    /**
+     * Get events matching any of several types
+     * @param {Array<string>} types - Event types to include
+     * @returns {Promise<Array>} Array of events of the given types, ordered chronologically
+     */
+    async getEventsByTypes(types) {
+        return new Promise((resolve, reject) => {
+            // Build one placeholder per type so every value stays parameterized
+            const placeholders = types.map(() => '?').join(', ');
+
+            this.db.all(`
+                SELECT e.*, u.username as created_by_username
+                FROM events e
+                LEFT JOIN users u ON e.created_by = u.id
+                WHERE e.type IN (${placeholders}) AND e.deleted_at IS NULL
+                ORDER BY e.date ASC, e.time ASC
+            `, types, (err, events) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(events);
+                }
+            });
+        });
+    }
+
+    // ===== TRASH METHODS =====
+    // Deleting an event only moves it to the trash. From there it can be restored as it was,
+    // or purged - which removes it and everything attached to it for good.
+
+    /**
+     * Get every event in the trash, most recently deleted first
+     * @returns {Promise<Array>} Events with created_by_username and deleted_by_username
+     */
+    async getDeletedEvents() {
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT e.*, u.username as created_by_username, d.username as deleted_by_username
+                FROM events e
+                LEFT JOIN users u ON e.created_by = u.id
+                LEFT JOIN users d ON e.deleted_by = d.id
+                WHERE e.deleted_at IS NOT NULL
+                ORDER BY e.deleted_at DESC, e.id DESC
+            `, (err, events) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(events);
+                }
+            });
+        });
+    }
+
+    /**
+     * Take an event out of the trash
+     * @param {number} eventId - ID of the deleted event
+     * @returns {Promise<void>}
+     */
+    async restoreEvent(eventId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(`
+                UPDATE events SET deleted_at = NULL, deleted_by = NULL
+                WHERE id = ? AND deleted_at IS NOT NULL
+            `, [eventId], function(err) {
+                if (err) {
+                    reject(err);
+                } else if (this.changes === 0) {
+                    // No rows were updated - event doesn't exist or is not in the trash
+                    reject(new Error('Event not found'));
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * Permanently delete an event from the trash, with its exceptions, registrations,
+     * attendance, reminders and revisions. Events that are not in the trash are left alone.
+     * @param {number} eventId - ID of the deleted event
+     * @returns {Promise<void>}
+     */
+    async purgeEvent(eventId) {
+        // Helper to run a statement about this event as a promise
+        const exec = (sql) => new Promise((resolve, reject) => {
+            this.db.run(sql, [eventId], (err) => err ? reject(err) : resolve());
+        });
+
+        await this.runInTransaction(async () => {
+            const event = await new Promise((resolve, reject) => {
+                this.db.get(`SELECT id FROM events WHERE id = ? AND deleted_at IS NOT NULL`, [eventId],
+                    (err, row) => err ? reject(err) : resolve(row));
+            });
+            if (!event) throw new Error('Event not found');
+
+            // Remove everything attached to the event first, then the event itself
+            await exec(`DELETE FROM event_exceptions WHERE event_id = ?`);
+            await exec(`DELETE FROM registrations WHERE event_id = ?`);
+            await exec(`DELETE FROM checkin_codes WHERE event_id = ?`);
+            await exec(`DELETE FROM attendance WHERE event_id = ?`);
+            await exec(`DELETE FROM sent_reminders WHERE event_id = ?`);
+            await exec(`DELETE FROM event_revisions WHERE event_id = ?`);
+            await exec(`DELETE FROM events WHERE id = ?`);
+        });
+    }
+
+    // ===== REVISION METHODS =====
+    // createEvent and updateEvent save a revision after every change, so an event's history
+    // always ends with the version it has now.
+
+    /**
+     * Save an event's current fields as its next revision
+     * @param {number} eventId - ID of the event
+     * @param {number} userId - User ID of whoever saved this version
+     * @param {number} [restoredFrom] - Revision this version was rolled back to
+     * @returns {Promise<void>}
+     */
+    async saveEventRevision(eventId, userId, restoredFrom = null) {
+        return new Promise((resolve, reject) => {
+            this.db.run(`
+                INSERT INTO event_revisions (event_id, revision, snapshot, restored_from, user_id)
+                SELECT e.id,
+                    COALESCE((SELECT MAX(r.revision) FROM event_revisions r WHERE r.event_id = e.id), 0) + 1,
+                    ${REVISION_SNAPSHOT_SQL}, ?, ?
+                FROM events e
+                WHERE e.id = ?
+            `, [restoredFrom, userId ?? null, eventId], (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * Get an event's revisions, newest first
+     * @param {number} eventId - ID of the event
+     * @returns {Promise<Array>} Rows of { id, event_id, revision, snapshot, restored_from, user_id, username, created_at }
+     *   with snapshot parsed back into an object of REVISION_FIELDS
+     */
+    async getEventRevisions(eventId) {
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT r.*, u.username
+                FROM event_revisions r
+                LEFT JOIN users u ON r.user_id = u.id
+                WHERE r.event_id = ?
+                ORDER BY r.revision DESC
+            `, [eventId], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => ({ ...row, snapshot: JSON.parse(row.snapshot) })));
+                }
+            });
+        });
+    }
+
+    /**
+     * Get one revision of an event
+     * @param {number} eventId - ID of the event
+     * @param {number} revision - Revision number
+     * @returns {Promise<Object|null>} Revision (as getEventRevisions returns it), or null if not found
+     */
+    async getEventRevision(eventId, revision) {
+        return new Promise((resolve, reject) => {
+            this.db.get(`
+                SELECT r.*, u.username
+                FROM event_revisions r
+                LEFT JOIN users u ON r.user_id = u.id
+                WHERE r.event_id = ? AND r.revision = ?
+            `, [eventId, revision], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row ? { ...row, snapshot: JSON.parse(row.snapshot) } : null);
+                }
+            });
+        });
+    }
+
+    // ===== EVENT TYPE METHODS =====
+
+    /**
+     * Get every event type with the number of events that use it
+     * Events in the trash count too, so a type cannot be deleted while an event that may be restored uses it
+     * @returns {Promise<Array>} Event types in the order they were created
+     */
+    async getEventTypes() {
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT t.*, COUNT(e.id) AS event_count
+                FROM event_types t
+                LEFT JOIN events e ON e.type = t.name
+                GROUP BY t.id
+                ORDER BY t.id ASC
+            `, (err, types) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(types);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get a single event type by ID
+     * @param {number} typeId - ID of the event type
+     * @returns {Promise<Object|null>} Event type with its event_count, or null if not found
+     */
+    async getEventTypeById(typeId) {
+        return new Promise((resolve, reject) => {
+            this.db.get(`
+                SELECT t.*, COUNT(e.id) AS event_count
+                FROM event_types t
+                LEFT JOIN events e ON e.type = t.name
+                WHERE t.id = ?
+                GROUP BY t.id
+            `, [typeId], (err, type) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(type || null);
+                }
+            });
+        });
+    }
+
+    /**
+     * Create a new event type
+     * @param {Object} typeData - { name, label, color, icon }
+     * @returns {Promise<Object>} Created event type
+     */
+    async createEventType(typeData) {
+        const { name, label, color, icon } = typeData;
+
+        const typeId = await new Promise((resolve, reject) => {
+            this.db.run(`
+                INSERT INTO event_types (name, label, color, icon) VALUES (?, ?, ?, ?)
+            `, [name, label, color, icon], function(err) {
+                if (err) {
+                    // Database error (e.g., duplicate name)
+                    reject(err);
+                } else {
+                    resolve(this.lastID);
+                }
+            });
+        });
+
+        return this.getEventTypeById(typeId);
+    }
+
+    /**
+     * Change how an event type is shown
+     * The name is not changed because events refer to their type by name
+     * @param {number} typeId - ID of the event type
+     * @param {Object} typeData - { label, color, icon }
+     * @returns {Promise<Object>} Updated event type
+     */
+    async updateEventType(typeId, typeData) {
+        const { label, color, icon } = typeData;
+
+        await new Promise((resolve, reject) => {
+            this.db.run(`
+                UPDATE event_types
+                SET label = ?, color = ?, icon = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [label, color, icon, typeId], function(err) {
+                if (err) {
+                    reject(err);
+                } else if (this.changes === 0) {
+                    // No rows were updated - event type doesn't exist
+                    reject(new Error('Event type not found'));
+                } else {
+                    resolve();
+                }
+            });
+        });
+
+        return this.getEventTypeById(typeId);
+    }
+
+    /**
+     * Delete an event type
+     * Checking that no events still use it is handled in server.js
+     * @param {number} typeId - ID of the event type
+     * @returns {Promise<void>}
+     */
+    async deleteEventType(typeId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(`DELETE FROM event_types WHERE id = ?`, [typeId], function(err) {
+                if (err) {
+                    reject(err);
+                } else if (this.changes === 0) {
+                    // No rows were deleted - event type doesn't exist
+                    reject(new Error('Event type not found'));
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    // ===== REGISTRATION METHODS =====
+    // A registration covers a whole event - for a recurring series, every occurrence.
+    // Waitlist positions follow registration IDs, so the earliest sign-up moves up first.
+
+    /**
+     * Count registrations and waitlist entries for several events at once
+     * @param {Array<number>} eventIds - IDs of the events to count (duplicates are fine)
+     * @returns {Promise<Map>} Event ID -> { registered, waitlisted }; events nobody signed up for are left out
+     */
+    async getRegistrationCounts(eventIds) {
+        const ids = [...new Set(eventIds)];
+        if (ids.length === 0) return new Map();
+
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT event_id,
+                    SUM(status = 'registered') AS registered,
+                    SUM(status = 'waitlisted') AS waitlisted
+                FROM registrations
+                WHERE event_id IN (${ids.map(() => '?').join(', ')})
+                GROUP BY event_id
+            `, ids, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(new Map(rows.map(row => [row.event_id, { registered: row.registered, waitlisted: row.waitlisted }])));
+                }
+            });
+        });
+    }
+
+    /**
+     * Get a user's registrations, each with its place on the waitlist
+     * Registrations for events in the trash are kept (in case the event is restored) but not listed
+     * @param {number} userId - ID of the user
+     * @param {number} [eventId] - Only this event's registration
+     * @returns {Promise<Array>} Rows of { event_id, status, position, created_at }; position is null
+     *   for registered users and 1 for the first person on a waitlist
+     */
+    async getUserRegistrations(userId, eventId) {
+        const eventFilter = eventId === undefined ? '' : 'AND r.event_id = ?';
+        const params = eventId === undefined ? [userId] : [userId, eventId];
+
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT r.event_id, r.status, r.created_at,
+                    CASE WHEN r.status = 'waitlisted' THEN (
+                        SELECT COUNT(*) FROM registrations w
+                        WHERE w.event_id = r.event_id AND w.status = 'waitlisted' AND w.id <= r.id
+                    ) END AS position
+                FROM registrations r
+                JOIN events e ON e.id = r.event_id AND e.deleted_at IS NULL
+                WHERE r.user_id = ? ${eventFilter}
+                ORDER BY r.id ASC
+            `, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    /**
+     * Sign a user up for an event
+     * The user gets a seat while the event has room, and joins the waitlist once it is full.
+     * Runs in a transaction so two people can never take the last seat at the same time.
+     * @param {number} eventId - ID of the event
+     * @param {number} userId - ID of the user signing up
+     * @returns {Promise<Object>} The new registration { event_id, status, position, created_at }
+     */
+    async registerForEvent(eventId, userId) {
+        return this.runInTransaction(async () => {
+            const event = await new Promise((resolve, reject) => {
+                this.db.get(`
+                    SELECT e.capacity,
+                        (SELECT COUNT(*) FROM registrations r WHERE r.event_id = e.id AND r.status = 'registered') AS registered
+                    FROM events e
+                    WHERE e.id = ? AND e.deleted_at IS NULL
+                `, [eventId], (err, row) => err ? reject(err) : resolve(row));
+            });
+            if (!event) throw new Error('Event not found');
+
+            const status = event.capacity === null || event.registered < event.capacity ? 'registered' : 'waitlisted';
+            await new Promise((resolve, reject) => {
+                this.db.run(`
+                    INSERT INTO registrations (event_id, user_id, status) VALUES (?, ?, ?)
+                `, [eventId, userId, status], (err) => {
+                    if (err && err.message.includes('UNIQUE constraint failed')) {
+                        reject(new Error('Already registered'));
+                    } else if (err) {
+                        reject(err);
+                    } else {
+                        resolve();
+                    }
+                });
+            });
+
+            const [registration] = await this.getUserRegistrations(userId, eventId);
+            return registration;
+        });
+    }
+
+    /**
+     * Cancel a user's registration (or take them off the waitlist)
+     * A freed seat goes to the first person on the waitlist
+     * @param {number} eventId - ID of the event
+     * @param {number} userId - ID of the user cancelling
+     * @returns {Promise<number>} Number of people moved off the waitlist
+     */
+    async cancelRegistration(eventId, userId) {
+        return this.runInTransaction(async () => {
+            await new Promise((resolve, reject) => {
+                this.db.run(`DELETE FROM registrations WHERE event_id = ? AND user_id = ?`, [eventId, userId], function(err) {
+                    if (err) {
+                        reject(err);
+                    } else if (this.changes === 0) {
+                        // No rows were deleted - the user was not signed up
+                        reject(new Error('Registration not found'));
+                    } else {
+                        resolve();
+                    }
+                });
+            });
+
+            return this.promoteWaitlist(eventId);
+        });
+    }
+
+    /**
+     * Give free seats to the people at the front of an event's waitlist
+     * Called when someone cancels and when an event's capacity is raised or removed.
+     * Lowering the capacity never takes a seat away from someone who already has one.
+     * @param {number} eventId - ID of the event
+     * @returns {Promise<number>} Number of people moved off the waitlist
+     */
+    async promoteWaitlist(eventId) {
+        return new Promise((resolve, reject) => {
+            // LIMIT -1 (no capacity) promotes everyone; a full or over-full event promotes nobody
+            this.db.run(`
+                UPDATE registrations
+                SET status = 'registered', updated_at = CURRENT_TIMESTAMP
+                WHERE id IN (
+                    SELECT id FROM registrations
+                    WHERE event_id = ? AND status = 'waitlisted'
+                    ORDER BY id ASC
+                    LIMIT (
+                        SELECT CASE WHEN e.capacity IS NULL THEN -1 ELSE MAX(e.capacity - (
+                            SELECT COUNT(*) FROM registrations r WHERE r.event_id = e.id AND r.status = 'registered'
+                        ), 0) END
+                        FROM events e
+                        WHERE e.id = ?
+                    )
+                )
+            `, [eventId, eventId], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get everyone signed up for an event: registered users first, then the waitlist in order
+     * @param {number} eventId - ID of the event
+     * @returns {Promise<Array>} Rows of { id, user_id, full_name, username, email, status, position,
+     *   created_at, updated_at }; position counts from 1 along the waitlist and is null for registered users
+     */
+    async getEventRoster(eventId) {
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT r.id, r.user_id, u.full_name, u.username, u.email, r.status, r.created_at, r.updated_at
+                FROM registrations r
+                JOIN users u ON u.id = r.user_id
+                WHERE r.event_id = ?
+                ORDER BY r.status = 'waitlisted' ASC, r.id ASC
+            `, [eventId], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    let waiting = 0;
+                    resolve(rows.map(row => ({ ...row, position: row.status === 'waitlisted' ? ++waiting : null })));
+                }
+            });
+        });
+    }
+
+    // ===== ATTENDANCE METHODS =====
+    // Attendees check in by scanning the event's QR code, which carries its check-in code.
+    // Codes are generated in server.js; replacing one makes every printed copy stop working.
+
+    /**
+     * Get an event's check-in code
+     * @param {number} eventId - ID of the event
+     * @returns {Promise<Object|null>} { event_id, code, created_at } or null if none has been generated
+     */
+    async getCheckInCode(eventId) {
+        return new Promise((resolve, reject) => {
+            this.db.get(`
+                SELECT event_id, code, created_at FROM checkin_codes WHERE event_id = ?
+            `, [eventId], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    /**
+     * Store a new check-in code for an event, replacing any previous one
+     * @param {number} eventId - ID of the event
+     * @param {string} code - Random check-in code
+     * @returns {Promise<Object>} The stored code { event_id, code, created_at }
+     */
+    async saveCheckInCode(eventId, code) {
+        await new Promise((resolve, reject) => {
+            this.db.run(`
+                INSERT INTO checkin_codes (event_id, code) VALUES (?, ?)
+                ON CONFLICT (event_id) DO UPDATE SET code = excluded.code, created_at = CURRENT_TIMESTAMP
+            `, [eventId, code], (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+        return this.getCheckInCode(eventId);
+    }
+
+    /**
+     * Record that a user attended an occurrence of an event
+     * @param {number} eventId - ID of the event
+     * @param {string} occurrenceDate - Date of the occurrence attended (YYYY-MM-DD)
+     * @param {number} userId - ID of the user checking in
+     * @returns {Promise<Object>} The check-in { event_id, occurrence_date, checked_in_at }
+     */
+    async recordAttendance(eventId, occurrenceDate, userId) {
+        const attendanceId = await new Promise((resolve, reject) => {
+            this.db.run(`
+                INSERT INTO attendance (event_id, occurrence_date, user_id) VALUES (?, ?, ?)
+            `, [eventId, occurrenceDate, userId], function(err) {
+                if (err && err.message.includes('UNIQUE constraint failed')) {
+                    reject(new Error('Already checked in'));
+                } else if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.lastID);
+                }
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            this.db.get(`
+                SELECT event_id, occurrence_date, checked_in_at FROM attendance WHERE id = ?
+            `, [attendanceId], (err, row) => err ? reject(err) : resolve(row));
+        });
+    }
+
+    /**
+     * Get everyone who checked in to an event, newest occurrence first
+     * @param {number} eventId - ID of the event
+     * @returns {Promise<Array>} Rows of { id, user_id, full_name, username, email, occurrence_date,
+     *   checked_in_at, registration_status }; registration_status is 'registered', 'waitlisted' or
+     *   null for people who came without signing up
+     */
+    async getEventAttendance(eventId) {
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT a.id, a.user_id, u.full_name, u.username, u.email, a.occurrence_date, a.checked_in_at,
+                    r.status AS registration_status
+                FROM attendance a
+                JOIN users u ON u.id = a.user_id
+                LEFT JOIN registrations r ON r.event_id = a.event_id AND r.user_id = a.user_id
+                WHERE a.event_id = ?
+                ORDER BY a.occurrence_date DESC, a.checked_in_at ASC, a.id ASC
+            `, [eventId], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    // ===== REMINDER METHODS =====
+    // Reminder emails go to everyone holding a seat. Each one is claimed in sent_reminders
+    // before it is sent and released again if sending fails, so it goes out at most once.
+
+    /**
+     * Get the people to remind about several events: active users with a seat
+     * @param {Array<number>} eventIds - IDs of the events (duplicates are fine)
+     * @returns {Promise<Array>} Rows of { event_id, user_id, full_name, email }
+     */
+    async getReminderRecipients(eventIds) {
+        const ids = [...new Set(eventIds)];
+        if (ids.length === 0) return [];
+
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT r.event_id, r.user_id, u.full_name, u.email
+                FROM registrations r
+                JOIN users u ON u.id = r.user_id
+                WHERE r.event_id IN (${ids.map(() => '?').join(', ')})
+                    AND r.status = 'registered' AND u.is_active = 1
+                ORDER BY r.id ASC
+            `, ids, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get the reminders already sent for several events
+     * @param {Array<number>} eventIds - IDs of the events (duplicates are fine)
+     * @returns {Promise<Array>} Rows of { event_id, occurrence_date, user_id, reminder }
+     */
+    async getSentReminders(eventIds) {
+        const ids = [...new Set(eventIds)];
+        if (ids.length === 0) return [];
+
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT event_id, occurrence_date, user_id, reminder
+                FROM sent_reminders
+                WHERE event_id IN (${ids.map(() => '?').join(', ')})
+            `, ids, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    /**
+     * Record a reminder as sent before sending it
+     * @param {number} eventId - ID of the event
+     * @param {string} occurrenceDate - Occurrence date (YYYY-MM-DD)
+     * @param {number} userId - ID of the recipient
+     * @param {string} reminder - Reminder name
+     * @returns {Promise<boolean>} True if this call claimed it; false if it was already recorded
+     */
+    async claimReminder(eventId, occurrenceDate, userId, reminder) {
+        return new Promise((resolve, reject) => {
+            this.db.run(`
+                INSERT OR IGNORE INTO sent_reminders (event_id, occurrence_date, user_id, reminder)
+                VALUES (?, ?, ?, ?)
+            `, [eventId, occurrenceDate, userId, reminder], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes === 1);
+                }
+            });
+        });
+    }
+
+    /**
+     * Forget a claimed reminder that could not be sent, so it is tried again later
+     * @param {number} eventId - ID of the event
+     * @param {string} occurrenceDate - Occurrence date (YYYY-MM-DD)
+     * @param {number} userId - ID of the recipient
+     * @param {string} reminder - Reminder name
+     * @returns {Promise<void>}
+     */
+    async releaseReminder(eventId, occurrenceDate, userId, reminder) {
+        return new Promise((resolve, reject) => {
+            this.db.run(`
+                DELETE FROM sent_reminders
+                WHERE event_id = ? AND occurrence_date = ? AND user_id = ? AND reminder = ?
+            `, [eventId, occurrenceDate, userId, reminder], (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    // ===== AUDIT LOG METHODS =====
+    // Entries are only ever added - nothing in the application edits or deletes them.
+
+    /**
+     * Add an entry to the audit log
+     * @param {Object} entry - { action, userId, username, entityType, entityId, entityLabel, ipAddress, changes }
+     *                         (everything but action may be null; changes is stored as JSON)
+     * @returns {Promise<number>} ID of the new entry
+     */
+    async addAuditEntry(entry) {
+        return new Promise((resolve, reject) => {
+            this.db.run(`
+                INSERT INTO audit_log (action, user_id, username, entity_type, entity_id, entity_label, ip_address, changes)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                entry.action,
+                entry.userId ?? null,
+                entry.username ?? null,
+                entry.entityType ?? null,
+                entry.entityId ?? null,
+                entry.entityLabel ?? null,
+                entry.ipAddress ?? null,
+                entry.changes ? JSON.stringify(entry.changes) : null
+            ], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.lastID);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get a page of audit log entries, newest first
+     * @param {Object} filters - { actions, userId, entityType, entityId, from, to, limit, offset } (all optional);
+     *                           from and to are UTC dates (YYYY-MM-DD) and include the whole day
+     * @returns {Promise<Object>} { entries, total } - entries have changes parsed back into an object
+     */
+    async queryAuditLog(filters = {}) {
+        const { limit, offset = 0 } = filters;
+        const conditions = [];
+        const params = [];
+
+        if (filters.actions && filters.actions.length > 0) {
+            conditions.push(`action IN (${filters.actions.map(() => '?').join(', ')})`);
+            params.push(...filters.actions);
+        }
+        if (filters.userId !== undefined) {
+            conditions.push('user_id = ?');
+            params.push(filters.userId);
+        }
+        if (filters.entityType !== undefined) {
+            conditions.push('entity_type = ?');
+            params.push(filters.entityType);
+        }
+        if (filters.entityId !== undefined) {
+            conditions.push('entity_id = ?');
+            params.push(filters.entityId);
+        }
+        if (filters.from) {
+            conditions.push('date(created_at) >= ?');
+            params.push(filters.from);
+        }
+        if (filters.to) {
+            conditions.push('date(created_at) <= ?');
+            params.push(filters.to);
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const [rows, total] = await Promise.all([
+            new Promise((resolve, reject) => {
+                // LIMIT -1 means "no limit" in SQLite
+                this.db.all(`
+                    SELECT id, action, user_id, username, entity_type, entity_id, entity_label, ip_address, changes, created_at
+                    FROM audit_log
+                    ${where}
+                    ORDER BY created_at DESC, id DESC
+                    LIMIT ? OFFSET ?
+                `, [...params, limit === undefined ? -1 : limit, offset], (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                });
+            }),
+            new Promise((resolve, reject) => {
+                this.db.get(`SELECT COUNT(*) as count FROM audit_log ${where}`, params, (err, row) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(row.count);
+                    }
+                });
+            })
+        ]);
+
+        return {
+            entries: rows.map(row => ({ ...row, changes: row.changes ? JSON.parse(row.changes) : null })),
+            total
+        };
+    }
+
+    // ===== RECURRING EVENT METHODS =====
+
+    /**
+     * Get occurrence exceptions, optionally for a single event
+     * @param {number} [eventId] - Only return exceptions of this event
+     * @returns {Promise<Array>} Exception rows ordered by original occurrence date
+     */
+    async getEventExceptions(eventId) {
+        return new Promise((resolve, reject) => {
+            const where = eventId === undefined ? '' : 'WHERE event_id = ?';
+            const params = eventId === undefined ? [] : [eventId];
+
+            this.db.all(`
+                SELECT * FROM event_exceptions ${where} ORDER BY occurrence_date ASC
+            `, params, (err, exceptions) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(exceptions);
+                }
+            });
+        });
+    }
+
+    /**
+     * Cancel or modify a single occurrence of a recurring event
+     * Replaces any earlier exception for the same occurrence
+     * @param {number} eventId - Recurring event ID
+     * @param {string} occurrenceDate - Original date of the occurrence (YYYY-MM-DD)
+     * @param {Object} exceptionData - { status: 'cancelled'|'modified', date, time, title, description }
+     * @returns {Promise<Object>} Saved exception
+     */
+    async saveEventException(eventId, occurrenceDate, exceptionData) {
+        const { status, date = null, time = null, title = null, description = null } = exceptionData;
+
+        return new Promise((resolve, reject) => {
+            // Upsert on (event_id, occurrence_date) so each occurrence has at most one exception
+            this.db.run(`
+                INSERT INTO event_exceptions (event_id, occurrence_date, status, date, time, title, description)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT (event_id, occurrence_date) DO UPDATE SET
+                    status = excluded.status, date = excluded.date, time = excluded.time,
+                    title = excluded.title, description = excluded.description
+            `, [eventId, occurrenceDate, status, date, time, title, description], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ event_id: Number(eventId), occurrence_date: occurrenceDate, status, date, time, title, description });
+                }
+            });
+        });
+    }
+
+    /**
+     * Remove an occurrence exception, restoring the occurrence as the series defines it
+     * @param {number} eventId - Recurring event ID
+     * @param {string} occurrenceDate - Original date of the occurrence (YYYY-MM-DD)
+     * @returns {Promise<void>}
+     */
+    async deleteEventException(eventId, occurrenceDate) {
+        return new Promise((resolve, reject) => {
+            this.db.run(`
+                DELETE FROM event_exceptions WHERE event_id = ? AND occurrence_date = ?
+            `, [eventId, occurrenceDate], function(err) {
+                if (err) {
+                    reject(err);
+                } else if (this.changes === 0) {
+                    reject(new Error('Exception not found'));
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * Move every exception of a series by a number of days, so they stay on the same occurrences
+     * when the whole series is moved
+     * Call inside runInTransaction so the exceptions are never left half moved
+     * @param {number} eventId - Recurring event ID
+     * @param {number} days - Days to move by (negative moves earlier)
+     * @returns {Promise<number>} Number of exceptions moved
+     */
+    async shiftEventExceptions(eventId, days) {
+        const exceptions = await this.getEventExceptions(eventId);
+        if (exceptions.length === 0) return 0;
+
+        // Deleted and inserted again rather than updated in place: moving one row onto a date
+        // another row has not left yet would break the one-exception-per-occurrence constraint
+        await new Promise((resolve, reject) => {
+            this.db.run(`DELETE FROM event_exceptions WHERE event_id = ?`, [eventId], (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        for (const exception of exceptions) {
+            await new Promise((resolve, reject) => {
+                this.db.run(`
+                    INSERT INTO event_exceptions (event_id, occurrence_date, status, date, time, title, description, created_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    eventId,
+                    recurrence.addDays(exception.occurrence_date, days),
+                    exception.status,
+                    exception.date ? recurrence.addDays(exception.date, days) : null,
+                    exception.time,
+                    exception.title,
+                    exception.description,
+                    exception.created_at
+                ], (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        }
+
+        return exceptions.length;
+    }
+
+    // ===== SETTINGS METHODS =====
+
+    /**
+     * Get all site settings
+     * @returns {Promise<Object>} Settings keyed by name, e.g. { siteTitle, adminEmail, timezone }
+     */
+    async getSettings() {
+        return new Promise((resolve, reject) => {
+            this.db.all(`SELECT key, value FROM settings`, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    // Start from the defaults so a missing row never leaves a setting undefined
+                    const settings = { ...DEFAULT_SETTINGS };
+                    rows.forEach(row => {
+                        settings[row.key] = row.value;
+                    });
+                    resolve(settings);
+                }
+            });
+        });
+    }
+
+    /**
+     * Save one or more settings
+     * Only known setting names are stored; validation is handled in server.js
+     * @param {Object} changes - Settings to save, e.g. { siteTitle: 'My Calendar' }
+     * @returns {Promise<Object>} All settings after the update
+     */
+    async updateSettings(changes) {
+        const keys = Object.keys(changes).filter(key => key in DEFAULT_SETTINGS);
+
+        await this.runInTransaction(() => Promise.all(keys.map(key => new Promise((resolve, reject) => {
+            this.db.run(`
+                INSERT INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+                ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+            `, [key, String(changes[key])], (err) => err ? reject(err) : resolve());
+        }))));
+
+        return this.getSettings();
+    }
+
+    // ===== BACKUP METHODS =====
+    // Which tables a backup holds is decided in backup.js (BACKUP_TABLES); sessions never leave the server.
+
+    /**
+     * Read every backed-up table as one consistent snapshot
+     * The tables are read inside a single transaction, so a change saved meanwhile is
+     * either in all of them or in none.
+     * @param {Object} [options] - { includePasswords } - keep password hashes (left out by default)
+     * @returns {Promise<Object>} Rows keyed by table name, e.g. { users: [...], events: [...] }
+     */
+    async readBackupTables(options = {}) {
+        const tables = {};
+
+        await this.runInTransaction(() => Promise.all(backup.BACKUP_TABLES.map(table => new Promise((resolve, reject) => {
+            this.db.all(`SELECT * FROM ${table.name} ORDER BY rowid`, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    tables[table.name] = rows;
+                    resolve();
+                }
+            });
+        }))));
+
+        if (!options.includePasswords) {
+            tables.users.forEach(user => delete user.password_hash);
+        }
+        return tables;
+    }
+
+    /**
+     * Write a copy of the whole database to a new SQLite file
+     * VACUUM INTO copies a consistent snapshot while the calendar keeps running. Sessions are then
+     * removed from the copy and, unless requested, password hashes are blanked; secure_delete and
+     * a final VACUUM make sure what was removed is really gone from the file.
+     * @param {string} filePath - Path of the file to create (must not exist yet)
+     * @param {Object} [options] - { includePasswords } - keep password hashes (blanked by default)
+     * @returns {Promise<void>}
+     */
+    async writeBackupFile(filePath, options = {}) {
+        // VACUUM cannot run inside a transaction, so wait for any that are open
+        await this.runExclusive(() => new Promise((resolve, reject) => {
+            this.connection.run(`VACUUM INTO ?`, [filePath], (err) => err ? reject(err) : resolve());
+        }));
+
+        const copy = await openDatabaseFile(filePath, sqlite3.OPEN_READWRITE);
+        try {
+            await new Promise((resolve, reject) => {
+                copy.exec(`
+                    PRAGMA secure_delete = ON;
+                    DELETE FROM sessions;
+                    ${options.includePasswords ? '' : `UPDATE users SET password_hash = '';`}
+                    VACUUM;
+                `, (err) => err ? reject(err) : resolve());
+            });
+        } finally {
+            await closeDatabaseFile(copy);
+        }
+    }
+
+    /**
+     * Read the restorable tables of a SQLite backup file (or of a copy of boxo_calendar.db)
+     * The file is checked for damage first. Checking the search index needs write access,
+     * so pass a copy (such as an uploaded file saved for the purpose), never a live database.
+     * Tables the file does not have are left out, so backups from older versions can still be read.
+     * @param {string} filePath - Path of the file
+     * @returns {Promise<Object>} Rows keyed by table name
+     * @throws {Error} With a message for the user when the file is not a usable database
+     */
+    async readBackupFile(filePath) {
+        let file;
+        try {
+            file = await openDatabaseFile(filePath, sqlite3.OPEN_READWRITE);
+        } catch (error) {
+            throw new Error('The file is not a SQLite database');
+        }
+
+        // Helper to run a query on the file as a promise
+        const all = (sql) => new Promise((resolve, reject) => {
+            file.all(sql, (err, rows) => err ? reject(err) : resolve(rows));
+        });
+
+        try {
+            // Files that are not databases only fail once something is read from them
+            const [check] = await all(`PRAGMA integrity_check`).catch(() => {
+                throw new Error('The file is not a SQLite database');
+            });
+            if (check.integrity_check !== 'ok') {
+                throw new Error(`The database file is damaged (${check.integrity_check})`);
+            }
+
+            const existing = new Set((await all(`SELECT name FROM sqlite_master WHERE type = 'table'`)).map(row => row.name));
+            const tables = {};
+            for (const table of backup.RESTORED_TABLES.filter(table => existing.has(table.name))) {
+                tables[table.name] = await all(`SELECT * FROM ${table.name} ORDER BY rowid`);
+            }
+            return tables;
+        } finally {
+            await closeDatabaseFile(file);
+        }
+    }
+
+    /**
+     * Replace everything in the restored tables (backup.RESTORED_TABLES) with the rows of a backup
+     * All or nothing: the old rows are deleted and the backup's inserted with their original IDs
+     * in one transaction. Validation is handled in server.js (see backup.validateSnapshot).
+     * The audit log is left as it is, whatever the backup holds.
+     * Users without a password hash keep their current password when their username still exists;
+     * any others are restored deactivated with a random password, until an admin sets one.
+     * Sessions survive only where the user ID still belongs to the same username.
+     * @param {Object} tables - Rows keyed by table name (missing optional tables are emptied)
+     * @returns {Promise<Object>} { counts: { tableName: { before, after } }, lockedUsers: [usernames] }
+     *   where before is the number of rows the table had and after the number restored
+     */
+    async restoreBackupTables(tables) {
+        // Helpers to run statements as promises
+        const run = (sql, params = []) => new Promise((resolve, reject) => {
+            this.db.run(sql, params, (err) => err ? reject(err) : resolve());
+        });
+        const all = (sql) => new Promise((resolve, reject) => {
+            this.db.all(sql, (err, rows) => err ? reject(err) : resolve(rows));
+        });
+
+        // Nobody knows this password, so accounts given it cannot be signed in to
+        const lockedHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+        return this.runInTransaction(async () => {
+            const currentUsers = await all(`SELECT id, username, password_hash FROM users`);
+            const currentHashes = new Map(currentUsers.map(user => [user.username, user.password_hash]));
+            const counts = {};
+            const lockedUsers = [];
+
+            for (const table of backup.RESTORED_TABLES) {
+                const [{ count }] = await all(`SELECT COUNT(*) AS count FROM ${table.name}`);
+                counts[table.name] = { before: count, after: 0 };
+            }
+
+            // Children first, so no row is ever left pointing at a deleted parent
+            for (const table of [...backup.RESTORED_TABLES].reverse()) {
+                await run(`DELETE FROM ${table.name}`);
+            }
+
+            for (const table of backup.RESTORED_TABLES) {
+                // Columns the backup does not have (older versions) get their defaults
+                const columns = (await all(`PRAGMA table_info(${table.name})`)).map(column => column.name);
+                const rows = tables[table.name] || [];
+
+                for (const row of rows) {
+                    const values = { ...row };
+                    if (table.name === 'users' && !values.password_hash) {
+                        if (currentHashes.has(values.username)) {
+                            values.password_hash = currentHashes.get(values.username);
+                        } else {
+                            values.password_hash = lockedHash;
+                            values.is_active = 0;
+                            lockedUsers.push(values.username);
+                        }
+                    }
+
+                    const names = columns.filter(column => values[column] !== undefined);
+                    await run(
+                        `INSERT INTO ${table.name} (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+                        names.map(name => values[name])
+                    );
+                }
+                counts[table.name].after = rows.length;
+            }
+
+            // The triggers indexed each event as it was inserted; rebuilding makes sure nothing stale is left
+            await run(`INSERT INTO events_fts (events_fts) VALUES ('rebuild')`);
+
+            const restoredUsernames = new Map(tables.users.map(user => [user.id, user.username]));
+            const staleUserIds = currentUsers
+                .filter(user => restoredUsernames.get(user.id) !== user.username)
+                .map(user => user.id);
+            if (staleUserIds.length > 0) {
+                await run(`DELETE FROM sessions WHERE user_id IN (${staleUserIds.map(() => '?').join(', ')})`, staleUserIds);
+            }
+
+            return { counts, lockedUsers };
+        });
+    }
+
+    // ===== TRANSACTION HELPERS =====
+
+    /**
+     * Wrap the connection so that statements from other requests never end up in a transaction
+     * There is only one connection, and SQLite puts every statement sent on it while a transaction
+     * is open into that transaction - to be committed or rolled back with it. So a statement
+     * that changes data waits in the transaction queue unless it is part of the open transaction's
+     * own work. Reads go straight through (they may see changes not yet committed).
+     * Callbacks keep the caller's context, so statements sent from them are recognised too.
+     * @returns {Object} { run, get, all, close } - used like the sqlite3 methods of the same names
+     */
+    wrapConnection() {
+        /**
+         * Split statement arguments into the arguments and a callback bound to the caller's context
+         * @param {Array} args - (sql, [params], [callback]) as passed to sqlite3
+         * @returns {Object} { statement, callback } - arguments without the callback, and the callback
+         */
+        const splitArgs = (args) => {
+            const callback = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : () => {};
+            return {
+                statement: typeof args[args.length - 1] === 'function' ? args.slice(0, -1) : args,
+                callback: AsyncResource.bind(callback)
+            };
+        };
+
+        return {
+            run: (...args) => {
+                const { statement, callback } = splitArgs(args);
+                if (this.inTransaction()) {
+                    this.connection.run(...statement, callback);
+                    return;
+                }
+                this.runExclusive(() => new Promise(resolve => {
+                    this.connection.run(...statement, function(...results) {
+                        try {
+                            callback.apply(this, results);
+                        } finally {
+                            resolve();
+                        }
+                    });
+                }));
+            },
+            get: (...args) => {
+                const { statement, callback } = splitArgs(args);
+                this.connection.get(...statement, callback);
+            },
+            all: (...args) => {
+                const { statement, callback } = splitArgs(args);
+                this.connection.all(...statement, callback);
+            },
+            close: (callback) => this.connection.close(callback)
+        };
+    }
+
+    /**
+     * Run several database operations as a single all-or-nothing transaction
+     * Transactions are queued so that two requests never try to BEGIN at the same time, and
+     * changes from other requests wait until the transaction has finished (see wrapConnection).
+     * A transaction started inside the work of another simply becomes part of it.
+     * @param {Function} work - Async function performing the operations (e.g. several createEvent calls)
+     * @returns {Promise<*>} Whatever work resolves with; rejects (after ROLLBACK) if work throws
+     */
+    async runInTransaction(work) {
+        if (this.inTransaction()) return work();
+
+        // Helper to run a transaction control statement as a promise
+        const exec = (sql) => new Promise((resolve, reject) => {
+            this.connection.run(sql, (err) => err ? reject(err) : resolve());
+        });
+
+        return this.runExclusive(() => this.transactionContext.run(true, async () => {
+            await exec('BEGIN IMMEDIATE TRANSACTION');
+            try {
+                const result = await work();
+                await exec('COMMIT');
+                return result;
+            } catch (error) {
+                // Undo everything done so far; ignore rollback errors so the original error surfaces
+                await exec('ROLLBACK').catch(() => {});
+                throw error;
+            }
+        }));
+    }
+
+    /**
+     * Run work once no transaction is open on the connection
+     * For changes made outside transactions and statements that SQLite refuses inside one, such
+     * as VACUUM. The work must use this.connection: through this.db it would queue behind itself.
+     * @param {Function} work - Async function to run
+     * @returns {Promise<*>} Whatever work resolves with
+     */
+    async runExclusive(work) {
+        // Wait for earlier transactions to finish, whether they succeeded or not
+        const result = this.transactionQueue.then(work, work);
+        this.transactionQueue = result.catch(() => {});
+        return result;
+    }
+
     // ===== MAINTENANCE METHODS =====
 
     /**
@@ -440,14 +2126,42 @@ module.exports = Database;
 // 2. Session tokens are randomly generated and have expiration times
 // 3. SQL injection is prevented by using parameterized queries (?)
 // 4. User input validation is handled in the server.js file
-// 5. Only active users can authenticate
+// 5. Roles (student, editor, admin) are stored here but enforced in server.js
+// 6. Only active users can authenticate
+// 7. Backups never contain sessions, and contain password hashes only when asked to
 //
 // DATABASE SCHEMA:
 // users: id, username, email, password_hash, full_name, role, created_at, last_login, is_active
-// events: id, title, description, date, time, type, created_by, created_at, updated_at
+// events: id, title, description, date, time, end_date, end_time, all_day, location, online_url, dial_in,
+//         capacity, timezone, type, recurrence_rule, created_by, created_at, updated_at, deleted_at, deleted_by
+// event_revisions: id, event_id, revision, snapshot, restored_from, user_id, created_at
+// event_types: id, name, label, color, icon, created_at, updated_at
+// event_exceptions: id, event_id, occurrence_date, status, date, time, title, description, created_at
+// registrations: id, event_id, user_id, status, created_at, updated_at
+// checkin_codes: event_id, code, created_at
+// attendance: id, event_id, occurrence_date, user_id, checked_in_at
+// sent_reminders: id, event_id, occurrence_date, user_id, reminder, sent_at
+// audit_log: id, action, user_id, username, entity_type, entity_id, entity_label, ip_address, changes, created_at
+// events_fts: FTS5 index of events (title, description), kept in sync by triggers
 // sessions: id, user_id, token, expires_at, created_at
+// settings: key, value, updated_at
+// schema_version: version, name, applied_at (one row per migration applied)
 //
 // RELATIONSHIPS:
 // - events.created_by → users.id (who created the event)
+// - events.deleted_by → users.id (who moved the event to the trash)
+// - events.type → event_types.name (what kind of event it is)
+// - event_revisions.event_id → events.id (which event the version belongs to)
+// - event_revisions.user_id → users.id (who saved the version)
+// - event_exceptions.event_id → events.id (which series the exception belongs to)
+// - registrations.event_id → events.id (which event the user signed up for)
+// - registrations.user_id → users.id (who signed up)
+// - checkin_codes.event_id → events.id (which event the QR code checks people in to)
+// - attendance.event_id → events.id (which event was attended)
+// - attendance.user_id → users.id (who checked in)
+// - sent_reminders.event_id → events.id (which event the reminder was about)
+// - sent_reminders.user_id → users.id (who the reminder was sent to)
+// - audit_log.user_id → users.id (who made the change; entity_id is deliberately not a foreign key,
+//   so entries outlive the events they describe)
 // - sessions.user_id → users.id (which user owns the session)
 // ============================================================================
@@ -0,0 +1,491 @@
+// ============================================================================
+// BOXO EVENT CALENDAR - ICALENDAR (ICS) SUPPORT
+// ============================================================================
+// This file converts between rows of the events table and RFC 5545 calendars:
+// 1. Text escaping for property values (commas, semicolons, newlines)
+// 2. Line folding so no content line exceeds 75 octets
+// 3. Date/time conversion from database format to iCalendar format (with TZID,
+//    or DATE values for all-day events)
+// 4. VEVENT generation with stable UIDs so clients can track changes, including
+//    the venue (LOCATION), meeting link (URL) and dial-in details
+// 5. Parsing uploaded .ics files back into plain event objects
+// ============================================================================
+
+// ===== IMPORTS & DEPENDENCIES =====
+const timezone = require('./timezone');     // Zoned <-> UTC time conversion (imports from timezone.js)
+const recurrence = require('./recurrence'); // Date arithmetic and event durations (imports from recurrence.js)
+
+// ===== CONSTANTS =====
+const CRLF = '\r\n';                        // iCalendar requires CRLF line endings
+const MAX_LINE_OCTETS = 75;                 // Maximum length of a content line (RFC 5545 section 3.1)
+const UID_DOMAIN = 'boxo-calendar';         // Right-hand side of every event UID
+const PRODUCT_ID = '-//Boxo//Event Calendar//EN'; // Identifies the software that produced the feed
+
+// ===== FORMATTING HELPERS =====
+
+/**
+ * Escape a TEXT property value
+ * Backslashes, semicolons, commas and newlines must be escaped (RFC 5545 section 3.3.11)
+ * @param {string} value - Raw text value
+ * @returns {string} Escaped text safe to place in a content line
+ */
+const escapeText = (value) => {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')             // Escape backslashes first so later escapes are not doubled
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r\n|\r|\n/g, '\\n');     // Newlines become a literal "\n"
+};
+
+/**
+ * Fold a content line so that no physical line is longer than 75 octets
+ * Continuation lines start with a single space; multi-byte characters are never split
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line (without trailing CRLF)
+ */
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+
+    for (const char of line) {
+        const charOctets = Buffer.byteLength(char, 'utf8');
+        // Continuation lines lose one octet to the leading space
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+        if (currentOctets + charOctets > limit) {
+            parts.push(current);
+            current = '';
+            currentOctets = 0;
+        }
+        current += char;
+        currentOctets += charOctets;
+    }
+    parts.push(current);
+
+    return parts.join(`${CRLF} `);
+};
+
+/**
+ * Convert an event date and time into a floating iCalendar DATE-TIME
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} time - Time in HH:MM (or HH:MM:SS) format
+ * @returns {string} Date-time such as "20250715T140000"
+ */
+const formatLocalDateTime = (date, time) => {
+    const [hours = '00', minutes = '00', seconds = '00'] = String(time || '').split(':');
+    return `${date.replace(/-/g, '')}T${hours.padStart(2, '0')}${minutes.padStart(2, '0')}${seconds.padStart(2, '0')}`;
+};
+
+/**
+ * Convert a database timestamp into a UTC iCalendar DATE-TIME
+ * SQLite's CURRENT_TIMESTAMP is stored as "YYYY-MM-DD HH:MM:SS" in UTC
+ * @param {string|Date} timestamp - Timestamp from the database (or a Date)
+ * @returns {string} UTC date-time such as "20250715T140000Z"
+ */
+const formatUtcDateTime = (timestamp) => {
+    let date = timestamp instanceof Date ? timestamp : null;
+
+    if (!date && timestamp) {
+        // Timestamps without an explicit zone are UTC
+        const isoLike = String(timestamp).replace(' ', 'T');
+        date = new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(isoLike) ? isoLike : `${isoLike}Z`);
+    }
+    if (!date || isNaN(date.getTime())) {
+        date = new Date();
+    }
+
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+/**
+ * Build a DATE-TIME property for a wall-clock time in a timezone
+ * UTC times use the "Z" form; other zones are referenced by their IANA name in TZID,
+ * which the common calendar clients (Google, Apple, Outlook) resolve without a VTIMEZONE
+ * @param {string} name - Property name such as "DTSTART"
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} time - Time in HH:MM format
+ * @param {string} [timeZone] - IANA timezone (defaults to UTC)
+ * @returns {string} Content line such as "DTSTART;TZID=Europe/London:20250715T140000"
+ */
+const formatZonedProperty = (name, date, time, timeZone) => {
+    const zone = timeZone || timezone.DEFAULT_TIMEZONE;
+    return zone === 'UTC'
+        ? `${name}:${formatLocalDateTime(date, time)}Z`
+        : `${name};TZID=${zone}:${formatLocalDateTime(date, time)}`;
+};
+
+/**
+ * Build a DATE property for an all-day event
+ * @param {string} name - Property name such as "DTSTART"
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string} Content line such as "DTSTART;VALUE=DATE:20250715"
+ */
+const formatDateProperty = (name, date) => `${name};VALUE=DATE:${date.replace(/-/g, '')}`;
+
+/**
+ * Build the DTSTART and DTEND lines of an event or one of its occurrences
+ * All-day events use DATE values with an exclusive DTEND (the day after the last day);
+ * timed events without an end get no DTEND
+ * @param {Object} event - Event row (uses all_day and timezone)
+ * @param {Object} occurrence - { date, time, end_date, end_time } of the instance being written
+ * @returns {Array<string>} Content lines
+ */
+const formatTimeProperties = (event, occurrence) => {
+    if (event.all_day) {
+        return [
+            formatDateProperty('DTSTART', occurrence.date),
+            formatDateProperty('DTEND', recurrence.addDays(occurrence.end_date || occurrence.date, 1))
+        ];
+    }
+
+    const lines = [formatZonedProperty('DTSTART', occurrence.date, occurrence.time, event.timezone)];
+    if (occurrence.end_date && occurrence.end_time) {
+        lines.push(formatZonedProperty('DTEND', occurrence.end_date, occurrence.end_time, event.timezone));
+    }
+    return lines;
+};
+
+/**
+ * Build a property that identifies one occurrence of a series (EXDATE or RECURRENCE-ID)
+ * Its value type must match DTSTART, so all-day series use DATE values
+ * @param {string} name - Property name
+ * @param {Object} event - Event row (uses all_day, time and timezone)
+ * @param {string} occurrenceDate - Original date of the occurrence (YYYY-MM-DD)
+ * @returns {string} Content line
+ */
+const formatOccurrenceProperty = (name, event, occurrenceDate) => {
+    return event.all_day
+        ? formatDateProperty(name, occurrenceDate)
+        : formatZonedProperty(name, occurrenceDate, event.time, event.timezone);
+};
+
+/**
+ * Build the DESCRIPTION, LOCATION and URL lines of an event
+ * The venue goes in LOCATION (or the meeting link, for online-only events); dial-in
+ * details have no property of their own, so they are added to the end of the description
+ * @param {Object} event - Event row, or a modified occurrence merged with its series
+ * @returns {Array<string>} Content lines
+ */
+const formatDetailProperties = (event) => {
+    const description = event.dial_in
+        ? `${event.description || ''}\n\nDial-in: ${event.dial_in}`.trim()
+        : event.description;
+    const location = event.location || event.online_url;
+
+    return [
+        `DESCRIPTION:${escapeText(description)}`,
+        ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+        ...(event.online_url ? [`URL:${event.online_url}`] : [])   // URI values are not escaped
+    ];
+};
+
+// ===== CALENDAR BUILDERS =====
+
+/**
+ * Convert a stored recurrence rule into an RRULE value
+ * With a zoned DTSTART, UNTIL must be in UTC, so a date-only UNTIL becomes the
+ * end of that day in the event's timezone, expressed in UTC
+ * @param {string} rule - Canonical rule such as "FREQ=DAILY;UNTIL=20250731"
+ * @param {string} [timeZone] - IANA timezone of the event
+ * @returns {string} RRULE value
+ */
+const formatRecurrenceRule = (rule, timeZone) => {
+    return rule.replace(/UNTIL=(\d{4})(\d{2})(\d{2})(?!T)/, (match, year, month, day) => {
+        const endOfDay = timezone.zonedTimeToUtc(`${year}-${month}-${day}`, '23:59:59', timeZone || timezone.DEFAULT_TIMEZONE);
+        return `UNTIL=${formatUtcDateTime(endOfDay)}`;
+    });
+};
+
+/**
+ * Build the content lines for a single VEVENT
+ * Recurring events get an RRULE, EXDATEs for cancelled occurrences and one extra
+ * VEVENT (with RECURRENCE-ID) per modified occurrence
+ * @param {Object} event - Event row from the database
+ * @param {Array<Object>} [exceptions] - Occurrence exceptions of this event
+ * @returns {Array<string>} Unfolded content lines
+ */
+const buildEventLines = (event, exceptions = []) => {
+    const lastModified = formatUtcDateTime(event.updated_at || event.created_at);
+    const uid = `event-${event.id}@${UID_DOMAIN}`;  // Stable across feed refreshes
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${lastModified}`,
+        `CREATED:${formatUtcDateTime(event.created_at)}`,
+        `LAST-MODIFIED:${lastModified}`,
+        ...formatTimeProperties(event, event),
+        `SUMMARY:${escapeText(event.title)}`,
+        ...formatDetailProperties(event),
+        `CATEGORIES:${escapeText(event.type)}`
+    ];
+
+    if (!event.recurrence_rule) {
+        return [...lines, 'END:VEVENT'];
+    }
+
+    lines.push(`RRULE:${formatRecurrenceRule(event.recurrence_rule, event.timezone)}`);
+    exceptions
+        .filter(exception => exception.status === 'cancelled')
+        .forEach(exception => lines.push(formatOccurrenceProperty('EXDATE', event, exception.occurrence_date)));
+    lines.push('END:VEVENT');
+
+    // Modified occurrences override the matching instance of the series and keep its duration
+    const duration = recurrence.getDuration(event);
+    exceptions
+        .filter(exception => exception.status === 'modified')
+        .forEach(exception => {
+            const occurrence = recurrence.applyDuration({
+                date: exception.date || exception.occurrence_date,
+                time: exception.time || event.time
+            }, duration);
+
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${uid}`,
+                `DTSTAMP:${formatUtcDateTime(exception.created_at)}`,
+                formatOccurrenceProperty('RECURRENCE-ID', event, exception.occurrence_date),
+                ...formatTimeProperties(event, occurrence),
+                `SUMMARY:${escapeText(exception.title || event.title)}`,
+                ...formatDetailProperties({ ...event, description: exception.description || event.description }),
+                `CATEGORIES:${escapeText(event.type)}`,
+                'END:VEVENT'
+            );
+        });
+
+    return lines;
+};
+
+/**
+ * Build a complete VCALENDAR document from a list of events
+ * @param {Array<Object>} events - Event rows from the database
+ * @param {Object} [options] - Feed options
+ * @param {string} [options.name] - Calendar name shown by subscribing clients
+ * @param {Array<Object>} [options.exceptions] - Occurrence exceptions of recurring events
+ * @param {string} [options.timezone] - Institution timezone, advertised as the calendar's default
+ * @returns {string} iCalendar document with CRLF line endings
+ */
+const buildCalendar = (events, options = {}) => {
+    const name = options.name || 'Boxo Event Calendar';
+    const exceptions = options.exceptions || [];
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...(options.timezone ? [`X-WR-TIMEZONE:${options.timezone}`] : []),
+        // Ask subscribed clients to poll hourly so admin changes show up on the next refresh
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H',
+        ...events.flatMap(event => buildEventLines(
+            event,
+            exceptions.filter(exception => exception.event_id === event.id)
+        )),
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join(CRLF) + CRLF;
+};
+
+// ===== PARSING HELPERS =====
+
+/**
+ * Reverse escapeText for a TEXT property value
+ * @param {string} value - Escaped text from a content line
+ * @returns {string} Plain text
+ */
+const unescapeText = (value) => {
+    return String(value ?? '').replace(/\\([\\;,nN])/g, (match, char) => {
+        return char === 'n' || char === 'N' ? '\n' : char;
+    });
+};
+
+/**
+ * Split a content line into its name, parameters and value
+ * Example: "DTSTART;TZID=Europe/London:20250715T140000"
+ * @param {string} line - Unfolded content line
+ * @returns {Object|null} { name, params, value } or null if the line is malformed
+ */
+const parseContentLine = (line) => {
+    // The value starts at the first colon that is not inside a quoted parameter
+    let inQuotes = false;
+    let colonIndex = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        if (line[i] === ':' && !inQuotes) {
+            colonIndex = i;
+            break;
+        }
+    }
+    if (colonIndex === -1) return null;
+
+    const [name, ...paramParts] = line.substring(0, colonIndex).split(';');
+    const params = {};
+    paramParts.forEach(part => {
+        const [key, ...rest] = part.split('=');
+        params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    });
+
+    return { name: name.toUpperCase(), params, value: line.substring(colonIndex + 1) };
+};
+
+/**
+ * Convert an iCalendar DATE or DATE-TIME into the database's date and time strings
+ * UTC values (ending in "Z") and values with a recognised TZID are converted into the
+ * target timezone; floating values and unknown TZIDs keep their wall-clock time as written
+ * @param {string} value - DATE ("20250715") or DATE-TIME ("20250715T140000[Z]")
+ * @param {Object} [options] - Conversion options
+ * @param {string} [options.timeZone] - Timezone to convert into (defaults to UTC)
+ * @param {string} [options.tzid] - TZID parameter of the property, if any
+ * @returns {Object|null} { date: 'YYYY-MM-DD', time: 'HH:MM', allDay } or null if unparseable
+ */
+const parseDateTime = (value, options = {}) => {
+    const targetZone = options.timeZone || timezone.DEFAULT_TIMEZONE;
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(value).trim());
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, , utc] = match;
+
+    // DATE values have no time component - treat them as starting at midnight
+    if (hours === undefined) {
+        return { date: `${year}-${month}-${day}`, time: '00:00', allDay: true };
+    }
+
+    const date = `${year}-${month}-${day}`;
+    const time = `${hours}:${minutes}`;
+
+    // Work out the instant the value refers to, if it names a zone at all
+    let instant = null;
+    if (utc) {
+        instant = new Date(Date.UTC(year, month - 1, day, hours, minutes));
+    } else if (options.tzid && timezone.isValidTimezone(options.tzid)) {
+        instant = timezone.zonedTimeToUtc(date, time, options.tzid);
+    }
+
+    if (instant) {
+        return { ...timezone.utcToZonedTime(instant, targetZone), allDay: false };
+    }
+    return { date, time, allDay: false };
+};
+
+/**
+ * Parse an iCalendar document into a list of VEVENTs
+ * Nested components (VALARM, etc.) and other top-level components (VTIMEZONE, VTODO) are skipped
+ * @param {string} text - Contents of an .ics file
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.timeZone] - Timezone start and end times are converted into (the institution's)
+ * @returns {Array<Object>} Parsed events { uid, title, description, date, time, end_date, end_time, all_day,
+ *                          location, online_url, categories, errors }
+ */
+const parseCalendar = (text, options = {}) => {
+    // Unfold continuation lines (CRLF followed by a space or tab) before splitting
+    const lines = String(text || '')
+        .replace(/\r\n|\r/g, '\n')
+        .replace(/\n[ \t]/g, '')
+        .split('\n')
+        .filter(line => line.length > 0);
+
+    const events = [];
+    let current = null;     // Properties of the VEVENT being read
+    let nestedDepth = 0;    // Depth of components nested inside the current VEVENT
+
+    lines.forEach(line => {
+        const property = parseContentLine(line);
+        if (!property) return;
+
+        if (property.name === 'BEGIN') {
+            if (property.value.toUpperCase() === 'VEVENT' && !current) {
+                current = {};
+            } else if (current) {
+                nestedDepth++;
+            }
+            return;
+        }
+
+        if (property.name === 'END') {
+            if (current && nestedDepth > 0) {
+                nestedDepth--;
+            } else if (current && property.value.toUpperCase() === 'VEVENT') {
+                events.push(current);
+                current = null;
+            }
+            return;
+        }
+
+        // Only keep the first occurrence of each property on the event itself
+        if (current && nestedDepth === 0 && !(property.name in current)) {
+            current[property.name] = property;
+        }
+    });
+
+    return events.map(properties => {
+        const errors = [];
+        const title = unescapeText(properties.SUMMARY?.value || '').trim();
+        const description = unescapeText(properties.DESCRIPTION?.value || '').trim();
+        const start = properties.DTSTART
+            ? parseDateTime(properties.DTSTART.value, { timeZone: options.timeZone, tzid: properties.DTSTART.params.TZID })
+            : null;
+
+        const end = properties.DTEND
+            ? parseDateTime(properties.DTEND.value, { timeZone: options.timeZone, tzid: properties.DTEND.params.TZID })
+            : null;
+
+        if (!title) errors.push('Missing SUMMARY (title)');
+        if (!properties.DTSTART) errors.push('Missing DTSTART (start date)');
+        else if (!start) errors.push(`Unrecognized DTSTART value "${properties.DTSTART.value}"`);
+        if (properties.DTEND && !end) errors.push(`Unrecognized DTEND value "${properties.DTEND.value}"`);
+
+        const allDay = Boolean(start && start.allDay);
+        let endDate = null;
+        let endTime = null;
+        if (start && end) {
+            if (allDay) {
+                // DTEND of an all-day event is exclusive - the last day is the one before it
+                const lastDay = recurrence.addDays(end.date, -1);
+                endDate = lastDay > start.date ? lastDay : null;
+            } else if (`${end.date} ${end.time}` > `${start.date} ${start.time}`) {
+                endDate = end.date;
+                endTime = end.time;
+            }
+        }
+
+        // A web link may arrive in URL or, from some clients, in LOCATION; only http(s) links are kept
+        const isWebLink = (value) => /^https?:\/\/\S+$/i.test(value);
+        const locationText = unescapeText(properties.LOCATION?.value || '').trim();
+        const urlText = (properties.URL?.value || '').trim();
+        const onlineUrl = isWebLink(urlText) ? urlText : isWebLink(locationText) ? locationText : null;
+
+        return {
+            uid: properties.UID?.value || null,
+            title,
+            description,
+            location: locationText && locationText !== onlineUrl ? locationText : null,
+            online_url: onlineUrl,
+            date: start ? start.date : null,
+            time: start ? start.time : null,
+            end_date: endDate,
+            end_time: endTime,
+            all_day: allDay,
+            categories: properties.CATEGORIES
+                ? unescapeText(properties.CATEGORIES.value).split(',').map(c => c.trim().toLowerCase()).filter(Boolean)
+                : [],
+            errors
+        };
+    });
+};
+
+// ===== EXPORT MODULE =====
+module.exports = {
+    buildCalendar,
+    escapeText,
+    foldLine,
+    formatLocalDateTime,
+    formatUtcDateTime,
+    parseCalendar,
+    parseDateTime,
+    unescapeText
+};
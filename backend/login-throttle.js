@@ -0,0 +1,245 @@
+// ============================================================================
+// BOXO EVENT CALENDAR - LOGIN THROTTLING
+// ============================================================================
+// This file slows down password guessing on the login form:
+// 1. Failed logins are counted per username and per client address (IP)
+// 2. After a few free attempts, each further failure makes the next attempt wait twice as long
+// 3. Too many failures lock the username (or address) for a while, even for the right password
+// 4. Admins can list what is locked and unlock it early
+//
+// Everything is kept in memory: a restart forgets all failures. The login route in server.js
+// asks before checking a password and reports each result afterwards.
+// ============================================================================
+
+// ===== LIMITS =====
+// Usernames are locked sooner than addresses: many people can share one address (a campus
+// network), while one account should never see that many wrong passwords.
+const LIMITS = {
+    username: {
+        freeFailures: 3,                   // Failures allowed before attempts are slowed down
+        lockoutFailures: 10,               // Failures that lock the username
+        lockoutMinutes: 15                 // How long a lockout lasts
+    },
+    ip: {
+        freeFailures: 10,
+        lockoutFailures: 50,
+        lockoutMinutes: 15
+    }
+};
+
+const BASE_DELAY_SECONDS = 1;              // Wait after the first failure past the free ones, doubled each time
+const MAX_DELAY_SECONDS = 5 * 60;          // Longest wait between attempts before a lockout
+const FORGET_AFTER = 60 * 60 * 1000;       // Failures are forgotten an hour after the last one (milliseconds)
+const MAX_TRACKED = 10000;                 // Most usernames or addresses remembered at once (oldest are dropped first)
+
+// Kinds of things failures are counted for
+const SCOPES = ['username', 'ip'];
+
+/**
+ * Turn a username as typed into the key its failures are counted under
+ * Case and surrounding spaces are ignored, so 'Admin ' counts against 'admin'.
+ * @param {string} username - Username from the login form
+ * @returns {string} Key, e.g. 'admin'
+ */
+const usernameKey = (username) => String(username).trim().toLowerCase();
+
+/**
+ * Work out how long to wait after a number of failures
+ * @param {number} failures - Failures so far
+ * @param {Object} limits - Entry of LIMITS
+ * @returns {number} Seconds before the next attempt is accepted (0 while failures are still free)
+ */
+const delayAfter = (failures, limits) => {
+    if (failures <= limits.freeFailures) return 0;
+    const delay = BASE_DELAY_SECONDS * 2 ** (failures - limits.freeFailures - 1);
+    return Math.min(delay, MAX_DELAY_SECONDS);
+};
+
+/**
+ * Describe a wait in words for error messages
+ * @param {number} seconds - Seconds to wait
+ * @returns {string} e.g. '1 second', '40 seconds', '15 minutes'
+ */
+const describeWait = (seconds) => {
+    if (seconds < 60) return seconds === 1 ? '1 second' : `${seconds} seconds`;
+    const minutes = Math.ceil(seconds / 60);
+    return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+};
+
+// ===== LOGIN THROTTLE CLASS =====
+class LoginThrottle {
+    /**
+     * Constructor - Start with no failures
+     * @param {Object} [limits] - Limits per scope (default LIMITS)
+     */
+    constructor(limits = LIMITS) {
+        this.limits = limits;
+
+        // Failure records per scope: key -> { failures, lastFailureAt, retryAt, lockedUntil }
+        // (times in milliseconds; lockedUntil is null unless locked). Maps keep insertion
+        // order, so the first entry is always the one that failed longest ago.
+        this.records = { username: new Map(), ip: new Map() };
+    }
+
+    /**
+     * Get the record of a key, dropping it if it has been forgotten or its lockout is over
+     * @param {string} scope - 'username' or 'ip'
+     * @param {string} key - Username key or address
+     * @param {number} now - Current time in milliseconds
+     * @returns {Object|undefined} The record, if it still counts
+     */
+    current(scope, key, now) {
+        const record = this.records[scope].get(key);
+        if (!record) return undefined;
+
+        // A finished lockout starts the count again; so does an hour without failures
+        const lockoutOver = record.lockedUntil !== null && record.lockedUntil <= now;
+        if (lockoutOver || record.lastFailureAt + FORGET_AFTER <= now) {
+            this.records[scope].delete(key);
+            return undefined;
+        }
+        return record;
+    }
+
+    /**
+     * Check whether a login attempt may go ahead
+     * @param {string} ip - Client address
+     * @param {string} username - Username from the login form
+     * @param {number} [now] - Current time in milliseconds
+     * @returns {Object|null} null when the attempt may go ahead, otherwise
+     *   { scope, locked, retryAfter } - what is blocked, whether it is a lockout and the seconds to wait
+     */
+    check(ip, username, now = Date.now()) {
+        const keys = { username: usernameKey(username), ip };
+        let blocked = null;
+
+        SCOPES.forEach(scope => {
+            const record = this.current(scope, keys[scope], now);
+            if (!record) return;
+
+            const until = record.lockedUntil ?? record.retryAt;
+            if (until > now && (!blocked || until - now > blocked.wait)) {
+                blocked = { scope, locked: record.lockedUntil !== null, wait: until - now };
+            }
+        });
+
+        if (!blocked) return null;
+        return { scope: blocked.scope, locked: blocked.locked, retryAfter: Math.ceil(blocked.wait / 1000) };
+    }
+
+    /**
+     * Count a failed login against the username and the address
+     * @param {string} ip - Client address
+     * @param {string} username - Username from the login form
+     * @param {number} [now] - Current time in milliseconds
+     * @returns {Array<Object>} [{ scope, key, lockedUntil }] for each of the two this failure locked (usually none)
+     */
+    recordFailure(ip, username, now = Date.now()) {
+        const keys = { username: usernameKey(username), ip };
+        const locked = [];
+
+        SCOPES.forEach(scope => {
+            const limits = this.limits[scope];
+            const record = this.current(scope, keys[scope], now) || { failures: 0, lockedUntil: null };
+
+            record.failures++;
+            record.lastFailureAt = now;
+            record.retryAt = now + delayAfter(record.failures, limits) * 1000;
+            if (record.lockedUntil === null && record.failures >= limits.lockoutFailures) {
+                record.lockedUntil = now + limits.lockoutMinutes * 60 * 1000;
+                locked.push({ scope, key: keys[scope], lockedUntil: record.lockedUntil });
+            }
+
+            // Re-inserted so the map stays ordered by last failure
+            this.records[scope].delete(keys[scope]);
+            this.records[scope].set(keys[scope], record);
+            if (this.records[scope].size > MAX_TRACKED) {
+                // Lockouts are kept, so flooding the form with made-up usernames cannot lift one
+                for (const [oldKey, oldRecord] of this.records[scope]) {
+                    if (oldRecord.lockedUntil === null) {
+                        this.records[scope].delete(oldKey);
+                        break;
+                    }
+                }
+            }
+        });
+
+        return locked;
+    }
+
+    /**
+     * Forget the failures of a username after a successful login
+     * The address keeps its count, so one working account cannot be used to reset it.
+     * @param {string} username - Username that signed in
+     */
+    recordSuccess(username) {
+        this.records.username.delete(usernameKey(username));
+    }
+
+    /**
+     * List every username and address that is locked right now
+     * @param {number} [now] - Current time in milliseconds
+     * @returns {Array<Object>} [{ scope, key, failures, last_failure_at, locked_until }] (times as ISO
+     *   strings), the lockouts that end soonest first
+     */
+    listLockouts(now = Date.now()) {
+        const lockouts = [];
+
+        SCOPES.forEach(scope => {
+            [...this.records[scope].keys()].forEach(key => {
+                const record = this.current(scope, key, now);
+                if (!record || record.lockedUntil === null) return;
+
+                lockouts.push({
+                    scope,
+                    key,
+                    failures: record.failures,
+                    last_failure_at: new Date(record.lastFailureAt).toISOString(),
+                    locked_until: new Date(record.lockedUntil).toISOString()
+                });
+            });
+        });
+
+        return lockouts.sort((a, b) => a.locked_until.localeCompare(b.locked_until));
+    }
+
+    /**
+     * Unlock a username or address and forget its failures
+     * @param {string} scope - 'username' or 'ip'
+     * @param {string} key - Username or address, as listLockouts gives it
+     * @returns {boolean} True if there was anything to forget
+     */
+    clear(scope, key) {
+        const records = this.records[scope];
+        if (!records) return false;
+        return records.delete(scope === 'username' ? usernameKey(key) : key);
+    }
+
+    /**
+     * Drop every record that no longer counts, so memory does not fill with old failures
+     * @param {number} [now] - Current time in milliseconds
+     * @returns {number} Number of records dropped
+     */
+    prune(now = Date.now()) {
+        let dropped = 0;
+        SCOPES.forEach(scope => {
+            [...this.records[scope].keys()].forEach(key => {
+                if (!this.current(scope, key, now)) dropped++;
+            });
+        });
+        return dropped;
+    }
+}
+
+// ===== EXPORT MODULE =====
+module.exports = {
+    LIMITS,
+    SCOPES,
+    delayAfter,
+    describeWait,
+    LoginThrottle
+};
+
+// ============================================================================
+// END OF LOGIN THROTTLING
+// ============================================================================
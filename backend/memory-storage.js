@@ -0,0 +1,1464 @@
+// ============================================================================
+// BOXO EVENT CALENDAR - IN-MEMORY STORAGE
+// ============================================================================
+// This file contains the MemoryStorage class - a storage (see storage.js) that keeps every
+// table in plain JavaScript arrays instead of a database file:
+// 1. Tables with the same columns, defaults and unique values as the SQLite schema
+// 2. Every method of the storage interface, returning rows shaped exactly like the SQLite storage's
+// 3. Search that works like the SQLite full-text index (prefix words, accents ignored, title first)
+// 4. Transactions that undo their own changes when the work fails, and only those
+// Nothing is written to disk: everything is gone when the server stops. Start the server with
+// STORAGE=memory for demos and automated API tests.
+// ============================================================================
+
+// ===== IMPORTS & DEPENDENCIES =====
+const bcrypt = require('bcrypt');              // Password hashing library for secure password storage
+const crypto = require('crypto');              // Random passwords for accounts restored without one
+const recurrence = require('./recurrence');    // Date arithmetic for moving recurring series (imports from recurrence.js)
+const backup = require('./backup');            // Tables included in backups (imports from backup.js)
+const { Storage, DEFAULT_SETTINGS, REVISION_FIELDS, EVENT_SORTS, searchWords } = require('./storage'); // Storage interface and shared values
+
+// ===== DEFAULT EVENT TYPES =====
+// Types a new calendar starts with (the same as migrations/001-baseline-schema.js gives a new database)
+const DEFAULT_EVENT_TYPES = [
+    { name: 'assignment', label: 'Assignment', color: '#ff6b6b', icon: 'fas fa-file-alt' },
+    { name: 'webinar', label: 'Webinar', color: '#48bb78', icon: 'fas fa-video' },
+    { name: 'workshop', label: 'Workshop', color: '#ed8936', icon: 'fas fa-tools' }
+];
+
+// ===== TABLE DEFINITIONS =====
+
+/**
+ * Current time the way SQLite's CURRENT_TIMESTAMP writes it
+ * @returns {string} UTC time, e.g. '2026-10-19 14:30:00'
+ */
+const timestamp = () => new Date().toISOString().replace('T', ' ').slice(0, 19);
+
+// Every table with its columns (in the order SQLite lists them) and their defaults. A function
+// default is called for each new row. Tables with autoIncrement number their rows from 1 and,
+// like SQLite's AUTOINCREMENT, never hand out an ID twice. unique lists the column groups no two
+// rows may share.
+const TABLES = {
+    users: {
+        autoIncrement: true,
+        columns: {
+            id: null, username: null, email: null, password_hash: null, full_name: null, role: 'student',
+            created_at: timestamp, last_login: null, is_active: 1
+        },
+        unique: [['username'], ['email']]
+    },
+    events: {
+        autoIncrement: true,
+        columns: {
+            id: null, title: null, description: null, date: null, time: null, end_date: null, end_time: null,
+            all_day: 0, location: null, online_url: null, dial_in: null, capacity: null, timezone: null, type: null,
+            recurrence_rule: null, created_by: null, created_at: timestamp, updated_at: timestamp,
+            deleted_at: null, deleted_by: null
+        },
+        unique: []
+    },
+    event_types: {
+        autoIncrement: true,
+        columns: { id: null, name: null, label: null, color: null, icon: null, created_at: timestamp, updated_at: timestamp },
+        unique: [['name']]
+    },
+    event_exceptions: {
+        autoIncrement: true,
+        columns: {
+            id: null, event_id: null, occurrence_date: null, status: null, date: null, time: null,
+            title: null, description: null, created_at: timestamp
+        },
+        unique: [['event_id', 'occurrence_date']]
+    },
+    registrations: {
+        autoIncrement: true,
+        columns: { id: null, event_id: null, user_id: null, status: null, created_at: timestamp, updated_at: timestamp },
+        unique: [['event_id', 'user_id']]
+    },
+    checkin_codes: {
+        columns: { event_id: null, code: null, created_at: timestamp },
+        unique: [['event_id'], ['code']]
+    },
+    attendance: {
+        autoIncrement: true,
+        columns: { id: null, event_id: null, occurrence_date: null, user_id: null, checked_in_at: timestamp },
+        unique: [['event_id', 'occurrence_date', 'user_id']]
+    },
+    sent_reminders: {
+        autoIncrement: true,
+        columns: { id: null, event_id: null, occurrence_date: null, user_id: null, reminder: null, sent_at: timestamp },
+        unique: [['event_id', 'occurrence_date', 'user_id', 'reminder']]
+    },
+    audit_log: {
+        autoIncrement: true,
+        columns: {
+            id: null, action: null, user_id: null, username: null, entity_type: null, entity_id: null,
+            entity_label: null, ip_address: null, changes: null, created_at: timestamp
+        },
+        unique: []
+    },
+    event_revisions: {
+        autoIncrement: true,
+        columns: {
+            id: null, event_id: null, revision: null, snapshot: null, restored_from: null, user_id: null,
+            created_at: timestamp
+        },
+        unique: [['event_id', 'revision']]
+    },
+    sessions: {
+        autoIncrement: true,
+        columns: { id: null, user_id: null, token: null, expires_at: null, created_at: timestamp },
+        unique: [['token']]
+    },
+    settings: {
+        columns: { key: null, value: null, updated_at: timestamp },
+        unique: [['key']]
+    }
+};
+
+/**
+ * Turn an ID as callers pass it (often a route parameter string) into a number
+ * SQLite does the same for INTEGER columns, so '12' finds row 12.
+ * @param {number|string} value - ID
+ * @returns {number|null} The ID, or null if it is not a whole number (matches no row)
+ */
+const toId = (value) => {
+    const id = Number(value);
+    return Number.isInteger(id) ? id : null;
+};
+
+// ===== SEARCH HELPERS =====
+// The SQLite storage searches with an FTS5 index (tokenize='unicode61 remove_diacritics 2').
+// These helpers match words the same way: letters and digits only, ignoring case and accents.
+
+const SNIPPET_WORDS = 12;   // Words in a description snippet, as in the SQLite storage's snippet()
+
+/**
+ * Reduce a word to the form searches compare
+ * @param {string} word - Word as written, e.g. 'Café'
+ * @returns {string} Lower case without accents, e.g. 'cafe'
+ */
+const foldWord = (word) => word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+/**
+ * Split text into words, remembering where each one is
+ * @param {string} text - Title or description
+ * @returns {Array<Object>} [{ word, start, end }] - word folded, start/end offsets in text
+ */
+const tokenize = (text) => [...String(text || '').matchAll(/[\p{L}\p{N}]+/gu)]
+    .map(match => ({ word: foldWord(match[0]), start: match.index, end: match.index + match[0].length }));
+
+/**
+ * Wrap the matching words of a piece of text in the match markers
+ * @param {string} text - Text to mark
+ * @param {Array<Object>} tokens - Its words, from tokenize
+ * @param {Function} isMatch - (token) => whether the word matches the search
+ * @param {number} [first] - Index of the first word to include (default 0)
+ * @param {number} [last] - Index after the last word to include (default: all)
+ * @returns {string} Text from the first to the last word with matches marked
+ */
+const markMatches = (text, tokens, isMatch, first = 0, last = tokens.length) => {
+    const { start: MATCH_START, end: MATCH_END } = Storage.MATCH_MARKERS;
+    let position = first === 0 ? 0 : tokens[first].start;
+    let marked = '';
+
+    tokens.slice(first, last).forEach(token => {
+        marked += text.slice(position, token.start);
+        const word = text.slice(token.start, token.end);
+        marked += isMatch(token) ? `${MATCH_START}${word}${MATCH_END}` : word;
+        position = token.end;
+    });
+    return marked + (last === tokens.length ? text.slice(position) : '');
+};
+
+/**
+ * Pick the part of a description with the most matches, as the SQLite storage's snippet() does
+ * @param {string} text - Description
+ * @param {Array<Object>} tokens - Its words, from tokenize
+ * @param {Function} isMatch - (token) => whether the word matches the search
+ * @returns {string} About SNIPPET_WORDS words with matches marked, '…' where text was cut off
+ */
+const buildSnippet = (text, tokens, isMatch) => {
+    if (tokens.length <= SNIPPET_WORDS) return markMatches(text, tokens, isMatch);
+
+    // The window with the most matching words wins; the earliest one on a tie
+    let bestStart = 0;
+    let bestCount = -1;
+    for (let start = 0; start + SNIPPET_WORDS <= tokens.length; start++) {
+        const count = tokens.slice(start, start + SNIPPET_WORDS).filter(isMatch).length;
+        if (count > bestCount) {
+            bestStart = start;
+            bestCount = count;
+        }
+    }
+
+    const end = bestStart + SNIPPET_WORDS;
+    return (bestStart > 0 ? '…' : '') + markMatches(text, tokens, isMatch, bestStart, end) + (end < tokens.length ? '…' : '');
+};
+
+// ===== MEMORY STORAGE CLASS =====
+class MemoryStorage extends Storage {
+    /**
+     * Constructor - Create every table, empty
+     * The default event types, settings and demo admin are added by initialize()
+     * @param {Object} config - Storage configuration from storage.configFromEnv
+     */
+    constructor(config) {
+        super(config);
+
+        // Rows of each table, in the order they were inserted (SQLite's rowid order)
+        this.tables = {};
+        // Highest ID handed out per table, so IDs are never reused
+        this.sequences = {};
+        // Position of every row in the order rows were added, so a rolled-back delete can put
+        // rows back where they were
+        this.rowOrder = new WeakMap();
+        this.rowsAdded = 0;
+        Object.keys(TABLES).forEach(name => {
+            this.tables[name] = [];
+            this.sequences[name] = 0;
+        });
+    }
+
+    /**
+     * Fill the new storage with what a new database starts with
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        DEFAULT_EVENT_TYPES.forEach(type => this.insertRow('event_types', type));
+        Object.entries(DEFAULT_SETTINGS).forEach(([key, value]) => this.insertRow('settings', { key, value }));
+        await this.createDemoAdmin();
+    }
+
+    /**
+     * Create a default admin user for the system
+     * This allows immediate access without requiring user registration
+     * @returns {Promise<void>} Resolves once the account exists
+     */
+    async createDemoAdmin() {
+        if (this.tables.users.some(user => user.username === 'admin' || user.email === 'admin@boxo.com')) return;
+
+        const password = this.initialAdminPassword();
+        await this.createUser({
+            username: 'admin', email: 'admin@boxo.com', password, fullName: 'System Administrator', role: 'admin'
+        });
+        this.reportDemoAdmin(password);
+    }
+
+    // ===== TABLE HELPERS =====
+
+    /**
+     * Add a row to a table
+     * Columns that are not given get their defaults; unique values are checked like SQLite checks them
+     * @param {string} tableName - Table name
+     * @param {Object} values - Column values (unknown columns are ignored)
+     * @returns {Object} The stored row (callers must copy it before handing it out)
+     * @throws {Error} 'UNIQUE constraint failed: table.column' when a unique value is taken
+     */
+    insertRow(tableName, values) {
+        const table = TABLES[tableName];
+        const row = {};
+        Object.entries(table.columns).forEach(([column, fallback]) => {
+            if (values[column] !== undefined) {
+                row[column] = values[column];
+            } else {
+                row[column] = typeof fallback === 'function' ? fallback() : fallback;
+            }
+        });
+
+        if (table.autoIncrement && (row.id === null || row.id === undefined)) {
+            row.id = this.sequences[tableName] + 1;
+        }
+
+        // NULLs never clash, as in SQLite
+        table.unique.forEach(columns => {
+            if (columns.some(column => row[column] === null)) return;
+            const taken = this.tables[tableName].some(other => columns.every(column => other[column] === row[column]));
+            if (taken) {
+                throw new Error(`UNIQUE constraint failed: ${columns.map(column => `${tableName}.${column}`).join(', ')}`);
+            }
+        });
+
+        const sequence = this.sequences[tableName];
+        if (table.autoIncrement) {
+            this.sequences[tableName] = Math.max(sequence, row.id);
+        }
+        this.tables[tableName].push(row);
+        this.rowOrder.set(row, ++this.rowsAdded);
+        this.logChange({ kind: 'insert', tableName, row, sequence, newSequence: this.sequences[tableName] });
+        return row;
+    }
+
+    /**
+     * Change columns of a stored row
+     * @param {string} tableName - Table the row belongs to
+     * @param {Object} row - The stored row
+     * @param {Object} changes - New column values
+     * @returns {Object} The row
+     */
+    updateRow(tableName, row, changes) {
+        const before = {};
+        Object.keys(changes).forEach(column => {
+            before[column] = row[column];
+        });
+        Object.assign(row, changes);
+        this.logChange({ kind: 'update', tableName, row, before, after: { ...changes } });
+        return row;
+    }
+
+    /**
+     * Remove the rows of a table that match a condition
+     * @param {string} tableName - Table name
+     * @param {Function} matches - (row) => whether to remove it
+     * @returns {number} Number of rows removed
+     */
+    deleteRows(tableName, matches) {
+        const removed = this.tables[tableName].filter(matches);
+        if (removed.length === 0) return 0;
+
+        const removedRows = new Set(removed);
+        this.tables[tableName] = this.tables[tableName].filter(row => !removedRows.has(row));
+        this.logChange({ kind: 'delete', tableName, rows: removed });
+        return removed.length;
+    }
+
+    /**
+     * Find a user by ID
+     * @param {number} userId - User ID
+     * @returns {Object|undefined} The stored user row
+     */
+    findUser(userId) {
+        return this.tables.users.find(user => user.id === userId);
+    }
+
+    /**
+     * Find an event by ID
+     * @param {number} eventId - Event ID
+     * @param {Object} [options] - { includeDeleted } - also find events in the trash
+     * @returns {Object|undefined} The stored event row
+     */
+    findEvent(eventId, options = {}) {
+        return this.tables.events.find(event => event.id === eventId && (options.includeDeleted || event.deleted_at === null));
+    }
+
+    /**
+     * Copy an event for handing out, with its creator's username (like the SQLite storage's JOIN)
+     * @param {Object} event - Stored event row
+     * @returns {Object} Event with created_by_username (null if the creator is gone)
+     */
+    withCreator(event) {
+        const creator = this.findUser(event.created_by);
+        return { ...event, created_by_username: creator ? creator.username : null };
+    }
+
+    /**
+     * Get the events not in the trash, in date order
+     * @param {Function} [matches] - (event) => whether to include it
+     * @returns {Array} Copies with created_by_username
+     */
+    listEvents(matches = () => true) {
+        return this.tables.events
+            .filter(event => event.deleted_at === null && matches(event))
+            .sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time))
+            .map(event => this.withCreator(event));
+    }
+
+    // ===== USER MANAGEMENT METHODS =====
+
+    /**
+     * Create a new user account
+     * @param {Object} userData - User information {username, email, password, fullName, role}
+     * @returns {Promise<Object>} Created user object (without password)
+     */
+    async createUser(userData) {
+        const { username, email, password, fullName } = userData;
+        const role = userData.role || 'student'; // Self-registered accounts are read-only students
+        const hashedPassword = await bcrypt.hash(password, 10);
+
+        const user = this.insertRow('users', { username, email, password_hash: hashedPassword, full_name: fullName, role });
+        return { id: user.id, username, email, fullName, role };
+    }
+
+    /**
+     * Validate user login credentials
+     * @param {string} username - Username to check
+     * @param {string} password - Plain text password to verify
+     * @returns {Promise<Object|null>} User object if valid, null if invalid
+     */
+    async validateUser(username, password) {
+        const user = this.tables.users.find(candidate => candidate.username === username && candidate.is_active === 1);
+        if (!user || !(await bcrypt.compare(password, user.password_hash))) return null;
+
+        // The returned row still has the previous login time, as with the SQLite storage
+        const found = { ...user };
+        this.updateRow('users', user, { last_login: timestamp() });
+        return found;
+    }
+
+    /**
+     * Get all user accounts for the user management screen
+     * @returns {Promise<Array>} Users without password hashes, ordered by username
+     */
+    async getAllUsers() {
+        return this.tables.users
+            .map(({ password_hash, ...user }) => user)
+            .sort((a, b) => (a.username < b.username ? -1 : a.username > b.username ? 1 : 0));
+    }
+
+    /**
+     * Change a user's role and/or active status
+     * @param {number} userId - ID of user to update
+     * @param {Object} changes - { role, isActive } - undefined fields are left unchanged
+     * @returns {Promise<Object>} Updated user (without password hash)
+     */
+    async updateUser(userId, changes) {
+        const user = this.findUser(toId(userId));
+        if (!user) throw new Error('User not found');
+
+        if (changes.role !== undefined && changes.role !== null) this.updateRow('users', user, { role: changes.role });
+        if (changes.isActive !== undefined) this.updateRow('users', user, { is_active: changes.isActive ? 1 : 0 });
+
+        const { password_hash, ...updated } = user;
+        return updated;
+    }
+
+    // ===== SESSION MANAGEMENT METHODS =====
+
+    /**
+     * Create a new user session (login token)
+     * @param {number} userId - User ID
+     * @param {string} token - Unique session token
+     * @param {string} expiresAt - When this session expires (ISO string)
+     * @returns {Promise<Object>} Session object with ID
+     */
+    async createSession(userId, token, expiresAt) {
+        const session = this.insertRow('sessions', { user_id: userId, token, expires_at: expiresAt });
+        return { id: session.id };
+    }
+
+    /**
+     * Validate a session token
+     * @param {string} token - Session token to validate
+     * @returns {Promise<Object|null>} Session+user info if valid, null if invalid/expired
+     */
+    async validateSession(token) {
+        const session = this.tables.sessions.find(candidate => candidate.token === token);
+        if (!session || Date.parse(session.expires_at) <= Date.now()) return null;
+
+        const user = this.findUser(session.user_id);
+        if (!user || user.is_active !== 1) return null;
+        return { ...session, username: user.username, full_name: user.full_name, role: user.role };
+    }
+
+    /**
+     * Delete a session (logout)
+     * @param {string} token - Session token to delete
+     * @returns {Promise<void>}
+     */
+    async deleteSession(token) {
+        this.deleteRows('sessions', session => session.token === token);
+    }
+
+    /**
+     * Remove expired sessions
+     * @returns {Promise<number>} Number of sessions deleted
+     */
+    async cleanupExpiredSessions() {
+        const now = Date.now();
+        return this.deleteRows('sessions', session => Date.parse(session.expires_at) <= now);
+    }
+
+    // ===== EVENT MANAGEMENT METHODS =====
+
+    /**
+     * Get all events (except those in the trash)
+     * @returns {Promise<Array>} Array of all events with creator usernames
+     */
+    async getAllEvents() {
+        return this.listEvents();
+    }
+
+    /**
+     * Find events matching a set of filters, one page at a time
+     * Filters work as in the SQLite storage: recurring series are kept whatever their dates and
+     * trimmed after expansion, and multi-day events match every range they overlap.
+     * @param {Object} [filters] - { from, to, types, createdBy, search, sort, expand, limit, offset } (all optional)
+     * @returns {Promise<Object>} { events, total } - the requested page and the number of matches across all pages
+     */
+    async queryEvents(filters = {}) {
+        const { limit, offset = 0 } = filters;
+
+        // Occurrences only exist after expansion, so they are counted and paged after it
+        if (filters.expand) {
+            const occurrences = await this.getExpandedEvents(filters);
+            const page = limit === undefined ? occurrences.slice(offset) : occurrences.slice(offset, offset + limit);
+            return { events: page, total: occurrences.length };
+        }
+
+        const search = filters.search ? filters.search.toLowerCase() : null;
+        const events = this.tables.events.filter(event => {
+            if (event.deleted_at !== null) return false;
+            if (filters.from && event.recurrence_rule === null && (event.end_date || event.date) < filters.from) return false;
+            if (filters.to && event.recurrence_rule === null && event.date > filters.to) return false;
+            if (filters.types && filters.types.length > 0 && !filters.types.includes(event.type)) return false;
+            if (filters.createdBy !== undefined && event.created_by !== filters.createdBy) return false;
+            if (search && !event.title.toLowerCase().includes(search) && !event.description.toLowerCase().includes(search)) return false;
+            return true;
+        }).sort(EVENT_SORTS[filters.sort] || EVENT_SORTS.date);
+
+        const page = limit === undefined ? events.slice(offset) : events.slice(offset, offset + limit);
+        return { events: page.map(event => this.withCreator(event)), total: events.length };
+    }
+
+    /**
+     * Search event titles and descriptions, best matches first
+     * Words match as prefixes ("work" finds "workshop") and every word must appear.
+     * Matches in the title count ten times as much as matches in the description.
+     * @param {string} text - Search text typed by the user
+     * @param {Object} [options] - { types, limit (default 20), offset (default 0) }
+     * @returns {Promise<Object>} { events, total } - events carry title_match and description_match,
+     *   with matches wrapped in the match markers (see Storage.MATCH_MARKERS)
+     */
+    async searchEvents(text, options = {}) {
+        const { types = [], limit = 20, offset = 0 } = options;
+        const terms = searchWords(text).map(foldWord);
+        if (terms.length === 0) return { events: [], total: 0 };
+
+        const isMatch = (token) => terms.some(term => token.word.startsWith(term));
+        const results = [];
+
+        this.tables.events.forEach(event => {
+            if (event.deleted_at !== null || (types.length > 0 && !types.includes(event.type))) return;
+
+            const titleTokens = tokenize(event.title);
+            const descriptionTokens = tokenize(event.description);
+            const counts = terms.map(term => ({
+                title: titleTokens.filter(token => token.word.startsWith(term)).length,
+                description: descriptionTokens.filter(token => token.word.startsWith(term)).length
+            }));
+            if (counts.some(count => count.title + count.description === 0)) return;
+
+            results.push({
+                event,
+                score: counts.reduce((sum, count) => sum + 10 * count.title + count.description, 0),
+                title_match: markMatches(event.title, titleTokens, isMatch),
+                description_match: buildSnippet(event.description, descriptionTokens, isMatch)
+            });
+        });
+
+        results.sort((a, b) => b.score - a.score || a.event.date.localeCompare(b.event.date) || a.event.time.localeCompare(b.event.time));
+        return {
+            events: results.slice(offset, offset + limit).map(result => ({
+                ...this.withCreator(result.event),
+                title_match: result.title_match,
+                description_match: result.description_match,
+                rank: -result.score
+            })),
+            total: results.length
+        };
+    }
+
+    /**
+     * Get a single event by ID
+     * Events in the trash are treated as missing unless options.includeDeleted is set
+     * @param {number} eventId - ID of event to fetch
+     * @param {Object} [options] - { includeDeleted }
+     * @returns {Promise<Object|null>} Event with creator username, or null if not found
+     */
+    async getEventById(eventId, options = {}) {
+        const event = this.findEvent(toId(eventId), options);
+        return event ? this.withCreator(event) : null;
+    }
+
+    /**
+     * Create a new event
+     * The new event is also saved as its first revision
+     * @param {Object} eventData - Event information, as for the SQLite storage
+     * @param {number} createdBy - User ID of event creator
+     * @returns {Promise<Object>} Created event object
+     */
+    async createEvent(eventData, createdBy) {
+        const event = this.insertRow('events', {
+            title: eventData.title,
+            description: eventData.description,
+            date: eventData.date,
+            time: eventData.time,
+            end_date: eventData.end_date || null,              // NULL when no end was given
+            end_time: eventData.end_time || null,
+            all_day: eventData.all_day ? 1 : 0,
+            location: eventData.location || null,              // Venue and meeting details are all optional
+            online_url: eventData.online_url || null,
+            dial_in: eventData.dial_in || null,
+            capacity: eventData.capacity || null,              // NULL = no limit on registrations
+            timezone: eventData.timezone,
+            type: eventData.type,
+            recurrence_rule: eventData.recurrence_rule || null, // NULL for single events
+            created_by: createdBy
+        });
+
+        await this.saveEventRevision(event.id, createdBy);
+
+        const { updated_at, deleted_at, deleted_by, ...created } = event;
+        return { ...created, created_at: new Date().toISOString() };
+    }
+
+    /**
+     * Update an existing event
+     * The event keeps the timezone it was created in. The new version is saved as a revision;
+     * events in the trash cannot be updated. A series moved to another start date takes its
+     * exceptions along, as with the SQLite storage.
+     * @param {number} eventId - ID of event to update
+     * @param {Object} eventData - Updated event data
+     * @param {number} updatedBy - User ID of whoever made the change
+     * @param {number} [restoredFrom] - Revision being rolled back to, if this update is a rollback
+     * @returns {Promise<Object>} Updated event object
+     */
+    async updateEvent(eventId, eventData, updatedBy, restoredFrom = null) {
+        const changes = {
+            title: eventData.title,
+            description: eventData.description,
+            date: eventData.date,
+            time: eventData.time,
+            end_date: eventData.end_date || null,              // NULL removes the event's end
+            end_time: eventData.end_time || null,
+            all_day: eventData.all_day ? 1 : 0,
+            location: eventData.location || null,              // Empty values clear the venue and meeting details
+            online_url: eventData.online_url || null,
+            dial_in: eventData.dial_in || null,
+            capacity: eventData.capacity || null,              // NULL removes the limit
+            type: eventData.type,
+            recurrence_rule: eventData.recurrence_rule || null // NULL turns a series back into a single event
+        };
+
+        await this.runInTransaction(async () => {
+            const event = this.findEvent(toId(eventId));
+            if (!event) throw new Error('Event not found');
+
+            const previous = { date: event.date, recurrence_rule: event.recurrence_rule };
+            this.updateRow('events', event, { ...changes, updated_at: timestamp() });
+
+            if (previous.recurrence_rule && changes.recurrence_rule && changes.date !== previous.date) {
+                await this.shiftEventExceptions(event.id, recurrence.daysBetween(previous.date, changes.date));
+            }
+            await this.saveEventRevision(event.id, updatedBy, restoredFrom);
+        });
+        return { id: eventId, ...changes };
+    }
+
+    /**
+     * Move an event to the trash
+     * @param {number} eventId - ID of event to delete
+     * @param {number} deletedBy - User ID of whoever deleted it
+     * @returns {Promise<void>}
+     */
+    async deleteEvent(eventId, deletedBy) {
+        const event = this.findEvent(toId(eventId));
+        if (!event) throw new Error('Event not found');
+
+        this.updateRow('events', event, { deleted_at: timestamp(), deleted_by: deletedBy });
+    }
+
+    /**
+     * Get events filtered by type
+     * @param {string} type - Event type to filter by (name from event_types, e.g. 'workshop')
+     * @returns {Promise<Array>} Array of events of specified type
+     */
+    async getEventsByType(type) {
+        return this.listEvents(event => event.type === type);
+    }
+
+    /**
+     * Get events matching any of several types
+     * @param {Array<string>} types - Event types to include
+     * @returns {Promise<Array>} Array of events of the given types, ordered chronologically
+     */
+    async getEventsByTypes(types) {
+        return this.listEvents(event => types.includes(event.type));
+    }
+
+    // ===== TRASH METHODS =====
+
+    /**
+     * Get every event in the trash, most recently deleted first
+     * @returns {Promise<Array>} Events with created_by_username and deleted_by_username
+     */
+    async getDeletedEvents() {
+        return this.tables.events
+            .filter(event => event.deleted_at !== null)
+            .sort((a, b) => b.deleted_at.localeCompare(a.deleted_at) || b.id - a.id)
+            .map(event => {
+                const deleter = this.findUser(event.deleted_by);
+                return { ...this.withCreator(event), deleted_by_username: deleter ? deleter.username : null };
+            });
+    }
+
+    /**
+     * Take an event out of the trash
+     * @param {number} eventId - ID of the deleted event
+     * @returns {Promise<void>}
+     */
+    async restoreEvent(eventId) {
+        const event = this.tables.events.find(candidate => candidate.id === toId(eventId) && candidate.deleted_at !== null);
+        if (!event) throw new Error('Event not found');
+
+        this.updateRow('events', event, { deleted_at: null, deleted_by: null });
+    }
+
+    /**
+     * Permanently delete an event from the trash, with everything attached to it
+     * @param {number} eventId - ID of the deleted event
+     * @returns {Promise<void>}
+     */
+    async purgeEvent(eventId) {
+        const id = toId(eventId);
+
+        await this.runInTransaction(async () => {
+            if (!this.tables.events.some(event => event.id === id && event.deleted_at !== null)) {
+                throw new Error('Event not found');
+            }
+
+            ['event_exceptions', 'registrations', 'checkin_codes', 'attendance', 'sent_reminders', 'event_revisions']
+                .forEach(tableName => this.deleteRows(tableName, row => row.event_id === id));
+            this.deleteRows('events', event => event.id === id);
+        });
+    }
+
+    // ===== REVISION METHODS =====
+
+    /**
+     * Save an event's current fields as its next revision
+     * @param {number} eventId - ID of the event
+     * @param {number} userId - User ID of whoever saved this version
+     * @param {number} [restoredFrom] - Revision this version was rolled back to
+     * @returns {Promise<void>}
+     */
+    async saveEventRevision(eventId, userId, restoredFrom = null) {
+        const event = this.findEvent(toId(eventId), { includeDeleted: true });
+        if (!event) return;
+
+        const latest = this.tables.event_revisions
+            .filter(revision => revision.event_id === event.id)
+            .reduce((highest, revision) => Math.max(highest, revision.revision), 0);
+        const snapshot = {};
+        REVISION_FIELDS.forEach(field => {
+            snapshot[field] = event[field];
+        });
+
+        this.insertRow('event_revisions', {
+            event_id: event.id,
+            revision: latest + 1,
+            snapshot: JSON.stringify(snapshot),
+            restored_from: restoredFrom,
+            user_id: userId ?? null
+        });
+    }
+
+    /**
+     * Copy a revision for handing out, with its author's username and the snapshot parsed
+     * @param {Object} revision - Stored revision row
+     * @returns {Object} Revision as the SQLite storage returns it
+     */
+    revisionWithUser(revision) {
+        const user = this.findUser(revision.user_id);
+        return { ...revision, snapshot: JSON.parse(revision.snapshot), username: user ? user.username : null };
+    }
+
+    /**
+     * Get an event's revisions, newest first
+     * @param {number} eventId - ID of the event
+     * @returns {Promise<Array>} Revisions with username and the snapshot parsed into an object
+     */
+    async getEventRevisions(eventId) {
+        return this.tables.event_revisions
+            .filter(revision => revision.event_id === toId(eventId))
+            .sort((a, b) => b.revision - a.revision)
+            .map(revision => this.revisionWithUser(revision));
+    }
+
+    /**
+     * Get one revision of an event
+     * @param {number} eventId - ID of the event
+     * @param {number} revision - Revision number
+     * @returns {Promise<Object|null>} Revision (as getEventRevisions returns it), or null if not found
+     */
+    async getEventRevision(eventId, revision) {
+        const found = this.tables.event_revisions
+            .find(candidate => candidate.event_id === toId(eventId) && candidate.revision === toId(revision));
+        return found ? this.revisionWithUser(found) : null;
+    }
+
+    // ===== EVENT TYPE METHODS =====
+
+    /**
+     * Copy an event type for handing out, with the number of events (trash included) that use it
+     * @param {Object} type - Stored event type row
+     * @returns {Object} Event type with event_count
+     */
+    typeWithCount(type) {
+        return { ...type, event_count: this.tables.events.filter(event => event.type === type.name).length };
+    }
+
+    /**
+     * Get every event type with the number of events that use it
+     * @returns {Promise<Array>} Event types in the order they were created
+     */
+    async getEventTypes() {
+        return [...this.tables.event_types].sort((a, b) => a.id - b.id).map(type => this.typeWithCount(type));
+    }
+
+    /**
+     * Get a single event type by ID
+     * @param {number} typeId - ID of the event type
+     * @returns {Promise<Object|null>} Event type with its event_count, or null if not found
+     */
+    async getEventTypeById(typeId) {
+        const type = this.tables.event_types.find(candidate => candidate.id === toId(typeId));
+        return type ? this.typeWithCount(type) : null;
+    }
+
+    /**
+     * Create a new event type
+     * @param {Object} typeData - { name, label, color, icon }
+     * @returns {Promise<Object>} Created event type
+     */
+    async createEventType(typeData) {
+        const { name, label, color, icon } = typeData;
+        const type = this.insertRow('event_types', { name, label, color, icon });
+        return this.typeWithCount(type);
+    }
+
+    /**
+     * Change how an event type is shown (the name stays, because events refer to it)
+     * @param {number} typeId - ID of the event type
+     * @param {Object} typeData - { label, color, icon }
+     * @returns {Promise<Object>} Updated event type
+     */
+    async updateEventType(typeId, typeData) {
+        const type = this.tables.event_types.find(candidate => candidate.id === toId(typeId));
+        if (!type) throw new Error('Event type not found');
+
+        const { label, color, icon } = typeData;
+        this.updateRow('event_types', type, { label, color, icon, updated_at: timestamp() });
+        return this.typeWithCount(type);
+    }
+
+    /**
+     * Delete an event type
+     * Checking that no events still use it is handled in server.js
+     * @param {number} typeId - ID of the event type
+     * @returns {Promise<void>}
+     */
+    async deleteEventType(typeId) {
+        if (this.deleteRows('event_types', type => type.id === toId(typeId)) === 0) {
+            throw new Error('Event type not found');
+        }
+    }
+
+    // ===== REGISTRATION METHODS =====
+
+    /**
+     * Count registrations and waitlist entries for several events at once
+     * @param {Array<number>} eventIds - IDs of the events to count (duplicates are fine)
+     * @returns {Promise<Map>} Event ID -> { registered, waitlisted }; events nobody signed up for are left out
+     */
+    async getRegistrationCounts(eventIds) {
+        const ids = new Set(eventIds.map(toId));
+        const counts = new Map();
+
+        this.tables.registrations.filter(registration => ids.has(registration.event_id)).forEach(registration => {
+            if (!counts.has(registration.event_id)) counts.set(registration.event_id, { registered: 0, waitlisted: 0 });
+            counts.get(registration.event_id)[registration.status]++;
+        });
+        return counts;
+    }
+
+    /**
+     * Get a user's registrations, each with its place on the waitlist
+     * Registrations for events in the trash are kept but not listed
+     * @param {number} userId - ID of the user
+     * @param {number} [eventId] - Only this event's registration
+     * @returns {Promise<Array>} Rows of { event_id, status, created_at, position }; position is null
+     *   for registered users and 1 for the first person on a waitlist
+     */
+    async getUserRegistrations(userId, eventId) {
+        const id = eventId === undefined ? undefined : toId(eventId);
+
+        return this.tables.registrations
+            .filter(registration => registration.user_id === userId && (id === undefined || registration.event_id === id))
+            .filter(registration => this.findEvent(registration.event_id))
+            .sort((a, b) => a.id - b.id)
+            .map(registration => ({
+                event_id: registration.event_id,
+                status: registration.status,
+                created_at: registration.created_at,
+                position: registration.status === 'waitlisted'
+                    ? this.tables.registrations.filter(other => other.event_id === registration.event_id &&
+                        other.status === 'waitlisted' && other.id <= registration.id).length
+                    : null
+            }));
+    }
+
+    /**
+     * Sign a user up for an event: a seat while the event has room, the waitlist once it is full
+     * @param {number} eventId - ID of the event
+     * @param {number} userId - ID of the user signing up
+     * @returns {Promise<Object>} The new registration { event_id, status, created_at, position }
+     */
+    async registerForEvent(eventId, userId) {
+        const id = toId(eventId);
+
+        return this.runInTransaction(async () => {
+            const event = this.findEvent(id);
+            if (!event) throw new Error('Event not found');
+            if (this.tables.registrations.some(registration => registration.event_id === id && registration.user_id === userId)) {
+                throw new Error('Already registered');
+            }
+
+            const registered = this.tables.registrations
+                .filter(registration => registration.event_id === id && registration.status === 'registered').length;
+            const status = event.capacity === null || registered < event.capacity ? 'registered' : 'waitlisted';
+            this.insertRow('registrations', { event_id: id, user_id: userId, status });
+
+            const [registration] = await this.getUserRegistrations(userId, id);
+            return registration;
+        });
+    }
+
+    /**
+     * Cancel a user's registration (or take them off the waitlist)
+     * A freed seat goes to the first person on the waitlist
+     * @param {number} eventId - ID of the event
+     * @param {number} userId - ID of the user cancelling
+     * @returns {Promise<number>} Number of people moved off the waitlist
+     */
+    async cancelRegistration(eventId, userId) {
+        const id = toId(eventId);
+
+        return this.runInTransaction(async () => {
+            const removed = this.deleteRows('registrations', registration => registration.event_id === id && registration.user_id === userId);
+            if (removed === 0) throw new Error('Registration not found');
+
+            return this.promoteWaitlist(id);
+        });
+    }
+
+    /**
+     * Give free seats to the people at the front of an event's waitlist
+     * Lowering the capacity never takes a seat away from someone who already has one.
+     * @param {number} eventId - ID of the event
+     * @returns {Promise<number>} Number of people moved off the waitlist
+     */
+    async promoteWaitlist(eventId) {
+        const id = toId(eventId);
+        const event = this.tables.events.find(candidate => candidate.id === id);
+        if (!event) return 0;
+
+        const registrations = this.tables.registrations.filter(registration => registration.event_id === id);
+        const registered = registrations.filter(registration => registration.status === 'registered').length;
+        const freeSeats = event.capacity === null ? Infinity : Math.max(event.capacity - registered, 0);
+
+        const promoted = registrations
+            .filter(registration => registration.status === 'waitlisted')
+            .sort((a, b) => a.id - b.id)
+            .slice(0, freeSeats);
+        const now = timestamp();
+        promoted.forEach(registration => {
+            this.updateRow('registrations', registration, { status: 'registered', updated_at: now });
+        });
+        return promoted.length;
+    }
+
+    /**
+     * Get everyone signed up for an event: registered users first, then the waitlist in order
+     * @param {number} eventId - ID of the event
+     * @returns {Promise<Array>} Rows of { id, user_id, full_name, username, email, status, created_at,
+     *   updated_at, position }; position counts from 1 along the waitlist and is null for registered users
+     */
+    async getEventRoster(eventId) {
+        let waiting = 0;
+
+        return this.tables.registrations
+            .filter(registration => registration.event_id === toId(eventId) && this.findUser(registration.user_id))
+            .sort((a, b) => (a.status === 'waitlisted') - (b.status === 'waitlisted') || a.id - b.id)
+            .map(registration => {
+                const user = this.findUser(registration.user_id);
+                return {
+                    id: registration.id,
+                    user_id: registration.user_id,
+                    full_name: user.full_name,
+                    username: user.username,
+                    email: user.email,
+                    status: registration.status,
+                    created_at: registration.created_at,
+                    updated_at: registration.updated_at,
+                    position: registration.status === 'waitlisted' ? ++waiting : null
+                };
+            });
+    }
+
+    // ===== ATTENDANCE METHODS =====
+
+    /**
+     * Get an event's check-in code
+     * @param {number} eventId - ID of the event
+     * @returns {Promise<Object|null>} { event_id, code, created_at } or null if none has been generated
+     */
+    async getCheckInCode(eventId) {
+        const code = this.tables.checkin_codes.find(candidate => candidate.event_id === toId(eventId));
+        return code ? { ...code } : null;
+    }
+
+    /**
+     * Store a new check-in code for an event, replacing any previous one
+     * @param {number} eventId - ID of the event
+     * @param {string} code - Random check-in code
+     * @returns {Promise<Object>} The stored code { event_id, code, created_at }
+     */
+    async saveCheckInCode(eventId, code) {
+        const id = toId(eventId);
+        const existing = this.tables.checkin_codes.find(candidate => candidate.event_id === id);
+
+        if (existing) {
+            if (this.tables.checkin_codes.some(other => other !== existing && other.code === code)) {
+                throw new Error('UNIQUE constraint failed: checkin_codes.code');
+            }
+            this.updateRow('checkin_codes', existing, { code, created_at: timestamp() });
+        } else {
+            this.insertRow('checkin_codes', { event_id: id, code });
+        }
+        return this.getCheckInCode(id);
+    }
+
+    /**
+     * Record that a user attended an occurrence of an event
+     * @param {number} eventId - ID of the event
+     * @param {string} occurrenceDate - Date of the occurrence attended (YYYY-MM-DD)
+     * @param {number} userId - ID of the user checking in
+     * @returns {Promise<Object>} The check-in { event_id, occurrence_date, checked_in_at }
+     */
+    async recordAttendance(eventId, occurrenceDate, userId) {
+        let attendance;
+        try {
+            attendance = this.insertRow('attendance', { event_id: toId(eventId), occurrence_date: occurrenceDate, user_id: userId });
+        } catch (error) {
+            if (error.message.includes('UNIQUE constraint failed')) throw new Error('Already checked in');
+            throw error;
+        }
+
+        const { event_id, occurrence_date, checked_in_at } = attendance;
+        return { event_id, occurrence_date, checked_in_at };
+    }
+
+    /**
+     * Get everyone who checked in to an event, newest occurrence first
+     * @param {number} eventId - ID of the event
+     * @returns {Promise<Array>} Rows of { id, user_id, full_name, username, email, occurrence_date,
+     *   checked_in_at, registration_status } - registration_status is null for people who came without signing up
+     */
+    async getEventAttendance(eventId) {
+        const id = toId(eventId);
+
+        return this.tables.attendance
+            .filter(attendance => attendance.event_id === id && this.findUser(attendance.user_id))
+            .sort((a, b) => b.occurrence_date.localeCompare(a.occurrence_date) ||
+                a.checked_in_at.localeCompare(b.checked_in_at) || a.id - b.id)
+            .map(attendance => {
+                const user = this.findUser(attendance.user_id);
+                const registration = this.tables.registrations
+                    .find(candidate => candidate.event_id === id && candidate.user_id === attendance.user_id);
+                return {
+                    id: attendance.id,
+                    user_id: attendance.user_id,
+                    full_name: user.full_name,
+                    username: user.username,
+                    email: user.email,
+                    occurrence_date: attendance.occurrence_date,
+                    checked_in_at: attendance.checked_in_at,
+                    registration_status: registration ? registration.status : null
+                };
+            });
+    }
+
+    // ===== REMINDER METHODS =====
+
+    /**
+     * Get the people to remind about several events: active users with a seat
+     * @param {Array<number>} eventIds - IDs of the events (duplicates are fine)
+     * @returns {Promise<Array>} Rows of { event_id, user_id, full_name, email }
+     */
+    async getReminderRecipients(eventIds) {
+        const ids = new Set(eventIds.map(toId));
+
+        return this.tables.registrations
+            .filter(registration => ids.has(registration.event_id) && registration.status === 'registered')
+            .sort((a, b) => a.id - b.id)
+            .map(registration => ({ registration, user: this.findUser(registration.user_id) }))
+            .filter(({ user }) => user && user.is_active === 1)
+            .map(({ registration, user }) => ({
+                event_id: registration.event_id, user_id: user.id, full_name: user.full_name, email: user.email
+            }));
+    }
+
+    /**
+     * Get the reminders already sent for several events
+     * @param {Array<number>} eventIds - IDs of the events (duplicates are fine)
+     * @returns {Promise<Array>} Rows of { event_id, occurrence_date, user_id, reminder }
+     */
+    async getSentReminders(eventIds) {
+        const ids = new Set(eventIds.map(toId));
+
+        return this.tables.sent_reminders
+            .filter(sent => ids.has(sent.event_id))
+            .map(({ event_id, occurrence_date, user_id, reminder }) => ({ event_id, occurrence_date, user_id, reminder }));
+    }
+
+    /**
+     * Record a reminder as sent before sending it
+     * @param {number} eventId - ID of the event
+     * @param {string} occurrenceDate - Occurrence date (YYYY-MM-DD)
+     * @param {number} userId - ID of the recipient
+     * @param {string} reminder - Reminder name
+     * @returns {Promise<boolean>} True if this call claimed it; false if it was already recorded
+     */
+    async claimReminder(eventId, occurrenceDate, userId, reminder) {
+        try {
+            this.insertRow('sent_reminders', { event_id: toId(eventId), occurrence_date: occurrenceDate, user_id: userId, reminder });
+            return true;
+        } catch (error) {
+            if (error.message.includes('UNIQUE constraint failed')) return false;
+            throw error;
+        }
+    }
+
+    /**
+     * Forget a claimed reminder that could not be sent, so it is tried again later
+     * @param {number} eventId - ID of the event
+     * @param {string} occurrenceDate - Occurrence date (YYYY-MM-DD)
+     * @param {number} userId - ID of the recipient
+     * @param {string} reminder - Reminder name
+     * @returns {Promise<void>}
+     */
+    async releaseReminder(eventId, occurrenceDate, userId, reminder) {
+        this.deleteRows('sent_reminders', sent => sent.event_id === toId(eventId) &&
+            sent.occurrence_date === occurrenceDate && sent.user_id === userId && sent.reminder === reminder);
+    }
+
+    // ===== AUDIT LOG METHODS =====
+
+    /**
+     * Add an entry to the audit log
+     * @param {Object} entry - { action, userId, username, entityType, entityId, entityLabel, ipAddress, changes }
+     *                         (everything but action may be null; changes is stored as JSON)
+     * @returns {Promise<number>} ID of the new entry
+     */
+    async addAuditEntry(entry) {
+        const row = this.insertRow('audit_log', {
+            action: entry.action,
+            user_id: entry.userId ?? null,
+            username: entry.username ?? null,
+            entity_type: entry.entityType ?? null,
+            entity_id: entry.entityId == null ? null : (toId(entry.entityId) ?? entry.entityId), // Route IDs arrive as text
+            entity_label: entry.entityLabel ?? null,
+            ip_address: entry.ipAddress ?? null,
+            changes: entry.changes ? JSON.stringify(entry.changes) : null
+        });
+        return row.id;
+    }
+
+    /**
+     * Get a page of audit log entries, newest first
+     * @param {Object} filters - { actions, userId, entityType, entityId, from, to, limit, offset } (all optional);
+     *                           from and to are UTC dates (YYYY-MM-DD) and include the whole day
+     * @returns {Promise<Object>} { entries, total } - entries have changes parsed back into an object
+     */
+    async queryAuditLog(filters = {}) {
+        const { limit, offset = 0 } = filters;
+
+        const entries = this.tables.audit_log.filter(entry => {
+            if (filters.actions && filters.actions.length > 0 && !filters.actions.includes(entry.action)) return false;
+            if (filters.userId !== undefined && entry.user_id !== filters.userId) return false;
+            if (filters.entityType !== undefined && entry.entity_type !== filters.entityType) return false;
+            if (filters.entityId !== undefined && entry.entity_id !== filters.entityId) return false;
+            if (filters.from && entry.created_at.slice(0, 10) < filters.from) return false;
+            if (filters.to && entry.created_at.slice(0, 10) > filters.to) return false;
+            return true;
+        }).sort((a, b) => b.created_at.localeCompare(a.created_at) || b.id - a.id);
+
+        const page = limit === undefined ? entries.slice(offset) : entries.slice(offset, offset + limit);
+        return {
+            entries: page.map(entry => ({ ...entry, changes: entry.changes ? JSON.parse(entry.changes) : null })),
+            total: entries.length
+        };
+    }
+
+    // ===== RECURRING EVENT METHODS =====
+
+    /**
+     * Get occurrence exceptions, optionally for a single event
+     * @param {number} [eventId] - Only return exceptions of this event
+     * @returns {Promise<Array>} Exception rows ordered by original occurrence date
+     */
+    async getEventExceptions(eventId) {
+        const id = eventId === undefined ? undefined : toId(eventId);
+
+        return this.tables.event_exceptions
+            .filter(exception => id === undefined || exception.event_id === id)
+            .sort((a, b) => a.occurrence_date.localeCompare(b.occurrence_date))
+            .map(exception => ({ ...exception }));
+    }
+
+    /**
+     * Cancel or modify a single occurrence of a recurring event
+     * Replaces any earlier exception for the same occurrence
+     * @param {number} eventId - Recurring event ID
+     * @param {string} occurrenceDate - Original date of the occurrence (YYYY-MM-DD)
+     * @param {Object} exceptionData - { status: 'cancelled'|'modified', date, time, title, description }
+     * @returns {Promise<Object>} Saved exception
+     */
+    async saveEventException(eventId, occurrenceDate, exceptionData) {
+        const { status, date = null, time = null, title = null, description = null } = exceptionData;
+        const id = toId(eventId);
+
+        const existing = this.tables.event_exceptions
+            .find(exception => exception.event_id === id && exception.occurrence_date === occurrenceDate);
+        if (existing) {
+            this.updateRow('event_exceptions', existing, { status, date, time, title, description });
+        } else {
+            this.insertRow('event_exceptions', { event_id: id, occurrence_date: occurrenceDate, status, date, time, title, description });
+        }
+        return { event_id: Number(eventId), occurrence_date: occurrenceDate, status, date, time, title, description };
+    }
+
+    /**
+     * Remove an occurrence exception, restoring the occurrence as the series defines it
+     * @param {number} eventId - Recurring event ID
+     * @param {string} occurrenceDate - Original date of the occurrence (YYYY-MM-DD)
+     * @returns {Promise<void>}
+     */
+    async deleteEventException(eventId, occurrenceDate) {
+        const removed = this.deleteRows('event_exceptions', exception =>
+            exception.event_id === toId(eventId) && exception.occurrence_date === occurrenceDate);
+        if (removed === 0) throw new Error('Exception not found');
+    }
+
+    /**
+     * Move every exception of a series by a number of days, so they stay on the same occurrences
+     * when the whole series is moved
+     * @param {number} eventId - Recurring event ID
+     * @param {number} days - Days to move by (negative moves earlier)
+     * @returns {Promise<number>} Number of exceptions moved
+     */
+    async shiftEventExceptions(eventId, days) {
+        // All rows move at once, so one can never land on a date another has not left yet
+        const exceptions = this.tables.event_exceptions.filter(exception => exception.event_id === toId(eventId));
+        exceptions.forEach(exception => {
+            this.updateRow('event_exceptions', exception, {
+                occurrence_date: recurrence.addDays(exception.occurrence_date, days),
+                date: exception.date ? recurrence.addDays(exception.date, days) : exception.date
+            });
+        });
+        return exceptions.length;
+    }
+
+    // ===== SETTINGS METHODS =====
+
+    /**
+     * Get all site settings
+     * @returns {Promise<Object>} Settings keyed by name, e.g. { siteTitle, adminEmail, timezone }
+     */
+    async getSettings() {
+        // Start from the defaults so a missing row never leaves a setting undefined
+        const settings = { ...DEFAULT_SETTINGS };
+        this.tables.settings.forEach(row => {
+            settings[row.key] = row.value;
+        });
+        return settings;
+    }
+
+    /**
+     * Save one or more settings
+     * Only known setting names are stored; validation is handled in server.js
+     * @param {Object} changes - Settings to save, e.g. { siteTitle: 'My Calendar' }
+     * @returns {Promise<Object>} All settings after the update
+     */
+    async updateSettings(changes) {
+        Object.keys(changes).filter(key => key in DEFAULT_SETTINGS).forEach(key => {
+            const value = String(changes[key]);
+            const existing = this.tables.settings.find(row => row.key === key);
+            if (existing) {
+                this.updateRow('settings', existing, { value, updated_at: timestamp() });
+            } else {
+                this.insertRow('settings', { key, value });
+            }
+        });
+        return this.getSettings();
+    }
+
+    // ===== BACKUP METHODS =====
+    // JSON backups work as with the SQLite storage. There is no database file to copy, so
+    // SQLite backup files can neither be written nor restored (supportsSqliteBackups is false).
+
+    /**
+     * Read every backed-up table as one consistent snapshot
+     * @param {Object} [options] - { includePasswords } - keep password hashes (left out by default)
+     * @returns {Promise<Object>} Rows keyed by table name, e.g. { users: [...], events: [...] }
+     */
+    async readBackupTables(options = {}) {
+        const tables = {};
+        backup.BACKUP_TABLES.forEach(table => {
+            tables[table.name] = this.tables[table.name].map(row => ({ ...row }));
+        });
+
+        if (!options.includePasswords) {
+            tables.users.forEach(user => delete user.password_hash);
+        }
+        return tables;
+    }
+
+    /**
+     * SQLite backup files need a SQLite database to copy
+     * @returns {Promise<void>} Always rejects
+     */
+    async writeBackupFile() {
+        throw new Error('SQLite backup files are only available with the SQLite storage');
+    }
+
+    /**
+     * SQLite backup files need the SQLite storage to read them
+     * @returns {Promise<Object>} Always rejects
+     */
+    async readBackupFile() {
+        throw new Error('SQLite backup files can only be restored with the SQLite storage');
+    }
+
+    /**
+     * Replace everything in the restored tables (backup.RESTORED_TABLES) with the rows of a backup
+     * All or nothing, with the same rules as the SQLite storage: users without a password hash
+     * keep their current password when their username still exists, and are restored deactivated
+     * with a random password otherwise; sessions survive only where the user ID still belongs
+     * to the same username. The audit log is left as it is.
+     * @param {Object} tables - Rows keyed by table name (missing optional tables are emptied)
+     * @returns {Promise<Object>} { counts: { tableName: { before, after } }, lockedUsers: [usernames] }
+     */
+    async restoreBackupTables(tables) {
+        // Nobody knows this password, so accounts given it cannot be signed in to
+        const lockedHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+        return this.runInTransaction(async () => {
+            const currentUsers = this.tables.users.map(({ id, username, password_hash }) => ({ id, username, password_hash }));
+            const currentHashes = new Map(currentUsers.map(user => [user.username, user.password_hash]));
+            const counts = {};
+            const lockedUsers = [];
+
+            backup.RESTORED_TABLES.forEach(table => {
+                counts[table.name] = { before: this.tables[table.name].length, after: 0 };
+                this.deleteRows(table.name, () => true);
+            });
+
+            backup.RESTORED_TABLES.forEach(table => {
+                const rows = tables[table.name] || [];
+                rows.forEach(row => {
+                    const values = { ...row };
+                    if (table.name === 'users' && !values.password_hash) {
+                        if (currentHashes.has(values.username)) {
+                            values.password_hash = currentHashes.get(values.username);
+                        } else {
+                            values.password_hash = lockedHash;
+                            values.is_active = 0;
+                            lockedUsers.push(values.username);
+                        }
+                    }
+                    this.insertRow(table.name, values);
+                });
+                counts[table.name].after = rows.length;
+            });
+
+            const restoredUsernames = new Map(tables.users.map(user => [user.id, user.username]));
+            const staleUserIds = new Set(currentUsers
+                .filter(user => restoredUsernames.get(user.id) !== user.username)
+                .map(user => user.id));
+            this.deleteRows('sessions', session => staleUserIds.has(session.user_id));
+
+            return { counts, lockedUsers };
+        });
+    }
+
+    // ===== TRANSACTION HELPERS =====
+
+    /**
+     * Note a change in the undo log of the transaction making it (if any)
+     * Changes made outside transactions - including by other requests while one runs - are
+     * not logged, so a rollback never touches them.
+     * @param {Object} change - { kind: 'insert'|'update'|'delete', tableName, ... } as made by the table helpers
+     */
+    logChange(change) {
+        const undoLog = this.transactionContext.getStore();
+        if (undoLog) undoLog.push(change);
+    }
+
+    /**
+     * Undo one logged change
+     * Values changed again since (by another request) are left as they are.
+     * @param {Object} change - Entry of a transaction's undo log
+     */
+    undoChange(change) {
+        const { kind, tableName } = change;
+
+        if (kind === 'insert') {
+            this.tables[tableName] = this.tables[tableName].filter(row => row !== change.row);
+            // The ID is handed out again unless another row has been added since
+            if (this.sequences[tableName] === change.newSequence) this.sequences[tableName] = change.sequence;
+        } else if (kind === 'update') {
+            Object.keys(change.before).forEach(column => {
+                if (change.row[column] === change.after[column]) change.row[column] = change.before[column];
+            });
+        } else {
+            // Put the rows back in the order they were added
+            const rows = [...this.tables[tableName], ...change.rows];
+            this.tables[tableName] = rows.sort((a, b) => this.rowOrder.get(a) - this.rowOrder.get(b));
+        }
+    }
+
+    /**
+     * Run several operations as a single all-or-nothing transaction
+     * Every change the work makes is logged and undone, newest first, if it throws. Changes made
+     * meanwhile by other requests are kept. Transactions are queued, so two never overlap, and a
+     * transaction started inside the work of another simply becomes part of it.
+     * @param {Function} work - Async function performing the operations
+     * @returns {Promise<*>} Whatever work resolves with; rejects (after rolling back) if work throws
+     */
+    async runInTransaction(work) {
+        if (this.inTransaction()) return work();
+
+        const run = () => {
+            const undoLog = [];
+            return this.transactionContext.run(undoLog, async () => {
+                try {
+                    return await work();
+                } catch (error) {
+                    undoLog.reverse().forEach(change => this.undoChange(change));
+                    throw error;
+                }
+            });
+        };
+
+        // Wait for earlier transactions to finish, whether they succeeded or not
+        const result = this.transactionQueue.then(run, run);
+        this.transactionQueue = result.catch(() => {});
+        return result;
+    }
+
+    // ===== MAINTENANCE METHODS =====
+
+    /**
+     * Nothing to close - the data simply goes when the process ends
+     */
+    close() {}
+}
+
+// ===== EXPORT MODULE =====
+module.exports = MemoryStorage;
+
+// ============================================================================
+// END OF IN-MEMORY STORAGE
+// ============================================================================
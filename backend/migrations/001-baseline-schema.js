@@ -0,0 +1,299 @@
+// ============================================================================
+// MIGRATION 001 - BASELINE SCHEMA
+// ============================================================================
+// Brings a database to the schema the calendar had when versioned migrations were introduced.
+// Databases from before then have no schema_version table and may be at any earlier stage -
+// some predate event types, registrations or the trash - so every step here checks what is
+// already there: tables are created IF NOT EXISTS, missing columns are added, and the old
+// CHECK constraint on events.type is removed by rebuilding the table.
+//
+// Like every migration, this file must not change once released: later schema changes go in
+// a new, higher-numbered file. That is why the SQL is written out here in full instead of
+// being shared with database.js.
+// ============================================================================
+
+// Types a new calendar starts with (only added while the table is empty, so types an admin deleted stay deleted)
+const DEFAULT_EVENT_TYPES = [
+    { name: 'assignment', label: 'Assignment', color: '#ff6b6b', icon: 'fas fa-file-alt' },
+    { name: 'webinar', label: 'Webinar', color: '#48bb78', icon: 'fas fa-video' },
+    { name: 'workshop', label: 'Workshop', color: '#ed8936', icon: 'fas fa-tools' }
+];
+
+/**
+ * Build the CREATE TABLE statement for events
+ * Needed twice: for new databases, and to rebuild old ones without the type CHECK constraint
+ * @param {string} tableName - Name of the table to create
+ * @returns {string} SQL statement
+ */
+const eventsTableSql = (tableName) => `
+    CREATE TABLE IF NOT EXISTS ${tableName} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,    -- Unique event ID
+        title TEXT NOT NULL,                     -- Event title
+        description TEXT NOT NULL,               -- Event description
+        date DATE NOT NULL,                      -- Event date (YYYY-MM-DD)
+        time TIME NOT NULL,                      -- Event time (HH:MM), wall clock in the event's timezone
+        end_date DATE,                           -- Last day of the event (NULL = no end given)
+        end_time TIME,                           -- End time on end_date (NULL for all-day events)
+        all_day INTEGER NOT NULL DEFAULT 0,      -- 1 if the event has no start/end time
+        location TEXT,                           -- Physical venue (e.g. "Room 204, Science Building")
+        online_url TEXT,                         -- Link for joining online (http/https only)
+        dial_in TEXT,                            -- Phone dial-in details (number, PIN)
+        capacity INTEGER,                        -- Most people who can register (NULL = unlimited)
+        timezone TEXT,                           -- IANA timezone date and time are expressed in
+        type TEXT NOT NULL,                      -- Event type (name of a row in event_types)
+        recurrence_rule TEXT,                    -- RRULE for recurring series (NULL = single event)
+        created_by INTEGER,                      -- User ID who created the event
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- Event creation time
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- Last update time
+        deleted_at DATETIME,                     -- When the event was moved to the trash (NULL = not deleted)
+        deleted_by INTEGER,                      -- User ID who moved it to the trash
+        FOREIGN KEY (created_by) REFERENCES users (id), -- Link to users table
+        FOREIGN KEY (deleted_by) REFERENCES users (id)
+    )
+`;
+
+// Columns added to events after its first release, with their definitions
+const LATER_EVENT_COLUMNS = [
+    ['recurrence_rule', 'TEXT'],                     // Recurring events
+    ['timezone', 'TEXT'],                            // Events carrying their timezone
+    ['end_date', 'DATE'],                            // Event end and all-day events
+    ['end_time', 'TIME'],
+    ['all_day', 'INTEGER NOT NULL DEFAULT 0'],
+    ['location', 'TEXT'],                            // Venue and meeting link
+    ['online_url', 'TEXT'],
+    ['dial_in', 'TEXT'],
+    ['capacity', 'INTEGER'],                         // Registration
+    ['deleted_at', 'DATETIME'],                      // Trash
+    ['deleted_by', 'INTEGER']
+];
+
+// Triggers that keep the events_fts search index in step with every insert, update and delete on events
+const SEARCH_TRIGGERS = [
+    `CREATE TRIGGER IF NOT EXISTS events_fts_insert AFTER INSERT ON events BEGIN
+        INSERT INTO events_fts (rowid, title, description) VALUES (new.id, new.title, new.description);
+    END`,
+    `CREATE TRIGGER IF NOT EXISTS events_fts_delete AFTER DELETE ON events BEGIN
+        INSERT INTO events_fts (events_fts, rowid, title, description) VALUES ('delete', old.id, old.title, old.description);
+    END`,
+    `CREATE TRIGGER IF NOT EXISTS events_fts_update AFTER UPDATE OF title, description ON events BEGIN
+        INSERT INTO events_fts (events_fts, rowid, title, description) VALUES ('delete', old.id, old.title, old.description);
+        INSERT INTO events_fts (rowid, title, description) VALUES (new.id, new.title, new.description);
+    END`
+];
+
+// Fields of the first revision saved for events that existed before revisions were kept
+const REVISION_FIELDS = ['title', 'description', 'date', 'time', 'end_date', 'end_time', 'all_day', 'location',
+    'online_url', 'dial_in', 'capacity', 'timezone', 'type', 'recurrence_rule'];
+
+// Every other table, in the order they are created
+const TABLES = [
+    `CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,    -- Unique user ID (auto-generated)
+        username TEXT UNIQUE NOT NULL,           -- Username (must be unique)
+        email TEXT UNIQUE NOT NULL,              -- Email address (must be unique)
+        password_hash TEXT NOT NULL,             -- Hashed password (never store plain text)
+        full_name TEXT NOT NULL,                 -- User's full name
+        role TEXT DEFAULT 'student',             -- User role: 'student', 'editor' or 'admin' (default: student)
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- Account creation time
+        last_login DATETIME,                     -- Last login timestamp
+        is_active BOOLEAN DEFAULT 1              -- Account status (1=active, 0=disabled)
+    )`,
+
+    // Categories events can have; events.type holds the name of one of these rows
+    `CREATE TABLE IF NOT EXISTS event_types (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,    -- Unique event type ID
+        name TEXT UNIQUE NOT NULL,               -- Identifier stored in events.type (e.g. 'workshop')
+        label TEXT NOT NULL,                     -- Name shown to users (e.g. 'Workshop')
+        color TEXT NOT NULL,                     -- Badge and bar color (#rrggbb)
+        icon TEXT NOT NULL,                      -- Font Awesome icon classes (e.g. 'fas fa-tools')
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- Type creation time
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP   -- Last change time
+    )`,
+
+    // Cancelled or modified single occurrences of a recurring event
+    `CREATE TABLE IF NOT EXISTS event_exceptions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,    -- Unique exception ID
+        event_id INTEGER NOT NULL,               -- Recurring event this exception belongs to
+        occurrence_date DATE NOT NULL,           -- Original date of the affected occurrence
+        status TEXT NOT NULL CHECK(status IN ('cancelled', 'modified')), -- What happened to it
+        date DATE,                               -- New date (modified occurrences only)
+        time TIME,                               -- New time (modified occurrences only)
+        title TEXT,                              -- New title (modified occurrences only)
+        description TEXT,                        -- New description (modified occurrences only)
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- Exception creation time
+        UNIQUE (event_id, occurrence_date),      -- At most one exception per occurrence
+        FOREIGN KEY (event_id) REFERENCES events (id)   -- Link to events table
+    )`,
+
+    // Students signed up for an event; once it is full, new sign-ups join its waitlist
+    `CREATE TABLE IF NOT EXISTS registrations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,    -- Unique registration ID (also the sign-up order)
+        event_id INTEGER NOT NULL,               -- Event (or whole recurring series) signed up for
+        user_id INTEGER NOT NULL,                -- User who signed up
+        status TEXT NOT NULL CHECK(status IN ('registered', 'waitlisted')), -- Has a seat, or is waiting
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- Sign-up time
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- Last status change (e.g. moved off the waitlist)
+        UNIQUE (event_id, user_id),              -- Each user signs up for an event at most once
+        FOREIGN KEY (event_id) REFERENCES events (id),  -- Link to events table
+        FOREIGN KEY (user_id) REFERENCES users (id)     -- Link to users table
+    )`,
+
+    // The secret printed in each event's check-in QR code, kept out of the public event listings
+    `CREATE TABLE IF NOT EXISTS checkin_codes (
+        event_id INTEGER PRIMARY KEY,            -- Event (or whole recurring series) the code belongs to
+        code TEXT UNIQUE NOT NULL,               -- Random code encoded in the QR image
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- When the code was generated
+        FOREIGN KEY (event_id) REFERENCES events (id)   -- Link to events table
+    )`,
+
+    // Who actually turned up. Recurring series record attendance per occurrence
+    `CREATE TABLE IF NOT EXISTS attendance (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,    -- Unique check-in ID
+        event_id INTEGER NOT NULL,               -- Event (or recurring series) attended
+        occurrence_date TEXT NOT NULL,           -- Date of the occurrence attended (YYYY-MM-DD)
+        user_id INTEGER NOT NULL,                -- User who checked in
+        checked_in_at DATETIME DEFAULT CURRENT_TIMESTAMP, -- When the QR code was scanned
+        UNIQUE (event_id, occurrence_date, user_id),     -- Each user checks in once per occurrence
+        FOREIGN KEY (event_id) REFERENCES events (id),   -- Link to events table
+        FOREIGN KEY (user_id) REFERENCES users (id)      -- Link to users table
+    )`,
+
+    // Reminder emails already sent, so a restart never sends the same reminder twice
+    `CREATE TABLE IF NOT EXISTS sent_reminders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,    -- Unique record ID
+        event_id INTEGER NOT NULL,               -- Event (or recurring series) reminded about
+        occurrence_date TEXT NOT NULL,           -- Occurrence reminded about (YYYY-MM-DD)
+        user_id INTEGER NOT NULL,                -- User the email went to
+        reminder TEXT NOT NULL,                  -- Which reminder ('24hours' or '1hour', see reminders.js)
+        sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,      -- When the email was sent
+        UNIQUE (event_id, occurrence_date, user_id, reminder), -- Each reminder is sent once
+        FOREIGN KEY (event_id) REFERENCES events (id),   -- Link to events table
+        FOREIGN KEY (user_id) REFERENCES users (id)      -- Link to users table
+    )`,
+
+    // Who did what and when. Entries keep copies of the names involved, so they outlive them
+    `CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,    -- Unique entry ID
+        action TEXT NOT NULL,                    -- What happened, e.g. 'event.update' (see AUDIT_ACTIONS in server.js)
+        user_id INTEGER,                         -- User who did it (NULL for failed logins with an unknown username)
+        username TEXT,                           -- Their username at the time, or the username tried at login
+        entity_type TEXT,                        -- Kind of thing changed ('event'), NULL for logins and logouts
+        entity_id INTEGER,                       -- ID of the thing changed
+        entity_label TEXT,                       -- Its title at the time
+        ip_address TEXT,                         -- Address the request came from
+        changes TEXT,                            -- JSON { field: { before, after } } of what changed
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- When it happened (UTC)
+        FOREIGN KEY (user_id) REFERENCES users (id)     -- Link to users table
+    )`,
+
+    // Every saved version of every event, numbered per event
+    `CREATE TABLE IF NOT EXISTS event_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,    -- Unique revision ID
+        event_id INTEGER NOT NULL,               -- Event this is a version of
+        revision INTEGER NOT NULL,               -- 1 for the first version, counting up per event
+        snapshot TEXT NOT NULL,                  -- JSON of the event's fields (see REVISION_FIELDS)
+        restored_from INTEGER,                   -- Revision this one rolled back to (NULL for normal saves)
+        user_id INTEGER,                         -- User who saved this version
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- When it was saved (UTC)
+        UNIQUE (event_id, revision),             -- One row per revision number
+        FOREIGN KEY (event_id) REFERENCES events (id),  -- Link to events table
+        FOREIGN KEY (user_id) REFERENCES users (id)     -- Link to users table
+    )`,
+
+    // FTS5 index over event titles and descriptions. The text lives in events ("external content");
+    // the index only stores what it needs to find and rank it
+    `CREATE VIRTUAL TABLE IF NOT EXISTS events_fts USING fts5(
+        title,                                   -- Indexed event title
+        description,                             -- Indexed event description
+        content='events',                        -- Read the text back from the events table
+        content_rowid='id',                      -- events.id is the row ID in the index
+        tokenize='unicode61 remove_diacritics 2' -- Case- and accent-insensitive words
+    )`,
+
+    // User login sessions and their tokens
+    `CREATE TABLE IF NOT EXISTS sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,    -- Unique session ID
+        user_id INTEGER NOT NULL,                -- User ID this session belongs to
+        token TEXT UNIQUE NOT NULL,              -- Unique session token
+        expires_at DATETIME NOT NULL,            -- When this session expires
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,  -- Session creation time
+        FOREIGN KEY (user_id) REFERENCES users (id)     -- Link to users table
+    )`,
+
+    // Key/value pairs for site-wide configuration (see DEFAULT_SETTINGS in database.js)
+    `CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,                    -- Setting name (e.g. 'siteTitle')
+        value TEXT NOT NULL,                     -- Setting value
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP   -- Last change time
+    )`
+];
+
+module.exports = {
+    description: 'Baseline schema: users, events and everything attached to them, search index, sessions and settings',
+
+    /**
+     * Create the baseline schema, or upgrade a database from before migrations to it
+     * @param {Object} db - Promise helpers { run, get, all } on the migrating connection
+     * @returns {Promise<void>}
+     */
+    async up(db) {
+        // ===== EVENTS TABLE =====
+        await db.run(eventsTableSql('events'));
+
+        // CREATE TABLE IF NOT EXISTS never changes a table that already exists
+        const eventColumns = (await db.all(`PRAGMA table_info(events)`)).map(column => column.name);
+        for (const [column, definition] of LATER_EVENT_COLUMNS) {
+            if (!eventColumns.includes(column)) {
+                await db.run(`ALTER TABLE events ADD COLUMN ${column} ${definition}`);
+                eventColumns.push(column);
+            }
+        }
+
+        // Databases from before event types could be managed only allow the three built-in types.
+        // SQLite cannot drop a constraint, so every row is copied into a fresh table that replaces
+        // the old one (IDs are kept, so the search index still matches)
+        const { sql } = await db.get(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'events'`);
+        if (sql.includes('CHECK(type IN')) {
+            const columns = eventColumns.join(', ');
+            await db.run(eventsTableSql('events_upgraded'));
+            await db.run(`INSERT INTO events_upgraded (${columns}) SELECT ${columns} FROM events`);
+            await db.run(`DROP TABLE events`);   // Also drops any search triggers on the old table
+            await db.run(`ALTER TABLE events_upgraded RENAME TO events`);
+        }
+
+        // ===== OTHER TABLES =====
+        for (const tableSql of TABLES) {
+            await db.run(tableSql);
+        }
+
+        // ===== SEARCH INDEX =====
+        for (const triggerSql of SEARCH_TRIGGERS) {
+            await db.run(triggerSql);
+        }
+        // Index events stored before the index existed
+        await db.run(`INSERT INTO events_fts (events_fts) VALUES ('rebuild')`);
+
+        // ===== DATA =====
+        // Start with the built-in types - only while the table is empty
+        await db.run(`
+            INSERT INTO event_types (name, label, color, icon)
+            SELECT * FROM (VALUES ${DEFAULT_EVENT_TYPES.map(() => '(?, ?, ?, ?)').join(', ')})
+            WHERE NOT EXISTS (SELECT 1 FROM event_types)
+        `, DEFAULT_EVENT_TYPES.flatMap(type => [type.name, type.label, type.color, type.icon]));
+
+        // Events stored before timezones existed were scheduled in the institution's timezone
+        await db.run(`
+            UPDATE events SET timezone = COALESCE((SELECT value FROM settings WHERE key = 'timezone'), 'UTC')
+            WHERE timezone IS NULL
+        `);
+
+        // Events saved before revisions were kept start their history with the version they have now
+        await db.run(`
+            INSERT INTO event_revisions (event_id, revision, snapshot, user_id, created_at)
+            SELECT e.id, 1, json_object(${REVISION_FIELDS.map(field => `'${field}', e.${field}`).join(', ')}),
+                   e.created_by, COALESCE(e.updated_at, e.created_at)
+            FROM events e
+            WHERE NOT EXISTS (SELECT 1 FROM event_revisions r WHERE r.event_id = e.id)
+        `);
+    }
+};
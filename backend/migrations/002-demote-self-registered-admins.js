@@ -0,0 +1,44 @@
+// ============================================================================
+// MIGRATION 002 - DEMOTE SELF-REGISTERED ADMINS
+// ============================================================================
+// Before roles existed, the users table gave every new account role 'admin', so everyone who
+// registered through the public sign-up page became an administrator. Roles only changed the
+// default for new tables, and CREATE TABLE IF NOT EXISTS leaves an old table as it was - so
+// those accounts would keep full admin rights after upgrading.
+//
+// This makes every admin account of such a database a student, except the seeded demo admin.
+// An admin can promote the people who really should be admins again in User Management; the
+// usernames changed are printed so they know whom to look at.
+//
+// Databases whose users table was created after roles existed are left alone: their admins
+// were made admins on purpose.
+// ============================================================================
+
+// The account createDemoAdmin() seeds (see database.js) - the one admin a new calendar starts with
+const SEEDED_ADMIN_USERNAME = 'admin';
+
+module.exports = {
+    description: 'Make accounts that became admins by registering before roles existed students',
+
+    /**
+     * Demote the self-registered admins of a database from before roles existed
+     * @param {Object} db - Promise helpers { run, get, all } on the migrating connection
+     * @returns {Promise<void>}
+     */
+    async up(db) {
+        // The old table still says so in the statement it was created with
+        const { sql } = await db.get(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'users'`);
+        if (!/role\s+TEXT\s+DEFAULT\s+'admin'/i.test(sql)) return;
+
+        const demoted = await db.all(`
+            SELECT username FROM users WHERE role = 'admin' AND username <> ? ORDER BY username
+        `, [SEEDED_ADMIN_USERNAME]);
+        if (demoted.length === 0) return;
+
+        await db.run(`UPDATE users SET role = 'student' WHERE role = 'admin' AND username <> ?`, [SEEDED_ADMIN_USERNAME]);
+
+        console.log(`⚠️  ${demoted.length} account${demoted.length === 1 ? '' : 's'} registered before roles existed had admin rights and ` +
+            `${demoted.length === 1 ? 'is' : 'are'} now student${demoted.length === 1 ? '' : 's'}: ${demoted.map(user => user.username).join(', ')}`);
+        console.log(`   Sign in as ${SEEDED_ADMIN_USERNAME} and promote anyone who should be an editor or admin in User Management.`);
+    }
+};
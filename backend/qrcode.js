@@ -0,0 +1,538 @@
+// ============================================================================
+// BOXO EVENT CALENDAR - QR CODE GENERATION
+// ============================================================================
+// This file draws QR codes (ISO/IEC 18004) as SVG images without any outside service:
+// 1. Encoding text as bytes and splitting it into error-corrected blocks
+// 2. Reed-Solomon error correction over GF(256)
+// 3. Placing finder, timing and alignment patterns and the data in the grid
+// 4. Choosing the mask that gives scanners the easiest image to read
+// 5. Rendering the finished grid as an SVG image
+//
+// Only byte mode at error correction level M, versions 1 to 10, is supported.
+// That holds up to 213 bytes - plenty for the check-in links this app prints.
+// ============================================================================
+
+// ===== CONSTANTS =====
+const MAX_VERSION = 10;               // Largest symbol supported (57 x 57 modules)
+const QUIET_ZONE = 4;                 // Light border around the symbol required by scanners
+const FORMAT_BITS_LEVEL_M = 0;        // Error correction level M as written in the format information
+const FORMAT_GENERATOR = 0x537;       // BCH generator for the 15-bit format information
+const FORMAT_MASK = 0x5412;           // XOR mask that stops the format information being all zeros
+const VERSION_GENERATOR = 0x1F25;     // BCH generator for the 18-bit version information
+const PAD_BYTES = [0xEC, 0x11];       // Alternating filler bytes after the data
+
+// Error correction block structure for level M: error correction codewords per block,
+// then [number of blocks, data codewords per block] for each group of blocks
+const LEVEL_M_BLOCKS = {
+    1: { ecPerBlock: 10, groups: [[1, 16]] },
+    2: { ecPerBlock: 16, groups: [[1, 28]] },
+    3: { ecPerBlock: 26, groups: [[1, 44]] },
+    4: { ecPerBlock: 18, groups: [[2, 32]] },
+    5: { ecPerBlock: 24, groups: [[2, 43]] },
+    6: { ecPerBlock: 16, groups: [[4, 27]] },
+    7: { ecPerBlock: 18, groups: [[4, 31]] },
+    8: { ecPerBlock: 22, groups: [[2, 38], [2, 39]] },
+    9: { ecPerBlock: 22, groups: [[3, 36], [2, 37]] },
+    10: { ecPerBlock: 26, groups: [[4, 43], [1, 44]] }
+};
+
+// The eight mask patterns - a data module is inverted where its pattern returns true
+const MASK_PATTERNS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// ===== GALOIS FIELD ARITHMETIC =====
+// Reed-Solomon codes work in GF(256) built from the polynomial x^8 + x^4 + x^3 + x^2 + 1.
+// Multiplication uses log/antilog tables so it becomes an addition of exponents.
+const EXP_TABLE = new Array(512);
+const LOG_TABLE = new Array(256);
+(() => {
+    let value = 1;
+    for (let i = 0; i < 255; i++) {
+        EXP_TABLE[i] = value;
+        LOG_TABLE[value] = i;
+        value <<= 1;
+        if (value & 0x100) value ^= 0x11D;
+    }
+    // Repeat the table so exponent sums never need wrapping
+    for (let i = 255; i < 512; i++) EXP_TABLE[i] = EXP_TABLE[i - 255];
+})();
+
+/**
+ * Multiply two field elements
+ * @param {number} a - Byte value
+ * @param {number} b - Byte value
+ * @returns {number} Product in GF(256)
+ */
+const gfMultiply = (a, b) => {
+    if (a === 0 || b === 0) return 0;
+    return EXP_TABLE[LOG_TABLE[a] + LOG_TABLE[b]];
+};
+
+// ===== ERROR CORRECTION =====
+
+/**
+ * Build the Reed-Solomon generator polynomial (x - a^0)(x - a^1)...(x - a^(degree-1))
+ * @param {number} degree - Number of error correction codewords
+ * @returns {Array<number>} Coefficients, highest power first (leading 1 omitted)
+ */
+const generatorPolynomial = (degree) => {
+    let poly = [1];
+    for (let i = 0; i < degree; i++) {
+        const next = new Array(poly.length + 1).fill(0);
+        poly.forEach((coefficient, j) => {
+            next[j] ^= coefficient;
+            next[j + 1] ^= gfMultiply(coefficient, EXP_TABLE[i]);
+        });
+        poly = next;
+    }
+    return poly.slice(1);
+};
+
+/**
+ * Calculate the error correction codewords for one block of data
+ * This is the remainder of dividing the data polynomial by the generator polynomial.
+ * @param {Array<number>} data - Data codewords
+ * @param {number} degree - Number of error correction codewords wanted
+ * @returns {Array<number>} Error correction codewords
+ */
+const reedSolomonRemainder = (data, degree) => {
+    const generator = generatorPolynomial(degree);
+    const remainder = new Array(degree).fill(0);
+
+    data.forEach(byte => {
+        const factor = byte ^ remainder.shift();
+        remainder.push(0);
+        generator.forEach((coefficient, i) => {
+            remainder[i] ^= gfMultiply(coefficient, factor);
+        });
+    });
+    return remainder;
+};
+
+// ===== DATA ENCODING =====
+
+/**
+ * Count the data codewords a version holds at level M
+ * @param {number} version - QR version (1-10)
+ * @returns {number} Data codewords
+ */
+const dataCapacity = (version) => LEVEL_M_BLOCKS[version].groups
+    .reduce((total, [blocks, size]) => total + blocks * size, 0);
+
+/**
+ * Bits used for the character count in byte mode
+ * @param {number} version - QR version
+ * @returns {number} 8 for versions 1-9, 16 from version 10
+ */
+const countBits = (version) => (version < 10 ? 8 : 16);
+
+/**
+ * Pick the smallest version that fits the data
+ * @param {number} byteLength - Number of bytes to encode
+ * @returns {number} QR version
+ * @throws {Error} When the data is too long for the supported versions
+ */
+const chooseVersion = (byteLength) => {
+    for (let version = 1; version <= MAX_VERSION; version++) {
+        // Mode indicator (4 bits) + character count + 8 bits per byte
+        const bitsNeeded = 4 + countBits(version) + byteLength * 8;
+        if (bitsNeeded <= dataCapacity(version) * 8) return version;
+    }
+    throw new Error('Text is too long for a QR code');
+};
+
+/**
+ * Turn bytes into the padded sequence of data codewords for a version
+ * @param {Buffer} bytes - Data to encode
+ * @param {number} version - QR version
+ * @returns {Array<number>} Data codewords
+ */
+const encodeData = (bytes, version) => {
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    append(0b0100, 4);                           // Byte mode
+    append(bytes.length, countBits(version));
+    bytes.forEach(byte => append(byte, 8));
+
+    const capacityBits = dataCapacity(version) * 8;
+    append(0, Math.min(4, capacityBits - bits.length)); // Terminator
+    append(0, (8 - (bits.length % 8)) % 8);             // Fill up the last byte
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let i = 0; codewords.length < dataCapacity(version); i++) {
+        codewords.push(PAD_BYTES[i % 2]);
+    }
+    return codewords;
+};
+
+/**
+ * Split data codewords into blocks, add error correction and interleave the result
+ * Scanners read the codewords column by column across blocks, so damage to one area
+ * of the image is spread over several blocks.
+ * @param {Array<number>} data - Data codewords
+ * @param {number} version - QR version
+ * @returns {Array<number>} Final codeword sequence
+ */
+const addErrorCorrection = (data, version) => {
+    const { ecPerBlock, groups } = LEVEL_M_BLOCKS[version];
+    const blocks = [];
+    let offset = 0;
+
+    groups.forEach(([count, size]) => {
+        for (let i = 0; i < count; i++) {
+            const blockData = data.slice(offset, offset + size);
+            blocks.push({ data: blockData, ec: reedSolomonRemainder(blockData, ecPerBlock) });
+            offset += size;
+        }
+    });
+
+    const result = [];
+    const longestBlock = Math.max(...blocks.map(block => block.data.length));
+    for (let i = 0; i < longestBlock; i++) {
+        blocks.forEach(block => {
+            if (i < block.data.length) result.push(block.data[i]);
+        });
+    }
+    for (let i = 0; i < ecPerBlock; i++) {
+        blocks.forEach(block => result.push(block.ec[i]));
+    }
+    return result;
+};
+
+// ===== MATRIX CONSTRUCTION =====
+
+/**
+ * Create an empty symbol
+ * @param {number} version - QR version
+ * @returns {Object} { size, modules, reserved } - reserved marks function pattern modules
+ */
+const createMatrix = (version) => {
+    const size = version * 4 + 17;
+    const grid = () => Array.from({ length: size }, () => new Array(size).fill(false));
+    return { size, modules: grid(), reserved: grid() };
+};
+
+/**
+ * Set a function pattern module (never touched by data placement or masking)
+ * @param {Object} matrix - Symbol being built
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @param {boolean} dark - Whether the module is dark
+ */
+const setFunctionModule = (matrix, x, y, dark) => {
+    matrix.modules[y][x] = dark;
+    matrix.reserved[y][x] = true;
+};
+
+/**
+ * Row and column centres of the alignment patterns for a version
+ * @param {number} version - QR version
+ * @returns {Array<number>} Centre coordinates (empty for version 1)
+ */
+const alignmentPositions = (version) => {
+    if (version === 1) return [];
+    const size = version * 4 + 17;
+    const count = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 4 + count * 2 + 1) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let i = count - 1, position = size - 7; i >= 1; i--, position -= step) {
+        positions.splice(1, 0, position);
+    }
+    return positions;
+};
+
+/**
+ * Write the 15-bit format information (error correction level and mask) in both copies
+ * @param {Object} matrix - Symbol being built
+ * @param {number} mask - Mask pattern number (0-7)
+ */
+const drawFormatBits = (matrix, mask) => {
+    const { size } = matrix;
+    const data = (FORMAT_BITS_LEVEL_M << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 9) * FORMAT_GENERATOR);
+    }
+    const bits = ((data << 10) | remainder) ^ FORMAT_MASK;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+
+    // First copy, around the top-left finder pattern
+    for (let i = 0; i <= 5; i++) setFunctionModule(matrix, 8, i, bit(i));
+    setFunctionModule(matrix, 8, 7, bit(6));
+    setFunctionModule(matrix, 8, 8, bit(7));
+    setFunctionModule(matrix, 7, 8, bit(8));
+    for (let i = 9; i < 15; i++) setFunctionModule(matrix, 14 - i, 8, bit(i));
+
+    // Second copy, split between the other two finder patterns
+    for (let i = 0; i < 8; i++) setFunctionModule(matrix, size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) setFunctionModule(matrix, 8, size - 15 + i, bit(i));
+    setFunctionModule(matrix, 8, size - 8, true); // The "dark module" is always dark
+};
+
+/**
+ * Write the 18-bit version information blocks (versions 7 and up only)
+ * @param {Object} matrix - Symbol being built
+ * @param {number} version - QR version
+ */
+const drawVersionBits = (matrix, version) => {
+    if (version < 7) return;
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 11) * VERSION_GENERATOR);
+    }
+    const bits = (version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = matrix.size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        setFunctionModule(matrix, a, b, dark);
+        setFunctionModule(matrix, b, a, dark);
+    }
+};
+
+/**
+ * Draw every function pattern: timing lines, finders, alignment patterns and
+ * placeholders for the format and version information
+ * @param {Object} matrix - Symbol being built
+ * @param {number} version - QR version
+ */
+const drawFunctionPatterns = (matrix, version) => {
+    const { size } = matrix;
+
+    // Timing patterns - alternating modules along row 6 and column 6
+    for (let i = 0; i < size; i++) {
+        setFunctionModule(matrix, 6, i, i % 2 === 0);
+        setFunctionModule(matrix, i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns in three corners, including their light separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || x >= size || y < 0 || y >= size) continue;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                setFunctionModule(matrix, x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    });
+
+    // Alignment patterns everywhere on the grid of centres except over the finders
+    const positions = alignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cy, i) => {
+        positions.forEach((cx, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    setFunctionModule(matrix, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    // Reserve the format area now; the real bits are written once the mask is chosen
+    drawFormatBits(matrix, 0);
+    drawVersionBits(matrix, version);
+};
+
+/**
+ * Place the codewords in the zig-zag order QR scanners read them
+ * Data runs in two-module-wide columns from the bottom right, alternating upwards
+ * and downwards and skipping the vertical timing pattern.
+ * @param {Object} matrix - Symbol being built
+ * @param {Array<number>} codewords - Final codeword sequence
+ */
+const drawCodewords = (matrix, codewords) => {
+    const { size } = matrix;
+    const totalBits = codewords.length * 8;
+    let bitIndex = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+        for (let vertical = 0; vertical < size; vertical++) {
+            const y = upward ? size - 1 - vertical : vertical;
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                if (matrix.reserved[y][x]) continue;
+                // Modules left over after the data are remainder bits and stay light
+                if (bitIndex < totalBits) {
+                    const byte = codewords[bitIndex >>> 3];
+                    matrix.modules[y][x] = ((byte >>> (7 - (bitIndex & 7))) & 1) === 1;
+                    bitIndex++;
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Invert the data modules selected by a mask pattern (applying it twice undoes it)
+ * @param {Object} matrix - Symbol being built
+ * @param {number} mask - Mask pattern number (0-7)
+ */
+const applyMask = (matrix, mask) => {
+    const pattern = MASK_PATTERNS[mask];
+    for (let y = 0; y < matrix.size; y++) {
+        for (let x = 0; x < matrix.size; x++) {
+            if (!matrix.reserved[y][x] && pattern(x, y)) {
+                matrix.modules[y][x] = !matrix.modules[y][x];
+            }
+        }
+    }
+};
+
+// ===== MASK SELECTION =====
+
+/**
+ * Score how hard a symbol is to scan using the four penalty rules of the standard
+ * Long runs, 2x2 blocks, patterns that look like finders and an uneven dark/light
+ * balance all add to the score - the mask with the lowest score wins.
+ * @param {Object} matrix - Finished symbol
+ * @returns {number} Penalty score
+ */
+const penaltyScore = (matrix) => {
+    const { size, modules } = matrix;
+    const finderLike = [
+        [true, false, true, true, true, false, true, false, false, false, false],
+        [false, false, false, false, true, false, true, true, true, false, true]
+    ];
+    let score = 0;
+    let darkCount = 0;
+
+    const scoreLine = (line) => {
+        // Rule 1: runs of five or more modules of the same colour
+        let runLength = 1;
+        for (let i = 1; i <= line.length; i++) {
+            if (i < line.length && line[i] === line[i - 1]) {
+                runLength++;
+            } else {
+                if (runLength >= 5) score += runLength - 2;
+                runLength = 1;
+            }
+        }
+        // Rule 3: dark-light-dark-dark-dark-light-dark with four light modules on one side
+        for (let i = 0; i + 11 <= line.length; i++) {
+            if (finderLike.some(pattern => pattern.every((dark, k) => line[i + k] === dark))) {
+                score += 40;
+            }
+        }
+    };
+
+    for (let i = 0; i < size; i++) {
+        scoreLine(modules[i]);
+        scoreLine(modules.map(row => row[i]));
+    }
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) darkCount++;
+            // Rule 2: 2x2 blocks of one colour
+            if (x < size - 1 && y < size - 1) {
+                const colour = modules[y][x];
+                if (modules[y][x + 1] === colour && modules[y + 1][x] === colour && modules[y + 1][x + 1] === colour) {
+                    score += 3;
+                }
+            }
+        }
+    }
+
+    // Rule 4: 10 points for every 5% the dark share strays from 50%
+    const darkPercent = (darkCount * 100) / (size * size);
+    score += Math.floor(Math.abs(darkPercent - 50) / 5) * 10;
+
+    return score;
+};
+
+// ===== PUBLIC API =====
+
+/**
+ * Encode text as a QR code
+ * @param {string} text - Text to encode (UTF-8)
+ * @returns {Object} { size, modules } - modules[y][x] is true for dark modules
+ * @throws {Error} When the text is too long
+ */
+const encode = (text) => {
+    const bytes = Buffer.from(String(text), 'utf8');
+    const version = chooseVersion(bytes.length);
+    const codewords = addErrorCorrection(encodeData(bytes, version), version);
+
+    const matrix = createMatrix(version);
+    drawFunctionPatterns(matrix, version);
+    drawCodewords(matrix, codewords);
+
+    // Try every mask and keep the one that scores best
+    let bestMask = 0;
+    let bestScore = Infinity;
+    for (let mask = 0; mask < MASK_PATTERNS.length; mask++) {
+        applyMask(matrix, mask);
+        drawFormatBits(matrix, mask);
+        const score = penaltyScore(matrix);
+        if (score < bestScore) {
+            bestScore = score;
+            bestMask = mask;
+        }
+        applyMask(matrix, mask); // Undo before trying the next one
+    }
+    applyMask(matrix, bestMask);
+    drawFormatBits(matrix, bestMask);
+
+    return { size: matrix.size, modules: matrix.modules };
+};
+
+/**
+ * Render text as a QR code SVG image
+ * Each dark module becomes a one-unit square in a single path, and the viewBox
+ * includes the quiet zone, so the image scales cleanly to any print size.
+ * @param {string} text - Text to encode
+ * @param {Object} options - { title } - optional accessible title for the image
+ * @returns {string} SVG document
+ */
+const toSvg = (text, { title } = {}) => {
+    const { size, modules } = encode(text);
+    const dimension = size + QUIET_ZONE * 2;
+    const path = [];
+
+    modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (dark) path.push(`M${x + QUIET_ZONE} ${y + QUIET_ZONE}h1v1h-1z`);
+        });
+    });
+
+    const escapeXml = (value) => String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges" role="img">`,
+        title ? `<title>${escapeXml(title)}</title>` : '',
+        `<rect width="${dimension}" height="${dimension}" fill="#ffffff"/>`,
+        `<path d="${path.join('')}" fill="#000000"/>`,
+        '</svg>'
+    ].join('');
+};
+
+// ===== EXPORT MODULE =====
+module.exports = {
+    encode,
+    toSvg
+};
@@ -0,0 +1,319 @@
+// ============================================================================
+// BOXO EVENT CALENDAR - RECURRENCE RULES
+// ============================================================================
+// This file implements the subset of RFC 5545 recurrence rules (RRULE) that
+// the calendar supports:
+// 1. Parsing and normalizing rules such as "FREQ=WEEKLY;INTERVAL=2;COUNT=6"
+// 2. Expanding a rule into the dates of every occurrence
+// 3. Applying per-occurrence exceptions (cancelled or modified occurrences)
+// 4. Giving every occurrence the same duration as the event it belongs to
+// Every rule must end, either after COUNT occurrences or on an UNTIL date,
+// so a series can always be expanded completely.
+// ============================================================================
+
+// ===== CONSTANTS =====
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];  // Supported FREQ values
+const MAX_OCCURRENCES = 500;                          // Upper bound on occurrences per series
+const MAX_INTERVAL = 99;                              // Upper bound on INTERVAL
+
+// ===== DATE HELPERS =====
+// Dates are handled as 'YYYY-MM-DD' strings and calculated in UTC so that
+// daylight saving changes never shift an occurrence to another day.
+
+/**
+ * Convert a 'YYYY-MM-DD' string into a UTC Date at midnight
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @returns {Date} Date object
+ */
+const toUtcDate = (dateString) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+};
+
+/**
+ * Convert a UTC Date back into a 'YYYY-MM-DD' string
+ * @param {Date} date - Date object
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Add a number of days to a date string
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Resulting date in YYYY-MM-DD format
+ */
+const addDays = (dateString, days) => {
+    const date = toUtcDate(dateString);
+    date.setUTCDate(date.getUTCDate() + days);
+    return toDateString(date);
+};
+
+/**
+ * Count the days from one date to another
+ * @param {string} fromDate - Start date in YYYY-MM-DD format
+ * @param {string} toDate - End date in YYYY-MM-DD format
+ * @returns {number} Whole days between the dates (negative if toDate is earlier)
+ */
+const daysBetween = (fromDate, toDate) => {
+    return Math.round((toUtcDate(toDate).getTime() - toUtcDate(fromDate).getTime()) / 86400000);
+};
+
+/**
+ * Convert an 'HH:MM' time into minutes after midnight
+ * @param {string} time - Time in HH:MM format
+ * @returns {number} Minutes after midnight
+ */
+const toMinutes = (time) => {
+    const [hours = 0, minutes = 0] = String(time || '').split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// ===== DURATIONS =====
+// An event's end is stored as end_date (and end_time for timed events). Occurrences
+// of a series, and occurrences moved by an exception, keep the series' duration.
+
+/**
+ * Work out how long an event lasts
+ * All-day events last whole days; timed events are measured in minutes of wall-clock time
+ * @param {Object} event - Event with date, time, end_date, end_time and all_day
+ * @returns {Object|null} { days } or { minutes }, or null if the event has no end
+ */
+const getDuration = (event) => {
+    if (!event.end_date) return null;
+    if (event.all_day) {
+        return { days: daysBetween(event.date, event.end_date) };
+    }
+    return { minutes: daysBetween(event.date, event.end_date) * 1440 + toMinutes(event.end_time) - toMinutes(event.time) };
+};
+
+/**
+ * Set an occurrence's end from its (possibly moved) start and a duration
+ * @param {Object} occurrence - Occurrence with date and time
+ * @param {Object|null} duration - Duration from getDuration
+ * @returns {Object} The same occurrence with end_date and end_time filled in
+ */
+const applyDuration = (occurrence, duration) => {
+    if (!duration) return occurrence;
+    if (duration.days !== undefined) {
+        occurrence.end_date = addDays(occurrence.date, duration.days);
+        occurrence.end_time = null;
+        return occurrence;
+    }
+    const endMinutes = toMinutes(occurrence.time) + duration.minutes;
+    const minutesOfDay = ((endMinutes % 1440) + 1440) % 1440;
+    occurrence.end_date = addDays(occurrence.date, Math.floor(endMinutes / 1440));
+    occurrence.end_time = `${String(Math.floor(minutesOfDay / 60)).padStart(2, '0')}:${String(minutesOfDay % 60).padStart(2, '0')}`;
+    return occurrence;
+};
+
+/**
+ * Check whether an occurrence overlaps a date range
+ * Multi-day occurrences count for every day from their start to their end
+ * @param {Object} occurrence - Occurrence with date and optional end_date
+ * @param {string|null} from - First date of the range (inclusive)
+ * @param {string|null} to - Last date of the range (inclusive)
+ * @returns {boolean} True if any day of the occurrence falls in the range
+ */
+const overlapsRange = (occurrence, from, to) => {
+    return (!from || (occurrence.end_date || occurrence.date) >= from) && (!to || occurrence.date <= to);
+};
+
+// ===== RULE PARSING =====
+
+/**
+ * Parse and validate a recurrence rule
+ * Accepts an optional "RRULE:" prefix. UNTIL may be a DATE or a DATE-TIME; only its date is used.
+ * @param {string} ruleString - Rule such as "FREQ=DAILY;COUNT=5" or "FREQ=MONTHLY;UNTIL=20301231"
+ * @returns {Object} { freq, interval, count, until } - until is 'YYYY-MM-DD' or null
+ * @throws {Error} If the rule is malformed or unsupported
+ */
+const parseRule = (ruleString) => {
+    const parts = {};
+    String(ruleString || '').trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+        const [key, value] = part.split('=');
+        parts[String(key).trim().toUpperCase()] = String(value || '').trim().toUpperCase();
+    });
+
+    if (!FREQUENCIES.includes(parts.FREQ)) {
+        throw new Error(`Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+
+    // Anything other than FREQ/INTERVAL/COUNT/UNTIL would be silently ignored, so reject it
+    const unsupported = Object.keys(parts).filter(key => !['FREQ', 'INTERVAL', 'COUNT', 'UNTIL'].includes(key));
+    if (unsupported.length > 0) {
+        throw new Error(`Unsupported recurrence option: ${unsupported.join(', ')}`);
+    }
+
+    const interval = parts.INTERVAL === undefined ? 1 : Number(parts.INTERVAL);
+    if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+        throw new Error(`Recurrence interval must be a whole number between 1 and ${MAX_INTERVAL}`);
+    }
+
+    let count = null;
+    if (parts.COUNT !== undefined) {
+        count = Number(parts.COUNT);
+        if (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES) {
+            throw new Error(`Recurrence count must be a whole number between 1 and ${MAX_OCCURRENCES}`);
+        }
+    }
+
+    let until = null;
+    if (parts.UNTIL !== undefined) {
+        const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(parts.UNTIL);
+        if (!match) {
+            throw new Error('Recurrence end date (UNTIL) must look like YYYYMMDD');
+        }
+        until = `${match[1]}-${match[2]}-${match[3]}`;
+    }
+
+    if (count === null && until === null) {
+        throw new Error('Recurring events must end after a number of occurrences (COUNT) or on a date (UNTIL)');
+    }
+    if (count !== null && until !== null) {
+        throw new Error('A recurrence rule cannot have both COUNT and UNTIL');
+    }
+
+    return { freq: parts.FREQ, interval, count, until };
+};
+
+/**
+ * Turn a parsed rule back into its canonical string form
+ * @param {Object} rule - Parsed rule from parseRule
+ * @returns {string} Rule such as "FREQ=WEEKLY;INTERVAL=2;COUNT=6"
+ */
+const formatRule = (rule) => {
+    const parts = [`FREQ=${rule.freq}`];
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.count !== null) parts.push(`COUNT=${rule.count}`);
+    if (rule.until !== null) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+    return parts.join(';');
+};
+
+/**
+ * Validate a rule and return its canonical form
+ * Empty values mean "does not repeat"
+ * @param {string|null|undefined} ruleString - Rule submitted by a client
+ * @returns {string|null} Canonical rule string, or null for non-recurring events
+ * @throws {Error} If the rule is invalid
+ */
+const normalizeRule = (ruleString) => {
+    if (ruleString === undefined || ruleString === null || String(ruleString).trim() === '') {
+        return null;
+    }
+    return formatRule(parseRule(ruleString));
+};
+
+// ===== EXPANSION =====
+
+/**
+ * List the date of every occurrence of a rule
+ * Monthly rules skip months that do not contain the start day (e.g. the 31st),
+ * and skipped months do not count towards COUNT
+ * @param {string} startDate - Date of the first occurrence (YYYY-MM-DD)
+ * @param {string} ruleString - Recurrence rule
+ * @returns {Array<string>} Occurrence dates in chronological order
+ */
+const expandDates = (startDate, ruleString) => {
+    const rule = parseRule(ruleString);
+    const limit = rule.count !== null ? rule.count : MAX_OCCURRENCES;
+    const [startYear, startMonth, startDay] = startDate.split('-').map(Number);
+    const dates = [];
+
+    for (let step = 0; dates.length < limit; step++) {
+        let candidate;
+
+        if (rule.freq === 'MONTHLY') {
+            // Move whole months, then check that the start day exists in that month
+            const monthIndex = startMonth - 1 + step * rule.interval;
+            const date = new Date(Date.UTC(startYear, monthIndex, startDay));
+            if (date.getUTCDate() !== startDay) {
+                // Day overflowed into the next month - this month has no such day
+                if (rule.until !== null && toDateString(date) > rule.until) break;
+                continue;
+            }
+            candidate = toDateString(date);
+        } else {
+            const daysPerStep = rule.freq === 'WEEKLY' ? 7 : 1;
+            candidate = addDays(startDate, step * rule.interval * daysPerStep);
+        }
+
+        if (rule.until !== null && candidate > rule.until) break;
+        dates.push(candidate);
+    }
+
+    return dates;
+};
+
+/**
+ * Expand one event into its individual occurrences
+ * Non-recurring events produce a single occurrence. Exceptions cancel or override
+ * single occurrences and are matched by the occurrence's original date.
+ * @param {Object} event - Event row (with optional recurrence_rule)
+ * @param {Array<Object>} [exceptions] - Rows from event_exceptions for this event
+ * @param {Object} [options] - Expansion options
+ * @param {string} [options.from] - Only include occurrences that end on or after this date
+ * @param {string} [options.to] - Only include occurrences that start on or before this date
+ * @param {boolean} [options.includeCancelled] - Keep cancelled occurrences (flagged with status 'cancelled')
+ * @returns {Array<Object>} Occurrence objects
+ */
+const expandEvent = (event, exceptions = [], options = {}) => {
+    const { from = null, to = null, includeCancelled = false } = options;
+
+    if (!event.recurrence_rule) {
+        const occurrence = {
+            ...event,
+            occurrence_date: event.date,
+            occurrence_key: String(event.id),
+            status: 'scheduled'
+        };
+        return overlapsRange(occurrence, from, to) ? [occurrence] : [];
+    }
+
+    // Index exceptions by the original date they replace
+    const exceptionsByDate = new Map(exceptions.map(exception => [exception.occurrence_date, exception]));
+    const duration = getDuration(event);
+
+    return expandDates(event.date, event.recurrence_rule)
+        .map(occurrenceDate => {
+            const exception = exceptionsByDate.get(occurrenceDate);
+            const occurrence = {
+                ...event,
+                date: occurrenceDate,
+                occurrence_date: occurrenceDate,
+                occurrence_key: `${event.id}:${occurrenceDate}`,
+                status: 'scheduled'
+            };
+
+            if (exception && exception.status === 'cancelled') {
+                occurrence.status = 'cancelled';
+            } else if (exception) {
+                // Modified occurrence - override only the fields that were changed
+                occurrence.status = 'modified';
+                occurrence.date = exception.date || occurrence.date;
+                occurrence.time = exception.time || occurrence.time;
+                occurrence.title = exception.title || occurrence.title;
+                occurrence.description = exception.description || occurrence.description;
+            }
+
+            return applyDuration(occurrence, duration);
+        })
+        .filter(occurrence => includeCancelled || occurrence.status !== 'cancelled')
+        // Range filtering uses the final dates so moved occurrences appear where they now are
+        .filter(occurrence => overlapsRange(occurrence, from, to));
+};
+
+// ===== EXPORT MODULE =====
+module.exports = {
+    FREQUENCIES,
+    MAX_OCCURRENCES,
+    addDays,
+    applyDuration,
+    daysBetween,
+    expandDates,
+    expandEvent,
+    formatRule,
+    getDuration,
+    normalizeRule,
+    parseRule
+};
@@ -0,0 +1,123 @@
+// ============================================================================
+// BOXO EVENT CALENDAR - EMAIL REMINDERS
+// ============================================================================
+// This file decides when reminder emails are due and writes them:
+// 1. The reminders sent before each occurrence (a day before and an hour before)
+// 2. Picking the one reminder that is due for an occurrence right now
+// 3. Writing the subject and text of a reminder email
+//
+// Sending and the record of what was sent live in server.js and database.js.
+// ============================================================================
+
+// ===== CONSTANTS =====
+// Reminders sent before every occurrence, earliest first - the same moments the
+// calendar page uses for browser notifications
+const REMINDERS = [
+    { name: '24hours', minutes: 24 * 60 },
+    { name: '1hour', minutes: 60 }
+];
+
+// ===== SCHEDULING =====
+
+/**
+ * Find the reminder that is due for an occurrence
+ * A reminder is due once its time has come and until the occurrence starts. When
+ * several are due (the server was down, or the event was created at short notice)
+ * only the latest one counts, so nobody gets a "tomorrow" email an hour before.
+ * @param {Object} occurrence - Occurrence with starts_at_utc (see timezone.withInstants)
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object|null} Entry of REMINDERS, or null when no reminder is due
+ */
+const dueReminder = (occurrence, now) => {
+    const start = new Date(occurrence.starts_at_utc).getTime();
+    if (start <= now) return null;
+
+    const due = REMINDERS.filter(reminder => start - reminder.minutes * 60 * 1000 <= now);
+    return due.length > 0 ? due[due.length - 1] : null;
+};
+
+// ===== EMAIL CONTENT =====
+
+/**
+ * Describe how long until an occurrence starts
+ * @param {number} minutes - Whole minutes until the start
+ * @returns {string} e.g. "in 45 minutes", "in 1 hour", "in 23 hours"
+ */
+const describeStartsIn = (minutes) => {
+    if (minutes < 90) {
+        return `in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+    const hours = Math.round(minutes / 60);
+    return `in ${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+/**
+ * Format when an occurrence takes place, in the timezone it was scheduled in
+ * @param {Object} occurrence - Occurrence with date, all_day, timezone and starts_at_utc
+ * @returns {string} e.g. "Monday, October 19, 2026 at 2:00 PM GMT+1" or "Monday, October 19, 2026 (all day)"
+ */
+const formatWhen = (occurrence) => {
+    const dateOptions = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
+
+    if (occurrence.all_day) {
+        // All-day dates are the same everywhere; read them at noon UTC so no offset moves them
+        const day = new Date(`${occurrence.date}T12:00:00Z`).toLocaleDateString('en-US', { ...dateOptions, timeZone: 'UTC' });
+        return `${day} (all day)`;
+    }
+    return new Date(occurrence.starts_at_utc).toLocaleString('en-US', {
+        ...dateOptions,
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZone: occurrence.timezone,
+        timeZoneName: 'short'
+    });
+};
+
+/**
+ * Write the reminder email for one person and one occurrence
+ * @param {Object} occurrence - Occurrence with instants (see timezone.withInstants)
+ * @param {Object} recipient - { full_name }
+ * @param {Object} options - { siteTitle, publicUrl, now }
+ * @returns {Object} { subject, text }
+ */
+const buildReminderEmail = (occurrence, recipient, { siteTitle, publicUrl, now }) => {
+    const minutesUntil = Math.max(1, Math.round((new Date(occurrence.starts_at_utc).getTime() - now) / 60000));
+    const startsIn = occurrence.all_day ? formatWhen(occurrence) : describeStartsIn(minutesUntil);
+
+    const details = [`When:      ${formatWhen(occurrence)}`];
+    if (occurrence.location) details.push(`Where:     ${occurrence.location}`);
+    if (occurrence.online_url) details.push(`Join:      ${occurrence.online_url}`);
+    if (occurrence.dial_in) details.push(`Dial-in:   ${occurrence.dial_in}`);
+
+    const lines = [
+        `Hello ${recipient.full_name},`,
+        '',
+        occurrence.all_day
+            ? `This is a reminder that "${occurrence.title}" is on ${startsIn}.`
+            : `This is a reminder that "${occurrence.title}" starts ${startsIn}.`,
+        '',
+        ...details,
+        '',
+        `See the full calendar at ${publicUrl}`,
+        '',
+        'You are receiving this email because you registered for this event.',
+        'Cancel your registration on the calendar to stop these reminders.',
+        '',
+        '-- ',
+        siteTitle
+    ];
+
+    return {
+        subject: occurrence.all_day
+            ? `Reminder: ${occurrence.title} - ${formatWhen(occurrence)}`
+            : `Reminder: ${occurrence.title} starts ${startsIn}`,
+        text: lines.join('\n')
+    };
+};
+
+// ===== EXPORT MODULE =====
+module.exports = {
+    REMINDERS,
+    buildReminderEmail,
+    dueReminder
+};
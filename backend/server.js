@@ -2,10 +2,22 @@
 // BOXO EVENT CALENDAR - BACKEND SERVER
 // ============================================================================
 // This file creates the main web server that handles:
-// 1. User authentication (login/register/logout)
-// 2. Event management (create/read/update/delete events)
-// 3. Serving frontend files to users
-// 4. Database operations through the Database class
+// 1. User authentication (login/register/logout) and role-based permissions, with failed
+//    logins slowed down and locked out per username and per address
+// 2. Event management (create/read/update/delete events) with per-field validation,
+//    bulk changes to many events at once, a trash for deleted events and a revision
+//    history that events can be rolled back to; import from .ics and CSV files, export to CSV
+// 3. Site-wide settings (site title, admin email, timezone) and admin-managed event types
+// 4. Event registration with optional capacity and a waitlist, and registration rosters
+// 5. QR code attendance check-in and attendance reports
+// 6. Reminder emails to registered users, sent over SMTP in the background
+// 7. Live event updates for open pages over Server-Sent Events
+// 8. An audit log of event changes, logins and logouts (who, when, from where, before/after)
+// 9. Backups of the whole calendar as JSON or SQLite files, restoring from them, and scheduled
+//    backups to a directory on the server
+// 10. Serving frontend files to users
+// 11. Data storage through the storage interface in storage.js - the SQLite database (schema
+//     migrations are applied before the server starts) or, with STORAGE=memory, memory only
 // ============================================================================
 
 // ===== IMPORTS & DEPENDENCIES =====
@@ -14,22 +26,260 @@ const cors = require('cors');              // Cross-Origin Resource Sharing - al
 const bodyParser = require('body-parser'); // Parses incoming request data (JSON, form data)
 const path = require('path');              // Node.js utility for working with file/directory paths
 const crypto = require('crypto');          // Node.js built-in module for cryptographic functions
-const Database = require('./database');    // Our custom database class (imports from database.js)
+const fs = require('fs');                  // Node.js file system module (backup files)
+const os = require('os');                  // Temporary directory for backup files being sent or read
+const storage = require('./storage');      // Storage interface and choice of storage (imports from storage.js)
+const ics = require('./ics');              // iCalendar feed builder and parser (imports from ics.js)
+const recurrence = require('./recurrence'); // Recurrence rule validation and expansion (imports from recurrence.js)
+const timezone = require('./timezone');    // Zoned <-> UTC time conversion (imports from timezone.js)
+const validation = require('./validation'); // Schema-based request validation (imports from validation.js)
+const csv = require('./csv');              // CSV file builder and parser (imports from csv.js)
+const qrcode = require('./qrcode');        // QR code SVG generator for check-in codes (imports from qrcode.js)
+const smtp = require('./smtp');            // SMTP email client (imports from smtp.js)
+const reminders = require('./reminders');  // Reminder timing and email text (imports from reminders.js)
+const backup = require('./backup');        // Backup validation and backup directory handling (imports from backup.js)
+const loginThrottle = require('./login-throttle'); // Failed login counting and lockouts (imports from login-throttle.js)
 
 // ===== SERVER SETUP =====
 const app = express();                     // Create an Express application instance
 const PORT = process.env.PORT || 3000;     // Set server port: use environment variable OR default to 3000
+const ROLES = ['student', 'editor', 'admin'];              // User roles, from least to most privileged
+const MAX_PAGE_SIZE = 500;                                 // Largest page GET /api/events will return
+const MAX_SEARCH_RESULTS = 100;                            // Largest page GET /api/events/search will return
+const MAX_AUDIT_PAGE_SIZE = 200;                           // Largest page GET /api/audit-log will return
+const DEFAULT_AUDIT_PAGE_SIZE = 50;                        // Page size of GET /api/audit-log without a limit
+const MAX_CAPACITY = 10000;                                // Largest number of seats an event can have
+const MAX_BULK_EVENTS = 200;                               // Most events one bulk change can cover
+const MAX_BULK_SHIFT_DAYS = 365;                           // Furthest a bulk change can move events, in days
+const CHECKIN_OPENS_MINUTES = 60;                          // How long before an event starts check-in opens
+const SMTP_CONFIG = smtp.configFromEnv(process.env);       // Mail server for reminder emails (null = reminders off)
+const MAIL_FROM = process.env.MAIL_FROM || null;           // Sender address for emails (default: the admin email setting)
+const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${PORT}`; // Calendar address used in emails
+const REMINDER_CHECK_INTERVAL = 60 * 1000;                 // How often to look for due reminders (milliseconds)
+const LIVE_UPDATE_RETRY = 5 * 1000;                        // How long browsers wait before reconnecting to the live stream (milliseconds)
+const LIVE_UPDATE_HEARTBEAT = 25 * 1000;                   // How often idle live streams get a comment so proxies keep them open
+const STORAGE_CONFIG = storage.configFromEnv(process.env); // Where data is kept ('sqlite' by default, STORAGE=memory for demos and tests)
+const BACKUP_CONFIG = STORAGE_CONFIG.type === 'sqlite'     // Scheduled backups (null = off, set BACKUP_DIR to turn them on)
+    ? backup.configFromEnv(process.env) : null;            // They are SQLite files, so only the SQLite storage takes them
+const BACKUP_CHECK_INTERVAL = 10 * 60 * 1000;              // How often to check whether a scheduled backup is due (milliseconds)
+const BACKUP_FORMATS = ['json', 'sqlite'];                 // Formats GET /api/backup can produce
+const MAX_RESTORE_SIZE = '100mb';                          // Largest backup file POST /api/backup/restore accepts
 
 // ===== DATABASE INITIALIZATION =====
-// Initialize database
-const db = new Database();                 // Create a new database instance (connects to SQLite)
+// Create the storage chosen by STORAGE (prepared in startServer, before any request is served)
+const db = storage.createStorage(STORAGE_CONFIG);
 
 // ===== MIDDLEWARE CONFIGURATION =====
 // Middleware runs between receiving a request and sending a response
 app.use(cors());                          // Enable CORS - allows requests from different domains/ports
-app.use(bodyParser.json());               // Parse JSON data from request bodies
+// Parse JSON data from request bodies (large enough for bulk imports).
+// Backup restores are left to their route, which takes JSON backups up to MAX_RESTORE_SIZE once the admin is signed in.
+const parseJsonBody = bodyParser.json({ limit: '5mb' });
+app.use((req, res, next) => (req.path === '/api/backup/restore' ? next() : parseJsonBody(req, res, next)));
 app.use(express.static(path.join(__dirname, '../frontend'))); // Serve static files from frontend folder
 
+// ===== VALIDATION SCHEMAS =====
+// Rules for event data sent by the admin form and API clients (see validation.js for the rule format).
+// Failures are returned as 422 { error, errors: { field: [messages] } } so the form can mark each input.
+
+/**
+ * Reject dates before today unless the client asked for a past date
+ * An event that is being edited may keep the date it already has
+ * @param {string} date - Submitted date (YYYY-MM-DD)
+ * @param {Object} event - Cleaned event data (uses allow_past)
+ * @param {Object} context - { today, currentDate, allowPast }
+ * @returns {string|null} Error message, or null if the date is allowed
+ */
+const checkEventDate = (date, event, context) => {
+    if (context.allowPast || event.allow_past || !context.today) return null;
+    if (date >= context.today || date === context.currentDate) return null;
+    return 'Date cannot be in the past';
+};
+
+/**
+ * Make sure a recurrence rule produces at least one occurrence
+ * @param {string} rule - Normalized recurrence rule
+ * @param {Object} event - Cleaned event data (uses date)
+ * @returns {string|null} Error message, or null if the rule is usable
+ */
+const checkRecurrenceRule = (rule, event) => {
+    // A series whose end date is before its first occurrence would never appear
+    if (event.date && recurrence.expandDates(event.date, rule).length === 0) {
+        return 'Recurrence end date must not be before the event date';
+    }
+    return null;
+};
+
+/**
+ * Make sure an event does not end before it starts
+ * Timed events that run past their start day also need an end time
+ * @param {string} endDate - Submitted end date (YYYY-MM-DD)
+ * @param {Object} event - Cleaned event data (uses date, end_time and all_day)
+ * @returns {string|null} Error message, or null if the end date is usable
+ */
+const checkEndDate = (endDate, event) => {
+    if (!event.date) return null;
+    if (endDate < event.date) return 'End date must not be before the start date';
+    if (!event.all_day && !event.end_time && endDate !== event.date) {
+        return 'End time is required when the event ends on a later day';
+    }
+    return null;
+};
+
+/**
+ * Make sure a timed event that ends on its start day ends after it starts
+ * @param {string} endTime - Submitted end time (HH:MM)
+ * @param {Object} event - Cleaned event data (uses date, time, end_date and all_day)
+ * @returns {string|null} Error message, or null if the end time is usable
+ */
+const checkEndTime = (endTime, event) => {
+    // All-day events ignore times, and a bad start leaves nothing to compare against
+    if (event.all_day || !event.date || !event.time) return null;
+    if ((event.end_date || event.date) === event.date && endTime <= event.time) {
+        return 'End time must be after the start time';
+    }
+    return null;
+};
+
+/**
+ * Make sure an event's type is one of the types admins have set up
+ * @param {string} type - Submitted type name
+ * @param {Object} event - Cleaned event data (unused)
+ * @param {Object} context - { eventTypes } - names of every event type
+ * @returns {string|null} Error message, or null if the type exists
+ */
+const checkEventType = (type, event, context) => {
+    if (context.eventTypes.includes(type)) return null;
+    return `Type must be one of: ${context.eventTypes.join(', ')}`;
+};
+
+const EVENT_SCHEMA = {
+    title: { label: 'Title', required: true, maxLength: 100 },
+    description: { label: 'Description', required: true, maxLength: 2000 },
+    date: { label: 'Date', required: true, format: 'date', check: checkEventDate },
+    time: { label: 'Time', required: (event) => event.all_day !== true, format: 'time' },   // All-day events have no time
+    end_date: { label: 'End date', format: 'date', check: checkEndDate },
+    end_time: { label: 'End time', format: 'time', check: checkEndTime },
+    all_day: { label: 'All day', type: 'boolean' },
+    location: { label: 'Venue', maxLength: 200 },
+    online_url: { label: 'Online meeting link', maxLength: 500, format: 'url' },
+    dial_in: { label: 'Dial-in details', maxLength: 200 },
+    capacity: { label: 'Capacity', type: 'integer', min: 1, max: MAX_CAPACITY },   // Empty = unlimited
+    type: { label: 'Type', required: true, check: checkEventType },
+    recurrence_rule: { label: 'Repeat', parse: recurrence.normalizeRule, check: checkRecurrenceRule },
+    allow_past: { label: 'Allow past date', type: 'boolean' }   // Override for the past-date check; not stored
+};
+
+/**
+ * Make sure an imported event's timezone is one the server knows
+ * @param {string} timeZone - Submitted IANA timezone name
+ * @returns {string|null} Error message, or null if the timezone is valid
+ */
+const checkTimezone = (timeZone) => {
+    if (timezone.isValidTimezone(timeZone)) return null;
+    return 'Timezone must be a valid IANA timezone such as Europe/London';
+};
+
+// Imported events may also say which timezone their times are in (spreadsheet exports do);
+// without one, the institution's timezone is used
+const IMPORT_EVENT_SCHEMA = {
+    title: EVENT_SCHEMA.title,
+    description: { ...EVENT_SCHEMA.description, required: false },
+    date: EVENT_SCHEMA.date,
+    time: EVENT_SCHEMA.time,
+    end_date: EVENT_SCHEMA.end_date,
+    end_time: EVENT_SCHEMA.end_time,
+    all_day: EVENT_SCHEMA.all_day,
+    location: EVENT_SCHEMA.location,
+    online_url: EVENT_SCHEMA.online_url,
+    dial_in: EVENT_SCHEMA.dial_in,
+    capacity: EVENT_SCHEMA.capacity,
+    type: EVENT_SCHEMA.type,
+    recurrence_rule: EVENT_SCHEMA.recurrence_rule,
+    timezone: { label: 'Timezone', check: checkTimezone }
+};
+
+// Spreadsheet rows are checked without their type, which can still be chosen in the import preview
+const CSV_PREVIEW_SCHEMA = Object.fromEntries(
+    Object.entries(IMPORT_EVENT_SCHEMA).filter(([field]) => field !== 'type')
+);
+
+/**
+ * Make sure a new event type does not reuse the name of an existing one
+ * @param {string} name - Submitted type name
+ * @param {Object} type - Cleaned event type data (unused)
+ * @param {Object} context - { eventTypes } - names of every event type
+ * @returns {string|null} Error message, or null if the name is free
+ */
+const checkEventTypeName = (name, type, context) => {
+    if (context.eventTypes.includes(name)) return 'An event type with this name already exists';
+    return null;
+};
+
+// Event types managed by admins. The name is what events store, so it cannot change later.
+const EVENT_TYPE_SCHEMA = {
+    name: { label: 'Name', required: true, maxLength: 30, format: 'slug', check: checkEventTypeName },
+    label: { label: 'Label', required: true, maxLength: 40 },
+    color: { label: 'Color', required: true, format: 'color' },
+    icon: { label: 'Icon', required: true, maxLength: 60, format: 'icon' }
+};
+
+const EVENT_TYPE_UPDATE_SCHEMA = {
+    label: EVENT_TYPE_SCHEMA.label,
+    color: EVENT_TYPE_SCHEMA.color,
+    icon: EVENT_TYPE_SCHEMA.icon
+};
+
+// Edits to a single occurrence - every field is optional and falls back to the series value
+const OCCURRENCE_SCHEMA = {
+    date: { label: 'Date', format: 'date' },
+    time: { label: 'Time', format: 'time' },
+    title: { label: 'Title', maxLength: 100 },
+    description: { label: 'Description', maxLength: 2000 }
+};
+
+// Body of a check-in sent when an attendee scans an event's QR code
+const CHECKIN_SCHEMA = {
+    code: { label: 'Check-in code', required: true, maxLength: 100 }
+};
+
+/**
+ * Send a 422 response describing every invalid field
+ * @param {Object} res - Express response object
+ * @param {Object} errors - Messages keyed by field, from validation.validate
+ */
+const sendValidationErrors = (res, errors) => {
+    res.status(422).json({ error: 'Validation failed', errors });
+};
+
+/**
+ * Make an event's start and end fields consistent before it is stored
+ * All-day events keep only dates (the time is stored as midnight); a timed event
+ * with an end time but no end date ends on the day it starts, and one without an
+ * end time has no end at all
+ * @param {Object} event - Cleaned event data
+ * @returns {Object} Copy of the event with time, end_date, end_time and all_day settled
+ */
+const normalizeEventTimes = (event) => {
+    if (event.all_day) {
+        return { ...event, time: '00:00', end_date: event.end_date || null, end_time: null, all_day: true };
+    }
+    return {
+        ...event,
+        end_date: event.end_time ? (event.end_date || event.date) : null,
+        end_time: event.end_time || null,
+        all_day: false
+    };
+};
+
+/**
+ * Turn a stored event (or a revision snapshot) back into input for EVENT_SCHEMA
+ * SQLite stores all_day as 0/1, while the schema expects true/false
+ * @param {Object} event - Event row or snapshot
+ * @returns {Object} Copy of the event that validation.validate accepts
+ */
+const toEventInput = (event) => ({ ...event, all_day: event.all_day === 1 || event.all_day === true });
+
 // ===== UTILITY FUNCTIONS =====
 
 /**
@@ -43,296 +293,2765 @@ const generateToken = () => {
     return crypto.randomBytes(32).toString('hex');
 };
 
-// ===== AUTHENTICATION MIDDLEWARE =====
 /**
- * Middleware to check if user is authenticated before accessing protected routes
- * This function runs before any protected API endpoint
+ * Normalize a list-style query parameter
+ * Accepts both "?type=a,b" and "?type=a&type=b" forms
+ * @param {string|Array<string>|undefined} value - Raw query parameter value
+ * @returns {Array<string>} Trimmed, non-empty values
  */
-// Authentication middleware
-const authenticateAdmin = async (req, res, next) => {
-    // Get the Authorization header from the request (format: "Bearer <token>")
-    const authHeader = req.headers.authorization;
-    
-    // Check if authorization header exists and starts with "Bearer "
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return res.status(401).json({ error: 'Access denied. No token provided.' });
+const parseListParam = (value) => {
+    if (value === undefined) return [];
+    const values = Array.isArray(value) ? value : [value];
+    return values
+        .flatMap(item => String(item).split(','))
+        .map(item => item.trim())
+        .filter(item => item.length > 0);
+};
+
+/**
+ * Build a key that identifies "the same event" for duplicate detection
+ * Two events are duplicates when title (case-insensitive), date and time all match
+ * @param {Object} event - Event with title, date and time
+ * @returns {string} Comparison key
+ */
+const eventDuplicateKey = (event) => {
+    return `${String(event.title || '').trim().toLowerCase()}|${event.date}|${event.time}`;
+};
+
+/**
+ * Check a single event submitted for bulk import
+ * Imports use the same rules as the event form, except that the description is optional
+ * and past dates are allowed (calendars are often imported with their history)
+ * @param {Object} event - Event data { title, description, date, time, type, ... }
+ * @param {Array<string>} eventTypes - Names of every event type
+ * @returns {Object} { value, errors } - cleaned event, and error messages (empty if the event is valid)
+ */
+const validateImportedEvent = (event, eventTypes) => {
+    if (!event || typeof event !== 'object') return { value: null, errors: ['Event must be an object'] };
+
+    const { value, errors } = validation.validate(IMPORT_EVENT_SCHEMA, event, { allowPast: true, eventTypes });
+    return { value, errors: Object.values(errors).flat() };
+};
+
+/**
+ * Get the names of every event type, for validating events and query parameters
+ * @returns {Promise<Array<string>>} Type names such as ['assignment', 'webinar', 'workshop']
+ */
+const getEventTypeNames = async () => (await db.getEventTypes()).map(type => type.name);
+
+/**
+ * Parse a query parameter as a whole number
+ * @param {string|undefined} value - Raw query parameter value
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {number|null|undefined} The number, undefined if not given, or null if invalid
+ */
+const parseIntegerParam = (value, min, max) => {
+    if (value === undefined) return undefined;
+    if (!/^\d+$/.test(String(value))) return null;
+    const number = Number(value);
+    return number >= min && number <= max ? number : null;
+};
+
+/**
+ * Turn the query string of GET /api/events into filters for db.queryEvents
+ * @param {Object} query - req.query
+ * @param {Array<string>} eventTypes - Names of every event type
+ * @returns {Object} { filters, error } - error is a message when a parameter is invalid
+ */
+const parseEventQuery = (query, eventTypes) => {
+    const { from, to, q, sort = 'date' } = query;
+
+    if ((from !== undefined && !isValidDateString(from)) || (to !== undefined && !isValidDateString(to))) {
+        return { error: 'from and to must be dates in YYYY-MM-DD format' };
     }
-    
-    // Extract the token by removing "Bearer " (first 7 characters)
-    const token = authHeader.substring(7);
-    
-    try {
-        // Validate the token against the database
-        const session = await db.validateSession(token);
-        
-        // If no valid session found, reject the request
-        if (!session) {
-            return res.status(401).json({ error: 'Invalid or expired token.' });
+    if (from !== undefined && to !== undefined && from > to) {
+        return { error: 'from must not be after to' };
+    }
+
+    const types = parseListParam(query.type);
+    const unknownType = types.find(type => !eventTypes.includes(type));
+    if (unknownType) {
+        return { error: `Unknown event type "${unknownType}". Use one of: ${eventTypes.join(', ')}` };
+    }
+
+    if (!storage.Storage.SORT_ORDERS.includes(sort)) {
+        return { error: `sort must be one of: ${storage.Storage.SORT_ORDERS.join(', ')}` };
+    }
+
+    const createdBy = parseIntegerParam(query.created_by, 1, Number.MAX_SAFE_INTEGER);
+    const limit = parseIntegerParam(query.limit, 1, MAX_PAGE_SIZE);
+    const offset = parseIntegerParam(query.offset, 0, Number.MAX_SAFE_INTEGER);
+    if (createdBy === null) return { error: 'created_by must be a user ID' };
+    if (limit === null) return { error: `limit must be a number from 1 to ${MAX_PAGE_SIZE}` };
+    if (offset === null) return { error: 'offset must be a number of 0 or more' };
+
+    return {
+        filters: {
+            // A date range only makes sense for occurrences, so it implies expand
+            expand: query.expand === 'true' || query.expand === '1' || from !== undefined || to !== undefined,
+            from,
+            to,
+            types,
+            createdBy,
+            search: typeof q === 'string' && q.trim() ? q.trim() : undefined,
+            sort,
+            limit,
+            offset
         }
-        
-        // If valid, attach user info to the request object for use in route handlers
-        req.user = {
-            id: session.user_id,
-            username: session.username,
-            fullName: session.full_name,
-            role: session.role
+    };
+};
+
+/**
+ * Escape text for safe insertion into HTML
+ * @param {string} value - Raw text
+ * @returns {string} Text with &, <, >, " and ' replaced by entities
+ */
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Turn a search match from the database into HTML with <mark> around the matched words
+ * The text is escaped first, so event content can never inject markup
+ * @param {string} text - Text with matches wrapped in Storage.MATCH_MARKERS (see storage.js)
+ * @returns {string} Safe HTML such as 'Intro to <mark>Java</mark>Script'
+ */
+const highlightMatches = (text) => {
+    const { start, end } = storage.Storage.MATCH_MARKERS;
+    return escapeHtml(text).split(start).join('<mark>').split(end).join('</mark>');
+};
+
+/**
+ * Check that a string is a real calendar date in YYYY-MM-DD format
+ * @param {string} value - Value to check
+ * @returns {boolean} True for valid dates such as '2025-07-15'
+ */
+const isValidDateString = (value) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+/**
+ * Validate submitted settings
+ * Only fields present in the body are checked, so settings can be saved one at a time
+ * @param {Object} settings - { siteTitle, adminEmail, timezone } from the request body
+ * @returns {string|null} Error message, or null if every provided setting is valid
+ */
+const validateSettings = (settings) => {
+    const { siteTitle, adminEmail, timezone: timeZone } = settings;
+    if (siteTitle !== undefined && (typeof siteTitle !== 'string' || !siteTitle.trim() || siteTitle.length > 100)) {
+        return 'Site title must be between 1 and 100 characters';
+    }
+    if (adminEmail !== undefined && (typeof adminEmail !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(adminEmail))) {
+        return 'Admin email must be a valid email address';
+    }
+    if (timeZone !== undefined && !timezone.isValidTimezone(timeZone)) {
+        return 'Timezone must be a valid IANA timezone such as Europe/London';
+    }
+    return null;
+};
+
+/**
+ * Add registration numbers to events before they are sent to clients
+ * Occurrences of a recurring series share the numbers of their series
+ * @param {Array<Object>} events - Events or occurrences (with id)
+ * @returns {Promise<Array<Object>>} Copies of the events with registered_count and waitlist_count
+ */
+const withRegistrationCounts = async (events) => {
+    const counts = await db.getRegistrationCounts(events.map(event => event.id));
+    return events.map(event => {
+        const count = counts.get(event.id) || { registered: 0, waitlisted: 0 };
+        return { ...event, registered_count: count.registered, waitlist_count: count.waitlisted };
+    });
+};
+
+/**
+ * Check whether an event still takes registrations
+ * Registration closes when the event starts; for a recurring series, when its last occurrence starts
+ * @param {Object} event - Event row
+ * @returns {Promise<boolean>} True once registration has closed
+ */
+const isRegistrationClosed = async (event) => {
+    const occurrences = recurrence.expandEvent(event, event.recurrence_rule ? await db.getEventExceptions(event.id) : []);
+    const now = new Date().toISOString();
+    return !occurrences.some(occurrence => timezone.withInstants(occurrence).starts_at_utc > now);
+};
+
+/**
+ * Generate a random check-in code for an event's QR code
+ * @returns {string} 22 URL-safe characters (128 random bits)
+ */
+const generateCheckInCode = () => crypto.randomBytes(16).toString('base64url');
+
+/**
+ * Describe an event's check-in code for the admin panel, with the link and QR image to print
+ * The link points at this server's check-in page, so the QR code works for whatever
+ * address the admin panel was opened on.
+ * @param {Object} req - Express request (for the server address)
+ * @param {Object} event - Event row
+ * @param {Object} checkInCode - Stored code { event_id, code, created_at }
+ * @returns {Object} { event_id, code, created_at, url, qr_svg }
+ */
+const describeCheckInCode = (req, event, checkInCode) => {
+    const url = `${req.protocol}://${req.get('host')}/checkin.html?event=${event.id}&code=${encodeURIComponent(checkInCode.code)}`;
+    return {
+        ...checkInCode,
+        url,
+        qr_svg: qrcode.toSvg(url, { title: `Check in to ${event.title}` })
+    };
+};
+
+/**
+ * Compare a check-in code with the event's, taking as long whichever characters differ
+ * The code is a secret, so how far a guess matched must not show in the response time.
+ * @param {string} expected - The event's check-in code
+ * @param {string} given - The code sent by the attendee
+ * @returns {boolean} Whether they are the same
+ */
+const checkInCodeMatches = (expected, given) => {
+    const expectedBytes = Buffer.from(expected);
+    const givenBytes = Buffer.from(given);
+    // timingSafeEqual only compares buffers of the same length
+    return expectedBytes.length === givenBytes.length && crypto.timingSafeEqual(expectedBytes, givenBytes);
+};
+
+/**
+ * Find the occurrence of an event that people can check in to right now
+ * Check-in opens CHECKIN_OPENS_MINUTES before an occurrence starts and closes when it ends;
+ * occurrences without an end time close at midnight at the end of their day
+ * @param {Object} event - Event row
+ * @returns {Promise<Object|null>} The open occurrence, or null if check-in is closed
+ */
+const findCheckInOccurrence = async (event) => {
+    const occurrences = recurrence.expandEvent(event, event.recurrence_rule ? await db.getEventExceptions(event.id) : []);
+    const now = Date.now();
+
+    return occurrences.find(occurrence => {
+        const { starts_at_utc, ends_at_utc, timezone: timeZone } = timezone.withInstants(occurrence);
+        const opens = new Date(starts_at_utc).getTime() - CHECKIN_OPENS_MINUTES * 60 * 1000;
+        const closes = ends_at_utc
+            ? new Date(ends_at_utc).getTime()
+            : timezone.zonedTimeToUtc(recurrence.addDays(occurrence.date, 1), '00:00', timeZone).getTime();
+        return now >= opens && now < closes;
+    }) || null;
+};
+
+/**
+ * Look up a recurring event and check that an occurrence date belongs to it
+ * @param {string} eventId - Event ID from the URL
+ * @param {string} occurrenceDate - Original occurrence date from the URL
+ * @returns {Promise<Object>} { event } on success, or { status, error } describing the problem
+ */
+const findOccurrence = async (eventId, occurrenceDate) => {
+    const event = await db.getEventById(eventId);
+    if (!event) {
+        return { status: 404, error: 'Event not found' };
+    }
+    if (!event.recurrence_rule) {
+        return { status: 400, error: 'Event is not recurring' };
+    }
+    if (!recurrence.expandDates(event.date, event.recurrence_rule).includes(occurrenceDate)) {
+        return { status: 404, error: 'Occurrence not found' };
+    }
+    return { event };
+};
+
+// ===== SPREADSHEET (CSV) IMPORT AND EXPORT =====
+// Coordinators keep schedules in spreadsheets. Exports and imports use the same columns,
+// so an exported file can be edited and imported again.
+
+// Event fields a CSV file can fill: the header written on export, and other headers recognised on import
+const EVENT_CSV_FIELDS = [
+    { field: 'title', header: 'Title', aliases: ['name', 'event', 'event name', 'subject'] },
+    { field: 'description', header: 'Description', aliases: ['details', 'notes'] },
+    { field: 'date', header: 'Date', aliases: ['start date'] },
+    { field: 'time', header: 'Time', aliases: ['start time'] },
+    { field: 'end_date', header: 'End Date', aliases: [] },
+    { field: 'end_time', header: 'End Time', aliases: [] },
+    { field: 'all_day', header: 'All Day', aliases: [] },
+    { field: 'location', header: 'Venue', aliases: ['location', 'room'] },
+    { field: 'online_url', header: 'Online Link', aliases: ['meeting link', 'link', 'url'] },
+    { field: 'dial_in', header: 'Dial-In', aliases: ['phone'] },
+    { field: 'capacity', header: 'Capacity', aliases: ['seats'] },
+    { field: 'type', header: 'Type', aliases: ['category'] },
+    { field: 'recurrence_rule', header: 'Repeat', aliases: ['recurrence', 'rrule'] },
+    { field: 'timezone', header: 'Timezone', aliases: ['time zone'] }
+];
+
+// Fields every spreadsheet row must have (time too, unless the event is all day)
+const REQUIRED_CSV_FIELDS = ['title', 'date'];
+
+// Columns of an exported file: the importable fields, plus read-only ID, seat counts and creator
+const EVENT_CSV_EXPORT_COLUMNS = [
+    { header: 'ID', value: event => event.id },
+    ...EVENT_CSV_FIELDS.map(({ field, header }) => ({
+        header,
+        value: field === 'all_day' ? event => (event.all_day ? 'yes' : 'no') : event => event[field]
+    })),
+    { header: 'Registered', value: event => event.registered_count },
+    { header: 'Waitlisted', value: event => event.waitlist_count },
+    { header: 'Created By', value: event => event.created_by_username }
+];
+
+// How spreadsheets write true and false in the All Day column
+const CSV_BOOLEAN_VALUES = {
+    yes: true, y: true, true: true, 1: true,
+    no: false, n: false, false: false, 0: false
+};
+
+/**
+ * Reduce a column header to letters and digits, so "End Date", "end_date" and "END-DATE" compare equal
+ * @param {string} header - Column header from the file
+ * @returns {string} Lowercase letters and digits
+ */
+const normalizeCsvHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Suggest which column fills each event field, by matching the file's headers
+ * @param {Array<string>} headers - Header row of the file
+ * @returns {Object} Column number (0-based) for each field, or null when no header matches
+ */
+const guessCsvMapping = (headers) => {
+    const normalized = headers.map(normalizeCsvHeader);
+    return Object.fromEntries(EVENT_CSV_FIELDS.map(({ field, header, aliases }) => {
+        const names = [field, header, ...aliases].map(normalizeCsvHeader);
+        const index = normalized.findIndex(name => names.includes(name));
+        return [field, index === -1 ? null : index];
+    }));
+};
+
+/**
+ * Check a column mapping sent by the client
+ * Fields left out of the mapping (or mapped to null) are not imported
+ * @param {Object|undefined} mapping - { field: column number } from the request body
+ * @param {Array<string>} headers - Header row of the file
+ * @returns {Object} { mapping } with a column number or null for every field, or { error }
+ */
+const parseCsvMapping = (mapping, headers) => {
+    if (mapping === undefined || mapping === null) {
+        return { mapping: guessCsvMapping(headers) };
+    }
+    if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return { error: 'mapping must map event fields to column numbers' };
+    }
+
+    const fields = EVENT_CSV_FIELDS.map(({ field }) => field);
+    const unknownField = Object.keys(mapping).find(field => !fields.includes(field));
+    if (unknownField) {
+        return { error: `Unknown field "${unknownField}" in mapping. Use: ${fields.join(', ')}` };
+    }
+
+    const columns = {};
+    for (const field of fields) {
+        const column = mapping[field];
+        if (column === undefined || column === null) {
+            columns[field] = null;
+        } else if (!Number.isInteger(column) || column < 0 || column >= headers.length) {
+            return { error: `mapping.${field} must be a column number from 0 to ${headers.length - 1}` };
+        } else {
+            columns[field] = column;
+        }
+    }
+    return { mapping: columns };
+};
+
+/**
+ * Read one spreadsheet row into event fields, smoothing over how spreadsheets write values
+ * Types may be given by name or label; a type that does not exist is reported, not guessed
+ * @param {Array<string>} cells - Fields of the row
+ * @param {Object} mapping - Column number (or null) for each event field
+ * @param {Array<Object>} eventTypes - Every event type { name, label }
+ * @returns {Object} { event, unknownType, errors } - errors are problems validation would not explain well
+ */
+const readCsvEvent = (cells, mapping, eventTypes) => {
+    const event = {};
+    const errors = [];
+
+    Object.entries(mapping).forEach(([field, column]) => {
+        const text = column === null ? '' : String(cells[column] || '').trim();
+        if (text) event[field] = text;
+    });
+
+    // Spreadsheets write yes/no, TRUE/FALSE or 1/0
+    if (event.all_day !== undefined) {
+        const allDay = CSV_BOOLEAN_VALUES[event.all_day.toLowerCase()];
+        if (allDay === undefined) errors.push('All day must be yes or no');
+        event.all_day = allDay === true;
+    }
+
+    // Spreadsheets drop the leading zero of a time and may add seconds ("9:00", "09:00:00")
+    ['time', 'end_time'].forEach(field => {
+        const match = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(event[field] || '');
+        if (match) event[field] = `${match[1].padStart(2, '0')}:${match[2]}`;
+    });
+
+    let unknownType = null;
+    if (event.type !== undefined) {
+        const given = event.type.toLowerCase();
+        const match = eventTypes.find(type => type.name === given || type.label.toLowerCase() === given);
+        if (match) {
+            event.type = match.name;
+        } else {
+            unknownType = event.type;
+            delete event.type;
+        }
+    }
+
+    return { event, unknownType, errors };
+};
+
+// ===== BULK EVENT CHANGES =====
+// Changes applied to many events at once from the admin panel's bulk action bar.
+// Every event is checked before anything is saved, inside one transaction, so a batch
+// either changes every event or - if any of them has a problem - none of them.
+
+// Bulk actions, and whether they need a type or a number of days
+const BULK_ACTIONS = {
+    delete: {},
+    change_type: { needsType: true },
+    shift: { needsDays: true },
+    duplicate: {}
+};
+
+/**
+ * Check the body of POST /api/events/bulk
+ * @param {Object} body - req.body: { action, ids, type, days }
+ * @param {Array<string>} eventTypes - Names of every event type
+ * @returns {Object} { request: { action, ids, type, days } } or { error } describing the problem
+ */
+const parseBulkRequest = (body, eventTypes) => {
+    const { action, ids, type, days } = body || {};
+
+    if (!Object.keys(BULK_ACTIONS).includes(action)) {
+        return { error: `action must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}` };
+    }
+    const options = BULK_ACTIONS[action];
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => Number.isInteger(id) && id > 0)) {
+        return { error: 'ids must be a list of event IDs' };
+    }
+
+    // The same event listed twice is only changed once
+    const uniqueIds = [...new Set(ids)];
+    if (uniqueIds.length > MAX_BULK_EVENTS) {
+        return { error: `At most ${MAX_BULK_EVENTS} events can be changed at once` };
+    }
+    if (options.needsType && !eventTypes.includes(type)) {
+        return { error: `type must be one of: ${eventTypes.join(', ')}` };
+    }
+    if (options.needsDays && (!Number.isInteger(days) || days === 0 || Math.abs(days) > MAX_BULK_SHIFT_DAYS)) {
+        return { error: `days must be a whole number from -${MAX_BULK_SHIFT_DAYS} to ${MAX_BULK_SHIFT_DAYS}, other than 0` };
+    }
+
+    return { request: { action, ids: uniqueIds, type, days } };
+};
+
+/**
+ * Work out what a bulk action would do to one event, without saving anything
+ * Changed events go through the same checks as an edit; copies may keep a date that has passed
+ * @param {Object} request - Checked request from parseBulkRequest
+ * @param {number} eventId - ID of the event
+ * @param {Array<string>} eventTypes - Names of every event type
+ * @returns {Promise<Object>} { id, before, value } - value is the data to save (none for deletes) -
+ *   or { id, before, error, errors } if this event cannot be changed
+ */
+const planBulkChange = async (request, eventId, eventTypes) => {
+    const before = await db.getEventById(eventId);
+    if (!before) {
+        return { id: eventId, before: null, error: 'Event not found' };
+    }
+    if (request.action === 'delete') {
+        return { id: eventId, before };
+    }
+
+    const input = toEventInput(before);
+    if (request.action === 'change_type') {
+        input.type = request.type;
+    } else if (request.action === 'shift') {
+        input.date = recurrence.addDays(before.date, request.days);
+        input.end_date = before.end_date ? recurrence.addDays(before.end_date, request.days) : null;
+
+        // A series moves as a whole, so a fixed end date (UNTIL) moves with it
+        if (before.recurrence_rule) {
+            const rule = recurrence.parseRule(before.recurrence_rule);
+            if (rule.until) {
+                input.recurrence_rule = recurrence.formatRule({ ...rule, until: recurrence.addDays(rule.until, request.days) });
+            }
+        }
+    }
+
+    const context = request.action === 'duplicate'
+        ? { allowPast: true, eventTypes }
+        : {
+            today: timezone.utcToZonedTime(new Date(), before.timezone || timezone.DEFAULT_TIMEZONE).date,
+            currentDate: before.date,
+            eventTypes
         };
-        
-        // Continue to the next middleware/route handler
-        next();
-    } catch (error) {
-        // If any error occurs during validation, log it and return error
-        console.error('Authentication error:', error);
-        res.status(500).json({ error: 'Authentication failed' });
+    const { value, errors } = validation.validate(EVENT_SCHEMA, input, context);
+    if (validation.hasErrors(errors)) {
+        return { id: eventId, before, error: Object.values(errors).flat().join(' '), errors };
+    }
+
+    const { allow_past, ...eventData } = value;
+    return { id: eventId, before, value: normalizeEventTimes(eventData) };
+};
+
+/**
+ * Save one planned bulk change
+ * @param {Object} request - Checked request from parseBulkRequest
+ * @param {Object} plan - Plan from planBulkChange (without an error)
+ * @param {number} userId - ID of the user making the change
+ * @returns {Promise<Object|null>} The event after the change (the new copy for duplicates), or null once deleted
+ */
+const applyBulkChange = async (request, plan, userId) => {
+    if (request.action === 'delete') {
+        await db.deleteEvent(plan.id, userId);
+        return null;
+    }
+    if (request.action === 'duplicate') {
+        // The copy is scheduled in the same timezone as the original
+        return db.createEvent({ ...plan.value, timezone: plan.before.timezone }, userId);
     }
+
+    // Moving a series also moves its cancelled and changed occurrences (see updateEvent)
+    await db.updateEvent(plan.id, plan.value, userId);
+    return db.getEventById(plan.id);
+};
+
+// ===== AUDIT LOG =====
+// Every event change, login, logout, backup download and restore, and every change an admin makes
+// to users, event types or settings, is recorded with who did it, from where and what changed.
+
+// Actions recorded in the audit log, in the order the Activity filter lists them
+const AUDIT_ACTIONS = [
+    'event.create', 'event.update', 'event.delete', 'event.restore', 'event.purge', 'event.rollback',
+    'occurrence.update', 'occurrence.cancel', 'occurrence.restore',
+    'auth.login', 'auth.login_failed', 'auth.lockout', 'auth.unlock', 'auth.logout',
+    'user.update', 'event_type.create', 'event_type.update', 'event_type.delete', 'settings.update',
+    'backup.download', 'backup.restore'
+];
+
+// Fields compared for the before/after diff of an event, and of a single occurrence
+const AUDITED_EVENT_FIELDS = ['title', 'description', 'date', 'time', 'end_date', 'end_time', 'all_day', 'location',
+    'online_url', 'dial_in', 'capacity', 'timezone', 'type', 'recurrence_rule'];
+const AUDITED_OCCURRENCE_FIELDS = ['status', 'date', 'time', 'end_date', 'end_time', 'title', 'description'];
+
+// Fields compared for the other things admins change (settings compare every setting)
+const AUDITED_USER_FIELDS = ['role', 'is_active'];
+const AUDITED_EVENT_TYPE_FIELDS = ['name', 'label', 'color', 'icon'];
+
+/**
+ * Compare two versions of a record field by field
+ * @param {Object|null} before - Record before the change (null when it was just created)
+ * @param {Object|null} after - Record after the change (null when it was deleted)
+ * @param {Array<string>} fields - Fields to compare
+ * @returns {Object} { field: { before, after } } for every field that differs
+ */
+const diffFields = (before, after, fields) => {
+    const changes = {};
+    fields.forEach(field => {
+        const oldValue = before ? before[field] ?? null : null;
+        const newValue = after ? after[field] ?? null : null;
+        if (oldValue !== newValue) {
+            changes[field] = { before: oldValue, after: newValue };
+        }
+    });
+    return changes;
 };
 
-// ===== AUTHENTICATION ROUTES =====
+/**
+ * Add an entry to the audit log for the current request
+ * A failure is logged but never fails the request - the change itself has already been made.
+ * @param {Object} req - Express request (for the signed-in user and the client address)
+ * @param {string} action - One of AUDIT_ACTIONS
+ * @param {Object} [details] - { user, username, entityType, entityId, entityLabel, changes };
+ *                             user defaults to req.user, username to the user's username
+ * @returns {Promise<void>}
+ */
+const recordAudit = async (req, action, details = {}) => {
+    const user = details.user || req.user || null;
+    try {
+        await db.addAuditEntry({
+            action,
+            userId: user ? user.id : null,
+            username: details.username || (user ? user.username : null),
+            entityType: details.entityType,
+            entityId: details.entityId,
+            entityLabel: details.entityLabel,
+            ipAddress: req.ip,
+            changes: details.changes
+        });
+    } catch (error) {
+        console.error(`Error recording ${action} in the audit log:`, error);
+    }
+};
+
+/**
+ * Record a change to an event in the audit log
+ * @param {Object} req - Express request
+ * @param {string} action - 'event.create', 'event.update', 'event.delete', 'event.purge' or 'event.rollback'
+ * @param {Object|null} before - Event row before the change (null for a new event)
+ * @param {Object|null} after - Event row after the change (null for a deleted event)
+ * @returns {Promise<void>}
+ */
+const auditEventChange = (req, action, before, after) => {
+    const event = after || before;
+    return recordAudit(req, action, {
+        entityType: 'event',
+        entityId: event.id,
+        entityLabel: event.title,
+        changes: diffFields(before, after, AUDITED_EVENT_FIELDS)
+    });
+};
+
+/**
+ * Record a change to an event type in the audit log
+ * @param {Object} req - Express request
+ * @param {string} action - 'event_type.create', 'event_type.update' or 'event_type.delete'
+ * @param {Object|null} before - Event type before the change (null for a new type)
+ * @param {Object|null} after - Event type after the change (null for a deleted type)
+ * @returns {Promise<void>}
+ */
+const auditEventTypeChange = (req, action, before, after) => {
+    const type = after || before;
+    return recordAudit(req, action, {
+        entityType: 'event_type',
+        entityId: type.id,
+        entityLabel: type.label,
+        changes: diffFields(before, after, AUDITED_EVENT_TYPE_FIELDS)
+    });
+};
+
+/**
+ * Get one occurrence of a recurring event as it currently stands, cancelled or not
+ * @param {Object} event - Event row
+ * @param {string} occurrenceDate - Original occurrence date (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} The occurrence (with status), or null if the date is not part of the series
+ */
+const getOccurrenceState = async (event, occurrenceDate) => {
+    const exceptions = await db.getEventExceptions(event.id);
+    return recurrence.expandEvent(event, exceptions, { includeCancelled: true })
+        .find(occurrence => occurrence.occurrence_date === occurrenceDate) || null;
+};
+
+/**
+ * Record a change to one occurrence of a recurring event in the audit log
+ * @param {Object} req - Express request
+ * @param {string} action - 'occurrence.update', 'occurrence.cancel' or 'occurrence.restore'
+ * @param {Object} event - The series
+ * @param {string} occurrenceDate - Original occurrence date
+ * @param {Object|null} before - Occurrence before the change (see getOccurrenceState)
+ * @returns {Promise<void>}
+ */
+const auditOccurrenceChange = async (req, action, event, occurrenceDate, before) => {
+    const after = await getOccurrenceState(event, occurrenceDate);
+    await recordAudit(req, action, {
+        entityType: 'event',
+        entityId: event.id,
+        entityLabel: `${event.title} (${occurrenceDate})`,
+        changes: diffFields(before, after, AUDITED_OCCURRENCE_FIELDS)
+    });
+};
+
+/**
+ * Turn the query string of GET /api/audit-log into filters for db.queryAuditLog
+ * @param {Object} query - req.query
+ * @returns {Object} { filters, error } - error is a message when a parameter is invalid
+ */
+const parseAuditQuery = (query) => {
+    const { from, to } = query;
+
+    if ((from !== undefined && !isValidDateString(from)) || (to !== undefined && !isValidDateString(to))) {
+        return { error: 'from and to must be dates in YYYY-MM-DD format' };
+    }
+    if (from !== undefined && to !== undefined && from > to) {
+        return { error: 'from must not be after to' };
+    }
+
+    const actions = parseListParam(query.action);
+    const unknownAction = actions.find(action => !AUDIT_ACTIONS.includes(action));
+    if (unknownAction) {
+        return { error: `Unknown action "${unknownAction}". Use one of: ${AUDIT_ACTIONS.join(', ')}` };
+    }
+
+    const userId = parseIntegerParam(query.user_id, 1, Number.MAX_SAFE_INTEGER);
+    const eventId = parseIntegerParam(query.event_id, 1, Number.MAX_SAFE_INTEGER);
+    const limit = parseIntegerParam(query.limit, 1, MAX_AUDIT_PAGE_SIZE);
+    const offset = parseIntegerParam(query.offset, 0, Number.MAX_SAFE_INTEGER);
+    if (userId === null) return { error: 'user_id must be a user ID' };
+    if (eventId === null) return { error: 'event_id must be an event ID' };
+    if (limit === null) return { error: `limit must be a number from 1 to ${MAX_AUDIT_PAGE_SIZE}` };
+    if (offset === null) return { error: 'offset must be a number of 0 or more' };
+
+    return {
+        filters: {
+            actions,
+            userId,
+            entityType: eventId === undefined ? undefined : 'event',
+            entityId: eventId,
+            from,
+            to,
+            limit: limit === undefined ? DEFAULT_AUDIT_PAGE_SIZE : limit,
+            offset: offset || 0
+        }
+    };
+};
+
+// ===== AUTHENTICATION MIDDLEWARE =====
+/**
+ * Middleware to check if user is authenticated before accessing protected routes
+ * This function runs before any protected API endpoint
+ * It only proves who the user is - use requireRole to check what they may do
+ */
+// Authentication middleware
+const authenticateUser = async (req, res, next) => {
+    // Get the Authorization header from the request (format: "Bearer <token>")
+    const authHeader = req.headers.authorization;
+    
+    // Check if authorization header exists and starts with "Bearer "
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return res.status(401).json({ error: 'Access denied. No token provided.' });
+    }
+    
+    // Extract the token by removing "Bearer " (first 7 characters)
+    const token = authHeader.substring(7);
+    
+    try {
+        // Validate the token against the database
+        const session = await db.validateSession(token);
+        
+        // If no valid session found, reject the request
+        if (!session) {
+            return res.status(401).json({ error: 'Invalid or expired token.' });
+        }
+        
+        // If valid, attach user info to the request object for use in route handlers
+        req.user = {
+            id: session.user_id,
+            username: session.username,
+            fullName: session.full_name,
+            role: session.role
+        };
+        
+        // Continue to the next middleware/route handler
+        next();
+    } catch (error) {
+        // If any error occurs during validation, log it and return error
+        console.error('Authentication error:', error);
+        res.status(500).json({ error: 'Authentication failed' });
+    }
+};
+
+/**
+ * Create middleware that only lets users with at least the given role through
+ * Must run after authenticateUser. Roles are ordered student < editor < admin.
+ * @param {string} minimumRole - Least privileged role allowed ('student', 'editor' or 'admin')
+ * @returns {Function} Express middleware
+ */
+// Role-checking middleware
+const requireRole = (minimumRole) => (req, res, next) => {
+    // Unknown roles get index -1 and are always rejected
+    if (ROLES.indexOf(req.user.role) < ROLES.indexOf(minimumRole)) {
+        return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+    next();
+};
+
+// ===== AUTHENTICATION ROUTES =====
+
+// Failed logins per username and per address (see login-throttle.js) - kept in memory, so a
+// restart forgets them
+const loginAttempts = new loginThrottle.LoginThrottle();
+
+/**
+ * Refuse a login attempt that came too soon after failed ones
+ * @param {Object} res - Express response
+ * @param {Object} blocked - { scope, locked, retryAfter } from LoginThrottle.check
+ * @returns {Object} The 429 response, with Retry-After in seconds
+ */
+const sendLoginThrottled = (res, blocked) => {
+    const wait = loginThrottle.describeWait(blocked.retryAfter);
+    const error = blocked.locked
+        ? `Too many failed logins. Sign-in is locked for ${wait}.`
+        : `Too many failed logins. Try again in ${wait}.`;
+
+    res.set('Retry-After', String(blocked.retryAfter));
+    return res.status(429).json({ error, retry_after: blocked.retryAfter, locked: blocked.locked });
+};
+
+/**
+ * Name a locked username or address for the audit log
+ * @param {string} scope - 'username' or 'ip'
+ * @param {string} key - Username or address
+ * @returns {string} e.g. 'Username admin' or 'Address 203.0.113.7'
+ */
+const describeLoginScope = (scope, key) => `${scope === 'username' ? 'Username' : 'Address'} ${key}`;
+
+/**
+ * POST /api/auth/register - Create a new user account
+ * Body: { fullName, email, username, password }
+ * New accounts are always students; an admin can promote them afterwards
+ */
+// Authentication Routes
+app.post('/api/auth/register', async (req, res) => {
+    try {
+        // Extract user data from request body
+        const { fullName, email, username, password } = req.body;
+        
+        // Validation: Check if all required fields are provided
+        // Validation
+        if (!fullName || !email || !username || !password) {
+            return res.status(400).json({ error: 'All fields are required' });
+        }
+        
+        // Validation: Password length check
+        if (password.length < 6) {
+            return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+        }
+        
+        // Create new user in database (password will be hashed in database.js)
+        const user = await db.createUser({ fullName, email, username, password });
+        
+        // Return success response with user info (excluding password)
+        res.status(201).json({ 
+            success: true, 
+            message: 'Account created successfully',
+            user: { id: user.id, username: user.username, email: user.email, fullName: user.fullName }
+        });
+    } catch (error) {
+        // Handle database constraint errors (duplicate username/email)
+        if (error.message.includes('UNIQUE constraint failed')) {
+            if (error.message.includes('username')) {
+                res.status(400).json({ error: 'Username already exists' });
+            } else if (error.message.includes('email')) {
+                res.status(400).json({ error: 'Email already exists' });
+            } else {
+                res.status(400).json({ error: 'User already exists' });
+            }
+        } else {
+            // Handle any other errors
+            console.error('Registration error:', error);
+            res.status(500).json({ error: 'Registration failed' });
+        }
+    }
+});
+
+/**
+ * POST /api/auth/login - Authenticate user and create session
+ * Body: { username, password }
+ * After a few failures for the same username or from the same address, each attempt must wait
+ * longer than the last, and after many the username (or address) is locked for a while - even
+ * the right password is refused then. Attempts that come too soon get 429 with Retry-After.
+ */
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        // Extract login credentials from request body
+        const { username, password } = req.body;
+        
+        // Validation: Check if credentials are provided
+        if (!username || !password) {
+            return res.status(400).json({ error: 'Username and password are required' });
+        }
+
+        // Checked before the password, so guesses made while locked out are never even tried
+        const blocked = loginAttempts.check(req.ip, username);
+        if (blocked) {
+            return sendLoginThrottled(res, blocked);
+        }
+        
+        // Validate credentials against database
+        const user = await db.validateUser(username, password);
+        
+        // If credentials are invalid, record the attempt and return error
+        if (!user) {
+            await recordAudit(req, 'auth.login_failed', { username: String(username) });
+
+            const lockouts = loginAttempts.recordFailure(req.ip, username);
+            for (const lockout of lockouts) {
+                await recordAudit(req, 'auth.lockout', {
+                    username: String(username),
+                    entityType: lockout.scope,
+                    entityLabel: describeLoginScope(lockout.scope, lockout.key),
+                    changes: { locked_until: { before: null, after: new Date(lockout.lockedUntil).toISOString() } }
+                });
+            }
+            if (lockouts.length > 0) {
+                return sendLoginThrottled(res, loginAttempts.check(req.ip, username));
+            }
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+        loginAttempts.recordSuccess(username);
+        
+        // Generate a new session token
+        const token = generateToken();
+        // Set token expiration to 24 hours from now
+        const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+        
+        // Create session in database
+        await db.createSession(user.id, token, expiresAt.toISOString());
+        await recordAudit(req, 'auth.login', { user });
+        
+        // Return success response with token and user info
+        res.json({ 
+            success: true, 
+            token,
+            user: {
+                id: user.id,
+                username: user.username,
+                fullName: user.full_name,
+                email: user.email,
+                role: user.role
+            },
+            message: 'Login successful'
+        });
+    } catch (error) {
+        // Handle any login errors
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+/**
+ * GET /api/auth/verify - Check if current token is valid
+ * Headers: Authorization: Bearer <token>
+ */
+app.get('/api/auth/verify', authenticateUser, (req, res) => {
+    // If we reach here, the authenticateUser middleware passed
+    // This means the token is valid and req.user is populated
+    res.json({ 
+        success: true, 
+        message: 'Token is valid',
+        user: req.user  // User info attached by authenticateUser middleware
+    });
+});
+
+/**
+ * POST /api/auth/logout - End user session
+ * Headers: Authorization: Bearer <token>
+ */
+app.post('/api/auth/logout', authenticateUser, async (req, res) => {
+    try {
+        // Extract token from authorization header
+        const authHeader = req.headers.authorization;
+        const token = authHeader.substring(7);
+        
+        // Delete the session from database
+        await db.deleteSession(token);
+        await recordAudit(req, 'auth.logout');
+        
+        // Return success response
+        res.json({ success: true, message: 'Logged out successfully' });
+    } catch (error) {
+        // Handle logout errors
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Logout failed' });
+    }
+});
+
+// ===== LIVE UPDATE ROUTES =====
+// Open calendars and admin panels keep a Server-Sent Events connection to the server.
+// Every route that changes an event broadcasts the new version of it, so pages can
+// patch what they show without reloading.
+
+const liveClients = new Set();             // Responses of every open /api/events/stream connection
+let liveMessageId = 0;                     // Increases with every message so clients can tell them apart
+
+/**
+ * Write one Server-Sent Events message to every connected client
+ * @param {string} eventName - SSE event name (e.g. 'change')
+ * @param {Object} data - Message body, sent as JSON
+ */
+const broadcastLiveMessage = (eventName, data) => {
+    const message = `id: ${++liveMessageId}\nevent: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`;
+    liveClients.forEach(client => client.write(message));
+};
+
+/**
+ * Tell every connected page that an event was created, updated or deleted
+ * Created and updated events are sent in full: the series row (as GET /api/events returns it)
+ * and all of its occurrences (as GET /api/events?from=&to= returns them), with registration
+ * counts. Routes call this without waiting - a failed broadcast never fails the request.
+ * @param {string} action - 'created', 'updated' or 'deleted'
+ * @param {number|string} eventId - ID of the event that changed
+ */
+const broadcastEventChange = async (action, eventId) => {
+    if (liveClients.size === 0) return;
+
+    try {
+        const id = Number(eventId);
+        const event = action === 'deleted' ? null : await db.getEventById(id);
+
+        // The event may have been deleted again before it could be read
+        if (!event) {
+            broadcastLiveMessage('change', { action: 'deleted', id });
+            return;
+        }
+
+        const exceptions = event.recurrence_rule ? await db.getEventExceptions(id) : [];
+        const [series] = await withRegistrationCounts([timezone.withInstants(event)]);
+        const occurrences = await withRegistrationCounts(recurrence.expandEvent(event, exceptions).map(timezone.withInstants));
+
+        broadcastLiveMessage('change', { action, id, event: series, occurrences });
+    } catch (error) {
+        console.error('Error broadcasting event change:', error);
+    }
+};
+
+/**
+ * GET /api/events/stream - Live event changes as Server-Sent Events (public route - no authentication required)
+ * Sends a 'change' message whenever an event is created, updated or deleted:
+ *   { action: 'created' | 'updated', id, event, occurrences }
+ *   { action: 'deleted', id }
+ * Occurrence edits, cancellations and registrations count as updates of their event.
+ * A 'reload' message (data {}) means everything may have changed - e.g. after a backup was
+ * restored - and pages should load their events again.
+ * Browsers reconnect by themselves (after LIVE_UPDATE_RETRY milliseconds) if the connection drops.
+ */
+// Live event changes (public)
+app.get('/api/events/stream', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'          // Stop proxies such as nginx from holding messages back
+    });
+    res.flushHeaders();
+
+    // Tell the browser how long to wait before reconnecting
+    res.write(`retry: ${LIVE_UPDATE_RETRY}\n\n`);
+
+    liveClients.add(res);
+    req.on('close', () => liveClients.delete(res));
+});
+
+// ===== EVENT MANAGEMENT ROUTES =====
+
+/**
+ * GET /api/events - Get events, optionally filtered and paginated (public route - no authentication required)
+ * Query parameters (all optional):
+ *   expand=true   - return every occurrence of recurring events instead of one row per series
+ *   from, to      - only return occurrences within this date range (YYYY-MM-DD, implies expand)
+ *   type          - one or more event types ('?type=webinar,workshop' or '?type=webinar&type=workshop')
+ *   created_by    - ID of the user who created the events
+ *   q             - text to look for in titles and descriptions
+ *   sort          - date (default), -date, title, -title, created or -created
+ *   limit, offset - page size (1-500) and number of results to skip
+ * Without limit/offset the response is a plain array of every match. With either of them it is
+ * { events, total, limit, offset, has_more } so clients can page through the results.
+ */
+// Event Routes
+
+// Get events (public)
+app.get('/api/events', async (req, res) => {
+    try {
+        // Validate every query parameter before querying
+        const { filters, error } = parseEventQuery(req.query, await getEventTypeNames());
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        // Fetch series rows, or individual occurrences when expanding
+        const { events, total } = await db.queryEvents(filters);
+        // Add zoned and UTC start and end times, and how many people have signed up
+        const results = await withRegistrationCounts(events.map(timezone.withInstants));
+
+        // Return a plain array unless the client asked for a page
+        if (filters.limit === undefined && filters.offset === undefined) {
+            return res.json(results);
+        }
+
+        const offset = filters.offset || 0;
+        res.json({
+            events: results,
+            total,
+            limit: filters.limit === undefined ? null : filters.limit,
+            offset,
+            has_more: offset + results.length < total
+        });
+    } catch (error) {
+        // Handle database errors
+        console.error('Error fetching events:', error);
+        res.status(500).json({ error: 'Failed to fetch events' });
+    }
+});
+
+/**
+ * GET /api/events/type/:type - Get events by type (public route)
+ * URL parameter: type (name of an event type, e.g. 'workshop')
+ */
+// Get events by type (public)
+app.get('/api/events/type/:type', async (req, res) => {
+    try {
+        // Get the event type from URL parameter and fetch events of specific type
+        const events = await db.getEventsByType(req.params.type);
+        
+        // Return filtered events
+        res.json(await withRegistrationCounts(events.map(timezone.withInstants)));
+    } catch (error) {
+        // Handle database errors
+        console.error('Error fetching events by type:', error);
+        res.status(500).json({ error: 'Failed to fetch events' });
+    }
+});
+
+/**
+ * GET /api/events/feed.ics - iCalendar subscription feed (public route)
+ * Query parameter: type (optional, e.g. '?type=webinar,workshop' or '?type=webinar&type=workshop')
+ * Calendar apps poll this URL, so admin changes appear on their next refresh
+ */
+// iCalendar feed (public)
+app.get('/api/events/feed.ics', async (req, res) => {
+    try {
+        // Restrict the feed to the requested types, or include everything
+        const types = parseListParam(req.query.type);
+        const [events, exceptions, settings] = await Promise.all([
+            types.length > 0 ? db.getEventsByTypes(types) : db.getAllEvents(),
+            db.getEventExceptions(),
+            db.getSettings()
+        ]);
+
+        // Build the calendar document and send it with the iCalendar media type
+        const calendarName = types.length > 0
+            ? `Boxo Event Calendar (${types.join(', ')})`
+            : 'Boxo Event Calendar';
+
+        res.set({
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': 'inline; filename="boxo-calendar.ics"',
+            'Cache-Control': 'no-cache'
+        });
+        res.send(ics.buildCalendar(events, { name: calendarName, exceptions, timezone: settings.timezone }));
+    } catch (error) {
+        // Handle database errors
+        console.error('Error building calendar feed:', error);
+        res.status(500).json({ error: 'Failed to build calendar feed' });
+    }
+});
+
+/**
+ * GET /api/events/search - Full-text search over event titles and descriptions (public route)
+ * Query parameters:
+ *   q             - search text (required); every word must match, in full or as the start of a word
+ *   type          - optional event types ('?type=webinar,workshop')
+ *   limit, offset - page size (1-100, default 20) and number of results to skip
+ * Results are ranked best match first (title matches count most). Each result has title_html
+ * and snippet_html: escaped HTML with the matching words wrapped in <mark> tags.
+ */
+// Search events (public)
+app.get('/api/events/search', async (req, res) => {
+    try {
+        const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        if (!query) {
+            return res.status(400).json({ error: 'Search text (q) is required' });
+        }
+
+        const types = parseListParam(req.query.type);
+        const eventTypes = await getEventTypeNames();
+        const unknownType = types.find(type => !eventTypes.includes(type));
+        if (unknownType) {
+            return res.status(400).json({ error: `Unknown event type "${unknownType}". Use one of: ${eventTypes.join(', ')}` });
+        }
+
+        const limit = parseIntegerParam(req.query.limit, 1, MAX_SEARCH_RESULTS);
+        const offset = parseIntegerParam(req.query.offset, 0, Number.MAX_SAFE_INTEGER);
+        if (limit === null) return res.status(400).json({ error: `limit must be a number from 1 to ${MAX_SEARCH_RESULTS}` });
+        if (offset === null) return res.status(400).json({ error: 'offset must be a number of 0 or more' });
+
+        const page = { limit: limit === undefined ? 20 : limit, offset: offset || 0 };
+        const { events, total } = await db.searchEvents(query, { types, ...page });
+
+        res.json({
+            query,
+            events: (await withRegistrationCounts(events)).map(({ title_match, description_match, rank, ...event }) => ({
+                ...timezone.withInstants(event),
+                title_html: highlightMatches(title_match),
+                snippet_html: highlightMatches(description_match)
+            })),
+            total,
+            limit: page.limit,
+            offset: page.offset,
+            has_more: page.offset + events.length < total
+        });
+    } catch (error) {
+        console.error('Error searching events:', error);
+        res.status(500).json({ error: 'Failed to search events' });
+    }
+});
+
+/**
+ * GET /api/events/export.csv - Download events as a CSV file (protected route - editor or admin)
+ * Query parameters - the same filters as the admin panel's event list:
+ *   q    - optional search text; only matching events are exported, best match first
+ *   type - optional event types ('?type=webinar,workshop')
+ * Without q, events are listed by date. The file has one row per event or series and the
+ * same columns POST /api/events/import/csv/preview recognises.
+ */
+// Export events as CSV (protected)
+app.get('/api/events/export.csv', authenticateUser, requireRole('editor'), async (req, res) => {
+    try {
+        const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        const types = parseListParam(req.query.type);
+        const eventTypes = await getEventTypeNames();
+        const unknownType = types.find(type => !eventTypes.includes(type));
+        if (unknownType) {
+            return res.status(400).json({ error: `Unknown event type "${unknownType}". Use one of: ${eventTypes.join(', ')}` });
+        }
+
+        // Every match, not just the first page the search box shows
+        const { events } = query
+            ? await db.searchEvents(query, { types, limit: Number.MAX_SAFE_INTEGER })
+            : await db.queryEvents({ types, sort: 'date' });
+        const rows = await withRegistrationCounts(events);
+
+        const settings = await db.getSettings();
+        const today = timezone.utcToZonedTime(new Date(), settings.timezone).date;
+        res.set({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="events-${today}.csv"`
+        });
+        res.send(csv.buildCsv(EVENT_CSV_EXPORT_COLUMNS, rows));
+    } catch (error) {
+        console.error('Error exporting events:', error);
+        res.status(500).json({ error: 'Failed to export events' });
+    }
+});
+
+/**
+ * POST /api/events - Create a new event (protected route - editor or admin)
+ * Headers: Authorization: Bearer <token>
+ * Body: { title, description, date, time, end_date, end_time, all_day, location, online_url, dial_in, capacity, type, recurrence_rule, allow_past }
+ * end_date/end_time are optional; all-day events need no time and may span several days
+ * location (venue), online_url (http/https meeting link) and dial_in are optional
+ * capacity is the most people who can register (1-10000); leave it out for no limit
+ * recurrence_rule is optional, e.g. 'FREQ=WEEKLY;INTERVAL=2;COUNT=6' or 'FREQ=DAILY;UNTIL=20250731'
+ * date and time are read in the institution's timezone (System Settings), which is stored with the event
+ * Dates before today are rejected unless allow_past is true
+ * Invalid data returns 422 { error, errors: { field: [messages] } }
+ */
+// Add new event (protected)
+app.post('/api/events', authenticateUser, requireRole('editor'), async (req, res) => {
+    try {
+        // Events are scheduled in the institution's current timezone, so "today" is its today
+        const settings = await db.getSettings();
+
+        const { value, errors } = validation.validate(EVENT_SCHEMA, req.body, {
+            today: timezone.utcToZonedTime(new Date(), settings.timezone).date,
+            eventTypes: await getEventTypeNames()
+        });
+        if (validation.hasErrors(errors)) {
+            return sendValidationErrors(res, errors);
+        }
+
+        // Create new event in database from the cleaned data (allow_past is not stored)
+        // req.user.id is the creator's ID
+        const { allow_past, ...eventData } = value;
+        const event = await db.createEvent({ ...normalizeEventTimes(eventData), timezone: settings.timezone }, req.user.id);
+        broadcastEventChange('created', event.id);
+        await auditEventChange(req, 'event.create', null, event);
+        
+        // Return the created event
+        res.status(201).json(timezone.withInstants(event));
+    } catch (error) {
+        // Handle event creation errors
+        console.error('Error creating event:', error);
+        res.status(500).json({ error: 'Failed to create event' });
+    }
+});
+
+/**
+ * POST /api/events/import/preview - Parse an uploaded .ics file without saving anything (protected route - editor or admin)
+ * Headers: Authorization: Bearer <token>, Content-Type: text/calendar
+ * Body: raw contents of the .ics file
+ * Each parsed VEVENT is returned with its validation errors, a suggested type and duplicate flags
+ */
+// Preview an iCalendar import (protected)
+app.post('/api/events/import/preview', authenticateUser, requireRole('editor'), bodyParser.text({ type: ['text/calendar', 'text/plain'], limit: '5mb' }), async (req, res) => {
+    try {
+        // The text parser leaves req.body as an object when the content type did not match
+        if (typeof req.body !== 'string' || !req.body.includes('BEGIN:VCALENDAR')) {
+            return res.status(400).json({ error: 'Request body must be an iCalendar (.ics) file' });
+        }
+
+        // Compare against existing events so re-importing the same file is caught
+        const existingKeys = new Set((await db.getAllEvents()).map(eventDuplicateKey));
+        const seenKeys = new Set();
+
+        // Times from the file are converted into the institution's timezone
+        const settings = await db.getSettings();
+        const eventTypes = await getEventTypeNames();
+
+        const rows = ics.parseCalendar(req.body, { timeZone: settings.timezone }).map((parsed, index) => {
+            const key = eventDuplicateKey(parsed);
+            const duplicate = parsed.errors.length > 0 ? null
+                : existingKeys.has(key) ? 'existing'   // Already in the calendar
+                : seenKeys.has(key) ? 'file'           // Repeated earlier in the same file
+                : null;
+            seenKeys.add(key);
+
+            return {
+                index,
+                uid: parsed.uid,
+                title: parsed.title,
+                description: parsed.description,
+                date: parsed.date,
+                time: parsed.time,
+                end_date: parsed.end_date,
+                end_time: parsed.end_time,
+                all_day: parsed.all_day,
+                location: parsed.location,
+                online_url: parsed.online_url,
+                // Pre-select a type when one of the VEVENT's categories matches a known type
+                suggestedType: parsed.categories.find(category => eventTypes.includes(category)) || null,
+                errors: parsed.errors,
+                duplicate
+            };
+        });
+
+        res.json({ rows, types: eventTypes });
+    } catch (error) {
+        console.error('Error previewing import:', error);
+        res.status(500).json({ error: 'Failed to read calendar file' });
+    }
+});
+
+/**
+ * POST /api/events/import/csv/preview - Dry run of a spreadsheet import (protected route - editor or admin)
+ * Headers: Authorization: Bearer <token>
+ * Body: { csv: text of the CSV file, mapping: { field: column number } (optional) }
+ * The first row holds the column headers. Without a mapping, columns are matched to event fields
+ * by their headers. Nothing is saved: every row comes back with its values, its problems (bad dates
+ * and times, unknown types, ...) and duplicate flags, in the same shape as the .ics preview, and the
+ * selected rows are then sent to POST /api/events/import.
+ */
+// Preview a CSV import (protected)
+app.post('/api/events/import/csv/preview', authenticateUser, requireRole('editor'), async (req, res) => {
+    try {
+        const text = req.body.csv;
+        if (typeof text !== 'string' || !text.trim()) {
+            return res.status(400).json({ error: 'csv must be the text of a CSV file' });
+        }
+
+        let table;
+        try {
+            table = csv.parseCsv(text);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (table.length < 2) {
+            return res.status(400).json({ error: 'The file needs a header row and at least one event' });
+        }
+
+        const [headers, ...lines] = table;
+        const { mapping, error } = parseCsvMapping(req.body.mapping, headers);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        // Compare against existing events so re-importing an exported file is caught
+        const existingKeys = new Set((await db.getAllEvents()).map(eventDuplicateKey));
+        const seenKeys = new Set();
+        const types = await db.getEventTypes();
+
+        const rows = lines.map((cells, index) => {
+            const { event, unknownType, errors: readErrors } = readCsvEvent(cells, mapping, types);
+            const { value, errors } = validation.validate(CSV_PREVIEW_SCHEMA, event, { allowPast: true });
+            const rowErrors = [...readErrors, ...Object.values(errors).flat()];
+
+            // All-day events are stored at 00:00, so compare them that way
+            const key = eventDuplicateKey(normalizeEventTimes(value));
+            const duplicate = rowErrors.length > 0 ? null
+                : existingKeys.has(key) ? 'existing'   // Already in the calendar
+                : seenKeys.has(key) ? 'file'           // Repeated earlier in the same file
+                : null;
+            seenKeys.add(key);
+
+            return {
+                index,
+                ...value,
+                // A known type is pre-selected; an unknown one is reported so a type can be chosen instead
+                suggestedType: event.type || null,
+                unknownType,
+                errors: rowErrors,
+                duplicate
+            };
+        });
+
+        res.json({
+            headers,
+            mapping,
+            fields: EVENT_CSV_FIELDS.map(({ field, header }) => ({
+                field,
+                label: header,
+                required: REQUIRED_CSV_FIELDS.includes(field)
+            })),
+            rows,
+            types: types.map(type => type.name)
+        });
+    } catch (error) {
+        console.error('Error previewing CSV import:', error);
+        res.status(500).json({ error: 'Failed to read CSV file' });
+    }
+});
+
+/**
+ * POST /api/events/import - Create many events at once (protected route - editor or admin)
+ * Headers: Authorization: Bearer <token>
+ * Body: { events: [{ title, description, date, time, end_date, end_time, all_day, location, online_url,
+ *                    dial_in, capacity, type, recurrence_rule, timezone }, ...] }
+ * timezone is optional and defaults to the institution's timezone
+ * All events are inserted in a single transaction - either every event is saved or none are
+ */
+// Bulk import events (protected)
+app.post('/api/events/import', authenticateUser, requireRole('editor'), async (req, res) => {
+    try {
+        const { events } = req.body;
+
+        if (!Array.isArray(events) || events.length === 0) {
+            return res.status(400).json({ error: 'At least one event is required' });
+        }
+
+        // Reject the whole batch if any row is invalid, reporting every problem at once
+        const eventTypes = await getEventTypeNames();
+        const checked = events.map((event, index) => ({ index, ...validateImportedEvent(event, eventTypes) }));
+        const invalidRows = checked
+            .filter(row => row.errors.length > 0)
+            .map(({ index, errors }) => ({ index, errors }));
+
+        if (invalidRows.length > 0) {
+            return res.status(400).json({ error: 'Some events are invalid', rows: invalidRows });
+        }
+
+        // Insert every event in one transaction
+        const settings = await db.getSettings();
+        const created = await db.importEvents(checked.map(({ value }) => {
+            const { timezone: timeZone, ...eventData } = value;
+            return {
+                ...normalizeEventTimes({ ...eventData, description: eventData.description || '' }),
+                timezone: timeZone || settings.timezone
+            };
+        }), req.user.id);
+
+        // Broadcast and audit only after the transaction has committed
+        for (const event of created) {
+            broadcastEventChange('created', event.id);
+            await auditEventChange(req, 'event.create', null, event);
+        }
+
+        res.status(201).json({ success: true, imported: created.length, events: created.map(timezone.withInstants) });
+    } catch (error) {
+        console.error('Error importing events:', error);
+        res.status(500).json({ error: 'Failed to import events' });
+    }
+});
+
+/**
+ * POST /api/events/bulk - Change many events at once (protected route - editor or admin)
+ * Headers: Authorization: Bearer <token>
+ * Body: { action, ids: [eventId, ...], type, days }
+ *   action 'delete'      - move the events to the trash
+ *   action 'change_type' - give them all the event type in type
+ *   action 'shift'       - move them days days later (negative = earlier); series move their first date
+ *   action 'duplicate'   - create a copy of each event
+ * Every event is checked inside one transaction before anything is saved: either all of them
+ * change, or none do. The response has one result per event, in the order of ids:
+ *   200 { success: true, action, changed, results: [{ id, success: true, event }] }
+ *       (event is the updated event, the new copy for duplicates, and left out for deletes)
+ *   422 { error, results: [{ id, success, error, errors }] } - nothing was changed; events with
+ *       success: false have a problem (error, plus per-field errors when a change is invalid)
+ */
+// Bulk change events (protected)
+app.post('/api/events/bulk', authenticateUser, requireRole('editor'), async (req, res) => {
+    try {
+        const eventTypes = await getEventTypeNames();
+        const { request, error } = parseBulkRequest(req.body, eventTypes);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        // Plan every change first, so a problem with any event leaves all of them untouched
+        const plans = await db.runInTransaction(async () => {
+            const planned = [];
+            for (const eventId of request.ids) {
+                planned.push(await planBulkChange(request, eventId, eventTypes));
+            }
+            if (planned.some(plan => plan.error)) return planned;
+
+            for (const plan of planned) {
+                plan.after = await applyBulkChange(request, plan, req.user.id);
+            }
+            return planned;
+        });
+
+        const failed = plans.filter(plan => plan.error);
+        if (failed.length > 0) {
+            return res.status(422).json({
+                error: `${failed.length} of ${plans.length} event${plans.length === 1 ? '' : 's'} could not be changed, so nothing was changed`,
+                results: plans.map(plan => plan.error
+                    ? { id: plan.id, success: false, error: plan.error, errors: plan.errors }
+                    : { id: plan.id, success: true })
+            });
+        }
+
+        // Broadcast and audit only after the transaction has committed
+        for (const plan of plans) {
+            if (request.action === 'delete') {
+                broadcastEventChange('deleted', plan.id);
+                await auditEventChange(req, 'event.delete', plan.before, null);
+            } else if (request.action === 'duplicate') {
+                broadcastEventChange('created', plan.after.id);
+                await auditEventChange(req, 'event.create', null, plan.after);
+            } else {
+                broadcastEventChange('updated', plan.id);
+                await auditEventChange(req, 'event.update', plan.before, plan.after);
+            }
+        }
+
+        res.json({
+            success: true,
+            action: request.action,
+            changed: plans.length,
+            results: plans.map(plan => ({
+                id: plan.id,
+                success: true,
+                event: plan.after ? timezone.withInstants(plan.after) : undefined
+            }))
+        });
+    } catch (error) {
+        console.error('Error applying bulk change:', error);
+        res.status(500).json({ error: 'Failed to change events' });
+    }
+});
+
+/**
+ * PUT /api/events/:id - Update an existing event (protected route - editor or admin)
+ * URL parameter: id (event ID)
+ * Headers: Authorization: Bearer <token>
+ * Body: Updated event data, same fields as POST /api/events
+ * For recurring events this edits the whole series; single occurrences are edited
+ * through /api/events/:id/occurrences/:date
+ * A series keeps its recurrence_rule when the field is left out; only null or '' makes it a single event
+ * An event may keep a date that has since passed; moving it to another past date needs allow_past
+ * Raising or removing the capacity gives the new seats to people on the waitlist
+ * Invalid data returns 422 { error, errors: { field: [messages] } }
+ */
+// Update event (protected)
+app.put('/api/events/:id', authenticateUser, requireRole('editor'), async (req, res) => {
+    try {
+        const existing = await db.getEventById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        // Leaving the rule out must not quietly drop every occurrence after the first
+        const input = { ...req.body };
+        if (input.recurrence_rule === undefined) input.recurrence_rule = existing.recurrence_rule;
+
+        // "Today" is measured in the timezone the event is scheduled in
+        const { value, errors } = validation.validate(EVENT_SCHEMA, input, {
+            today: timezone.utcToZonedTime(new Date(), existing.timezone || timezone.DEFAULT_TIMEZONE).date,
+            currentDate: existing.date,
+            eventTypes: await getEventTypeNames()
+        });
+        if (validation.hasErrors(errors)) {
+            return sendValidationErrors(res, errors);
+        }
+
+        // Get event ID from URL parameter and update event in database
+        const { allow_past, ...eventData } = value;
+        await db.updateEvent(req.params.id, normalizeEventTimes(eventData), req.user.id);
+        await db.promoteWaitlist(req.params.id);
+        
+        // Return updated event (re-read so it includes the timezone it is stored in)
+        const event = await db.getEventById(req.params.id);
+        broadcastEventChange('updated', event.id);
+        await auditEventChange(req, 'event.update', existing, event);
+        res.json(timezone.withInstants(event));
+    } catch (error) {
+        // Handle specific error for event not found
+        if (error.message === 'Event not found') {
+            res.status(404).json({ error: 'Event not found' });
+        } else {
+            // Handle other update errors
+            console.error('Error updating event:', error);
+            res.status(500).json({ error: 'Failed to update event' });
+        }
+    }
+});
+
+/**
+ * DELETE /api/events/:id - Move an event to the trash (protected route - editor or admin)
+ * URL parameter: id (event ID)
+ * Headers: Authorization: Bearer <token>
+ * The event disappears everywhere but can be restored with POST /api/events/trash/:id/restore
+ */
+// Delete event (protected)
+app.delete('/api/events/:id', authenticateUser, requireRole('editor'), async (req, res) => {
+    try {
+        // Keep a copy for the audit log, then move the event to the trash
+        const existing = await db.getEventById(req.params.id);
+        await db.deleteEvent(req.params.id, req.user.id);
+        broadcastEventChange('deleted', req.params.id);
+        await auditEventChange(req, 'event.delete', existing, null);
+        
+        // Return success message
+        res.json({ message: 'Event moved to the trash' });
+    } catch (error) {
+        // Handle specific error for event not found
+        if (error.message === 'Event not found') {
+            res.status(404).json({ error: 'Event not found' });
+        } else {
+            // Handle other deletion errors
+            console.error('Error deleting event:', error);
+            res.status(500).json({ error: 'Failed to delete event' });
+        }
+    }
+});
+
+// ===== RECURRING EVENT OCCURRENCE ROUTES =====
+
+/**
+ * GET /api/events/:id/occurrences - List every occurrence of an event (public route)
+ * Cancelled occurrences are included with status 'cancelled' so they can be restored
+ */
+// List occurrences (public)
+app.get('/api/events/:id/occurrences', async (req, res) => {
+    try {
+        const event = await db.getEventById(req.params.id);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        const exceptions = await db.getEventExceptions(event.id);
+        res.json(recurrence.expandEvent(event, exceptions, { includeCancelled: true }).map(timezone.withInstants));
+    } catch (error) {
+        console.error('Error fetching occurrences:', error);
+        res.status(500).json({ error: 'Failed to fetch occurrences' });
+    }
+});
+
+/**
+ * PUT /api/events/:id/occurrences/:date - Edit a single occurrence of a recurring event (protected route - editor or admin)
+ * URL parameters: id (series ID), date (original occurrence date, YYYY-MM-DD)
+ * Headers: Authorization: Bearer <token>
+ * Body: { date, time, title, description } - omitted fields keep the series values
+ * Invalid data returns 422 { error, errors: { field: [messages] } }
+ */
+// Edit one occurrence (protected)
+app.put('/api/events/:id/occurrences/:date', authenticateUser, requireRole('editor'), async (req, res) => {
+    try {
+        // Validate the new values before looking anything up
+        const { value, errors } = validation.validate(OCCURRENCE_SCHEMA, req.body);
+        if (validation.hasErrors(errors)) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const { event, status, error } = await findOccurrence(req.params.id, req.params.date);
+        if (!event) {
+            return res.status(status).json({ error });
+        }
+
+        const before = await getOccurrenceState(event, req.params.date);
+        const exception = await db.saveEventException(event.id, req.params.date, {
+            status: 'modified',
+            ...value
+        });
+        broadcastEventChange('updated', event.id);
+        await auditOccurrenceChange(req, 'occurrence.update', event, req.params.date, before);
+
+        res.json(exception);
+    } catch (error) {
+        console.error('Error updating occurrence:', error);
+        res.status(500).json({ error: 'Failed to update occurrence' });
+    }
+});
+
+/**
+ * DELETE /api/events/:id/occurrences/:date - Cancel a single occurrence of a recurring event (protected route - editor or admin)
+ * URL parameters: id (series ID), date (original occurrence date, YYYY-MM-DD)
+ * Headers: Authorization: Bearer <token>
+ */
+// Cancel one occurrence (protected)
+app.delete('/api/events/:id/occurrences/:date', authenticateUser, requireRole('editor'), async (req, res) => {
+    try {
+        const { event, status, error } = await findOccurrence(req.params.id, req.params.date);
+        if (!event) {
+            return res.status(status).json({ error });
+        }
+
+        const before = await getOccurrenceState(event, req.params.date);
+        await db.saveEventException(event.id, req.params.date, { status: 'cancelled' });
+        broadcastEventChange('updated', event.id);
+        await auditOccurrenceChange(req, 'occurrence.cancel', event, req.params.date, before);
+        res.json({ message: 'Occurrence cancelled successfully' });
+    } catch (error) {
+        console.error('Error cancelling occurrence:', error);
+        res.status(500).json({ error: 'Failed to cancel occurrence' });
+    }
+});
+
+/**
+ * POST /api/events/:id/occurrences/:date/restore - Undo a cancellation or edit of one occurrence (protected route - editor or admin)
+ * URL parameters: id (series ID), date (original occurrence date, YYYY-MM-DD)
+ * Headers: Authorization: Bearer <token>
+ */
+// Restore one occurrence (protected)
+app.post('/api/events/:id/occurrences/:date/restore', authenticateUser, requireRole('editor'), async (req, res) => {
+    try {
+        const event = await db.getEventById(req.params.id);
+        const before = event ? await getOccurrenceState(event, req.params.date) : null;
+        await db.deleteEventException(req.params.id, req.params.date);
+        broadcastEventChange('updated', req.params.id);
+        if (event) {
+            await auditOccurrenceChange(req, 'occurrence.restore', event, req.params.date, before);
+        }
+        res.json({ message: 'Occurrence restored successfully' });
+    } catch (error) {
+        if (error.message === 'Exception not found') {
+            res.status(404).json({ error: 'Occurrence has no changes to undo' });
+        } else {
+            console.error('Error restoring occurrence:', error);
+            res.status(500).json({ error: 'Failed to restore occurrence' });
+        }
+    }
+});
+
+// ===== TRASH ROUTES =====
+// Deleted events wait in the trash until they are restored or purged for good
+
+/**
+ * GET /api/events/trash - List the events in the trash, most recently deleted first (protected route - editor or admin)
+ * Headers: Authorization: Bearer <token>
+ * Each event carries deleted_at (UTC), deleted_by and deleted_by_username
+ */
+// List the trash (protected)
+app.get('/api/events/trash', authenticateUser, requireRole('editor'), async (req, res) => {
+    try {
+        const events = await db.getDeletedEvents();
+        res.json(events.map(timezone.withInstants));
+    } catch (error) {
+        console.error('Error fetching trash:', error);
+        res.status(500).json({ error: 'Failed to fetch trash' });
+    }
+});
+
+/**
+ * POST /api/events/trash/:id/restore - Take an event out of the trash (protected route - editor or admin)
+ * URL parameter: id (event ID)
+ * Headers: Authorization: Bearer <token>
+ * The event comes back with its occurrences, registrations and attendance as they were
+ */
+// Restore a deleted event (protected)
+app.post('/api/events/trash/:id/restore', authenticateUser, requireRole('editor'), async (req, res) => {
+    try {
+        await db.restoreEvent(req.params.id);
+
+        const event = await db.getEventById(req.params.id);
+        broadcastEventChange('created', event.id);
+        await recordAudit(req, 'event.restore', { entityType: 'event', entityId: event.id, entityLabel: event.title });
+        res.json(timezone.withInstants(event));
+    } catch (error) {
+        if (error.message === 'Event not found') {
+            res.status(404).json({ error: 'Event is not in the trash' });
+        } else {
+            console.error('Error restoring event:', error);
+            res.status(500).json({ error: 'Failed to restore event' });
+        }
+    }
+});
+
+/**
+ * DELETE /api/events/trash/:id - Permanently delete an event in the trash (admin only)
+ * URL parameter: id (event ID)
+ * Headers: Authorization: Bearer <token>
+ * Its occurrences, registrations, attendance and revisions go with it. This cannot be undone.
+ */
+// Purge a deleted event (admin)
+app.delete('/api/events/trash/:id', authenticateUser, requireRole('admin'), async (req, res) => {
+    try {
+        // Keep a copy for the audit log, then delete the event for good
+        const existing = await db.getEventById(req.params.id, { includeDeleted: true });
+        await db.purgeEvent(req.params.id);
+
+        // Calendars dropped the event when it was deleted; this tells other admin panels to update their trash
+        broadcastEventChange('deleted', existing.id);
+        await auditEventChange(req, 'event.purge', existing, null);
+        res.json({ message: 'Event permanently deleted' });
+    } catch (error) {
+        if (error.message === 'Event not found') {
+            res.status(404).json({ error: 'Event is not in the trash' });
+        } else {
+            console.error('Error purging event:', error);
+            res.status(500).json({ error: 'Failed to purge event' });
+        }
+    }
+});
+
+// ===== REVISION HISTORY ROUTES =====
+// Every create and edit of an event saves a revision. Rolling back saves the old version
+// again as the newest revision, so a rollback can itself be undone.
+
+/**
+ * GET /api/events/:id/revisions - List an event's revisions, newest first (protected route - editor or admin)
+ * URL parameter: id (event ID)
+ * Headers: Authorization: Bearer <token>
+ * Returns [{ revision, snapshot, restored_from, user_id, username, created_at, changes }] where
+ * snapshot holds the event's fields at that revision and changes is { field: { before, after } }
+ * compared with the revision before it (null for the first revision)
+ */
+// Revision history (protected)
+app.get('/api/events/:id/revisions', authenticateUser, requireRole('editor'), async (req, res) => {
+    try {
+        const event = await db.getEventById(req.params.id);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        const revisions = await db.getEventRevisions(event.id);
+        res.json(revisions.map((revision, index) => {
+            const previous = revisions[index + 1];
+            return { ...revision, changes: previous ? diffFields(previous.snapshot, revision.snapshot, AUDITED_EVENT_FIELDS) : null };
+        }));
+    } catch (error) {
+        console.error('Error fetching revisions:', error);
+        res.status(500).json({ error: 'Failed to fetch revisions' });
+    }
+});
+
+/**
+ * POST /api/events/:id/revisions/:revision/restore - Roll an event back to an earlier revision (protected route - editor or admin)
+ * URL parameters: id (event ID), revision (revision number)
+ * Headers: Authorization: Bearer <token>
+ * The old version goes through the same checks as an edit, except that past dates are allowed.
+ * A version that is no longer valid (e.g. its event type was deleted) returns 422 { error, errors }.
+ */
+// Roll back to a revision (protected)
+app.post('/api/events/:id/revisions/:revision/restore', authenticateUser, requireRole('editor'), async (req, res) => {
+    try {
+        const existing = await db.getEventById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        const revisionNumber = parseIntegerParam(req.params.revision, 1, Number.MAX_SAFE_INTEGER);
+        const revision = revisionNumber ? await db.getEventRevision(existing.id, revisionNumber) : null;
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        const { value, errors } = validation.validate(EVENT_SCHEMA, toEventInput(revision.snapshot), {
+            allowPast: true,
+            eventTypes: await getEventTypeNames()
+        });
+        if (validation.hasErrors(errors)) {
+            return res.status(422).json({ error: `Revision ${revision.revision} can no longer be restored`, errors });
+        }
+
+        const { allow_past, ...eventData } = value;
+        await db.updateEvent(existing.id, normalizeEventTimes(eventData), req.user.id, revision.revision);
+        await db.promoteWaitlist(existing.id);
+
+        const event = await db.getEventById(existing.id);
+        broadcastEventChange('updated', event.id);
+        await auditEventChange(req, 'event.rollback', existing, event);
+        res.json(timezone.withInstants(event));
+    } catch (error) {
+        if (error.message === 'Event not found') {
+            res.status(404).json({ error: 'Event not found' });
+        } else {
+            console.error('Error rolling back event:', error);
+            res.status(500).json({ error: 'Failed to roll back event' });
+        }
+    }
+});
+
+// ===== REGISTRATION ROUTES =====
+
+/**
+ * GET /api/registrations - List the events the current user has signed up for (any signed-in user)
+ * Headers: Authorization: Bearer <token>
+ * Returns [{ event_id, status, position, created_at }]; status is 'registered' or 'waitlisted',
+ * and position is the user's place on the waitlist (1 = next to get a seat)
+ */
+// My registrations (protected)
+app.get('/api/registrations', authenticateUser, async (req, res) => {
+    try {
+        res.json(await db.getUserRegistrations(req.user.id));
+    } catch (error) {
+        console.error('Error fetching registrations:', error);
+        res.status(500).json({ error: 'Failed to fetch registrations' });
+    }
+});
+
+/**
+ * POST /api/events/:id/registration - Sign the current user up for an event (any signed-in user)
+ * Headers: Authorization: Bearer <token>
+ * The user gets a seat if there is one, and joins the waitlist otherwise.
+ * Registering for a recurring event signs up for the whole series.
+ * Returns 201 { event_id, status, position, created_at }; 409 if the user is already signed up
+ * or registration has closed (the event, or the last occurrence of a series, has started)
+ */
+// Register for event (protected)
+app.post('/api/events/:id/registration', authenticateUser, async (req, res) => {
+    try {
+        const event = await db.getEventById(req.params.id);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        if (await isRegistrationClosed(event)) {
+            return res.status(409).json({ error: 'Registration has closed because this event has already started' });
+        }
+
+        const registration = await db.registerForEvent(event.id, req.user.id);
+        broadcastEventChange('updated', event.id);   // Seat counts changed
+        res.status(201).json(registration);
+    } catch (error) {
+        if (error.message === 'Already registered') {
+            res.status(409).json({ error: 'You are already signed up for this event' });
+        } else if (error.message === 'Event not found') {
+            // Deleted between the check above and the transaction
+            res.status(404).json({ error: 'Event not found' });
+        } else {
+            console.error('Error registering for event:', error);
+            res.status(500).json({ error: 'Failed to register for event' });
+        }
+    }
+});
+
+/**
+ * DELETE /api/events/:id/registration - Cancel the current user's registration (any signed-in user)
+ * Headers: Authorization: Bearer <token>
+ * Also takes the user off the waitlist. A freed seat goes to the first person on the waitlist.
+ */
+// Cancel registration (protected)
+app.delete('/api/events/:id/registration', authenticateUser, async (req, res) => {
+    try {
+        const promoted = await db.cancelRegistration(req.params.id, req.user.id);
+        broadcastEventChange('updated', req.params.id);   // Seat counts changed
+        res.json({ message: 'Registration cancelled successfully', promoted });
+    } catch (error) {
+        if (error.message === 'Registration not found') {
+            res.status(404).json({ error: 'You are not signed up for this event' });
+        } else {
+            console.error('Error cancelling registration:', error);
+            res.status(500).json({ error: 'Failed to cancel registration' });
+        }
+    }
+});
+
+/**
+ * GET /api/events/:id/registrations - Roster of everyone signed up for an event (protected route - editor or admin)
+ * Headers: Authorization: Bearer <token>
+ * Registered users come first, then the waitlist in order. Each row has
+ * { id, user_id, full_name, username, email, status, position, created_at, updated_at }
+ */
+// Event roster (protected)
+app.get('/api/events/:id/registrations', authenticateUser, requireRole('editor'), async (req, res) => {
+    try {
+        const event = await db.getEventById(req.params.id);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        res.json(await db.getEventRoster(event.id));
+    } catch (error) {
+        console.error('Error fetching roster:', error);
+        res.status(500).json({ error: 'Failed to fetch registrations' });
+    }
+});
+
+/**
+ * GET /api/events/:id/registrations.csv - Download an event's roster as a CSV file (protected route - editor or admin)
+ * Headers: Authorization: Bearer <token>
+ * Same rows and order as GET /api/events/:id/registrations
+ */
+// Event roster download (protected)
+app.get('/api/events/:id/registrations.csv', authenticateUser, requireRole('editor'), async (req, res) => {
+    try {
+        const event = await db.getEventById(req.params.id);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        const roster = await db.getEventRoster(event.id);
+
+        const columns = [
+            { header: 'Name', value: row => row.full_name },
+            { header: 'Username', value: row => row.username },
+            { header: 'Email', value: row => row.email },
+            { header: 'Status', value: row => row.status },
+            { header: 'Waitlist Position', value: row => row.position },
+            { header: 'Signed Up (UTC)', value: row => row.created_at },
+            { header: 'Last Changed (UTC)', value: row => row.updated_at }
+        ];
+
+        res.set({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="event-${event.id}-registrations.csv"`
+        });
+        res.send(csv.buildCsv(columns, roster));
+    } catch (error) {
+        console.error('Error building roster file:', error);
+        res.status(500).json({ error: 'Failed to build registrations file' });
+    }
+});
+
+// ===== ATTENDANCE ROUTES =====
+// Each event has a secret check-in code, printed as a QR code at the door. Scanning it opens
+// checkin.html, which sends the code back with the attendee's login to record attendance.
+
+/**
+ * GET /api/events/:id/checkin-code - Get an event's check-in code and QR image (protected route - editor or admin)
+ * Headers: Authorization: Bearer <token>
+ * The code is generated the first time it is asked for.
+ * Returns { event_id, code, created_at, url, qr_svg } - url is the link in the QR code
+ */
+// Event check-in code (protected)
+app.get('/api/events/:id/checkin-code', authenticateUser, requireRole('editor'), async (req, res) => {
+    try {
+        const event = await db.getEventById(req.params.id);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        const checkInCode = await db.getCheckInCode(event.id) || await db.saveCheckInCode(event.id, generateCheckInCode());
+        res.json(describeCheckInCode(req, event, checkInCode));
+    } catch (error) {
+        console.error('Error fetching check-in code:', error);
+        res.status(500).json({ error: 'Failed to fetch check-in code' });
+    }
+});
+
+/**
+ * POST /api/events/:id/checkin-code - Replace an event's check-in code (protected route - editor or admin)
+ * Headers: Authorization: Bearer <token>
+ * QR codes printed with the old code stop working - use this if a code has been shared too widely.
+ * Returns the new code in the same shape as GET /api/events/:id/checkin-code
+ */
+// Replace check-in code (protected)
+app.post('/api/events/:id/checkin-code', authenticateUser, requireRole('editor'), async (req, res) => {
+    try {
+        const event = await db.getEventById(req.params.id);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        const checkInCode = await db.saveCheckInCode(event.id, generateCheckInCode());
+        res.json(describeCheckInCode(req, event, checkInCode));
+    } catch (error) {
+        console.error('Error replacing check-in code:', error);
+        res.status(500).json({ error: 'Failed to replace check-in code' });
+    }
+});
+
+/**
+ * GET /api/events/:id/checkin-code.svg - Download an event's check-in QR code for printing (protected route - editor or admin)
+ * Headers: Authorization: Bearer <token>
+ * Returns 404 until a code has been generated with GET /api/events/:id/checkin-code
+ */
+// Check-in QR code download (protected)
+app.get('/api/events/:id/checkin-code.svg', authenticateUser, requireRole('editor'), async (req, res) => {
+    try {
+        const event = await db.getEventById(req.params.id);
+        const checkInCode = event ? await db.getCheckInCode(event.id) : null;
+        if (!checkInCode) {
+            return res.status(404).json({ error: event ? 'Check-in code not found' : 'Event not found' });
+        }
+
+        res.set({
+            'Content-Type': 'image/svg+xml; charset=utf-8',
+            'Content-Disposition': `attachment; filename="event-${event.id}-checkin.svg"`
+        });
+        res.send(describeCheckInCode(req, event, checkInCode).qr_svg);
+    } catch (error) {
+        console.error('Error building check-in QR code:', error);
+        res.status(500).json({ error: 'Failed to build check-in QR code' });
+    }
+});
+
+/**
+ * POST /api/events/:id/checkin - Check the current user in to an event (any signed-in user)
+ * Headers: Authorization: Bearer <token>
+ * Body: { code } - the check-in code from the event's QR code
+ * Check-in is open from CHECKIN_OPENS_MINUTES before an occurrence starts until it ends.
+ * Attendees do not need to have registered. For a recurring series, the check-in counts
+ * for the occurrence that is open at the time.
+ * Returns 201 { event_id, title, occurrence_date, checked_in_at }; 403 for a wrong code;
+ * 409 if check-in is not open or the user has already checked in to this occurrence
+ */
+// Check in (protected)
+app.post('/api/events/:id/checkin', authenticateUser, async (req, res) => {
+    try {
+        const { value, errors } = validation.validate(CHECKIN_SCHEMA, req.body);
+        if (validation.hasErrors(errors)) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const event = await db.getEventById(req.params.id);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        const checkInCode = await db.getCheckInCode(event.id);
+        if (!checkInCode || !checkInCodeMatches(checkInCode.code, value.code)) {
+            return res.status(403).json({ error: 'This check-in code is not valid. Please scan the QR code at the event again.' });
+        }
+
+        const occurrence = await findCheckInOccurrence(event);
+        if (!occurrence) {
+            return res.status(409).json({
+                error: `Check-in is not open. It opens ${CHECKIN_OPENS_MINUTES} minutes before the event starts and closes when it ends.`
+            });
+        }
+
+        const attendance = await db.recordAttendance(event.id, occurrence.occurrence_date, req.user.id);
+        res.status(201).json({ ...attendance, title: occurrence.title });
+    } catch (error) {
+        if (error.message === 'Already checked in') {
+            res.status(409).json({ error: 'You have already checked in to this event' });
+        } else {
+            console.error('Error checking in:', error);
+            res.status(500).json({ error: 'Failed to check in' });
+        }
+    }
+});
+
+/**
+ * GET /api/events/:id/attendance - Attendance report for an event (protected route - editor or admin)
+ * Headers: Authorization: Bearer <token>
+ * Returns {
+ *   registered_count,  - people holding a seat (registrations are for the whole event or series)
+ *   occurrences: [{ occurrence_date, checked_in, registered, walk_ins }] - newest first,
+ *   attendees: [{ id, user_id, full_name, username, email, occurrence_date, checked_in_at, registration_status }]
+ * }
+ * walk_ins counts attendees who had no seat (not signed up, or still on the waitlist)
+ */
+// Event attendance (protected)
+app.get('/api/events/:id/attendance', authenticateUser, requireRole('editor'), async (req, res) => {
+    try {
+        const event = await db.getEventById(req.params.id);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        const [attendees, counts] = await Promise.all([
+            db.getEventAttendance(event.id),
+            db.getRegistrationCounts([event.id])
+        ]);
+
+        // Attendees arrive grouped by occurrence, newest first
+        const occurrences = [];
+        attendees.forEach(attendee => {
+            let summary = occurrences[occurrences.length - 1];
+            if (!summary || summary.occurrence_date !== attendee.occurrence_date) {
+                summary = { occurrence_date: attendee.occurrence_date, checked_in: 0, registered: 0, walk_ins: 0 };
+                occurrences.push(summary);
+            }
+            summary.checked_in++;
+            if (attendee.registration_status === 'registered') {
+                summary.registered++;
+            } else {
+                summary.walk_ins++;
+            }
+        });
+
+        res.json({
+            registered_count: (counts.get(event.id) || { registered: 0 }).registered,
+            occurrences,
+            attendees
+        });
+    } catch (error) {
+        console.error('Error fetching attendance:', error);
+        res.status(500).json({ error: 'Failed to fetch attendance' });
+    }
+});
+
+/**
+ * GET /api/events/:id/attendance.csv - Download an event's attendance as a CSV file (protected route - editor or admin)
+ * Headers: Authorization: Bearer <token>
+ * One row per check-in, in the same order as GET /api/events/:id/attendance
+ */
+// Event attendance download (protected)
+app.get('/api/events/:id/attendance.csv', authenticateUser, requireRole('editor'), async (req, res) => {
+    try {
+        const event = await db.getEventById(req.params.id);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        const attendees = await db.getEventAttendance(event.id);
+
+        const columns = [
+            { header: 'Name', value: row => row.full_name },
+            { header: 'Username', value: row => row.username },
+            { header: 'Email', value: row => row.email },
+            { header: 'Occurrence Date', value: row => row.occurrence_date },
+            { header: 'Checked In (UTC)', value: row => row.checked_in_at },
+            { header: 'Registration', value: row => row.registration_status || 'not registered' }
+        ];
+
+        res.set({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="event-${event.id}-attendance.csv"`
+        });
+        res.send(csv.buildCsv(columns, attendees));
+    } catch (error) {
+        console.error('Error building attendance file:', error);
+        res.status(500).json({ error: 'Failed to build attendance file' });
+    }
+});
+
+// ===== EVENT TYPE ROUTES =====
+
+/**
+ * GET /api/event-types - List every event type with its color, icon and number of events
+ * Public so the calendar page can build its filter buttons and colors
+ */
+// List event types (public)
+app.get('/api/event-types', async (req, res) => {
+    try {
+        const types = await db.getEventTypes();
+        res.json(types);
+    } catch (error) {
+        console.error('Error fetching event types:', error);
+        res.status(500).json({ error: 'Failed to fetch event types' });
+    }
+});
+
+/**
+ * POST /api/event-types - Create an event type (admin only)
+ * Headers: Authorization: Bearer <token>
+ * Body: { name, label, color, icon }
+ * name is a lowercase identifier such as 'exam', color is '#rrggbb' and icon is a
+ * Font Awesome class such as 'fas fa-graduation-cap'
+ * Invalid data returns 422 { error, errors: { field: [messages] } }
+ */
+// Create event type (admin)
+app.post('/api/event-types', authenticateUser, requireRole('admin'), async (req, res) => {
+    try {
+        const { value, errors } = validation.validate(EVENT_TYPE_SCHEMA, req.body, {
+            eventTypes: await getEventTypeNames()
+        });
+        if (validation.hasErrors(errors)) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const type = await db.createEventType(value);
+        await auditEventTypeChange(req, 'event_type.create', null, type);
+        res.status(201).json(type);
+    } catch (error) {
+        // Another request may have taken the name since it was checked
+        if (error.message.includes('UNIQUE constraint failed')) {
+            sendValidationErrors(res, { name: ['An event type with this name already exists'] });
+        } else {
+            console.error('Error creating event type:', error);
+            res.status(500).json({ error: 'Failed to create event type' });
+        }
+    }
+});
+
+/**
+ * PUT /api/event-types/:id - Change an event type's label, color or icon (admin only)
+ * URL parameter: id (event type ID)
+ * Headers: Authorization: Bearer <token>
+ * Body: { label, color, icon } - the name cannot be changed because events refer to it
+ * Invalid data returns 422 { error, errors: { field: [messages] } }
+ */
+// Update event type (admin)
+app.put('/api/event-types/:id', authenticateUser, requireRole('admin'), async (req, res) => {
+    try {
+        const { value, errors } = validation.validate(EVENT_TYPE_UPDATE_SCHEMA, req.body);
+        if (validation.hasErrors(errors)) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const before = await db.getEventTypeById(req.params.id);
+        const type = await db.updateEventType(req.params.id, value);
+        await auditEventTypeChange(req, 'event_type.update', before, type);
+        res.json(type);
+    } catch (error) {
+        if (error.message === 'Event type not found') {
+            res.status(404).json({ error: 'Event type not found' });
+        } else {
+            console.error('Error updating event type:', error);
+            res.status(500).json({ error: 'Failed to update event type' });
+        }
+    }
+});
+
+/**
+ * DELETE /api/event-types/:id - Delete an event type (admin only)
+ * URL parameter: id (event type ID)
+ * Headers: Authorization: Bearer <token>
+ * Types that events still use (including events in the trash), and the last remaining type, cannot be deleted (409 Conflict)
+ */
+// Delete event type (admin)
+app.delete('/api/event-types/:id', authenticateUser, requireRole('admin'), async (req, res) => {
+    try {
+        const type = await db.getEventTypeById(req.params.id);
+        if (!type) {
+            return res.status(404).json({ error: 'Event type not found' });
+        }
+        if (type.event_count > 0) {
+            return res.status(409).json({ error: `${type.label} is used by ${type.event_count} event${type.event_count === 1 ? '' : 's'}. Change those events, or delete them and empty them from the trash, first.` });
+        }
+        if ((await db.getEventTypes()).length === 1) {
+            return res.status(409).json({ error: 'At least one event type is required' });
+        }
+
+        await db.deleteEventType(req.params.id);
+        await auditEventTypeChange(req, 'event_type.delete', type, null);
+        res.json({ message: 'Event type deleted successfully' });
+    } catch (error) {
+        if (error.message === 'Event type not found') {
+            res.status(404).json({ error: 'Event type not found' });
+        } else {
+            console.error('Error deleting event type:', error);
+            res.status(500).json({ error: 'Failed to delete event type' });
+        }
+    }
+});
+
+// ===== USER MANAGEMENT ROUTES =====
+
+/**
+ * GET /api/users - List all user accounts (admin only)
+ * Headers: Authorization: Bearer <token>
+ */
+// List users (admin)
+app.get('/api/users', authenticateUser, requireRole('admin'), async (req, res) => {
+    try {
+        const users = await db.getAllUsers();
+        res.json({ users, roles: ROLES });
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
+/**
+ * PUT /api/users/:id - Change a user's role or active status (admin only)
+ * URL parameter: id (user ID)
+ * Headers: Authorization: Bearer <token>
+ * Body: { role, isActive } - either field may be omitted
+ */
+// Update user (admin)
+app.put('/api/users/:id', authenticateUser, requireRole('admin'), async (req, res) => {
+    try {
+        const { role, isActive } = req.body;
+
+        if (role !== undefined && !ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+        }
+        if (isActive !== undefined && typeof isActive !== 'boolean') {
+            return res.status(400).json({ error: 'isActive must be true or false' });
+        }
+
+        // Admins cannot lock themselves out - this also guarantees at least one active admin remains
+        if (Number(req.params.id) === req.user.id && ((role !== undefined && role !== 'admin') || isActive === false)) {
+            return res.status(400).json({ error: 'You cannot remove your own admin access' });
+        }
+
+        const before = (await db.getAllUsers()).find(candidate => candidate.id === Number(req.params.id));
+        const user = await db.updateUser(req.params.id, { role, isActive });
+        await recordAudit(req, 'user.update', {
+            entityType: 'user',
+            entityId: user.id,
+            entityLabel: user.username,
+            changes: diffFields(before, user, AUDITED_USER_FIELDS)
+        });
+        res.json({ success: true, user });
+    } catch (error) {
+        if (error.message === 'User not found') {
+            res.status(404).json({ error: 'User not found' });
+        } else {
+            console.error('Error updating user:', error);
+            res.status(500).json({ error: 'Failed to update user' });
+        }
+    }
+});
+
+/**
+ * GET /api/login-lockouts - Usernames and addresses locked after too many failed logins (admin only)
+ * Headers: Authorization: Bearer <token>
+ * Returns { lockouts: [{ scope, key, failures, last_failure_at, locked_until }], limits }
+ * where scope is 'username' or 'ip', the lockouts that end soonest first
+ */
+// List login lockouts (admin)
+app.get('/api/login-lockouts', authenticateUser, requireRole('admin'), (req, res) => {
+    res.json({ lockouts: loginAttempts.listLockouts(), limits: loginThrottle.LIMITS });
+});
+
+/**
+ * DELETE /api/login-lockouts/:scope/:key - Unlock a username or address early (admin only)
+ * URL parameters: scope ('username' or 'ip'), key (the username or address)
+ * Headers: Authorization: Bearer <token>
+ * Its failed logins are forgotten too, so the next wrong password starts the count again.
+ */
+// Clear a login lockout (admin)
+app.delete('/api/login-lockouts/:scope/:key', authenticateUser, requireRole('admin'), async (req, res) => {
+    const { scope, key } = req.params;
+    if (!loginThrottle.SCOPES.includes(scope)) {
+        return res.status(400).json({ error: `scope must be one of: ${loginThrottle.SCOPES.join(', ')}` });
+    }
+
+    if (!loginAttempts.clear(scope, key)) {
+        return res.status(404).json({ error: `No failed logins recorded for this ${scope === 'ip' ? 'address' : 'username'}` });
+    }
+    await recordAudit(req, 'auth.unlock', { entityType: scope, entityLabel: describeLoginScope(scope, key) });
+    res.json({ success: true });
+});
+
+// ===== AUDIT LOG ROUTES =====
 
 /**
- * POST /api/auth/register - Create a new user account
- * Body: { fullName, email, username, password }
+ * GET /api/audit-log - Page through the audit log, newest first (admin only)
+ * Headers: Authorization: Bearer <token>
+ * Query parameters (all optional):
+ *   action        - one or more actions ('?action=event.update,event.delete'), see AUDIT_ACTIONS
+ *   user_id       - only entries by this user
+ *   event_id      - only entries about this event
+ *   from, to      - only entries on or between these dates (YYYY-MM-DD, UTC)
+ *   limit, offset - page size (1-200, default 50) and number of entries to skip
+ * Returns { entries, total, limit, offset, has_more, actions }. Each entry is
+ * { id, action, user_id, username, entity_type, entity_id, entity_label, ip_address, changes, created_at }
+ * where changes is { field: { before, after } } or null.
  */
-// Authentication Routes
-app.post('/api/auth/register', async (req, res) => {
+// Audit log (admin)
+app.get('/api/audit-log', authenticateUser, requireRole('admin'), async (req, res) => {
     try {
-        // Extract user data from request body
-        const { fullName, email, username, password } = req.body;
-        
-        // Validation: Check if all required fields are provided
-        // Validation
-        if (!fullName || !email || !username || !password) {
-            return res.status(400).json({ error: 'All fields are required' });
-        }
-        
-        // Validation: Password length check
-        if (password.length < 6) {
-            return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+        const { filters, error } = parseAuditQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
         }
-        
-        // Create new user in database (password will be hashed in database.js)
-        const user = await db.createUser({ fullName, email, username, password });
-        
-        // Return success response with user info (excluding password)
-        res.status(201).json({ 
-            success: true, 
-            message: 'Account created successfully',
-            user: { id: user.id, username: user.username, email: user.email, fullName: user.fullName }
+
+        const { entries, total } = await db.queryAuditLog(filters);
+        res.json({
+            entries,
+            total,
+            limit: filters.limit,
+            offset: filters.offset,
+            has_more: filters.offset + entries.length < total,
+            actions: AUDIT_ACTIONS
         });
     } catch (error) {
-        // Handle database constraint errors (duplicate username/email)
-        if (error.message.includes('UNIQUE constraint failed')) {
-            if (error.message.includes('username')) {
-                res.status(400).json({ error: 'Username already exists' });
-            } else if (error.message.includes('email')) {
-                res.status(400).json({ error: 'Email already exists' });
-            } else {
-                res.status(400).json({ error: 'User already exists' });
-            }
-        } else {
-            // Handle any other errors
-            console.error('Registration error:', error);
-            res.status(500).json({ error: 'Registration failed' });
-        }
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({ error: 'Failed to fetch audit log' });
     }
 });
 
+// ===== SETTINGS ROUTES =====
+
+// Settings anyone may read - the calendar pages need them before anyone signs in
+const PUBLIC_SETTINGS = ['siteTitle', 'timezone'];
+
 /**
- * POST /api/auth/login - Authenticate user and create session
- * Body: { username, password }
+ * GET /api/settings - Get the public site-wide settings
+ * Public so the calendar page can show the site title and timezone
+ * Returns { siteTitle, timezone }
  */
-app.post('/api/auth/login', async (req, res) => {
+// Get public settings
+app.get('/api/settings', async (req, res) => {
     try {
-        // Extract login credentials from request body
-        const { username, password } = req.body;
-        
-        // Validation: Check if credentials are provided
-        if (!username || !password) {
-            return res.status(400).json({ error: 'Username and password are required' });
-        }
-        
-        // Validate credentials against database
-        const user = await db.validateUser(username, password);
-        
-        // If credentials are invalid, return error
-        if (!user) {
-            return res.status(401).json({ error: 'Invalid credentials' });
-        }
-        
-        // Generate a new session token
-        const token = generateToken();
-        // Set token expiration to 24 hours from now
-        const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
-        
-        // Create session in database
-        await db.createSession(user.id, token, expiresAt.toISOString());
-        
-        // Return success response with token and user info
-        res.json({ 
-            success: true, 
-            token,
-            user: {
-                id: user.id,
-                username: user.username,
-                fullName: user.full_name,
-                email: user.email
-            },
-            message: 'Login successful'
-        });
+        const settings = await db.getSettings();
+        res.json(Object.fromEntries(PUBLIC_SETTINGS.map(key => [key, settings[key]])));
     } catch (error) {
-        // Handle any login errors
-        console.error('Login error:', error);
-        res.status(500).json({ error: 'Login failed' });
+        console.error('Error fetching settings:', error);
+        res.status(500).json({ error: 'Failed to fetch settings' });
     }
 });
 
 /**
- * GET /api/auth/verify - Check if current token is valid
+ * GET /api/settings/admin - Get every site-wide setting, for the settings form (admin only)
  * Headers: Authorization: Bearer <token>
+ * Returns { siteTitle, adminEmail, timezone }
  */
-app.get('/api/auth/verify', authenticateAdmin, (req, res) => {
-    // If we reach here, the authenticateAdmin middleware passed
-    // This means the token is valid and req.user is populated
-    res.json({ 
-        success: true, 
-        message: 'Token is valid',
-        user: req.user  // User info attached by authenticateAdmin middleware
-    });
+// Get all settings (admin)
+app.get('/api/settings/admin', authenticateUser, requireRole('admin'), async (req, res) => {
+    try {
+        const settings = await db.getSettings();
+        res.json(settings);
+    } catch (error) {
+        console.error('Error fetching settings:', error);
+        res.status(500).json({ error: 'Failed to fetch settings' });
+    }
 });
 
 /**
- * POST /api/auth/logout - End user session
+ * PUT /api/settings - Update site-wide settings (admin only)
  * Headers: Authorization: Bearer <token>
+ * Body: { siteTitle, adminEmail, timezone } - any field may be omitted
  */
-app.post('/api/auth/logout', authenticateAdmin, async (req, res) => {
+// Update settings (admin)
+app.put('/api/settings', authenticateUser, requireRole('admin'), async (req, res) => {
     try {
-        // Extract token from authorization header
-        const authHeader = req.headers.authorization;
-        const token = authHeader.substring(7);
-        
-        // Delete the session from database
-        await db.deleteSession(token);
-        
-        // Return success response
-        res.json({ success: true, message: 'Logged out successfully' });
+        // Renamed so the timezone module stays accessible
+        const { siteTitle, adminEmail, timezone: timeZone } = req.body;
+
+        const error = validateSettings({ siteTitle, adminEmail, timezone: timeZone });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        // Drop omitted fields so they keep their current values
+        const changes = Object.fromEntries(
+            Object.entries({ siteTitle: siteTitle && siteTitle.trim(), adminEmail, timezone: timeZone })
+                .filter(([, value]) => value !== undefined)
+        );
+
+        const before = await db.getSettings();
+        const settings = await db.updateSettings(changes);
+        await recordAudit(req, 'settings.update', {
+            entityType: 'settings',
+            entityLabel: 'System settings',
+            changes: diffFields(before, settings, Object.keys(settings))
+        });
+        res.json({ success: true, settings });
     } catch (error) {
-        // Handle logout errors
-        console.error('Logout error:', error);
-        res.status(500).json({ error: 'Logout failed' });
+        console.error('Error updating settings:', error);
+        res.status(500).json({ error: 'Failed to update settings' });
     }
 });
 
-// ===== EVENT MANAGEMENT ROUTES =====
+// ===== BACKUP AND RESTORE ROUTES =====
+// Admins can download the whole calendar (users, events with everything attached to them,
+// event types, settings and a copy of the audit log) and put it back later - all but the audit
+// log, which a restore never touches. Which tables are included, and the checks a backup must
+// pass before it is restored, are defined in backup.js.
+
+const SQLITE_FILE_HEADER = Buffer.from('SQLite format 3\0');  // First 16 bytes of every SQLite database file
 
 /**
- * GET /api/events - Get all events (public route - no authentication required)
+ * Build a JSON backup of the calendar
+ * @param {boolean} includePasswords - Include password hashes
+ * @returns {Promise<Object>} { format, version, created_at, include_passwords, tables }
  */
-// Event Routes
+const buildSnapshot = async (includePasswords) => ({
+    format: backup.SNAPSHOT_FORMAT,
+    version: backup.SNAPSHOT_VERSION,
+    created_at: new Date().toISOString(),
+    include_passwords: includePasswords,
+    tables: await db.readBackupTables({ includePasswords })
+});
+
+/**
+ * Pick an unused path in the system's temporary directory
+ * @param {string} extension - File extension, e.g. 'db'
+ * @returns {string} Path of a file that does not exist yet
+ */
+const temporaryFilePath = (extension) => path.join(os.tmpdir(), `boxo-${crypto.randomBytes(12).toString('hex')}.${extension}`);
+
+/**
+ * Turn the body of POST /api/backup/restore into a backup
+ * JSON bodies arrive already parsed; uploaded files arrive as raw bytes and are either a
+ * SQLite database (recognised by its header) or the text of a JSON backup.
+ * @param {Buffer|Object} body - req.body
+ * @returns {Promise<Object>} { snapshot } or { error } when the upload cannot be read
+ */
+const readUploadedSnapshot = async (body) => {
+    if (!Buffer.isBuffer(body)) {
+        return { snapshot: body };
+    }
+
+    if (body.subarray(0, SQLITE_FILE_HEADER.length).equals(SQLITE_FILE_HEADER)) {
+        if (!db.supportsSqliteBackups) {
+            return { error: 'SQLite backup files can only be restored when the calendar runs on SQLite storage' };
+        }
+
+        // sqlite3 can only open files, so the upload is written out for as long as it is read
+        const filePath = temporaryFilePath('db');
+        await fs.promises.writeFile(filePath, body);
+        try {
+            const tables = await db.readBackupFile(filePath);
+            return { snapshot: { format: backup.SNAPSHOT_FORMAT, version: backup.SNAPSHOT_VERSION, tables } };
+        } catch (error) {
+            return { error: error.message };
+        } finally {
+            await fs.promises.unlink(filePath).catch(() => {});
+        }
+    }
 
-// Get all events (public)
-app.get('/api/events', async (req, res) => {
     try {
-        // Fetch all events from database
-        const events = await db.getAllEvents();
-        
-        // Return events as JSON
-        res.json(events);
+        return { snapshot: JSON.parse(body.toString('utf8')) };
     } catch (error) {
-        // Handle database errors
-        console.error('Error fetching events:', error);
-        res.status(500).json({ error: 'Failed to fetch events' });
+        return { error: 'The file is neither a JSON backup nor a SQLite database' };
     }
-});
+};
 
 /**
- * GET /api/events/type/:type - Get events by type (public route)
- * URL parameter: type (e.g., 'assignment', 'webinar', 'workshop')
+ * GET /api/backup - Download a backup of the whole calendar (admin only)
+ * Headers: Authorization: Bearer <token>
+ * Query parameters (all optional):
+ *   format            - 'json' (default) or 'sqlite' (SQLite storage only)
+ *   include_passwords - 'true' to include password hashes (left out by default)
+ * The backup is taken in one go, so it never holds half of a change. Sessions are never included.
+ * Returns the file as an attachment named boxo-backup-YYYYMMDD-HHMMSS.json or .db
  */
-// Get events by type (public)
-app.get('/api/events/type/:type', async (req, res) => {
+// Download a backup (admin)
+app.get('/api/backup', authenticateUser, requireRole('admin'), async (req, res) => {
+    const format = req.query.format || 'json';
+    if (!BACKUP_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${BACKUP_FORMATS.join(', ')}` });
+    }
+    if (format === 'sqlite' && !db.supportsSqliteBackups) {
+        return res.status(400).json({ error: 'SQLite backups are only available when the calendar runs on SQLite storage' });
+    }
+    const includePasswords = req.query.include_passwords === 'true';
+    const fileName = backup.backupFileName(new Date(), format === 'sqlite' ? 'db' : 'json');
+    const label = includePasswords ? `${fileName} (with password hashes)` : fileName;
+
+    if (format === 'json') {
+        try {
+            const snapshot = await buildSnapshot(includePasswords);
+            await recordAudit(req, 'backup.download', { entityType: 'backup', entityLabel: label });
+            res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+            res.json(snapshot);
+        } catch (error) {
+            console.error('Error creating backup:', error);
+            res.status(500).json({ error: 'Failed to create backup' });
+        }
+        return;
+    }
+
+    const filePath = temporaryFilePath('db');
     try {
-        // Get the event type from URL parameter and fetch events of specific type
-        const events = await db.getEventsByType(req.params.type);
-        
-        // Return filtered events
-        res.json(events);
+        await db.writeBackupFile(filePath, { includePasswords });
+        await recordAudit(req, 'backup.download', { entityType: 'backup', entityLabel: label });
+        res.set('Content-Type', 'application/vnd.sqlite3');
+        res.download(filePath, fileName, () => {
+            // Sent or not, the copy is not needed any more
+            fs.promises.unlink(filePath).catch(() => {});
+        });
     } catch (error) {
-        // Handle database errors
-        console.error('Error fetching events by type:', error);
-        res.status(500).json({ error: 'Failed to fetch events' });
+        fs.promises.unlink(filePath).catch(() => {});
+        console.error('Error creating backup:', error);
+        res.status(500).json({ error: 'Failed to create backup' });
     }
 });
 
 /**
- * POST /api/events - Create a new event (protected route - requires authentication)
+ * POST /api/backup/restore - Replace the whole calendar with a backup (admin only)
  * Headers: Authorization: Bearer <token>
- * Body: { title, description, date, time, type }
+ * Body: a JSON backup (Content-Type: application/json), or a backup file as uploaded
+ *       (Content-Type: application/octet-stream) - either a JSON backup or a SQLite backup
+ * The backup is checked first (see backup.validateSnapshot) and nothing changes unless it passes.
+ * Users in a backup without password hashes keep their current password when their username
+ * still exists; the others are restored deactivated until an admin sets a new password.
+ * The audit log is kept as it is, whatever the backup holds.
+ * Returns { success, counts: { table: { before, after } }, locked_users: [usernames] }
+ * or 400 { error, details: [problems] } when the backup cannot be restored
  */
-// Add new event (protected)
-app.post('/api/events', authenticateAdmin, async (req, res) => {
+// Restore a backup (admin)
+app.post('/api/backup/restore', authenticateUser, requireRole('admin'),
+    bodyParser.json({ limit: MAX_RESTORE_SIZE }),
+    express.raw({ type: 'application/octet-stream', limit: MAX_RESTORE_SIZE }), async (req, res) => {
     try {
-        // Create new event in database
-        // req.body contains event data, req.user.id is the creator's ID
-        const event = await db.createEvent(req.body, req.user.id);
-        
-        // Return the created event
-        res.status(201).json(event);
+        const { snapshot, error } = await readUploadedSnapshot(req.body);
+        if (error) {
+            return res.status(400).json({ error: 'The backup could not be read', details: [error] });
+        }
+
+        const problems = backup.validateSnapshot(snapshot, { roles: ROLES });
+        if (problems.length > 0) {
+            return res.status(400).json({ error: 'The backup cannot be restored', details: problems });
+        }
+
+        const { counts, lockedUsers } = await db.restoreBackupTables(snapshot.tables);
+
+        // Recorded after the restore, so the entry survives it; the row counts show what changed
+        const changes = {};
+        Object.entries(counts).forEach(([table, count]) => {
+            if (count.before !== count.after) changes[table] = count;
+        });
+        await recordAudit(req, 'backup.restore', {
+            entityType: 'backup',
+            entityLabel: snapshot.created_at ? `Backup from ${snapshot.created_at}` : 'Backup file',
+            changes
+        });
+
+        // Every open page is now out of date
+        broadcastLiveMessage('reload', {});
+
+        res.json({ success: true, counts, locked_users: lockedUsers });
     } catch (error) {
-        // Handle event creation errors
-        console.error('Error creating event:', error);
-        res.status(500).json({ error: 'Failed to create event' });
+        console.error('Error restoring backup:', error);
+        res.status(500).json({ error: 'Failed to restore backup' });
     }
 });
 
 /**
- * PUT /api/events/:id - Update an existing event (protected route)
- * URL parameter: id (event ID)
+ * GET /api/backups - Scheduled backup settings and the backups kept on the server (admin only)
  * Headers: Authorization: Bearer <token>
- * Body: Updated event data
+ * Returns { enabled, directory, interval_hours, retention, last_run, backups } where last_run is
+ * { at, name, error } for the latest scheduled run (null before the first) and backups is
+ * [{ name, size, created_at }], newest first. Only enabled is set when BACKUP_DIR is not configured.
  */
-// Update event (protected)
-app.put('/api/events/:id', authenticateAdmin, async (req, res) => {
+// Scheduled backups (admin)
+app.get('/api/backups', authenticateUser, requireRole('admin'), async (req, res) => {
+    if (!BACKUP_CONFIG) {
+        return res.json({ enabled: false, backups: [] });
+    }
+
     try {
-        // Get event ID from URL parameter and update event in database
-        const event = await db.updateEvent(req.params.id, req.body);
-        
-        // Return updated event
-        res.json(event);
+        res.json({
+            enabled: true,
+            directory: BACKUP_CONFIG.directory,
+            interval_hours: BACKUP_CONFIG.intervalHours,
+            retention: BACKUP_CONFIG.retention,
+            last_run: lastScheduledBackup,
+            backups: await backup.listBackups(BACKUP_CONFIG.directory)
+        });
     } catch (error) {
-        // Handle specific error for event not found
-        if (error.message === 'Event not found') {
-            res.status(404).json({ error: 'Event not found' });
-        } else {
-            // Handle other update errors
-            console.error('Error updating event:', error);
-            res.status(500).json({ error: 'Failed to update event' });
-        }
+        console.error('Error listing backups:', error);
+        res.status(500).json({ error: 'Failed to list backups' });
     }
 });
 
 /**
- * DELETE /api/events/:id - Delete an event (protected route)
- * URL parameter: id (event ID)
+ * POST /api/backups - Take a scheduled backup now (admin only)
  * Headers: Authorization: Bearer <token>
+ * Counts as a scheduled run: the same directory, format and retention apply.
+ * Returns { success, name, pruned: [deleted file names] }
  */
-// Delete event (protected)
-app.delete('/api/events/:id', authenticateAdmin, async (req, res) => {
+// Back up now (admin)
+app.post('/api/backups', authenticateUser, requireRole('admin'), async (req, res) => {
+    if (!BACKUP_CONFIG) {
+        return res.status(409).json({ error: 'Scheduled backups are off. Set BACKUP_DIR to turn them on.' });
+    }
+    if (backupRunInProgress) {
+        return res.status(409).json({ error: 'A backup is already being taken. Try again in a moment.' });
+    }
+
     try {
-        // Get event ID from URL parameter and delete event from database
-        await db.deleteEvent(req.params.id);
-        
-        // Return success message
-        res.json({ message: 'Event deleted successfully' });
+        const { name, pruned } = await runScheduledBackup();
+        res.json({ success: true, name, pruned });
     } catch (error) {
-        // Handle specific error for event not found
-        if (error.message === 'Event not found') {
-            res.status(404).json({ error: 'Event not found' });
-        } else {
-            // Handle other deletion errors
-            console.error('Error deleting event:', error);
-            res.status(500).json({ error: 'Failed to delete event' });
-        }
+        console.error('Error taking backup:', error);
+        res.status(500).json({ error: 'Failed to take backup' });
+    }
+});
+
+/**
+ * GET /api/backups/:name - Download one of the scheduled backups (admin only)
+ * Headers: Authorization: Bearer <token>
+ * Scheduled backups include password hashes, so they can be restored as they are.
+ */
+// Download a scheduled backup (admin)
+app.get('/api/backups/:name', authenticateUser, requireRole('admin'), async (req, res) => {
+    // Only names of backup files, so nothing outside the backup directory can be reached
+    if (!BACKUP_CONFIG || !backup.isBackupFileName(req.params.name)) {
+        return res.status(404).json({ error: 'Backup not found' });
+    }
+
+    const filePath = path.join(BACKUP_CONFIG.directory, req.params.name);
+    if (!fs.existsSync(filePath)) {
+        return res.status(404).json({ error: 'Backup not found' });
     }
+
+    await recordAudit(req, 'backup.download', { entityType: 'backup', entityLabel: req.params.name });
+    res.set('Content-Type', 'application/vnd.sqlite3');
+    res.download(filePath, req.params.name, (error) => {
+        if (error && !res.headersSent) {
+            console.error('Error sending backup:', error);
+            res.status(500).json({ error: 'Failed to send backup' });
+        }
+    });
 });
 
 // ===== FRONTEND SERVING ROUTES =====
@@ -390,20 +3109,186 @@ setInterval(async () => {
     }
 }, 60 * 60 * 1000); // Run every 60 minutes (60 * 60 * 1000 milliseconds)
 
+/**
+ * Forget failed logins that no longer count, every hour
+ * Records are also dropped when they are next looked at; this catches the ones never seen again
+ */
+// Prune failed login records every hour
+setInterval(() => {
+    loginAttempts.prune();
+}, 60 * 60 * 1000);
+
+/**
+ * Send a comment line to every live update stream
+ * Proxies and load balancers close connections that stay silent for too long;
+ * browsers ignore comment lines, so this keeps quiet streams open without side effects
+ */
+// Keep live update streams open
+setInterval(() => {
+    liveClients.forEach(client => client.write(': ping\n\n'));
+}, LIVE_UPDATE_HEARTBEAT);
+
+/**
+ * Email every due reminder that has not been sent yet
+ * Looks at occurrences starting within the next day, finds the reminder due for each
+ * (see reminders.js) and emails everyone holding a seat. Each email is claimed in the
+ * database before it is sent, so restarts and overlapping runs never send one twice;
+ * a failed email is released again and retried on the next run.
+ * @returns {Promise<number>} Number of emails sent
+ */
+const sendDueReminders = async () => {
+    const now = Date.now();
+    const today = new Date(now).toISOString().split('T')[0];
+
+    // Occurrence dates are in each event's own timezone, so look a day either side of the next 24 hours
+    const due = (await db.getExpandedEvents({ from: recurrence.addDays(today, -1), to: recurrence.addDays(today, 2) }))
+        .map(occurrence => timezone.withInstants(occurrence))
+        .map(occurrence => ({ occurrence, reminder: reminders.dueReminder(occurrence, now) }))
+        .filter(item => item.reminder);
+    if (due.length === 0) return 0;
+
+    const eventIds = due.map(item => item.occurrence.id);
+    const [recipients, sent, settings] = await Promise.all([
+        db.getReminderRecipients(eventIds),
+        db.getSentReminders(eventIds),
+        db.getSettings()
+    ]);
+    const reminderKey = (eventId, occurrenceDate, userId, reminder) => `${eventId}|${occurrenceDate}|${userId}|${reminder}`;
+    const sentKeys = new Set(sent.map(row => reminderKey(row.event_id, row.occurrence_date, row.user_id, row.reminder)));
+
+    let sentCount = 0;
+    for (const { occurrence, reminder } of due) {
+        for (const recipient of recipients.filter(row => row.event_id === occurrence.id)) {
+            const key = [occurrence.id, occurrence.occurrence_date, recipient.user_id, reminder.name];
+            if (sentKeys.has(reminderKey(...key)) || !(await db.claimReminder(...key))) continue;
+
+            try {
+                await smtp.sendMail(SMTP_CONFIG, {
+                    from: { name: settings.siteTitle, email: MAIL_FROM || settings.adminEmail },
+                    to: { name: recipient.full_name, email: recipient.email },
+                    ...reminders.buildReminderEmail(occurrence, recipient, { siteTitle: settings.siteTitle, publicUrl: PUBLIC_URL, now })
+                });
+                sentCount++;
+            } catch (error) {
+                await db.releaseReminder(...key);
+                console.error(`Error sending reminder to ${recipient.email}:`, error.message);
+            }
+        }
+    }
+    return sentCount;
+};
+
+/**
+ * Send due reminder emails every minute (only when SMTP_HOST is set)
+ * A run that is still sending when the next one is due is left to finish first
+ */
+// Send reminder emails every minute
+let reminderRunInProgress = false;
+if (SMTP_CONFIG) {
+    setInterval(async () => {
+        if (reminderRunInProgress) return;
+        reminderRunInProgress = true;
+        try {
+            const sentCount = await sendDueReminders();
+
+            // Log results if any emails were sent
+            if (sentCount > 0) {
+                console.log(`📧 Sent ${sentCount} reminder email${sentCount === 1 ? '' : 's'}`);
+            }
+        } catch (error) {
+            console.error('Error sending reminders:', error);
+        } finally {
+            reminderRunInProgress = false;
+        }
+    }, REMINDER_CHECK_INTERVAL);
+}
+
+/**
+ * Take a scheduled backup now and delete the ones past the retention limit
+ * Scheduled backups are SQLite files with password hashes, so a restore brings every
+ * account back exactly as it was. The outcome is kept in lastScheduledBackup for GET /api/backups.
+ * @returns {Promise<Object>} { name, pruned } - file written and file names deleted
+ */
+let lastScheduledBackup = null;            // { at, name, error } of the latest run
+let backupRunInProgress = false;
+const runScheduledBackup = async () => {
+    backupRunInProgress = true;
+    const name = backup.backupFileName(new Date());
+    try {
+        await fs.promises.mkdir(BACKUP_CONFIG.directory, { recursive: true });
+        await db.writeBackupFile(path.join(BACKUP_CONFIG.directory, name), { includePasswords: true });
+        const pruned = await backup.pruneBackups(BACKUP_CONFIG.directory, BACKUP_CONFIG.retention);
+        lastScheduledBackup = { at: new Date().toISOString(), name, error: null };
+        return { name, pruned };
+    } catch (error) {
+        lastScheduledBackup = { at: new Date().toISOString(), name: null, error: error.message };
+        throw error;
+    } finally {
+        backupRunInProgress = false;
+    }
+};
+
+/**
+ * Take a scheduled backup whenever the newest one is older than BACKUP_INTERVAL_HOURS (only when BACKUP_DIR is set)
+ * Going by the files rather than a timer means restarts neither skip a backup nor take an extra one.
+ */
+const backUpIfDue = async () => {
+    if (backupRunInProgress) return;
+    try {
+        const [newest] = await backup.listBackups(BACKUP_CONFIG.directory);
+        const dueAt = newest ? Date.parse(newest.created_at) + BACKUP_CONFIG.intervalHours * 60 * 60 * 1000 : 0;
+        if (Date.now() < dueAt) return;
+
+        const { name, pruned } = await runScheduledBackup();
+        console.log(`💾 Saved backup ${name}${pruned.length > 0 ? `, deleted ${pruned.length} old backup${pruned.length === 1 ? '' : 's'}` : ''}`);
+    } catch (error) {
+        console.error('Error taking scheduled backup:', error);
+    }
+};
+
+// Check for a due backup every ten minutes (and once the server has started, see below)
+if (BACKUP_CONFIG) {
+    setInterval(backUpIfDue, BACKUP_CHECK_INTERVAL);
+}
+
 // ===== START SERVER =====
 
 /**
- * Start the server and listen for incoming requests
+ * Start the server: bring the database schema up to date, then listen for incoming requests
+ * Nothing is served until every migration has been applied. If one fails, or the database was
+ * migrated by a newer version of the calendar, the server stops instead of starting.
  */
-app.listen(PORT, () => {
-    // Display server startup information
-    console.log(`🚀 Event Calendar Server running on http://localhost:${PORT}`);
-    console.log(`📅 Calendar available at http://localhost:${PORT}`);
-    console.log(`🔐 Admin login at http://localhost:${PORT}/login.html`);
-    console.log(`👤 Register admin at http://localhost:${PORT}/register.html`);
-    console.log(`⚙️  Admin panel at http://localhost:${PORT}/admin-panel.html (login required)`);
-    console.log(`🗄️  Database: SQLite (boxo_calendar.db)`);
-});
+const startServer = async () => {
+    try {
+        await db.initialize();
+    } catch (error) {
+        console.error('❌ Could not prepare the database:', error.message);
+        process.exit(1);
+    }
+
+    app.listen(PORT, () => {
+        // Display server startup information
+        console.log(`🚀 Event Calendar Server running on http://localhost:${PORT}`);
+        console.log(`📅 Calendar available at http://localhost:${PORT}`);
+        console.log(`🔐 Admin login at http://localhost:${PORT}/login.html`);
+        console.log(`👤 Register account at http://localhost:${PORT}/register.html`);
+        console.log(`⚙️  Admin panel at http://localhost:${PORT}/admin-panel.html (login required)`);
+        console.log(STORAGE_CONFIG.type === 'memory'
+            ? '🗄️  Storage: in memory (nothing is saved when the server stops)'
+            : '🗄️  Database: SQLite (boxo_calendar.db)');
+        console.log(SMTP_CONFIG
+            ? `📧 Reminder emails: sending through ${SMTP_CONFIG.host}:${SMTP_CONFIG.port}`
+            : '📧 Reminder emails: off (set SMTP_HOST to turn them on)');
+        console.log(BACKUP_CONFIG
+            ? `💾 Scheduled backups: every ${BACKUP_CONFIG.intervalHours} hours to ${BACKUP_CONFIG.directory}, keeping ${BACKUP_CONFIG.retention}`
+            : '💾 Scheduled backups: off (set BACKUP_DIR to turn them on)');
+    });
+
+    // Take a backup straight away if the last one is overdue
+    if (BACKUP_CONFIG) backUpIfDue();
+};
+
+startServer();
 
 // ============================================================================
 // END OF BACKEND SERVER
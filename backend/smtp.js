@@ -0,0 +1,316 @@
+// ============================================================================
+// BOXO EVENT CALENDAR - SMTP EMAIL DELIVERY
+// ============================================================================
+// This file sends plain-text emails over SMTP (RFC 5321) without any outside package:
+// 1. Reading the mail server settings from environment variables
+// 2. Formatting messages (RFC 5322 headers, UTF-8 subjects and bodies)
+// 3. Talking to the mail server: EHLO, STARTTLS, AUTH PLAIN, MAIL/RCPT/DATA
+//
+// Works with real mail servers and with local catchers such as MailHog
+// (SMTP_HOST=localhost SMTP_PORT=1025).
+// ============================================================================
+
+// ===== IMPORTS & DEPENDENCIES =====
+const net = require('net');                // Plain TCP connections
+const tls = require('tls');                // Encrypted connections (implicit TLS and STARTTLS)
+const os = require('os');                  // Host name for the EHLO greeting
+const crypto = require('crypto');          // Random Message-ID values
+
+// ===== CONSTANTS =====
+const CRLF = '\r\n';                       // SMTP and email headers use CRLF line endings
+const DEFAULT_TIMEOUT = 30 * 1000;         // Give up on a silent server after 30 seconds
+const BASE64_LINE_LENGTH = 76;             // Longest encoded body line allowed by MIME
+
+// ===== CONFIGURATION =====
+
+/**
+ * Read SMTP settings from environment variables
+ * SMTP_HOST turns email on; the other variables are optional:
+ * SMTP_PORT (default 465 with SMTP_SECURE, otherwise 587), SMTP_SECURE=true for
+ * implicit TLS, SMTP_USER and SMTP_PASSWORD for servers that require a login,
+ * and SMTP_TLS_REJECT_UNAUTHORIZED=false to accept self-signed certificates.
+ * @param {Object} env - Environment variables (usually process.env)
+ * @returns {Object|null} { host, port, secure, user, password, rejectUnauthorized }, or null when email is off
+ */
+const configFromEnv = (env) => {
+    if (!env.SMTP_HOST) return null;
+
+    const secure = env.SMTP_SECURE === 'true';
+    return {
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT) || (secure ? 465 : 587),
+        secure,
+        user: env.SMTP_USER || null,
+        password: env.SMTP_PASSWORD || '',
+        rejectUnauthorized: env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false'
+    };
+};
+
+// ===== MESSAGE FORMATTING =====
+
+/**
+ * Encode a header value as an RFC 2047 encoded-word when it is not plain ASCII
+ * Line breaks are removed first so a value can never add headers of its own.
+ * @param {string} value - Header text
+ * @returns {string} Header-safe text
+ */
+const encodeHeader = (value) => {
+    const text = String(value).replace(/[\r\n]+/g, ' ');
+    return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+};
+
+/**
+ * Format a mailbox for a From or To header
+ * @param {string} name - Display name (may be empty)
+ * @param {string} email - Email address
+ * @returns {string} e.g. "Boxo Event Calendar" <admin@boxo.com>
+ */
+const formatAddress = (name, email) => {
+    if (!name) return `<${email}>`;
+    const encoded = encodeHeader(name);
+    return `${encoded === name ? `"${name.replace(/["\\]/g, '\\$&')}"` : encoded} <${email}>`;
+};
+
+/**
+ * Build the full text of an email
+ * The body is sent as base64 so any characters and line lengths are safe.
+ * @param {Object} message - { from: { name, email }, to: { name, email }, subject, text }
+ * @returns {string} Headers and body, with CRLF line endings
+ */
+const buildMessage = (message) => {
+    const domain = message.from.email.split('@')[1] || 'localhost';
+    const body = Buffer.from(message.text.replace(/\r?\n/g, CRLF), 'utf8').toString('base64');
+    const bodyLines = body.match(new RegExp(`.{1,${BASE64_LINE_LENGTH}}`, 'g')) || [];
+
+    return [
+        `From: ${formatAddress(message.from.name, message.from.email)}`,
+        `To: ${formatAddress(message.to.name, message.to.email)}`,
+        `Subject: ${encodeHeader(message.subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomBytes(12).toString('hex')}@${domain}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        ...bodyLines
+    ].join(CRLF);
+};
+
+// ===== SMTP CONNECTION =====
+
+/**
+ * One conversation with a mail server
+ * SMTP is strictly request/reply, so replies are queued as they arrive and
+ * handed out one at a time to whoever is waiting for the next one.
+ */
+class SmtpConnection {
+    /**
+     * @param {Object} config - Settings from configFromEnv
+     */
+    constructor(config) {
+        this.config = config;
+        this.socket = null;
+        this.buffer = '';          // Received text not yet split into lines
+        this.lines = [];           // Lines of the reply being received
+        this.replies = [];         // Complete replies nobody has asked for yet
+        this.waiting = null;       // { resolve, reject } of the caller awaiting a reply
+        this.error = null;         // Connection error, reported to the next reader
+    }
+
+    /**
+     * Open the connection and wait for the server's greeting
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        const { host, port, secure, rejectUnauthorized } = this.config;
+        const socket = secure
+            ? tls.connect({ host, port, servername: host, rejectUnauthorized })
+            : net.connect({ host, port });
+        this.attach(socket);
+        await this.expect(220);
+    }
+
+    /**
+     * Start listening to a socket (a new one after STARTTLS)
+     * @param {Object} socket - net or tls socket
+     */
+    attach(socket) {
+        this.socket = socket;
+        socket.setTimeout(DEFAULT_TIMEOUT, () => socket.destroy(new Error('SMTP server did not respond in time')));
+        socket.on('data', chunk => this.receive(chunk.toString('utf8')));
+        socket.on('error', error => this.fail(error));
+        socket.on('close', () => this.fail(new Error('SMTP connection closed unexpectedly')));
+    }
+
+    /**
+     * Split incoming text into replies
+     * Multi-line replies use "250-" on every line but the last, which uses "250 "
+     * @param {string} text - Newly received text
+     */
+    receive(text) {
+        this.buffer += text;
+        let index;
+        while ((index = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, index).replace(/\r$/, '');
+            this.buffer = this.buffer.slice(index + 1);
+            this.lines.push(line);
+            if (/^\d{3}(?: |$)/.test(line)) {
+                const reply = { code: Number(line.slice(0, 3)), lines: this.lines.map(l => l.slice(4)) };
+                this.lines = [];
+                this.deliver(reply);
+            }
+        }
+    }
+
+    /**
+     * Hand a reply to the waiting caller, or keep it until one asks
+     * @param {Object} reply - { code, lines }
+     */
+    deliver(reply) {
+        if (this.waiting) {
+            const { resolve } = this.waiting;
+            this.waiting = null;
+            resolve(reply);
+        } else {
+            this.replies.push(reply);
+        }
+    }
+
+    /**
+     * Record a connection failure and pass it to the waiting caller
+     * @param {Error} error - What went wrong
+     */
+    fail(error) {
+        if (this.error) return;
+        this.error = error;
+        if (this.waiting) {
+            const { reject } = this.waiting;
+            this.waiting = null;
+            reject(error);
+        }
+    }
+
+    /**
+     * Wait for the next reply
+     * @returns {Promise<Object>} { code, lines }
+     */
+    readReply() {
+        if (this.replies.length > 0) return Promise.resolve(this.replies.shift());
+        if (this.error) return Promise.reject(this.error);
+        return new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+        });
+    }
+
+    /**
+     * Read a reply and check its status code
+     * @param {...number} codes - Acceptable reply codes
+     * @returns {Promise<Object>} The reply
+     * @throws {Error} With the server's message when the code is not acceptable
+     */
+    async expect(...codes) {
+        const reply = await this.readReply();
+        if (!codes.includes(reply.code)) {
+            throw new Error(`SMTP server replied ${reply.code}: ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    }
+
+    /**
+     * Send a command and check the reply
+     * @param {string} line - Command without the line ending
+     * @param {...number} codes - Acceptable reply codes
+     * @returns {Promise<Object>} The reply
+     */
+    async command(line, ...codes) {
+        this.socket.write(line + CRLF);
+        return this.expect(...codes);
+    }
+
+    /**
+     * Switch the connection to TLS after a successful STARTTLS command
+     * @returns {Promise<void>}
+     */
+    async upgradeToTls() {
+        const plainSocket = this.socket;
+        plainSocket.removeAllListeners('data');
+        plainSocket.removeAllListeners('close');
+        plainSocket.setTimeout(0);
+
+        const secureSocket = tls.connect({
+            socket: plainSocket,
+            servername: this.config.host,
+            rejectUnauthorized: this.config.rejectUnauthorized
+        });
+        await new Promise((resolve, reject) => {
+            secureSocket.once('secureConnect', resolve);
+            secureSocket.once('error', reject);
+        });
+        this.attach(secureSocket);
+    }
+
+    /**
+     * Close the connection without waiting for the server
+     */
+    close() {
+        if (this.socket) {
+            this.socket.removeAllListeners('close');
+            this.socket.end();
+        }
+    }
+}
+
+// ===== SENDING =====
+
+/**
+ * Send one email
+ * Uses STARTTLS whenever the server offers it, and logs in when a user is configured.
+ * @param {Object} config - Settings from configFromEnv
+ * @param {Object} message - { from: { name, email }, to: { name, email }, subject, text }
+ * @returns {Promise<void>} Resolves once the server has accepted the message
+ * @throws {Error} When the server cannot be reached or refuses the message
+ */
+const sendMail = async (config, message) => {
+    // Addresses are written straight into SMTP commands, so anything that could end a command is refused
+    [message.from.email, message.to.email].forEach(address => {
+        if (!/^[^\s<>@]+@[^\s<>@]+$/.test(address || '')) {
+            throw new Error(`Invalid email address: ${address}`);
+        }
+    });
+
+    const connection = new SmtpConnection(config);
+    try {
+        await connection.connect();
+        const hostName = os.hostname() || 'localhost';
+        let greeting = await connection.command(`EHLO ${hostName}`, 250);
+
+        const offersStartTls = greeting.lines.some(line => /^STARTTLS\b/i.test(line));
+        if (!config.secure && offersStartTls) {
+            await connection.command('STARTTLS', 220);
+            await connection.upgradeToTls();
+            greeting = await connection.command(`EHLO ${hostName}`, 250);
+        }
+
+        if (config.user) {
+            const credentials = Buffer.from(`\u0000${config.user}\u0000${config.password}`, 'utf8').toString('base64');
+            await connection.command(`AUTH PLAIN ${credentials}`, 235);
+        }
+
+        await connection.command(`MAIL FROM:<${message.from.email}>`, 250);
+        await connection.command(`RCPT TO:<${message.to.email}>`, 250, 251);
+        await connection.command('DATA', 354);
+
+        // Lines starting with a dot get a second one so they cannot end the message early
+        const data = buildMessage(message).replace(/^\./gm, '..');
+        await connection.command(`${data}${CRLF}.`, 250);
+        await connection.command('QUIT', 221).catch(() => {}); // The message is already accepted
+    } finally {
+        connection.close();
+    }
+};
+
+// ===== EXPORT MODULE =====
+module.exports = {
+    configFromEnv,
+    sendMail
+};
@@ -0,0 +1,292 @@
+// ============================================================================
+// BOXO EVENT CALENDAR - STORAGE INTERFACE
+// ============================================================================
+// This file defines what the server needs from the place its data is kept:
+// 1. The storage interface - every method a storage must have, grouped by what it stores
+// 2. Values and rules every storage shares (default settings, sort orders, search words)
+// 3. The Storage base class, with the methods built only on other interface methods
+// 4. Choosing a storage from environment variables:
+//    'sqlite' - the SQLite database file boxo_calendar.db (database.js, the default)
+//    'memory' - plain JavaScript objects, gone when the server stops (memory-storage.js),
+//               for demos and automated API tests
+// ============================================================================
+
+// ===== IMPORTS & DEPENDENCIES =====
+const { AsyncLocalStorage } = require('async_hooks'); // Tells the work of a transaction apart from other requests
+const crypto = require('crypto');              // Random password for the first admin account
+const recurrence = require('./recurrence');    // Recurrence rule expansion (imports from recurrence.js)
+
+// ===== STORAGE INTERFACE =====
+// Every storage implements all of these methods (createStorage checks). The SQLite storage in
+// database.js documents each one; the others behave the same, so the server never needs to know
+// which one it is talking to:
+// - Rows look the way SQLite returns them: snake_case columns, 0/1 for flags, timestamps as
+//   'YYYY-MM-DD HH:MM:SS' in UTC, IDs counting up from 1 and never reused
+// - Missing rows reject with the messages server.js checks for ('Event not found', 'Already registered'...),
+//   and duplicates of unique values with 'UNIQUE constraint failed: table.column'
+const STORAGE_METHODS = {
+    // Preparing the storage (must finish before the server listens) and shutting it down
+    lifecycle: ['initialize', 'close'],
+    // Accounts, passwords (bcrypt hashes) and roles
+    users: ['createUser', 'validateUser', 'getAllUsers', 'updateUser'],
+    // Login tokens
+    sessions: ['createSession', 'validateSession', 'deleteSession', 'cleanupExpiredSessions'],
+    // Events and recurring series, with their occurrence exceptions, trash and revision history
+    events: [
+        'getAllEvents', 'queryEvents', 'searchEvents', 'getEventById', 'createEvent', 'importEvents',
+        'updateEvent', 'deleteEvent', 'getEventsByType', 'getEventsByTypes',
+        'getDeletedEvents', 'restoreEvent', 'purgeEvent',
+        'saveEventRevision', 'getEventRevisions', 'getEventRevision',
+        'getEventExceptions', 'saveEventException', 'deleteEventException', 'shiftEventExceptions', 'getExpandedEvents'
+    ],
+    // Event types, registrations, attendance and reminder emails
+    eventData: [
+        'getEventTypes', 'getEventTypeById', 'createEventType', 'updateEventType', 'deleteEventType',
+        'getRegistrationCounts', 'getUserRegistrations', 'registerForEvent', 'cancelRegistration',
+        'promoteWaitlist', 'getEventRoster',
+        'getCheckInCode', 'saveCheckInCode', 'recordAttendance', 'getEventAttendance',
+        'getReminderRecipients', 'getSentReminders', 'claimReminder', 'releaseReminder'
+    ],
+    // The audit log
+    audit: ['addAuditEntry', 'queryAuditLog'],
+    // Site-wide settings
+    settings: ['getSettings', 'updateSettings'],
+    // Backups (writeBackupFile and readBackupFile only work where supportsSqliteBackups is true)
+    backups: ['readBackupTables', 'writeBackupFile', 'readBackupFile', 'restoreBackupTables'],
+    // Running several changes as one all-or-nothing unit; changes made meanwhile by other
+    // requests are never committed or rolled back with it
+    transactions: ['runInTransaction']
+};
+
+// Storages that can be chosen with the STORAGE environment variable
+const STORAGE_TYPES = ['sqlite', 'memory'];
+
+// ===== SHARED VALUES =====
+
+// Values used until an admin saves the System Settings form
+const DEFAULT_SETTINGS = {
+    siteTitle: 'Boxo Event Calendar',   // Shown in the calendar header and browser tab
+    adminEmail: 'admin@boxo.com',       // Contact address for the calendar administrator
+    timezone: 'UTC'                     // IANA timezone the institution schedules events in
+};
+
+// Event fields saved in every revision - everything an editor can change, plus the timezone
+// the date and time are read in.
+const REVISION_FIELDS = ['title', 'description', 'date', 'time', 'end_date', 'end_time', 'all_day', 'location',
+    'online_url', 'dial_in', 'capacity', 'timezone', 'type', 'recurrence_rule'];
+
+// Control characters that mark highlighted matches in search results. They do not occur in
+// normal event text, so server.js can escape the text and swap them for <mark> tags.
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+// ===== EVENT SORT ORDERS =====
+
+/**
+ * Compare two events or occurrences chronologically (ties broken by ID)
+ * @param {Object} a - First event
+ * @param {Object} b - Second event
+ * @returns {number} Negative if a comes first, positive if b does
+ */
+const compareByDate = (a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time) || a.id - b.id;
+
+/**
+ * Compare two events by title, case-insensitively, then chronologically
+ * @param {Object} a - First event
+ * @param {Object} b - Second event
+ * @returns {number} Negative if a comes first, positive if b does
+ */
+const compareByTitle = (a, b) => a.title.localeCompare(b.title, 'en', { sensitivity: 'base' }) || compareByDate(a, b);
+
+/**
+ * Compare two events by when they were created
+ * @param {Object} a - First event
+ * @param {Object} b - Second event
+ * @returns {number} Negative if a comes first, positive if b does
+ */
+const compareByCreated = (a, b) => String(a.created_at).localeCompare(String(b.created_at)) || a.id - b.id;
+
+// Sort orders accepted by queryEvents, with the comparator each one uses for expanded occurrences.
+// A leading '-' reverses the order (e.g. '-date' lists the latest events first).
+const EVENT_SORTS = {
+    'date':     compareByDate,
+    '-date':    (a, b) => compareByDate(b, a),
+    'title':    compareByTitle,
+    '-title':   (a, b) => compareByTitle(b, a),
+    'created':  compareByCreated,
+    '-created': (a, b) => compareByCreated(b, a)
+};
+
+// ===== SEARCH WORDS =====
+
+/**
+ * Split search text into the words that must all match
+ * Punctuation and characters with a meaning in search syntax are dropped, so nothing typed by a
+ * user can change what kind of search is run.
+ * @param {string} text - Search text, e.g. 'javascript work'
+ * @returns {Array<string>} Words, e.g. ['javascript', 'work'] (empty if the text has none)
+ */
+const searchWords = (text) => String(text || '').match(/[\p{L}\p{N}]+/gu) || [];
+
+// ===== STORAGE BASE CLASS =====
+class Storage {
+    /**
+     * Constructor - Set up what every storage shares
+     * Subclasses open their connection (or create their tables) in their own constructor
+     * and do the rest of their setup in initialize().
+     * @param {Object} config - { adminPassword } from configFromEnv
+     */
+    constructor(config = {}) {
+        // Password for the admin account a new calendar starts with (null = make one up)
+        this.adminPassword = config.adminPassword || null;
+
+        // Chain of pending transactions - only one runs at a time
+        this.transactionQueue = Promise.resolve();
+
+        // Set while the work of a transaction runs (and in everything it calls), so a storage can
+        // tell the transaction's own changes from those of requests running at the same time
+        this.transactionContext = new AsyncLocalStorage();
+
+        // Whether writeBackupFile and readBackupFile work (only storages backed by a SQLite file)
+        this.supportsSqliteBackups = false;
+    }
+
+    /**
+     * Choose the password of the admin account a new calendar starts with
+     * ADMIN_PASSWORD when it is set; otherwise a random one, so no calendar ever starts with a
+     * password that is known to everyone who has read this code.
+     * @returns {string} Plain-text password
+     */
+    initialAdminPassword() {
+        return this.adminPassword || crypto.randomBytes(12).toString('base64url');
+    }
+
+    /**
+     * Tell whoever started the server how to sign in as the new admin account
+     * A made-up password is printed here once - it is not shown anywhere else.
+     * @param {string} password - The password from initialAdminPassword
+     */
+    reportDemoAdmin(password) {
+        console.log('✅ Demo admin user created successfully');
+        console.log('   Username: admin');
+        console.log(this.adminPassword
+            ? '   Password: the one set in ADMIN_PASSWORD'
+            : `   Password: ${password} (generated - set ADMIN_PASSWORD before the first start to choose it)`);
+    }
+
+    /**
+     * Check whether the caller is part of the work of a transaction
+     * @returns {boolean} True inside runInTransaction's work
+     */
+    inTransaction() {
+        return this.transactionContext.getStore() !== undefined;
+    }
+
+    // ===== SHARED EVENT METHODS =====
+    // Built only on other interface methods, so every storage gets them as they are.
+
+    /**
+     * Create many events as a single all-or-nothing transaction (calendar and spreadsheet imports)
+     * If any event fails to save, none of them are kept
+     * @param {Array<Object>} events - Event information as accepted by createEvent
+     * @param {number} createdBy - User ID of the importing user
+     * @returns {Promise<Array<Object>>} Created events, in the order given
+     */
+    async importEvents(events, createdBy) {
+        return this.runInTransaction(async () => {
+            const created = [];
+            for (const event of events) {
+                created.push(await this.createEvent(event, createdBy));
+            }
+            return created;
+        });
+    }
+
+    /**
+     * Get events with every recurring series expanded into its occurrences
+     * @param {Object} [options] - Range and filter options
+     * @param {string} [options.from] - Only include occurrences on or after this date (YYYY-MM-DD)
+     * @param {string} [options.to] - Only include occurrences on or before this date (YYYY-MM-DD)
+     * @param {boolean} [options.includeCancelled] - Also return cancelled occurrences
+     * @param {Array<string>} [options.types] - Only events of these types
+     * @param {number} [options.createdBy] - Only events created by this user ID
+     * @param {string} [options.search] - Text that must appear in the series title or description
+     * @param {string} [options.sort] - One of Storage.SORT_ORDERS (default 'date')
+     * @returns {Promise<Array>} Occurrences in the requested order
+     */
+    async getExpandedEvents(options = {}) {
+        // Narrow the series in the storage first, then expand only those
+        const { expand, limit, offset, ...filters } = options;
+        const [{ events }, exceptions] = await Promise.all([
+            this.queryEvents(filters),
+            this.getEventExceptions()
+        ]);
+
+        // Group exceptions by event so each series only sees its own
+        const exceptionsByEvent = new Map();
+        exceptions.forEach(exception => {
+            if (!exceptionsByEvent.has(exception.event_id)) exceptionsByEvent.set(exception.event_id, []);
+            exceptionsByEvent.get(exception.event_id).push(exception);
+        });
+
+        return events
+            .flatMap(event => recurrence.expandEvent(event, exceptionsByEvent.get(event.id) || [], options))
+            .sort(EVENT_SORTS[options.sort] || EVENT_SORTS.date);
+    }
+}
+
+// Sort order names accepted by queryEvents (e.g. for validating query parameters)
+Storage.SORT_ORDERS = Object.keys(EVENT_SORTS);
+
+// Characters searchEvents wraps around matched words, so callers can turn them into markup
+Storage.MATCH_MARKERS = { start: MATCH_START, end: MATCH_END };
+
+// ===== CHOOSING A STORAGE =====
+
+/**
+ * Read the storage choice from environment variables
+ * STORAGE picks the storage: 'sqlite' (default) or 'memory'. ADMIN_PASSWORD is the password of
+ * the admin account a new calendar starts with (made up and printed when it is not set).
+ * @param {Object} env - Environment variables (usually process.env)
+ * @returns {Object} { type, adminPassword }
+ * @throws {Error} When STORAGE names a storage that does not exist - better than quietly
+ *   keeping data somewhere nobody expects
+ */
+const configFromEnv = (env) => {
+    const type = env.STORAGE || 'sqlite';
+    if (!STORAGE_TYPES.includes(type)) {
+        throw new Error(`STORAGE must be one of: ${STORAGE_TYPES.join(', ')} (got "${type}")`);
+    }
+    return { type, adminPassword: env.ADMIN_PASSWORD || null };
+};
+
+/**
+ * Create the storage a configuration asks for
+ * Implementations are loaded only when chosen, so the in-memory storage never opens a database file.
+ * @param {Object} config - { type, adminPassword } from configFromEnv
+ * @returns {Storage} The storage; call initialize() before using it
+ * @throws {Error} When the storage is missing methods of the interface
+ */
+const createStorage = (config) => {
+    const Implementation = config.type === 'memory' ? require('./memory-storage') : require('./database');
+    const storage = new Implementation(config);
+
+    const missing = Object.values(STORAGE_METHODS).flat().filter(name => typeof storage[name] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`The ${config.type} storage does not implement: ${missing.join(', ')}`);
+    }
+    return storage;
+};
+
+// ===== EXPORT MODULE =====
+module.exports = {
+    STORAGE_METHODS,
+    STORAGE_TYPES,
+    DEFAULT_SETTINGS,
+    REVISION_FIELDS,
+    EVENT_SORTS,
+    searchWords,
+    Storage,
+    configFromEnv,
+    createStorage
+};
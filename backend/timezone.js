@@ -0,0 +1,212 @@
+// ============================================================================
+// BOXO EVENT CALENDAR - TIMEZONE HELPERS
+// ============================================================================
+// Events are stored as a wall-clock date and time plus the IANA timezone of the
+// institution that scheduled them (e.g. 2025-07-15 14:00 in Europe/London).
+// This file converts between those zoned values and absolute UTC instants:
+// 1. Validating timezone names
+// 2. Converting a zoned date/time into a UTC instant (and back)
+// 3. Adding zoned and UTC start and end times to events returned by the API
+// All conversions use the Intl API, so no timezone database needs to be bundled.
+// ============================================================================
+
+// ===== CONSTANTS =====
+const DEFAULT_TIMEZONE = 'UTC';             // Used for events stored before timezones existed
+const DAY_MS = 24 * 60 * 60 * 1000;         // Milliseconds in a day
+
+// One formatter per timezone - creating Intl formatters is comparatively slow
+const formatters = new Map();
+
+// ===== INTERNAL HELPERS =====
+
+/**
+ * Get a cached formatter that prints every date/time field in a timezone
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+const getFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',       // 00-23 so midnight is never printed as 24
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+/**
+ * Split a UTC instant into the wall-clock fields seen in a timezone
+ * @param {number} instant - Milliseconds since the epoch
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} { year, month, day, hour, minute, second } as numbers
+ */
+const getZonedParts = (instant, timeZone) => {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(new Date(instant)).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = Number(value);
+    });
+    return parts;
+};
+
+/**
+ * Work out how far a timezone is ahead of UTC at a given instant
+ * @param {number} instant - Milliseconds since the epoch
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Offset in milliseconds (negative west of Greenwich)
+ */
+const getOffset = (instant, timeZone) => {
+    const parts = getZonedParts(instant, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    // Drop milliseconds from the instant because the formatter does not print them
+    return asUtc - (instant - (((instant % 1000) + 1000) % 1000));
+};
+
+/**
+ * Format an offset as an ISO 8601 suffix
+ * @param {number} offset - Offset in milliseconds
+ * @returns {string} Suffix such as "+01:00", "-05:00" or "Z"
+ */
+const formatOffset = (offset) => {
+    if (offset === 0) return 'Z';
+    const totalMinutes = Math.round(Math.abs(offset) / 60000);
+    const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+    const minutes = String(totalMinutes % 60).padStart(2, '0');
+    return `${offset < 0 ? '-' : '+'}${hours}:${minutes}`;
+};
+
+/**
+ * Pad a number to two digits
+ * @param {number} number - Number to pad
+ * @returns {string} Two-digit string such as "07"
+ */
+const pad = (number) => String(number).padStart(2, '0');
+
+// ===== PUBLIC HELPERS =====
+
+/**
+ * Check whether a string is a timezone name the runtime understands (e.g. 'Europe/London')
+ * @param {string} value - Timezone name to check
+ * @returns {boolean} True for valid IANA timezone names
+ */
+const isValidTimezone = (value) => {
+    if (typeof value !== 'string' || value === '') return false;
+    try {
+        // Intl throws a RangeError for unknown timezones
+        getFormatter(value);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Convert a wall-clock date and time in a timezone into a UTC instant
+ * Times skipped by a daylight saving change are moved forward by the size of the gap;
+ * times that happen twice resolve to the earlier of the two
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} time - Time in HH:MM or HH:MM:SS format
+ * @param {string} timeZone - IANA timezone the date and time are expressed in
+ * @returns {Date} UTC instant
+ */
+const zonedTimeToUtc = (date, time, timeZone) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour = 0, minute = 0, second = 0] = String(time || '').split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+    // Offsets cannot change more than once within a day, so the offsets a day
+    // either side cover every reading the wall-clock time could have
+    const offsetBefore = getOffset(wallClock - DAY_MS, timeZone);
+    const offsetAfter = getOffset(wallClock + DAY_MS, timeZone);
+
+    // A candidate is valid if the zone really has that offset at the resulting instant
+    const valid = [offsetBefore, offsetAfter]
+        .map(offset => wallClock - offset)
+        .filter(candidate => wallClock - getOffset(candidate, timeZone) === candidate);
+
+    if (valid.length > 0) {
+        return new Date(Math.min(...valid));
+    }
+    // The time falls in a daylight saving gap - reading it with the old offset moves it forward
+    return new Date(wallClock - offsetBefore);
+};
+
+/**
+ * Convert a UTC instant into the wall-clock date and time of a timezone
+ * @param {Date|number|string} instant - UTC instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} { date: 'YYYY-MM-DD', time: 'HH:MM' }
+ */
+const utcToZonedTime = (instant, timeZone) => {
+    const parts = getZonedParts(new Date(instant).getTime(), timeZone);
+    return {
+        date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+        time: `${pad(parts.hour)}:${pad(parts.minute)}`
+    };
+};
+
+/**
+ * Describe a wall-clock date and time in a timezone as an instant
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} time - Time in HH:MM format
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} { local, utc } - ISO 8601 strings with the zone's offset and in UTC
+ */
+const describeInstant = (date, time, timeZone) => {
+    const instant = zonedTimeToUtc(date, time, timeZone);
+    const offset = getOffset(instant.getTime(), timeZone);
+    // Read the wall clock back from the instant so times in a DST gap show where they really land
+    const zoned = utcToZonedTime(instant, timeZone);
+
+    return {
+        local: `${zoned.date}T${zoned.time}:00${formatOffset(offset)}`,
+        utc: instant.toISOString()
+    };
+};
+
+/**
+ * Add zoned and UTC start and end times to an event or occurrence
+ * starts_at keeps the institution's wall-clock time with its UTC offset
+ * (e.g. "2025-07-15T14:00:00+01:00"); starts_at_utc is the same instant in UTC.
+ * All-day events start at midnight and end at the midnight after their last day;
+ * timed events without an end get null ends_at/ends_at_utc
+ * @param {Object} event - Event row or occurrence with date, time, end_date, end_time, all_day and timezone
+ * @returns {Object} Copy of the event with timezone, starts_at, starts_at_utc, ends_at and ends_at_utc
+ */
+const withInstants = (event) => {
+    const timeZone = event.timezone || DEFAULT_TIMEZONE;
+    const start = describeInstant(event.date, event.all_day ? '00:00' : event.time, timeZone);
+
+    let end = null;
+    if (event.all_day) {
+        const lastDay = new Date(`${event.end_date || event.date}T00:00:00Z`);
+        lastDay.setUTCDate(lastDay.getUTCDate() + 1);
+        end = describeInstant(lastDay.toISOString().split('T')[0], '00:00', timeZone);
+    } else if (event.end_date && event.end_time) {
+        end = describeInstant(event.end_date, event.end_time, timeZone);
+    }
+
+    return {
+        ...event,
+        all_day: Boolean(event.all_day),
+        timezone: timeZone,
+        starts_at: start.local,
+        starts_at_utc: start.utc,
+        ends_at: end ? end.local : null,
+        ends_at_utc: end ? end.utc : null
+    };
+};
+
+// ===== EXPORT MODULE =====
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimezone,
+    utcToZonedTime,
+    withInstants,
+    zonedTimeToUtc
+};
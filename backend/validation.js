@@ -0,0 +1,220 @@
+// ============================================================================
+// BOXO EVENT CALENDAR - REQUEST VALIDATION
+// ============================================================================
+// This file implements a small schema-based validator for request bodies:
+// 1. Required fields, value types, string length limits and number ranges
+// 2. Formats (YYYY-MM-DD dates, HH:MM times, web addresses, identifiers, colors, icons)
+//    and allowed values
+// 3. Parsing/normalizing values (e.g. recurrence rules)
+// 4. Cross-field checks that can look at other fields and request context
+// Errors are collected per field so the client can show them next to each input.
+// ============================================================================
+
+// ===== FORMATS =====
+// Each format checks a string value and returns an error message suffix, or null
+const FORMATS = {
+    /**
+     * Real calendar date such as '2025-07-15'
+     * @param {string} value - Value to check
+     * @returns {string|null} Problem description, or null if valid
+     */
+    date: (value) => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return 'must be in YYYY-MM-DD format';
+        const date = new Date(`${value}T00:00:00Z`);
+        if (isNaN(date.getTime()) || !date.toISOString().startsWith(value)) return 'must be a real calendar date';
+        return null;
+    },
+
+    /**
+     * 24-hour time such as '14:30'
+     * @param {string} value - Value to check
+     * @returns {string|null} Problem description, or null if valid
+     */
+    time: (value) => {
+        if (!/^\d{2}:\d{2}$/.test(value)) return 'must be in HH:MM format';
+        const [hours, minutes] = value.split(':').map(Number);
+        if (hours > 23 || minutes > 59) return 'must be a real time of day';
+        return null;
+    },
+
+    /**
+     * Web address such as 'https://meet.example.com/abc'
+     * Only http and https are accepted, so a link shown to students can never run a script
+     * @param {string} value - Value to check
+     * @returns {string|null} Problem description, or null if valid
+     */
+    url: (value) => {
+        let url;
+        try {
+            url = new URL(value);
+        } catch (error) {
+            return 'must be a full web address such as https://example.com/meeting';
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') return 'must start with http:// or https://';
+        return null;
+    },
+
+    /**
+     * Short identifier such as 'exam' or 'guest-lecture'
+     * Safe to use in URLs, query strings and CSS class names
+     * @param {string} value - Value to check
+     * @returns {string|null} Problem description, or null if valid
+     */
+    slug: (value) => {
+        if (!/^[a-z][a-z0-9-]*$/.test(value)) return 'must start with a letter and use only lowercase letters, numbers and hyphens';
+        return null;
+    },
+
+    /**
+     * Hex color such as '#48bb78'
+     * @param {string} value - Value to check
+     * @returns {string|null} Problem description, or null if valid
+     */
+    color: (value) => {
+        if (!/^#[0-9a-fA-F]{6}$/.test(value)) return 'must be a hex color such as #48bb78';
+        return null;
+    },
+
+    /**
+     * Font Awesome icon classes such as 'fas fa-graduation-cap'
+     * @param {string} value - Value to check
+     * @returns {string|null} Problem description, or null if valid
+     */
+    icon: (value) => {
+        if (!/^fa[srb] fa-[a-z0-9-]+$/.test(value)) return 'must be a Font Awesome icon such as fas fa-graduation-cap';
+        return null;
+    }
+};
+
+// ===== VALIDATOR =====
+
+/**
+ * Check whether a value counts as "not provided"
+ * @param {*} value - Submitted value
+ * @returns {boolean} True for undefined, null and blank strings
+ */
+const isEmpty = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Validate submitted data against a schema
+ *
+ * A schema maps field names to rules:
+ *   label      - Name used in messages (defaults to the field name)
+ *   required   - Field must be present and non-blank; may be a function (data) => boolean
+ *                for fields that are only required when other fields have certain values
+ *   type       - 'string' (default), 'boolean' or 'integer' (a whole number, or text of digits)
+ *   maxLength  - Maximum length of a string (after trimming)
+ *   min, max   - Smallest and largest allowed value of an integer
+ *   format     - Key of FORMATS ('date', 'time', 'url', 'slug', 'color' or 'icon')
+ *   oneOf      - Array of allowed values
+ *   parse      - Function converting the value into its stored form; throw an Error to reject it
+ *   check      - Function (value, cleanedData, context) returning an error message or null;
+ *                runs after every field has passed its basic rules
+ *
+ * Fields not in the schema are dropped. Empty optional fields and invalid fields come back as null.
+ * @param {Object} schema - Field rules as described above
+ * @param {Object} data - Submitted data (e.g. req.body)
+ * @param {Object} [context] - Extra information for check functions (e.g. today's date)
+ * @returns {Object} { value, errors } - cleaned data, and messages keyed by field (empty object when valid)
+ */
+const validate = (schema, data, context = {}) => {
+    const input = data && typeof data === 'object' ? data : {};
+    const value = {};
+    const errors = {};
+
+    /**
+     * Record an error message for a field
+     * @param {string} field - Field name
+     * @param {string} message - Error message
+     */
+    const addError = (field, message) => {
+        if (!errors[field]) errors[field] = [];
+        errors[field].push(message);
+    };
+
+    // ===== FIRST PASS: PER-FIELD RULES =====
+    Object.entries(schema).forEach(([field, rules]) => {
+        const label = rules.label || field;
+        let fieldValue = input[field];
+
+        if (isEmpty(fieldValue)) {
+            const required = typeof rules.required === 'function' ? rules.required(input) : rules.required;
+            if (required) addError(field, `${label} is required`);
+            value[field] = rules.type === 'boolean' ? false : null;
+            return;
+        }
+
+        if (rules.type === 'boolean') {
+            if (typeof fieldValue !== 'boolean') {
+                addError(field, `${label} must be true or false`);
+            }
+            value[field] = fieldValue === true;
+            return;
+        }
+
+        if (rules.type === 'integer') {
+            // Form inputs send numbers as text, so "30" is accepted as well as 30
+            const number = typeof fieldValue === 'string' && /^\s*\d+\s*$/.test(fieldValue) ? Number(fieldValue) : fieldValue;
+            if (!Number.isInteger(number)) {
+                addError(field, `${label} must be a whole number`);
+            } else if (rules.min !== undefined && number < rules.min) {
+                addError(field, `${label} must be at least ${rules.min}`);
+            } else if (rules.max !== undefined && number > rules.max) {
+                addError(field, `${label} must be at most ${rules.max}`);
+            }
+            value[field] = errors[field] ? null : number;
+            return;
+        }
+
+        if (typeof fieldValue !== 'string') {
+            addError(field, `${label} must be text`);
+            return;
+        }
+        fieldValue = fieldValue.trim();
+
+        if (rules.maxLength && fieldValue.length > rules.maxLength) {
+            addError(field, `${label} must be at most ${rules.maxLength} characters`);
+        }
+        if (rules.format) {
+            const problem = FORMATS[rules.format](fieldValue);
+            if (problem) addError(field, `${label} ${problem}`);
+        }
+        if (rules.oneOf && !rules.oneOf.includes(fieldValue)) {
+            addError(field, `${label} must be one of: ${rules.oneOf.join(', ')}`);
+        }
+        if (rules.parse && !errors[field]) {
+            try {
+                fieldValue = rules.parse(fieldValue);
+            } catch (error) {
+                addError(field, error.message);
+            }
+        }
+
+        // Invalid values are left out so cross-field checks never see them
+        value[field] = errors[field] ? null : fieldValue;
+    });
+
+    // ===== SECOND PASS: CROSS-FIELD CHECKS =====
+    // Only fields that passed their own rules are checked, so messages are not doubled up
+    Object.entries(schema).forEach(([field, rules]) => {
+        if (!rules.check || errors[field] || value[field] === null) return;
+        const message = rules.check(value[field], value, context);
+        if (message) addError(field, message);
+    });
+
+    return { value, errors };
+};
+
+/**
+ * Check whether a validation result has any errors
+ * @param {Object} errors - Errors object returned by validate
+ * @returns {boolean} True if at least one field has an error
+ */
+const hasErrors = (errors) => Object.keys(errors).length > 0;
+
+// ===== EXPORT MODULE =====
+module.exports = {
+    FORMATS,
+    hasErrors,
+    validate
+};
@@ -3,13 +3,100 @@
 // ============================================================================
 // This file handles all administrative operations for the event calendar:
 // 1. Authentication verification and session management
-// 2. Event creation, editing, and deletion
+// 2. Event creation, editing, and deletion (with errors shown next to each field)
 // 3. Dashboard statistics and today's events display
-// 4. Event search and filtering functionality
+// 4. Event search (full-text, ranked, via /api/events/search) and filtering
 // 5. System settings management
-// All functionality is protected and requires valid admin authentication
+// 6. Importing events from .ics calendar files and CSV spreadsheets (with column mapping), and CSV export
+// 7. Recurring event series and single-occurrence edits
+// 8. Role-based access (student/editor/admin) and user management
+// 9. Managing event types (label, color, icon) - admins only
+// 10. Showing event times in the browser's or the institution's timezone
+// 11. Event capacity, registration counts and registration rosters (with CSV download)
+// 12. Attendance: check-in QR codes, attendance lists and counts (with CSV download)
+// 13. Live updates: changes made elsewhere are patched in over Server-Sent Events
+// 14. Activity: the audit log of event changes, logins and logouts (admins only)
+// 15. Trash (restore deleted events, or purge them - admins only) and per-event revision history with rollback
+// 16. Bulk actions: delete, retype, shift or duplicate the events ticked in the Manage Events list
+// 17. Backup & restore of the whole calendar, and the list of scheduled backups (admins only)
+// All functionality is protected and requires a valid login; the controls
+// shown depend on the user's role, and the server enforces the same rules
 // ============================================================================
 
+// ===== ROLES =====
+// Ordered from least to most privileged - must match ROLES in backend/server.js
+const ROLE_ORDER = ['student', 'editor', 'admin'];
+
+// ===== SEARCH =====
+const SEARCH_DELAY = 250;     // Milliseconds to wait after the last keystroke before searching
+const SEARCH_LIMIT = 100;     // Most search results shown in the Manage Events list
+
+// ===== REGISTRATION =====
+const MAX_CAPACITY = 10000;   // Largest event capacity - must match MAX_CAPACITY in backend/server.js
+
+// ===== ACTIVITY =====
+const ACTIVITY_PAGE_SIZE = 50;  // Audit log entries per page of the Activity section
+// Names shown for the actions the audit log records (see AUDIT_ACTIONS in backend/server.js)
+const ACTIVITY_ACTION_LABELS = {
+    'event.create': 'Created event',
+    'event.update': 'Updated event',
+    'event.delete': 'Moved event to trash',
+    'event.restore': 'Restored event from trash',
+    'event.purge': 'Permanently deleted event',
+    'event.rollback': 'Rolled back event',
+    'occurrence.update': 'Edited occurrence',
+    'occurrence.cancel': 'Cancelled occurrence',
+    'occurrence.restore': 'Restored occurrence',
+    'auth.login': 'Logged in',
+    'auth.login_failed': 'Failed login',
+    'auth.lockout': 'Sign-in locked',
+    'auth.unlock': 'Unlocked sign-in',
+    'auth.logout': 'Logged out',
+    'user.update': 'Changed user',
+    'event_type.create': 'Created event type',
+    'event_type.update': 'Updated event type',
+    'event_type.delete': 'Deleted event type',
+    'settings.update': 'Changed settings',
+    'backup.download': 'Downloaded backup',
+    'backup.restore': 'Restored backup'
+};
+
+// ===== LIVE UPDATES =====
+const LIVE_RECONNECT_DELAY = 5 * 1000;  // Wait before reopening the live stream when the browser gives up on it
+
+// ===== BULK ACTIONS =====
+const MAX_BULK_EVENTS = 200;      // Most events one bulk action can change - must match MAX_BULK_EVENTS in backend/server.js
+const MAX_BULK_SHIFT_DAYS = 365;  // Furthest a bulk shift can move events - must match MAX_BULK_SHIFT_DAYS in backend/server.js
+const BULK_FAILURES_SHOWN = 3;    // Events named in the message when a bulk action is refused
+
+// ===== EVENT FORM FIELDS =====
+// Maps field names used in validation errors (client and server) to the form input they belong to
+const EVENT_FIELD_INPUTS = {
+    title: 'eventTitle',
+    description: 'eventDescription',
+    date: 'eventDate',
+    time: 'eventTime',
+    end_date: 'eventEndDate',
+    end_time: 'eventEndTime',
+    all_day: 'eventAllDay',
+    location: 'eventLocation',
+    online_url: 'eventOnlineUrl',
+    dial_in: 'eventDialIn',
+    capacity: 'eventCapacity',
+    type: 'eventType',
+    recurrence_rule: 'eventRepeat',
+    repeatUntil: 'eventRepeatUntil',
+    allow_past: 'eventAllowPast'
+};
+
+// The same for the event type form
+const EVENT_TYPE_FIELD_INPUTS = {
+    name: 'typeName',
+    label: 'typeLabel',
+    color: 'typeColor',
+    icon: 'typeIcon'
+};
+
 /**
  * ProtectedAdminPanel Class - Main controller for admin panel functionality
  * Handles authentication, event management, and UI interactions
@@ -21,7 +108,33 @@ class ProtectedAdminPanel {
     constructor() {
         this.events = [];                               // Array to store all events from backend
         this.editingEventId = null;                     // ID of event being edited (null for new events)
+        this.editingOccurrence = null;                  // { eventId, date } of the single occurrence being edited
+        this.editingOriginalDate = null;                // Date the edited event had when loaded (it may keep it even if past)
+        this.todaysOccurrences = [];                    // Today's events with recurring series expanded
+        this.loadedOccurrences = {};                    // Occurrence lists fetched per recurring event ID
+        this.importRows = [];                           // Parsed rows of the .ics or CSV file being previewed
+        this.importCsv = null;                          // { text, headers, mapping, fields } of a CSV file being previewed (null for .ics)
+        this.typeFilter = '';                           // Type the Manage Events list is narrowed to ('' for every type)
+        this.searchQuery = '';                          // Text in the Manage Events search box
+        this.searchResults = null;                      // Ranked matches from /api/events/search (null when not searching)
+        this.searchTimer = null;                        // Pending search while the user is still typing
+        this.currentUser = null;                        // { id, username, fullName, role } from /api/auth/verify
+        this.users = [];                                // User accounts shown in User Management (admins only)
+        this.lockouts = [];                             // Usernames and addresses locked after failed logins (admins only)
+        this.eventTypes = [];                           // Event types (name, label, color, icon) from /api/event-types
+        this.editingTypeId = null;                      // ID of the event type being edited (null when adding one)
+        this.settings = { timezone: 'UTC' };            // Site settings from /api/settings
+        this.viewerTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone; // Browser's own timezone
+        this.timezoneMode = localStorage.getItem('timezoneMode') || 'viewer';   // 'viewer' or 'institution'
         this.authToken = localStorage.getItem('adminToken'); // Retrieve stored authentication token
+        this.activityEntries = [];                      // Page of audit log entries shown under Activity (admins only)
+        this.activityTotal = 0;                         // Number of entries matching the activity filters
+        this.activityOffset = 0;                        // Entries skipped to reach the page shown (0 = newest)
+        this.trashedEvents = [];                        // Deleted events shown under Trash (editors and admins)
+        this.listedEventIds = [];                       // IDs of the events in the Manage Events list, in the order shown
+        this.selectedEventIds = new Set();              // IDs of the listed events ticked for a bulk action
+        this.liveUpdates = null;                        // EventSource connected to /api/events/stream
+        this.liveUpdatesLost = false;                   // True while the live stream is down, so changes may have been missed
         
         // Initialize the admin panel
         this.init();
@@ -39,10 +152,28 @@ class ProtectedAdminPanel {
         }
         
         // If authenticated, proceed with full initialization
+        this.applyRolePermissions();    // Hide sections the user's role cannot use
+        await this.loadSettings();      // Load the institution timezone (and fill the settings form)
+        await this.loadEventTypes();    // Load type labels, colors and icons (and fill the type dropdown)
         await this.loadEvents();        // Load events from backend
         this.setupEventListeners();    // Set up all UI event handlers
         this.renderAdminEvents();       // Display events in management interface
         this.setMinDate();              // Set minimum date for event creation
+        this.updateRecurrenceFields();  // Hide recurrence options until "Repeat" is chosen
+        this.connectLiveUpdates();      // Patch in changes made elsewhere as they happen
+
+        // The trash is shared by everyone who can edit events
+        if (this.canEditEvents()) {
+            await this.loadTrash();
+        }
+
+        // User management, the activity log and backups are only available to admins
+        if (this.hasRole('admin')) {
+            await this.loadUsers();
+            await this.loadLockouts();
+            await this.loadActivity();
+            await this.loadBackups();
+        }
     }
 
     /**
@@ -69,6 +200,9 @@ class ProtectedAdminPanel {
                 return false;
             }
             
+            // Remember who is logged in so the UI can be tailored to their role
+            const result = await response.json();
+            this.currentUser = result.user;
             return true; // Authentication successful
         } catch (error) {
             // Network error or server down - assume invalid session
@@ -86,6 +220,42 @@ class ProtectedAdminPanel {
         document.querySelector('.protected-content').style.display = 'none';
     }
 
+    // ===== ROLE PERMISSIONS =====
+
+    /**
+     * Check whether the current user has at least the given role
+     * @param {string} minimumRole - 'student', 'editor' or 'admin'
+     * @returns {boolean} True if the user's role is at least minimumRole
+     */
+    hasRole(minimumRole) {
+        const role = this.currentUser ? this.currentUser.role : null;
+        return ROLE_ORDER.indexOf(role) >= ROLE_ORDER.indexOf(minimumRole);
+    }
+
+    /**
+     * Check whether the current user may create, edit and delete events
+     * @returns {boolean} True for editors and admins
+     */
+    canEditEvents() {
+        return this.hasRole('editor');
+    }
+
+    /**
+     * Show the current user in the header and hide sections marked with a
+     * data-min-role attribute above the user's role
+     * This only tidies up the interface - the server rejects unauthorized requests regardless
+     */
+    applyRolePermissions() {
+        const { username, role } = this.currentUser;
+        document.getElementById('currentUserInfo').textContent = `${username} (${role})`;
+
+        document.querySelectorAll('[data-min-role]').forEach(element => {
+            if (!this.hasRole(element.dataset.minRole)) {
+                element.style.display = 'none';
+            }
+        });
+    }
+
     /**
      * Set up all event listeners for admin panel interactions
      * Handles form submissions, searches, authentication, and event management
@@ -98,12 +268,175 @@ class ProtectedAdminPanel {
             this.handleEventSubmission(); // Handle form data processing
         });
 
+        // ===== RECURRENCE CONTROLS =====
+        // Show or hide recurrence options as the repeat settings change
+        document.getElementById('eventRepeat').addEventListener('change', () => {
+            this.updateRecurrenceFields();
+        });
+        document.getElementById('eventRepeatEnd').addEventListener('change', () => {
+            this.updateRecurrenceFields();
+        });
+
+        // Allowing past dates lifts the date picker's minimum
+        document.getElementById('eventAllowPast').addEventListener('change', () => {
+            this.setMinDate();
+        });
+
+        // ===== EVENT END CONTROLS =====
+        // All-day events have no times; the end date picker starts at the start date
+        document.getElementById('eventAllDay').addEventListener('change', () => {
+            this.updateTimeFields();
+        });
+        document.getElementById('eventDate').addEventListener('change', () => {
+            this.updateTimeFields();
+        });
+
+        // ===== CALENDAR IMPORT =====
+        // Parse the chosen .ics file and show a preview
+        document.getElementById('importFile').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.previewImport(e.target.files[0]);
+            }
+        });
+
+        // Import the selected rows
+        document.getElementById('confirmImport').addEventListener('click', () => {
+            this.confirmImport();
+        });
+
+        // Discard the preview
+        document.getElementById('cancelImport').addEventListener('click', () => {
+            this.resetImport();
+        });
+
+        // Check a spreadsheet again when a different column is chosen for a field
+        document.getElementById('csvMapping').addEventListener('change', (e) => {
+            if (e.target.classList.contains('csv-mapping-select')) {
+                this.previewCsvImport(this.readCsvMapping());
+            }
+        });
+
+        // ===== TIMEZONE SELECTOR =====
+        // Switch between the browser's timezone and the institution's
+        document.getElementById('timezoneMode').addEventListener('change', (e) => {
+            this.timezoneMode = e.target.value;
+            localStorage.setItem('timezoneMode', this.timezoneMode);  // Shared with the calendar page
+            this.refreshDisplayedTimes();
+        });
+
+        // System settings form submission
+        document.getElementById('settingsForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSettings();
+        });
+
+        // ===== EVENT TYPES =====
+        document.getElementById('eventTypeForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveEventType();
+        });
+        document.getElementById('cancelTypeEdit').addEventListener('click', () => {
+            this.resetEventTypeForm();
+        });
+        // Preview the icon as its classes are typed
+        document.getElementById('typeIcon').addEventListener('input', (e) => {
+            document.getElementById('typeIconPreview').className = e.target.value.trim() || 'fas fa-tag';
+        });
+        document.getElementById('eventTypesList').addEventListener('click', (e) => {
+            const row = e.target.closest('tr');
+            if (!row) return;
+            if (e.target.closest('.edit-type-btn')) {
+                this.editEventType(Number(row.dataset.typeId));
+            } else if (e.target.closest('.delete-type-btn')) {
+                this.deleteEventType(Number(row.dataset.typeId));
+            }
+        });
+
+        // ===== ACTIVITY FILTERS =====
+        // Any filter change goes back to the newest matching entries
+        document.getElementById('activityFilters').addEventListener('change', () => {
+            this.activityOffset = 0;
+            this.loadActivity();
+        });
+        document.getElementById('activityFilters').addEventListener('submit', (e) => {
+            e.preventDefault();   // Enter in the event ID box
+            this.activityOffset = 0;
+            this.loadActivity();
+        });
+        document.getElementById('activityNewer').addEventListener('click', () => this.pageActivity(-1));
+        document.getElementById('activityOlder').addEventListener('click', () => this.pageActivity(1));
+
+        document.getElementById('usersList').addEventListener('change', (e) => {
+            // Role dropdowns and active checkboxes save immediately
+            const row = e.target.closest('tr');
+            if (!row) return;
+            if (e.target.classList.contains('user-role-select')) {
+                this.updateUser(row.dataset.userId, { role: e.target.value });
+            } else if (e.target.classList.contains('user-active-checkbox')) {
+                this.updateUser(row.dataset.userId, { isActive: e.target.checked });
+            }
+        });
+
+        document.getElementById('importRows').addEventListener('change', (e) => {
+            const row = this.importRows[e.target.closest('tr').dataset.index];
+            if (e.target.classList.contains('import-include')) {
+                row.include = e.target.checked;
+            } else if (e.target.classList.contains('import-type')) {
+                row.type = e.target.value;
+            }
+            this.updateImportSummary();
+        });
+
+        // ===== BULK ACTIONS =====
+        // Ticking events in the Manage Events list (delegated, since the list is re-rendered)
+        document.getElementById('adminEventsList').addEventListener('change', (e) => {
+            if (e.target.classList.contains('bulk-select-event')) {
+                this.toggleEventSelection(Number(e.target.dataset.eventId), e.target.checked);
+            }
+        });
+        document.getElementById('bulkSelectAll').addEventListener('change', (e) => {
+            this.selectListedEvents(e.target.checked);
+        });
+        document.getElementById('bulkDeleteBtn').addEventListener('click', () => this.startBulkAction('delete'));
+        document.getElementById('bulkTypeBtn').addEventListener('click', () => this.startBulkAction('change_type'));
+        document.getElementById('bulkShiftBtn').addEventListener('click', () => this.startBulkAction('shift'));
+        document.getElementById('bulkDuplicateBtn').addEventListener('click', () => this.startBulkAction('duplicate'));
+        document.getElementById('bulkClearBtn').addEventListener('click', () => this.selectListedEvents(false));
+
+        // ===== BACKUP & RESTORE =====
+        document.getElementById('downloadBackup').addEventListener('click', () => this.downloadBackup());
+        document.getElementById('restoreFile').addEventListener('change', (e) => {
+            document.getElementById('restoreBackup').disabled = e.target.files.length === 0;
+        });
+        document.getElementById('restoreBackup').addEventListener('click', () => this.startRestore());
+        document.getElementById('backupNow').addEventListener('click', () => this.takeBackupNow());
+        document.getElementById('scheduledBackupsList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-backup-name]');
+            if (button) {
+                this.downloadFile(`/api/backups/${encodeURIComponent(button.dataset.backupName)}`, button.dataset.backupName, 'backup');
+            }
+        });
+
         // ===== SEARCH FUNCTIONALITY =====
-        // Real-time search filtering as user types
+        // Search the server as the user types (after a short pause)
         document.getElementById('searchEvents').addEventListener('input', (e) => {
             this.filterEvents(e.target.value); // Filter events by search term
         });
 
+        // Narrow the list to one event type
+        document.getElementById('adminTypeFilter').addEventListener('change', async (e) => {
+            this.typeFilter = e.target.value;
+            if (this.searchQuery) {
+                await this.runSearch();  // Search within the chosen type
+            }
+            this.renderAdminEvents();
+        });
+
+        // Download the listed events as a spreadsheet
+        document.getElementById('exportEventsCsv').addEventListener('click', () => {
+            this.exportEventsCsv();
+        });
+
         // ===== AUTHENTICATION CONTROLS =====
         // Logout button - clear session and redirect
         document.getElementById('logoutBtn').addEventListener('click', () => {
@@ -141,6 +474,65 @@ class ProtectedAdminPanel {
                 const eventId = e.target.closest('.delete-event-btn').dataset.eventId;
                 this.deleteEvent(eventId);
             }
+            // Handle occurrence list toggles on recurring events
+            else if (e.target.closest('.toggle-occurrences-btn')) {
+                const eventId = e.target.closest('.toggle-occurrences-btn').dataset.eventId;
+                this.toggleOccurrences(eventId);
+            }
+            // Handle roster toggles and downloads
+            else if (e.target.closest('.toggle-roster-btn')) {
+                const eventId = e.target.closest('.toggle-roster-btn').dataset.eventId;
+                this.toggleRoster(eventId);
+            } else if (e.target.closest('.download-roster-btn')) {
+                const eventId = e.target.closest('.download-roster-btn').dataset.eventId;
+                this.downloadRoster(eventId);
+            }
+            // Handle attendance toggles, QR code and attendance downloads, and code replacement
+            else if (e.target.closest('.toggle-attendance-btn')) {
+                const eventId = e.target.closest('.toggle-attendance-btn').dataset.eventId;
+                this.toggleAttendance(eventId);
+            } else if (e.target.closest('.download-attendance-btn')) {
+                const eventId = e.target.closest('.download-attendance-btn').dataset.eventId;
+                this.downloadAttendance(eventId);
+            } else if (e.target.closest('.download-checkin-qr-btn')) {
+                const eventId = e.target.closest('.download-checkin-qr-btn').dataset.eventId;
+                this.downloadCheckInQr(eventId);
+            } else if (e.target.closest('.reset-checkin-code-btn')) {
+                const eventId = e.target.closest('.reset-checkin-code-btn').dataset.eventId;
+                this.resetCheckInCode(eventId);
+            }
+            // Handle revision history toggles and rollbacks
+            else if (e.target.closest('.toggle-revisions-btn')) {
+                const eventId = e.target.closest('.toggle-revisions-btn').dataset.eventId;
+                this.toggleRevisions(eventId);
+            } else if (e.target.closest('.rollback-revision-btn')) {
+                const { eventId, revision } = e.target.closest('.rollback-revision-btn').dataset;
+                this.rollbackEvent(eventId, revision);
+            }
+            // Handle unlocking a locked sign-in
+            else if (e.target.closest('.unlock-login-btn')) {
+                const { scope, key } = e.target.closest('.unlock-login-btn').dataset;
+                this.clearLockout(scope, key);
+            }
+            // Handle restoring and permanently deleting events in the trash
+            else if (e.target.closest('.restore-trash-btn')) {
+                const eventId = e.target.closest('.restore-trash-btn').dataset.eventId;
+                this.restoreFromTrash(eventId);
+            } else if (e.target.closest('.purge-trash-btn')) {
+                const eventId = e.target.closest('.purge-trash-btn').dataset.eventId;
+                this.purgeEvent(eventId);
+            }
+            // Handle single-occurrence edit, cancel and restore buttons
+            else if (e.target.closest('.edit-occurrence-btn')) {
+                const { eventId, date } = e.target.closest('.edit-occurrence-btn').dataset;
+                this.editOccurrence(eventId, date);
+            } else if (e.target.closest('.cancel-occurrence-btn')) {
+                const { eventId, date } = e.target.closest('.cancel-occurrence-btn').dataset;
+                this.cancelOccurrence(eventId, date);
+            } else if (e.target.closest('.restore-occurrence-btn')) {
+                const { eventId, date } = e.target.closest('.restore-occurrence-btn').dataset;
+                this.restoreOccurrence(eventId, date);
+            }
         });
     }
 
@@ -168,13 +560,26 @@ class ProtectedAdminPanel {
 
     /**
      * Set minimum date for event creation to today
-     * Prevents scheduling events in the past
+     * Prevents scheduling events in the past unless "Allow a date in the past" is ticked
      */
     setMinDate() {
-        // Get today's date in YYYY-MM-DD format
-        const today = new Date().toISOString().split('T')[0];
-        // Set minimum date attribute on date input field
-        document.getElementById('eventDate').min = today;
+        const dateInput = document.getElementById('eventDate');
+        if (document.getElementById('eventAllowPast').checked) {
+            dateInput.removeAttribute('min');
+            return;
+        }
+
+        // Get today's date in YYYY-MM-DD format (the form is filled in using the institution's timezone)
+        // and set it as the date input's minimum
+        dateInput.min = this.getInstitutionToday();
+    }
+
+    /**
+     * Get today's date in the institution's timezone
+     * @returns {string} Date in YYYY-MM-DD format
+     */
+    getInstitutionToday() {
+        return this.toZone(new Date(), this.settings.timezone).date;
     }
 
     /**
@@ -183,9 +588,21 @@ class ProtectedAdminPanel {
      */
     async loadEvents() {
         try {
-            // Fetch events from backend API
-            const response = await fetch('/api/events');
-            this.events = await response.json();
+            // Fetch one row per event/series for management, plus occurrences around today.
+            // The range is in institution dates, so widen it by a day either side to cover
+            // every timezone's "today"; updateTodaysEvents picks the ones that match
+            const today = this.toZone(new Date(), this.settings.timezone).date;
+            const [eventsResponse, todayResponse] = await Promise.all([
+                fetch('/api/events'),
+                fetch(`/api/events?from=${this.addDays(today, -1)}&to=${this.addDays(today, 1)}`)
+            ]);
+            this.events = await eventsResponse.json();
+            this.todaysOccurrences = await todayResponse.json();
+            this.localizeEvents(this.events);
+            this.localizeEvents(this.todaysOccurrences);
+            if (this.searchQuery) {
+                await this.runSearch();  // Keep search results in step with the changed events
+            }
             this.updateStatistics();     // Update dashboard statistics
             this.updateTodaysEvents();   // Update today's events section
         } catch (error) {
@@ -196,25 +613,43 @@ class ProtectedAdminPanel {
 
     /**
      * Update dashboard statistics counters
-     * Counts total events and breaks down by type
+     * Counts total events and breaks down by type (one card per event type)
      */
     updateStatistics() {
-        // Calculate statistics from events array
-        const totalEvents = this.events.length;
-        const assignments = this.events.filter(event => event.type === 'assignment').length;
-        const webinars = this.events.filter(event => event.type === 'webinar').length;
-        const workshops = this.events.filter(event => event.type === 'workshop').length;
-
         // Update DOM elements if they exist (defensive programming)
         const totalEventsEl = document.getElementById('totalEvents');
-        const totalAssignmentsEl = document.getElementById('totalAssignments');
-        const totalWebinarsEl = document.getElementById('totalWebinars');
-        const totalWorkshopsEl = document.getElementById('totalWorkshops');
+        const statsGrid = document.getElementById('statsGrid');
+
+        if (totalEventsEl) totalEventsEl.textContent = this.events.length;
+        if (!statsGrid) return;
+
+        // Replace the per-type cards, keeping the "Total Events" card
+        statsGrid.querySelectorAll('.stat-card[data-type]').forEach(card => card.remove());
+        statsGrid.insertAdjacentHTML('beforeend', this.eventTypes.map(type => `
+            <div class="stat-card type-${type.name}" data-type="${type.name}">
+                <div class="stat-icon">
+                    <i class="${type.icon}"></i>
+                </div>
+                <div class="stat-info">
+                    <div class="stat-number">${this.countEventsOfType(type.name)}</div>
+                    <div class="stat-label">${this.escapeHtml(type.label)}</div>
+                </div>
+            </div>
+        `).join(''));
+
+        // The Event Types table shows the same counts (admins only)
+        if (this.hasRole('admin')) {
+            this.renderEventTypes();
+        }
+    }
 
-        if (totalEventsEl) totalEventsEl.textContent = totalEvents;
-        if (totalAssignmentsEl) totalAssignmentsEl.textContent = assignments;
-        if (totalWebinarsEl) totalWebinarsEl.textContent = webinars;
-        if (totalWorkshopsEl) totalWorkshopsEl.textContent = workshops;
+    /**
+     * Count the events (series count once) of one type
+     * @param {string} typeName - Name of the event type
+     * @returns {number} Number of events
+     */
+    countEventsOfType(typeName) {
+        return this.events.filter(event => event.type === typeName).length;
     }
 
     /**
@@ -222,10 +657,10 @@ class ProtectedAdminPanel {
      * Shows events happening today, sorted by time
      */
     updateTodaysEvents() {
-        // Get today's date in YYYY-MM-DD format
-        const today = new Date().toISOString().split('T')[0];
-        // Filter events for today only
-        const todaysEvents = this.events.filter(event => event.date === today);
+        // Today's occurrences (including those of recurring series) are loaded by loadEvents
+        const today = this.toZone(new Date(), this.getDisplayTimezone()).date;
+        // Multi-day events count on every day they cover
+        const todaysEvents = this.todaysOccurrences.filter(event => event.display_date <= today && event.display_end_date >= today);
         const todaysEventsContainer = document.getElementById('todaysEvents');
         
         // Check if container exists
@@ -238,41 +673,46 @@ class ProtectedAdminPanel {
         }
         
         // Sort events by time (earliest first)
-        todaysEvents.sort((a, b) => a.time.localeCompare(b.time));
+        todaysEvents.sort((a, b) => a.starts_at_utc.localeCompare(b.starts_at_utc));
         
         // Render today's events as cards
         todaysEventsContainer.innerHTML = todaysEvents.map(event => `
-            <div class="event-card ${event.type}">
+            <div class="event-card type-${event.type}">
                 <div class="event-header">
                     <div>
                         <div class="event-title">
-                            <i class="${this.getEventTypeIcon(event.type)}"></i> ${event.title}
+                            <i class="${this.getEventTypeIcon(event.type)}"></i> ${this.escapeHtml(event.title)}
                         </div>
                         <div class="event-datetime">
-                            <span><i class="fas fa-clock"></i> ${this.formatTime(event.time)}</span>
+                            <span><i class="fas fa-clock"></i> ${this.formatTimeRange(event)}</span>
                         </div>
                     </div>
-                    <span class="event-type ${event.type}">${event.type}</span>
+                    <span class="event-type type-${event.type}">${this.escapeHtml(this.getEventTypeLabel(event.type))}</span>
                 </div>
-                <div class="event-description">${event.description}</div>
+                <div class="event-description">${this.escapeHtml(event.description)}</div>
             </div>
         `).join('');
     }
 
     /**
      * Get appropriate icon class for event types
-     * @param {string} eventType - The type of event (assignment, webinar, workshop)
+     * @param {string} eventType - Name of the event type (e.g. 'workshop')
      * @returns {string} Font Awesome icon class
      */
     getEventTypeIcon(eventType) {
-        // Map event types to their corresponding Font Awesome icons
-        const icons = {
-            'assignment': 'fas fa-file-alt',    // Document icon for assignments
-            'webinar': 'fas fa-video',          // Video icon for webinars
-            'workshop': 'fas fa-tools'          // Tools icon for workshops
-        };
-        // Return specific icon or default calendar icon
-        return icons[eventType] || 'fas fa-calendar-check';
+        const type = this.eventTypes.find(item => item.name === eventType);
+        // Return the type's icon or default calendar icon
+        return type ? type.icon : 'fas fa-calendar-check';
+    }
+
+    /**
+     * Get the name of an event type as shown to users
+     * @param {string} eventType - Name of the event type (e.g. 'workshop')
+     * @returns {string} Label such as "Workshop" (the name itself for unknown types)
+     */
+    getEventTypeLabel(eventType) {
+        const type = this.eventTypes.find(item => item.name === eventType);
+        return type ? type.label : eventType;
     }
 
     /**
@@ -303,14 +743,30 @@ class ProtectedAdminPanel {
             description: formData.get('description').trim(), // Remove whitespace
             date: formData.get('date'),
             time: formData.get('time'),
-            type: formData.get('type')
+            end_date: formData.get('end_date'),
+            end_time: formData.get('end_time'),
+            all_day: formData.get('all_day') === 'on',
+            location: formData.get('location').trim(),
+            online_url: formData.get('online_url').trim(),
+            dial_in: formData.get('dial_in').trim(),
+            capacity: formData.get('capacity').trim(),
+            type: formData.get('type'),
+            recurrence_rule: this.buildRecurrenceRule(formData),
+            allow_past: formData.get('allow_past') === 'on'
         };
 
-        // Validate form data before submission
-        if (!this.validateEventData(eventData)) {
+        // Validate form data before submission (clearing errors from the last attempt)
+        this.clearFieldErrors();
+        if (!this.validateEventData(eventData, formData)) {
             return; // Stop if validation fails
         }
 
+        // Editing one occurrence of a series goes to its own endpoint
+        if (this.editingOccurrence) {
+            await this.saveOccurrence(eventData);
+            return;
+        }
+
         try {
             let response;
             // Set up request headers with authentication
@@ -362,170 +818,2810 @@ class ProtectedAdminPanel {
                 this.renderAdminEvents();          // Re-render events list
                 this.updateStatistics();          // Update dashboard statistics
                 this.updateTodaysEvents();         // Update today's events section
+            } else if (response.status === 422) {
+                // The server rejected some fields - show its messages next to the inputs
+                const result = await response.json();
+                this.showFieldErrors(result.errors);
             } else {
-                // Handle server error response
-                throw new Error('Failed to save event');
+                // Handle server error response (use the server's message when it gives one)
+                const result = await response.json().catch(() => ({}));
+                throw new Error(result.error || 'Failed to save event');
             }
         } catch (error) {
             console.error('Error saving event:', error);
-            this.showNotification('Error saving event', 'error');
+            this.showNotification(error.message || 'Error saving event', 'error');
         }
     }
 
     /**
      * Validate event form data before submission
-     * @param {Object} data - Event data object with title, description, date, time, type
+     * Uses the same rules as the server so most mistakes are caught without a round trip;
+     * problems are shown next to the fields they belong to
+     * @param {Object} data - Event data object with title, description, date, time, end_date, end_time, all_day,
+     *                        location, online_url, dial_in, capacity, type, allow_past
+     * @param {FormData} [formData] - Raw form data, used to check recurrence settings
      * @returns {boolean} True if data is valid, false otherwise
      */
-    validateEventData(data) {
-        // Check required title field
-        if (!data.title) {
-            this.showNotification('Please enter an event title', 'error');
-            return false;
-        }
+    validateEventData(data, formData) {
+        const errors = {};
+        const addError = (field, message) => {
+            (errors[field] = errors[field] || []).push(message);
+        };
 
-        // Check required description field
-        if (!data.description) {
-            this.showNotification('Please enter an event description', 'error');
-            return false;
+        // Required fields and length limits (must match EVENT_SCHEMA in backend/server.js)
+        if (!data.title) addError('title', 'Title is required');
+        else if (data.title.length > 100) addError('title', 'Title must be at most 100 characters');
+
+        if (!data.description) addError('description', 'Description is required');
+        else if (data.description.length > 2000) addError('description', 'Description must be at most 2000 characters');
+
+        if (!data.date) addError('date', 'Date is required');
+        if (!data.time && !data.all_day) addError('time', 'Time is required');
+        if (!data.type) addError('type', 'Type is required');
+
+        // Venue and meeting details are optional, but a meeting link must be a real web address
+        if (data.location.length > 200) addError('location', 'Venue must be at most 200 characters');
+        if (data.dial_in.length > 200) addError('dial_in', 'Dial-in details must be at most 200 characters');
+        if (data.online_url && !this.isWebLink(data.online_url)) {
+            addError('online_url', 'Online meeting link must be a full web address starting with http:// or https://');
         }
 
-        // Check required date field
-        if (!data.date) {
-            this.showNotification('Please select an event date', 'error');
-            return false;
+        // Capacity is optional; when given it must be a whole number of seats
+        if (data.capacity) {
+            if (!/^\d+$/.test(data.capacity)) addError('capacity', 'Capacity must be a whole number');
+            else if (Number(data.capacity) < 1) addError('capacity', 'Capacity must be at least 1');
+            else if (Number(data.capacity) > MAX_CAPACITY) addError('capacity', `Capacity must be at most ${MAX_CAPACITY}`);
         }
 
-        // Check required time field
-        if (!data.time) {
-            this.showNotification('Please select an event time', 'error');
-            return false;
+        // The event cannot end before it starts; timed events ending on a later day need an end time
+        if (data.date && data.end_date) {
+            if (data.end_date < data.date) {
+                addError('end_date', 'End date must not be before the start date');
+            } else if (!data.all_day && !data.end_time && data.end_date !== data.date) {
+                addError('end_date', 'End time is required when the event ends on a later day');
+            }
+        }
+        if (!data.all_day && data.time && data.end_time && (data.end_date || data.date) === data.date
+            && data.end_time <= data.time) {
+            addError('end_time', 'End time must be after the start time');
         }
 
-        // Check required type field
-        if (!data.type) {
-            this.showNotification('Please select an event type', 'error');
-            return false;
+        // Dates before today need the override, except for an event keeping the date it already has
+        if (data.date && !data.allow_past && data.date < this.getInstitutionToday()
+            && data.date !== this.editingOriginalDate) {
+            addError('date', 'Date cannot be in the past');
         }
 
-        // Validate that date is not in the past
-        const eventDate = new Date(data.date);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0); // Reset time to start of day for comparison
+        // Recurring series that end on a date need that date, and it cannot be before the start
+        if (data.recurrence_rule && formData && formData.get('repeatEnd') === 'until') {
+            const until = formData.get('repeatUntil');
+            if (!until) {
+                addError('repeatUntil', 'End date is required');
+            } else if (data.date && until < data.date) {
+                addError('repeatUntil', 'End date cannot be before the event date');
+            }
+        }
 
-        if (eventDate < today) {
-            this.showNotification('Event date cannot be in the past', 'error');
+        if (Object.keys(errors).length > 0) {
+            this.showFieldErrors(errors);
             return false;
         }
-
         return true; // All validations passed
     }
 
     /**
-     * Render the admin events list with edit and delete controls
-     * Shows all events sorted by date and time
+     * Check whether text is an http or https web address (same rule as the server's 'url' format)
+     * @param {string} value - Text to check
+     * @returns {boolean} True for http(s) links
      */
-    renderAdminEvents() {
-        const adminEventsList = document.getElementById('adminEventsList');
-        
-        // Handle empty events state
-        if (this.events.length === 0) {
-            adminEventsList.innerHTML = '<p>No events found. Create your first event above!</p>';
-            return;
+    isWebLink(value) {
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (error) {
+            return false;
         }
+    }
 
-        // Sort events chronologically (date first, then time)
-        const sortedEvents = [...this.events].sort((a, b) => {
-            const dateCompare = new Date(a.date) - new Date(b.date);
-            if (dateCompare === 0) {
-                // If same date, sort by time
-                return a.time.localeCompare(b.time);
+    /**
+     * Show validation errors under the inputs they belong to
+     * Errors for fields the form has no input for are shown as a notification instead
+     * @param {Object} errors - Messages keyed by field, e.g. { date: ['Date cannot be in the past'] }
+     * @param {string} [formId] - Form to mark (the event form unless given)
+     * @param {Object} [fieldInputs] - Input ID for each field name in errors
+     */
+    showFieldErrors(errors, formId = 'eventForm', fieldInputs = EVENT_FIELD_INPUTS) {
+        this.clearFieldErrors(formId);
+        const unplaced = [];
+
+        Object.entries(errors || {}).forEach(([field, messages]) => {
+            const input = document.getElementById(fieldInputs[field]);
+            const group = input && input.closest('.form-group');
+            // Inputs in hidden sections (e.g. recurrence fields while editing one occurrence) cannot show a message
+            if (!group || group.closest('[style*="display: none"]')) {
+                unplaced.push(...messages);
+                return;
             }
-            return dateCompare;
+
+            group.classList.add('has-error');
+            messages.forEach(message => {
+                const element = document.createElement('div');
+                element.className = 'field-error';
+                element.innerHTML = `<i class="fas fa-exclamation-circle"></i>${this.escapeHtml(message)}`;
+                group.appendChild(element);
+            });
         });
 
-        // Render events as admin cards with management controls
-        adminEventsList.innerHTML = sortedEvents.map(event => `
-            <div class="admin-event-card" data-event-id="${event.id}">
-                <div class="admin-event-info">
-                    <h4>${event.title}</h4>
-                    <div class="admin-event-meta">
-                        <span><i class="fas fa-calendar"></i> ${this.formatDate(event.date)}</span>
-                        <span><i class="fas fa-clock"></i> ${this.formatTime(event.time)}</span>
-                        <span class="event-type ${event.type}"><i class="fas fa-tag"></i> ${event.type}</span>
-                    </div>
-                    <p>${event.description}</p>
-                </div>
-                <div class="admin-event-actions">
-                    <!-- Edit button with event ID for modification -->
-                    <button class="btn btn-outline btn-small edit-event-btn" data-event-id="${event.id}" onclick="window.admin.editEvent('${event.id}')">
-                        <i class="fas fa-edit"></i> Edit
-                    </button>
-                    <!-- Delete button with event ID for removal -->
-                    <button class="btn btn-danger btn-small delete-event-btn" data-event-id="${event.id}" onclick="window.admin.deleteEvent('${event.id}')">
-                        <i class="fas fa-trash"></i> Delete
-                    </button>
-                </div>
-            </div>
-        `).join('');
+        this.showNotification(unplaced.length > 0 ? unplaced.join('. ') : 'Please fix the highlighted fields', 'error');
+
+        // Bring the first problem into view
+        const firstError = document.querySelector(`#${formId} .has-error`);
+        if (firstError && firstError.scrollIntoView) {
+            firstError.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
     }
 
     /**
-     * Filter events in the admin list based on search term
-     * @param {string} searchTerm - Text to search for in event titles and descriptions
+     * Remove all validation messages from a form
+     * @param {string} [formId] - Form to clear (the event form unless given)
      */
-    filterEvents(searchTerm) {
-        // Get all event cards in the admin list
-        const eventCards = document.querySelectorAll('.admin-event-card');
-        
-        eventCards.forEach(card => {
-            // Get all text content from the event info section
-            const eventInfo = card.querySelector('.admin-event-info').textContent.toLowerCase();
-            // Check if search term matches anywhere in the event info
-            const matches = eventInfo.includes(searchTerm.toLowerCase());
-            // Show or hide card based on match
-            card.style.display = matches ? 'grid' : 'none';
+    clearFieldErrors(formId = 'eventForm') {
+        document.querySelectorAll(`#${formId} .field-error`).forEach(element => element.remove());
+        document.querySelectorAll(`#${formId} .has-error`).forEach(group => group.classList.remove('has-error'));
+    }
+
+    // ===== RECURRING EVENTS =====
+
+    /**
+     * Build a recurrence rule from the form's repeat controls
+     * @param {FormData} formData - Event form data
+     * @returns {string|null} Rule such as "FREQ=WEEKLY;INTERVAL=2;COUNT=6", or null if the event does not repeat
+     */
+    buildRecurrenceRule(formData) {
+        const freq = formData.get('repeat');
+        if (!freq) return null;
+
+        const parts = [`FREQ=${freq}`];
+        const interval = parseInt(formData.get('interval'), 10) || 1;
+        if (interval > 1) parts.push(`INTERVAL=${interval}`);
+
+        if (formData.get('repeatEnd') === 'until') {
+            parts.push(`UNTIL=${(formData.get('repeatUntil') || '').replace(/-/g, '')}`);
+        } else {
+            parts.push(`COUNT=${parseInt(formData.get('repeatCount'), 10) || 1}`);
+        }
+
+        return parts.join(';');
+    }
+
+    /**
+     * Populate the repeat controls from an existing rule
+     * @param {string|null} rule - Stored recurrence rule
+     */
+    fillRecurrenceFields(rule) {
+        const parts = Object.fromEntries((rule || '').split(';').filter(Boolean).map(part => part.split('=')));
+
+        document.getElementById('eventRepeat').value = parts.FREQ || '';
+        document.getElementById('eventInterval').value = parts.INTERVAL || 1;
+        document.getElementById('eventRepeatEnd').value = parts.UNTIL ? 'until' : 'count';
+        document.getElementById('eventRepeatCount').value = parts.COUNT || 10;
+        document.getElementById('eventRepeatUntil').value = parts.UNTIL
+            ? `${parts.UNTIL.slice(0, 4)}-${parts.UNTIL.slice(4, 6)}-${parts.UNTIL.slice(6, 8)}`
+            : '';
+
+        this.updateRecurrenceFields();
+    }
+
+    /**
+     * Show only the repeat options that apply to the current selections
+     */
+    updateRecurrenceFields() {
+        const repeats = document.getElementById('eventRepeat').value !== '';
+        const endsOnDate = document.getElementById('eventRepeatEnd').value === 'until';
+
+        document.querySelectorAll('.recurrence-option').forEach(el => {
+            el.style.display = repeats ? '' : 'none';
         });
+        document.getElementById('repeatCountGroup').style.display = endsOnDate ? 'none' : '';
+        document.getElementById('repeatUntilGroup').style.display = endsOnDate ? '' : 'none';
     }
 
+    // ===== EVENT TIMES =====
+
     /**
-     * Edit an existing event by populating the form with its data
-     * @param {string} eventId - ID of event to edit
+     * Hide the time inputs for all-day events and keep the end date picker from going before the start
      */
-    editEvent(eventId) {
-        // Convert eventId to number for comparison since database IDs are numbers
-        const numericEventId = parseInt(eventId);
-        const event = this.events.find(e => e.id === numericEventId);
-        if (!event) return; // Exit if event not found
+    updateTimeFields() {
+        const allDay = document.getElementById('eventAllDay').checked;
+        document.getElementById('eventTimeGroup').style.display = allDay ? 'none' : '';
+        document.getElementById('eventEndTimeGroup').style.display = allDay ? 'none' : '';
+        document.getElementById('eventTime').required = !allDay;
+        document.getElementById('eventEndDate').min = document.getElementById('eventDate').value;
+    }
 
-        // Set editing mode and populate form
-        this.editingEventId = numericEventId;
-        
-        // Populate all form fields with existing event data
-        document.getElementById('eventTitle').value = event.title;
-        document.getElementById('eventDescription').value = event.description;
-        document.getElementById('eventDate').value = event.date;
-        document.getElementById('eventTime').value = event.time;
-        document.getElementById('eventType').value = event.type;
+    /**
+     * Format the days an event covers
+     * @param {Object} event - Event with display_date and display_end_date
+     * @returns {string} "Mon, Mar 15, 2027" or "Mon, Mar 15, 2027 – Wed, Mar 17, 2027"
+     */
+    formatDateRange(event) {
+        if (!event.display_end_date || event.display_end_date === event.display_date) {
+            return this.formatDate(event.display_date);
+        }
+        return `${this.formatDate(event.display_date)} – ${this.formatDate(event.display_end_date)}`;
+    }
 
-        // Update form UI to indicate edit mode
-        document.getElementById('submitText').textContent = 'Update Event';
-        const form = document.getElementById('eventForm');
-        form.scrollIntoView({ behavior: 'smooth' }); // Scroll to form
+    /**
+     * Format when an event starts and ends during the day, with its duration
+     * @param {Object} event - Event with all_day, display_time, display_end_time and start/end instants
+     * @returns {string} "All day", "All day (3 days)" or "2:00 PM – 4:00 PM (2 hours)"
+     */
+    formatTimeRange(event) {
+        const duration = this.describeDuration(event);
+        if (event.all_day) {
+            return event.display_end_date && event.display_end_date !== event.display_date ? `All day (${duration})` : 'All day';
+        }
+        if (!event.ends_at_utc) {
+            return this.formatTime(event.display_time);
+        }
+        return `${this.formatTime(event.display_time)} – ${this.formatTime(event.display_end_time)} (${duration})`;
+    }
 
-        // Add cancel button if not already present
-        if (!document.getElementById('cancelEdit')) {
-            const cancelBtn = document.createElement('button');
-            cancelBtn.type = 'button';
-            cancelBtn.id = 'cancelEdit';
-            cancelBtn.className = 'btn btn-outline btn-full';
-            cancelBtn.innerHTML = '<i class="fas fa-times"></i> Cancel Edit';
-            cancelBtn.onclick = () => this.cancelEdit();
-            form.appendChild(cancelBtn);
+    /**
+     * Describe how long an event lasts
+     * All-day events are counted in days; timed events in days, hours and minutes
+     * @param {Object} event - Event with all_day, date/end_date and starts_at_utc/ends_at_utc
+     * @returns {string|null} Duration such as "3 days" or "1 hour 30 min", or null if the event has no end
+     */
+    describeDuration(event) {
+        const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+        if (event.all_day) {
+            const days = Math.round((new Date(`${event.end_date || event.date}T00:00:00Z`) - new Date(`${event.date}T00:00:00Z`)) / 86400000) + 1;
+            return plural(days, 'day');
         }
+        if (!event.ends_at_utc) return null;
 
-        // Show user feedback about edit mode
-        this.showNotification(`Editing: ${event.title}`, 'info');
+        const totalMinutes = Math.round((new Date(event.ends_at_utc) - new Date(event.starts_at_utc)) / 60000);
+        const days = Math.floor(totalMinutes / 1440);
+        const hours = Math.floor((totalMinutes % 1440) / 60);
+        const minutes = totalMinutes % 60;
+        return [
+            days > 0 ? plural(days, 'day') : '',
+            hours > 0 ? plural(hours, 'hour') : '',
+            minutes > 0 ? `${minutes} min` : ''
+        ].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Describe a recurrence rule in words
+     * @param {string} rule - Rule such as "FREQ=WEEKLY;INTERVAL=2;COUNT=6"
+     * @returns {string} Description such as "Every 2 weeks, 6 times"
+     */
+    describeRecurrence(rule) {
+        const parts = Object.fromEntries(rule.split(';').map(part => part.split('=')));
+        const interval = parseInt(parts.INTERVAL, 10) || 1;
+        const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' }[parts.FREQ] || 'time';
+
+        const every = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+        if (parts.COUNT) return `${every}, ${parts.COUNT} times`;
+        if (parts.UNTIL) {
+            const until = `${parts.UNTIL.slice(0, 4)}-${parts.UNTIL.slice(4, 6)}-${parts.UNTIL.slice(6, 8)}`;
+            return `${every} until ${this.formatDate(until)}`;
+        }
+        return every;
+    }
+
+    /**
+     * Show or hide the occurrence list of a recurring event
+     * Occurrences are fetched each time the list is opened so it reflects recent edits
+     * @param {string} eventId - ID of the recurring event
+     */
+    async toggleOccurrences(eventId) {
+        const container = document.getElementById(`occurrences-${eventId}`);
+        if (!container) return;
+
+        if (container.style.display !== 'none') {
+            container.style.display = 'none';
+            return;
+        }
+
+        await this.renderOccurrences(eventId);
+        container.style.display = 'grid';
+    }
+
+    /**
+     * Render the occurrence list of a recurring event
+     * Each occurrence can be edited or cancelled; changed occurrences can be restored
+     * @param {string} eventId - ID of the recurring event
+     */
+    async renderOccurrences(eventId) {
+        const container = document.getElementById(`occurrences-${eventId}`);
+        if (!container) return;
+
+        try {
+            const response = await fetch(`/api/events/${eventId}/occurrences`);
+            if (!response.ok) throw new Error('Failed to load occurrences');
+            const occurrences = await response.json();
+            this.localizeEvents(occurrences);
+
+            container.innerHTML = occurrences.map(occurrence => `
+                <div class="occurrence-item ${occurrence.status}">
+                    <div>
+                        <span class="occurrence-when">
+                            ${this.formatDateRange(occurrence)}, ${this.formatTimeRange(occurrence)}
+                        </span>
+                        ${occurrence.status !== 'scheduled' ? `<span class="occurrence-status ${occurrence.status}">${occurrence.status}</span>` : ''}
+                    </div>
+                    <div class="occurrence-actions">
+                        ${!this.canEditEvents() ? '' : occurrence.status !== 'cancelled' ? `
+                        <button class="btn btn-outline btn-small edit-occurrence-btn" data-event-id="${eventId}" data-date="${occurrence.occurrence_date}">
+                            <i class="fas fa-edit"></i> Edit This
+                        </button>
+                        <button class="btn btn-danger btn-small cancel-occurrence-btn" data-event-id="${eventId}" data-date="${occurrence.occurrence_date}">
+                            <i class="fas fa-ban"></i> Cancel
+                        </button>` : ''}
+                        ${this.canEditEvents() && occurrence.status !== 'scheduled' ? `
+                        <button class="btn btn-outline btn-small restore-occurrence-btn" data-event-id="${eventId}" data-date="${occurrence.occurrence_date}">
+                            <i class="fas fa-undo"></i> Restore
+                        </button>` : ''}
+                    </div>
+                </div>
+            `).join('');
+
+            // Remember the loaded occurrences so editOccurrence can fill in the form
+            this.loadedOccurrences[eventId] = occurrences;
+        } catch (error) {
+            console.error('Error loading occurrences:', error);
+            this.showNotification('Error loading occurrences', 'error');
+        }
+    }
+
+    /**
+     * Edit a single occurrence by populating the form with its values
+     * The recurrence controls are hidden because they belong to the whole series
+     * @param {string} eventId - ID of the recurring event
+     * @param {string} occurrenceDate - Original date of the occurrence
+     */
+    editOccurrence(eventId, occurrenceDate) {
+        const occurrence = (this.loadedOccurrences[eventId] || [])
+            .find(o => o.occurrence_date === occurrenceDate);
+        if (!occurrence) return;
+
+        this.editingEventId = null;
+        this.editingOccurrence = { eventId, date: occurrenceDate };
+        this.editingOriginalDate = occurrence.date;
+        this.clearFieldErrors();
+
+        // Populate form fields with the occurrence's current values
+        document.getElementById('eventTitle').value = occurrence.title;
+        document.getElementById('eventDescription').value = occurrence.description;
+        document.getElementById('eventDate').value = occurrence.date;
+        document.getElementById('eventTime').value = occurrence.time;
+        document.getElementById('eventType').value = occurrence.type;
+        this.updateFormTimezone(occurrence.timezone);
+        document.getElementById('eventRepeat').value = '';
+        document.getElementById('recurrenceFields').style.display = 'none';
+        // The occurrence keeps the series' duration, so only its start can be changed here
+        document.getElementById('eventAllDay').checked = occurrence.all_day;
+        document.getElementById('eventEndDate').value = '';
+        document.getElementById('eventEndTime').value = '';
+        document.getElementById('durationFields').style.display = 'none';
+        // Venue and meeting details also belong to the series
+        document.getElementById('eventLocation').value = occurrence.location || '';
+        document.getElementById('eventOnlineUrl').value = occurrence.online_url || '';
+        document.getElementById('eventDialIn').value = occurrence.dial_in || '';
+        document.getElementById('locationFields').style.display = 'none';
+        // ...and so does the number of seats
+        document.getElementById('eventCapacity').value = occurrence.capacity || '';
+        document.getElementById('capacityGroup').style.display = 'none';
+        this.updateTimeFields();
+
+        document.getElementById('submitText').textContent = 'Update This Occurrence';
+        this.showCancelEditButton();
+
+        this.showNotification(`Editing ${occurrence.title} on ${this.formatDate(occurrenceDate)} only`, 'info');
+    }
+
+    /**
+     * Save the single occurrence being edited
+     * @param {Object} eventData - Values from the event form
+     */
+    async saveOccurrence(eventData) {
+        const { eventId, date } = this.editingOccurrence;
+
+        try {
+            const response = await fetch(`/api/events/${eventId}/occurrences/${date}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.authToken}`
+                },
+                body: JSON.stringify({
+                    title: eventData.title,
+                    description: eventData.description,
+                    date: eventData.date,
+                    time: eventData.time
+                })
+            });
+
+            if (this.handleSessionExpired(response)) return;
+
+            const result = await response.json();
+            if (response.status === 422) {
+                this.showFieldErrors(result.errors);
+                return;
+            }
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to update occurrence');
+            }
+
+            this.showNotification('Occurrence updated successfully!', 'success');
+            this.cancelEdit();
+            await this.refreshOccurrences(eventId);
+        } catch (error) {
+            console.error('Error updating occurrence:', error);
+            this.showNotification(error.message || 'Error updating occurrence', 'error');
+        }
+    }
+
+    /**
+     * Cancel a single occurrence after confirmation
+     * @param {string} eventId - ID of the recurring event
+     * @param {string} occurrenceDate - Original date of the occurrence
+     */
+    cancelOccurrence(eventId, occurrenceDate) {
+        this.showConfirmModal(
+            `Cancel the occurrence on ${this.formatDate(occurrenceDate)}? The rest of the series is not affected.`,
+            () => this.changeOccurrence(eventId, occurrenceDate, 'DELETE', '', 'Occurrence cancelled')
+        );
+    }
+
+    /**
+     * Undo the cancellation or edit of a single occurrence
+     * @param {string} eventId - ID of the recurring event
+     * @param {string} occurrenceDate - Original date of the occurrence
+     */
+    restoreOccurrence(eventId, occurrenceDate) {
+        this.changeOccurrence(eventId, occurrenceDate, 'POST', '/restore', 'Occurrence restored');
+    }
+
+    /**
+     * Send a cancel or restore request for one occurrence
+     * @param {string} eventId - ID of the recurring event
+     * @param {string} occurrenceDate - Original date of the occurrence
+     * @param {string} method - HTTP method
+     * @param {string} suffix - Path after the occurrence URL ('' or '/restore')
+     * @param {string} successMessage - Notification shown on success
+     */
+    async changeOccurrence(eventId, occurrenceDate, method, suffix, successMessage) {
+        try {
+            const response = await fetch(`/api/events/${eventId}/occurrences/${occurrenceDate}${suffix}`, {
+                method,
+                headers: {
+                    'Authorization': `Bearer ${this.authToken}`
+                }
+            });
+
+            if (this.handleSessionExpired(response)) return;
+
+            if (!response.ok) {
+                const result = await response.json().catch(() => ({}));
+                throw new Error(result.error || 'Failed to update occurrence');
+            }
+
+            this.showNotification(successMessage, 'success');
+            await this.refreshOccurrences(eventId);
+        } catch (error) {
+            console.error('Error updating occurrence:', error);
+            this.showNotification(error.message || 'Error updating occurrence', 'error');
+        }
+    }
+
+    /**
+     * Reload events after an occurrence changed, keeping that series' occurrence list open
+     * @param {string} eventId - ID of the recurring event
+     */
+    async refreshOccurrences(eventId) {
+        await this.loadEvents();
+        this.renderAdminEvents();
+        await this.renderOccurrences(eventId);
+        document.getElementById(`occurrences-${eventId}`).style.display = 'grid';
+    }
+
+    /**
+     * Redirect to the login page when the server reports an expired session
+     * @param {Response} response - Fetch response to check
+     * @returns {boolean} True if the session expired (the caller should stop)
+     */
+    handleSessionExpired(response) {
+        if (response.status !== 401) return false;
+
+        this.showNotification('Session expired. Please login again.', 'error');
+        setTimeout(() => {
+            localStorage.removeItem('adminToken');
+            window.location.href = 'login.html';
+        }, 2000);
+        return true;
+    }
+
+    // ===== REGISTRATION ROSTERS =====
+
+    /**
+     * Show or hide the list of people registered for an event
+     * The roster is fetched each time it is opened so it includes recent sign-ups
+     * @param {string} eventId - ID of the event
+     */
+    async toggleRoster(eventId) {
+        const container = document.getElementById(`roster-${eventId}`);
+        if (!container) return;
+
+        if (container.style.display !== 'none') {
+            container.style.display = 'none';
+            return;
+        }
+
+        await this.renderRoster(eventId);
+        container.style.display = 'block';
+    }
+
+    /**
+     * Render an event's roster: registered users, then the waitlist in order
+     * @param {string} eventId - ID of the event
+     */
+    async renderRoster(eventId) {
+        const container = document.getElementById(`roster-${eventId}`);
+        if (!container) return;
+
+        try {
+            const response = await fetch(`/api/events/${eventId}/registrations`, {
+                headers: {
+                    'Authorization': `Bearer ${this.authToken}`
+                }
+            });
+            if (this.handleSessionExpired(response)) return;
+            if (!response.ok) throw new Error('Failed to load registrations');
+            const roster = await response.json();
+
+            if (roster.length === 0) {
+                container.innerHTML = '<p class="roster-empty">Nobody has registered yet.</p>';
+                return;
+            }
+
+            const registered = roster.filter(row => row.status === 'registered').length;
+            container.innerHTML = `
+                <div class="roster-header">
+                    <span>${registered} registered, ${roster.length - registered} on the waitlist</span>
+                    <button class="btn btn-outline btn-small download-roster-btn" data-event-id="${eventId}">
+                        <i class="fas fa-file-csv"></i> Download CSV
+                    </button>
+                </div>
+                <div class="import-table-wrapper">
+                    <table class="import-table roster-table">
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Username</th>
+                                <th>Email</th>
+                                <th>Status</th>
+                                <th>Signed Up</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${roster.map(row => `
+                                <tr class="${row.status}">
+                                    <td>${this.escapeHtml(row.full_name)}</td>
+                                    <td>${this.escapeHtml(row.username)}</td>
+                                    <td>${this.escapeHtml(row.email)}</td>
+                                    <td>${row.status === 'registered' ? 'Registered' : `Waitlist #${row.position}`}</td>
+                                    <td>${this.formatDate(row.created_at.split(' ')[0])}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        } catch (error) {
+            console.error('Error loading roster:', error);
+            this.showNotification('Error loading registrations', 'error');
+        }
+    }
+
+    /**
+     * Download an event's roster as a CSV file
+     * @param {string} eventId - ID of the event
+     */
+    async downloadRoster(eventId) {
+        await this.downloadFile(`/api/events/${eventId}/registrations.csv`, `event-${eventId}-registrations.csv`, 'registrations');
+    }
+
+    /**
+     * Download a protected file and save it
+     * The file is fetched with the session token, so a plain link cannot be used
+     * @param {string} url - API path of the file
+     * @param {string} filename - Name to save the file as
+     * @param {string} description - What is being downloaded, for error messages (e.g. 'registrations')
+     */
+    async downloadFile(url, filename, description) {
+        try {
+            const response = await fetch(url, {
+                headers: {
+                    'Authorization': `Bearer ${this.authToken}`
+                }
+            });
+            if (this.handleSessionExpired(response)) return;
+            if (!response.ok) throw new Error(`Failed to download ${description}`);
+
+            // Save the response through a temporary link
+            const objectUrl = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = objectUrl;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(objectUrl);
+        } catch (error) {
+            console.error(`Error downloading ${description}:`, error);
+            this.showNotification(error.message || `Error downloading ${description}`, 'error');
+        }
+    }
+
+    // ===== ATTENDANCE =====
+
+    /**
+     * Show or hide an event's attendance panel: its check-in QR code and who has checked in
+     * The panel is fetched each time it is opened so it includes recent check-ins
+     * @param {string} eventId - ID of the event
+     */
+    async toggleAttendance(eventId) {
+        const container = document.getElementById(`attendance-${eventId}`);
+        if (!container) return;
+
+        if (container.style.display !== 'none') {
+            container.style.display = 'none';
+            return;
+        }
+
+        await this.renderAttendance(eventId);
+        container.style.display = 'block';
+    }
+
+    /**
+     * Render an event's attendance panel
+     * The check-in code is created by the server the first time it is asked for
+     * @param {string} eventId - ID of the event
+     */
+    async renderAttendance(eventId) {
+        const container = document.getElementById(`attendance-${eventId}`);
+        if (!container) return;
+
+        try {
+            const headers = { 'Authorization': `Bearer ${this.authToken}` };
+            const [codeResponse, attendanceResponse] = await Promise.all([
+                fetch(`/api/events/${eventId}/checkin-code`, { headers }),
+                fetch(`/api/events/${eventId}/attendance`, { headers })
+            ]);
+            if (this.handleSessionExpired(codeResponse) || this.handleSessionExpired(attendanceResponse)) return;
+            if (!codeResponse.ok || !attendanceResponse.ok) throw new Error('Failed to load attendance');
+            const checkInCode = await codeResponse.json();
+            const attendance = await attendanceResponse.json();
+
+            container.innerHTML = `
+                <div class="attendance-qr">
+                    <!-- QR code SVG generated by the server -->
+                    <div class="attendance-qr-image">${checkInCode.qr_svg}</div>
+                    <div class="attendance-qr-details">
+                        <p>Print this code or show it on a screen at the door. Attendees scan it with their phone
+                            and log in to check in. Check-in opens an hour before the event starts and closes when it ends.</p>
+                        <p class="attendance-link">${this.escapeHtml(checkInCode.url)}</p>
+                        <div class="attendance-qr-actions">
+                            <button class="btn btn-outline btn-small download-checkin-qr-btn" data-event-id="${eventId}">
+                                <i class="fas fa-download"></i> Download QR Code
+                            </button>
+                            <button class="btn btn-outline btn-small reset-checkin-code-btn" data-event-id="${eventId}">
+                                <i class="fas fa-sync-alt"></i> New Code
+                            </button>
+                        </div>
+                    </div>
+                </div>
+                ${this.renderAttendanceList(eventId, attendance)}
+            `;
+        } catch (error) {
+            console.error('Error loading attendance:', error);
+            this.showNotification('Error loading attendance', 'error');
+        }
+    }
+
+    /**
+     * Build the attendance counts and the table of people who checked in
+     * @param {string} eventId - ID of the event
+     * @param {Object} attendance - Report from GET /api/events/:id/attendance
+     * @returns {string} HTML for the list
+     */
+    renderAttendanceList(eventId, attendance) {
+        if (attendance.attendees.length === 0) {
+            return '<p class="roster-empty">Nobody has checked in yet.</p>';
+        }
+
+        const timeZone = this.getDisplayTimezone();
+        return `
+            <div class="roster-header">
+                <span>${attendance.attendees.length} check-in${attendance.attendees.length === 1 ? '' : 's'}</span>
+                <button class="btn btn-outline btn-small download-attendance-btn" data-event-id="${eventId}">
+                    <i class="fas fa-file-csv"></i> Download CSV
+                </button>
+            </div>
+            <ul class="attendance-summary">
+                ${attendance.occurrences.map(occurrence => `
+                    <li>
+                        <strong>${this.formatDate(occurrence.occurrence_date)}:</strong>
+                        ${occurrence.checked_in} attended
+                        (${occurrence.registered} of ${attendance.registered_count} registered, ${occurrence.walk_ins} without a seat)
+                    </li>
+                `).join('')}
+            </ul>
+            <div class="import-table-wrapper">
+                <table class="import-table roster-table">
+                    <thead>
+                        <tr>
+                            <th>Name</th>
+                            <th>Username</th>
+                            <th>Email</th>
+                            <th>Date</th>
+                            <th>Checked In</th>
+                            <th>Registration</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${attendance.attendees.map(row => `
+                            <tr class="${row.registration_status === 'registered' ? 'registered' : 'walk-in'}">
+                                <td>${this.escapeHtml(row.full_name)}</td>
+                                <td>${this.escapeHtml(row.username)}</td>
+                                <td>${this.escapeHtml(row.email)}</td>
+                                <td>${this.formatDate(row.occurrence_date)}</td>
+                                <td>${this.formatTime(this.toZone(`${row.checked_in_at.replace(' ', 'T')}Z`, timeZone).time)}</td>
+                                <td>${row.registration_status === 'registered' ? 'Registered'
+                                    : row.registration_status === 'waitlisted' ? 'Waitlisted' : 'Not registered'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Download an event's attendance as a CSV file
+     * @param {string} eventId - ID of the event
+     */
+    async downloadAttendance(eventId) {
+        await this.downloadFile(`/api/events/${eventId}/attendance.csv`, `event-${eventId}-attendance.csv`, 'attendance');
+    }
+
+    /**
+     * Download an event's check-in QR code as an SVG image for printing
+     * @param {string} eventId - ID of the event
+     */
+    async downloadCheckInQr(eventId) {
+        await this.downloadFile(`/api/events/${eventId}/checkin-code.svg`, `event-${eventId}-checkin.svg`, 'QR code');
+    }
+
+    /**
+     * Replace an event's check-in code after confirmation
+     * Every QR code printed with the old code stops working
+     * @param {string} eventId - ID of the event
+     */
+    resetCheckInCode(eventId) {
+        this.showConfirmModal(
+            'Create a new check-in code? QR codes already printed for this event will stop working.',
+            async () => {
+                try {
+                    const response = await fetch(`/api/events/${eventId}/checkin-code`, {
+                        method: 'POST',
+                        headers: {
+                            'Authorization': `Bearer ${this.authToken}`
+                        }
+                    });
+                    if (this.handleSessionExpired(response)) return;
+                    if (!response.ok) throw new Error('Failed to create a new check-in code');
+
+                    this.showNotification('New check-in code created', 'success');
+                    await this.renderAttendance(eventId);
+                } catch (error) {
+                    console.error('Error replacing check-in code:', error);
+                    this.showNotification(error.message || 'Error creating a new check-in code', 'error');
+                }
+            }
+        );
+    }
+
+    // ===== REVISION HISTORY =====
+    // Every save of an event is kept as a revision. Rolling back saves the chosen
+    // version again as the newest revision, so nothing in the history is lost.
+
+    /**
+     * Show or hide the revision history of an event
+     * The history is fetched each time it is opened so it includes recent edits
+     * @param {string} eventId - ID of the event
+     */
+    async toggleRevisions(eventId) {
+        const container = document.getElementById(`revisions-${eventId}`);
+        if (!container) return;
+
+        if (container.style.display !== 'none') {
+            container.style.display = 'none';
+            return;
+        }
+
+        await this.renderRevisions(eventId);
+        container.style.display = 'block';
+    }
+
+    /**
+     * Render an event's revisions, newest first, with what changed in each
+     * Every revision but the current one can be restored
+     * @param {string} eventId - ID of the event
+     */
+    async renderRevisions(eventId) {
+        const container = document.getElementById(`revisions-${eventId}`);
+        if (!container) return;
+
+        try {
+            const response = await fetch(`/api/events/${eventId}/revisions`, {
+                headers: {
+                    'Authorization': `Bearer ${this.authToken}`
+                }
+            });
+            if (this.handleSessionExpired(response)) return;
+            if (!response.ok) throw new Error('Failed to load revisions');
+            const revisions = await response.json();
+            const timeZone = this.getDisplayTimezone();
+
+            container.innerHTML = `
+                <div class="import-table-wrapper">
+                    <table class="import-table revision-table">
+                        <thead>
+                            <tr>
+                                <th>Revision</th>
+                                <th>Saved</th>
+                                <th>By</th>
+                                <th>Changes</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${revisions.map((revision, index) => {
+                                // Stored as "YYYY-MM-DD HH:MM:SS" in UTC
+                                const saved = this.toZone(`${revision.created_at.replace(' ', 'T')}Z`, timeZone);
+                                return `
+                                    <tr class="${index === 0 ? 'revision-current' : ''}">
+                                        <td>#${revision.revision}${index === 0 ? '<span class="revision-label">Current</span>' : ''}</td>
+                                        <td>${this.formatDate(saved.date)}<br>${this.formatTime(saved.time)}</td>
+                                        <td>${this.escapeHtml(revision.username || 'Unknown')}</td>
+                                        <td>
+                                            ${revision.restored_from ? `<span class="revision-note">Rolled back to #${revision.restored_from}</span>` : ''}
+                                            ${revision.changes === null
+                                                ? '<span class="revision-note">First saved version</span>'
+                                                : this.renderActivityChanges(revision.changes) || '<span class="revision-note">No changes</span>'}
+                                        </td>
+                                        <td>${index === 0 ? '' : `
+                                            <button class="btn btn-outline btn-small rollback-revision-btn" data-event-id="${eventId}" data-revision="${revision.revision}">
+                                                <i class="fas fa-undo"></i> Restore
+                                            </button>`}
+                                        </td>
+                                    </tr>
+                                `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        } catch (error) {
+            console.error('Error loading revisions:', error);
+            this.showNotification('Error loading revision history', 'error');
+        }
+    }
+
+    /**
+     * Roll an event back to an earlier revision, after confirmation
+     * @param {string} eventId - ID of the event
+     * @param {string} revision - Revision number to go back to
+     */
+    rollbackEvent(eventId, revision) {
+        const event = this.events.find(e => e.id === Number(eventId));
+        if (!event) return;
+
+        this.showConfirmModal(
+            `Roll "${event.title}" back to revision ${revision}? The current version stays in the history.`,
+            () => this.performRollback(eventId, revision)
+        );
+    }
+
+    /**
+     * Perform a rollback after the user confirmed it
+     * @param {string} eventId - ID of the event
+     * @param {string} revision - Revision number to go back to
+     */
+    async performRollback(eventId, revision) {
+        try {
+            const response = await fetch(`/api/events/${eventId}/revisions/${revision}/restore`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.authToken}`
+                }
+            });
+            if (this.handleSessionExpired(response)) return;
+
+            const result = await response.json();
+            if (!response.ok) {
+                // An old version can fail today's checks, e.g. when its event type has since been deleted
+                const reasons = result.errors ? Object.values(result.errors).flat() : [];
+                throw new Error([result.error || 'Failed to roll back event', ...reasons].join('. '));
+            }
+
+            this.showNotification(`Rolled back to revision ${revision}`, 'success');
+            await this.loadEvents();
+            await this.renderAdminEventsKeepingPanels(Number(eventId));
+        } catch (error) {
+            console.error('Error rolling back event:', error);
+            this.showNotification(error.message || 'Error rolling back event', 'error');
+        }
+    }
+
+    // ===== TRASH =====
+    // Deleted events stay in the trash until someone restores them or an admin deletes them for good.
+
+    /**
+     * Load the events in the trash (editors and admins)
+     */
+    async loadTrash() {
+        try {
+            const response = await fetch('/api/events/trash', {
+                headers: {
+                    'Authorization': `Bearer ${this.authToken}`
+                }
+            });
+            if (this.handleSessionExpired(response)) return;
+            if (!response.ok) throw new Error('Failed to load trash');
+
+            this.trashedEvents = await response.json();
+            this.localizeEvents(this.trashedEvents);
+            this.renderTrash();
+        } catch (error) {
+            console.error('Error loading trash:', error);
+            this.showNotification('Error loading trash', 'error');
+        }
+    }
+
+    /**
+     * Render the trash table, most recently deleted first
+     * Only admins get the Delete Forever button
+     */
+    renderTrash() {
+        const list = document.getElementById('trashList');
+        const timeZone = this.getDisplayTimezone();
+
+        if (this.trashedEvents.length === 0) {
+            list.innerHTML = '<tr><td colspan="5">The trash is empty.</td></tr>';
+            return;
+        }
+
+        list.innerHTML = this.trashedEvents.map(event => {
+            // Stored as "YYYY-MM-DD HH:MM:SS" in UTC
+            const deleted = this.toZone(`${event.deleted_at.replace(' ', 'T')}Z`, timeZone);
+            return `
+                <tr>
+                    <td>#${event.id} ${this.escapeHtml(event.title)}</td>
+                    <td>${this.formatDateRange(event)}<br>${this.formatTimeRange(event)}</td>
+                    <td>${this.formatDate(deleted.date)}<br>${this.formatTime(deleted.time)}</td>
+                    <td>${this.escapeHtml(event.deleted_by_username || 'Unknown')}</td>
+                    <td>
+                        <div class="trash-actions">
+                            <button class="btn btn-outline btn-small restore-trash-btn" data-event-id="${event.id}">
+                                <i class="fas fa-undo"></i> Restore
+                            </button>
+                            ${this.hasRole('admin') ? `
+                            <button class="btn btn-danger btn-small purge-trash-btn" data-event-id="${event.id}">
+                                <i class="fas fa-times"></i> Delete Forever
+                            </button>` : ''}
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Take an event out of the trash
+     * @param {string} eventId - ID of the deleted event
+     */
+    async restoreFromTrash(eventId) {
+        try {
+            const response = await fetch(`/api/events/trash/${eventId}/restore`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.authToken}`
+                }
+            });
+            if (this.handleSessionExpired(response)) return;
+
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Failed to restore event');
+
+            this.showNotification(`"${result.title}" restored`, 'success');
+            await this.loadEvents();
+            this.renderAdminEvents();
+            await this.loadTrash();
+        } catch (error) {
+            console.error('Error restoring event:', error);
+            this.showNotification(error.message || 'Error restoring event', 'error');
+            await this.loadTrash();   // Someone else may have restored or purged it already
+        }
+    }
+
+    /**
+     * Permanently delete an event in the trash, after confirmation (admins only)
+     * @param {string} eventId - ID of the deleted event
+     */
+    purgeEvent(eventId) {
+        const event = this.trashedEvents.find(e => e.id === Number(eventId));
+        if (!event) return;
+
+        this.showConfirmModal(
+            `Permanently delete "${event.title}"? Its registrations, attendance and history are deleted too. This cannot be undone.`,
+            () => this.performPurge(eventId)
+        );
+    }
+
+    /**
+     * Perform a permanent deletion after the user confirmed it
+     * @param {string} eventId - ID of the deleted event
+     */
+    async performPurge(eventId) {
+        try {
+            const response = await fetch(`/api/events/trash/${eventId}`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${this.authToken}`
+                }
+            });
+            if (this.handleSessionExpired(response)) return;
+
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Failed to delete event');
+
+            this.showNotification('Event permanently deleted', 'success');
+        } catch (error) {
+            console.error('Error purging event:', error);
+            this.showNotification(error.message || 'Error deleting event', 'error');
+        }
+        await this.loadTrash();
+    }
+
+    // ===== BULK ACTIONS =====
+    // Events ticked in the Manage Events list can be deleted, retyped, shifted or duplicated together.
+    // The server changes all of them or none, and says which events stopped it.
+
+    /**
+     * Record which events are listed, dropping ticks on events that are no longer listed
+     * (deleted elsewhere, or hidden by the search) so an action never reaches an event the user cannot see
+     * @param {Array<number>} listedIds - IDs of the events in the Manage Events list
+     */
+    syncBulkSelection(listedIds) {
+        this.listedEventIds = listedIds;
+        this.selectedEventIds = new Set(listedIds.filter(id => this.selectedEventIds.has(id)));
+        this.updateBulkBar();
+    }
+
+    /**
+     * Tick or untick one event
+     * @param {number} eventId - ID of the event
+     * @param {boolean} selected - Whether the event is now ticked
+     */
+    toggleEventSelection(eventId, selected) {
+        if (selected) {
+            this.selectedEventIds.add(eventId);
+        } else {
+            this.selectedEventIds.delete(eventId);
+        }
+        const card = document.querySelector(`#adminEventsList .admin-event-card[data-event-id="${eventId}"]`);
+        if (card) card.classList.toggle('selected', selected);
+        this.updateBulkBar();
+    }
+
+    /**
+     * Tick or untick every listed event
+     * @param {boolean} selected - Whether to tick them all (false clears the selection)
+     */
+    selectListedEvents(selected) {
+        this.selectedEventIds = new Set(selected ? this.listedEventIds : []);
+        document.querySelectorAll('#adminEventsList .bulk-select-event').forEach(checkbox => {
+            checkbox.checked = selected;
+            checkbox.closest('.admin-event-card').classList.toggle('selected', selected);
+        });
+        this.updateBulkBar();
+    }
+
+    /**
+     * Show how many events are ticked, and only enable the actions when there are some
+     */
+    updateBulkBar() {
+        const count = this.selectedEventIds.size;
+        const listed = this.listedEventIds.length;
+        document.getElementById('bulkCount').textContent = `${count} selected`;
+        document.querySelectorAll('.bulk-action-btn').forEach(button => {
+            button.disabled = count === 0;
+        });
+
+        const selectAll = document.getElementById('bulkSelectAll');
+        selectAll.disabled = listed === 0;
+        selectAll.checked = count > 0 && count === listed;
+        selectAll.indeterminate = count > 0 && count < listed;
+    }
+
+    /**
+     * Describe a number of events, e.g. "1 event" or "3 events"
+     * @param {number} count - Number of events
+     * @returns {string} Count with the right noun
+     */
+    countEvents(count) {
+        return count === 1 ? '1 event' : `${count} events`;
+    }
+
+    /**
+     * Check the bulk bar's inputs for an action and ask the user to confirm it
+     * @param {string} action - 'delete', 'change_type', 'shift' or 'duplicate'
+     */
+    startBulkAction(action) {
+        // Sent in list order, so results come back in the order the user sees
+        const ids = this.listedEventIds.filter(id => this.selectedEventIds.has(id));
+        if (ids.length === 0) return;
+        if (ids.length > MAX_BULK_EVENTS) {
+            this.showNotification(`At most ${MAX_BULK_EVENTS} events can be changed at once`, 'error');
+            return;
+        }
+
+        const request = { action, ids };
+        const events = this.countEvents(ids.length);
+        let message;
+
+        if (action === 'delete') {
+            message = `Move ${events} to the trash? They can be restored from the Trash section.`;
+        } else if (action === 'change_type') {
+            request.type = document.getElementById('bulkType').value;
+            if (!request.type) {
+                this.showNotification('Choose the new event type first', 'error');
+                return;
+            }
+            message = `Change ${events} to ${this.getEventTypeLabel(request.type)}?`;
+        } else if (action === 'shift') {
+            request.days = Number(document.getElementById('bulkDays').value);
+            if (!Number.isInteger(request.days) || request.days === 0 || Math.abs(request.days) > MAX_BULK_SHIFT_DAYS) {
+                this.showNotification(`Enter a whole number of days from -${MAX_BULK_SHIFT_DAYS} to ${MAX_BULK_SHIFT_DAYS}, other than 0`, 'error');
+                return;
+            }
+            const distance = Math.abs(request.days) === 1 ? '1 day' : `${Math.abs(request.days)} days`;
+            const series = this.events.some(event => ids.includes(event.id) && event.recurrence_rule);
+            message = `Move ${events} ${distance} ${request.days > 0 ? 'later' : 'earlier'}?${series ? ' Recurring series move as a whole.' : ''}`;
+        } else {
+            message = `Make a copy of ${events}? Copies start with no registrations.`;
+        }
+
+        this.showConfirmModal(message, () => this.performBulkAction(request));
+    }
+
+    /**
+     * Send a confirmed bulk action to the server
+     * If any event cannot be changed, nothing is changed and the selection is kept so it can be adjusted
+     * @param {Object} request - { action, ids, type?, days? } as accepted by POST /api/events/bulk
+     */
+    async performBulkAction(request) {
+        try {
+            const response = await fetch('/api/events/bulk', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.authToken}`
+                },
+                body: JSON.stringify(request)
+            });
+            if (this.handleSessionExpired(response)) return;
+
+            const result = await response.json();
+            if (response.status === 422) {
+                this.showNotification(this.describeBulkFailures(result), 'error');
+                return;
+            }
+            if (!response.ok) throw new Error(result.error || 'Bulk action failed');
+
+            const outcomes = {
+                delete: 'moved to the trash',
+                change_type: `changed to ${this.escapeHtml(this.getEventTypeLabel(request.type))}`,
+                shift: 'rescheduled',
+                duplicate: 'duplicated'
+            };
+            this.showNotification(`${this.countEvents(result.changed)} ${outcomes[request.action]}`, 'success');
+            this.selectedEventIds.clear();
+        } catch (error) {
+            console.error('Error running bulk action:', error);
+            this.showNotification(error.message || 'Error changing events', 'error');
+        }
+
+        await this.loadEvents();
+        this.renderAdminEvents();
+        if (request.action === 'delete') {
+            await this.loadTrash();     // The events are now in the trash
+        }
+    }
+
+    /**
+     * Build the message for a refused bulk action, naming the first few events that could not be changed
+     * @param {Object} result - 422 response body: { error, results: [{ id, success, error }] }
+     * @returns {string} Message text
+     */
+    describeBulkFailures(result) {
+        const failures = result.results.filter(item => !item.success);
+        const named = failures.slice(0, BULK_FAILURES_SHOWN).map(item => {
+            const event = this.events.find(e => e.id === item.id);
+            return `"${event ? event.title : `#${item.id}`}": ${item.error}`;
+        });
+        if (failures.length > BULK_FAILURES_SHOWN) {
+            named.push(`and ${failures.length - BULK_FAILURES_SHOWN} more`);
+        }
+        return `${result.error}. ${named.join('; ')}`;
+    }
+
+    // ===== LIVE UPDATES =====
+    // Changes made by other editors (and registrations by students) arrive over
+    // Server-Sent Events from /api/events/stream and are patched into the panel.
+
+    /**
+     * Subscribe to live event changes
+     * The browser reconnects by itself after short drops; if it gives up, a new
+     * connection is opened after LIVE_RECONNECT_DELAY. Changes missed while
+     * disconnected are caught up on by reloading every event.
+     */
+    connectLiveUpdates() {
+        if (!window.EventSource) return;   // Very old browsers keep the events loaded with the page
+
+        const source = new EventSource('/api/events/stream');
+        this.liveUpdates = source;
+
+        source.addEventListener('change', (e) => {
+            this.applyLiveChange(JSON.parse(e.data));
+        });
+
+        // Sent when everything may have changed, e.g. after a backup was restored
+        source.addEventListener('reload', async () => {
+            await this.loadEvents();
+            await this.renderAdminEventsKeepingPanels(null);
+        });
+
+        source.addEventListener('open', async () => {
+            if (this.liveUpdatesLost) {
+                this.liveUpdatesLost = false;
+                await this.loadEvents();
+                await this.renderAdminEventsKeepingPanels(null);
+            }
+        });
+
+        source.addEventListener('error', () => {
+            this.liveUpdatesLost = true;
+            if (source.readyState === EventSource.CLOSED) {
+                source.close();
+                setTimeout(() => this.connectLiveUpdates(), LIVE_RECONNECT_DELAY);
+            }
+        });
+    }
+
+    /**
+     * Apply one change from the live stream to the lists, statistics and today's events
+     * @param {Object} change - { action: 'created' | 'updated' | 'deleted', id, event, occurrences }
+     */
+    async applyLiveChange(change) {
+        // Management list: one row per event or series
+        this.events = this.events.filter(event => event.id !== change.id);
+        this.todaysOccurrences = this.todaysOccurrences.filter(event => event.id !== change.id);
+
+        if (change.action !== 'deleted') {
+            this.localizeEvents([change.event, ...change.occurrences]);
+            this.events.push(change.event);
+
+            // Same range as loadEvents: today in the institution's timezone, widened by a day either side
+            const today = this.toZone(new Date(), this.settings.timezone).date;
+            const from = this.addDays(today, -1);
+            const to = this.addDays(today, 1);
+            this.todaysOccurrences.push(...change.occurrences.filter(event => (event.end_date || event.date) >= from && event.date <= to));
+        }
+
+        if (this.searchQuery) {
+            await this.runSearch();  // The change may add, drop or reword a match
+        }
+        this.updateStatistics();
+        this.updateTodaysEvents();
+        await this.renderAdminEventsKeepingPanels(change.id);
+
+        // Deleting and restoring move events in and out of the trash
+        if (this.canEditEvents() && change.action !== 'updated') {
+            await this.loadTrash();
+        }
+
+        // The change is also the newest entry in the activity log
+        if (this.hasRole('admin') && this.activityOffset === 0) {
+            await this.loadActivity();
+        }
+    }
+
+    /**
+     * Re-render the management list without closing the occurrence, roster, attendance and history panels that were open
+     * Panels of the changed event are fetched again; the others keep what they showed.
+     * @param {number|null} changedId - ID of the event that changed, or null to refresh every open panel
+     */
+    async renderAdminEventsKeepingPanels(changedId) {
+        const openPanels = [...document.querySelectorAll('#adminEventsList .occurrence-list, #adminEventsList .roster-list')]
+            .filter(panel => panel.style.display !== 'none')
+            .map(panel => ({ id: panel.id, html: panel.innerHTML, display: panel.style.display }));
+
+        this.renderAdminEvents();
+
+        const renderers = {
+            occurrences: eventId => this.renderOccurrences(eventId),
+            roster: eventId => this.renderRoster(eventId),
+            attendance: eventId => this.renderAttendance(eventId),
+            revisions: eventId => this.renderRevisions(eventId)
+        };
+        for (const panel of openPanels) {
+            const container = document.getElementById(panel.id);
+            if (!container) continue;   // The event was deleted or no longer matches the search
+
+            // Reopen the panel as it was before fetching, so a re-render that starts meanwhile keeps it open too
+            container.innerHTML = panel.html;
+            container.style.display = panel.display;
+
+            const [kind, eventId] = panel.id.split('-');
+            if (changedId === null || Number(eventId) === changedId) {
+                await renderers[kind](eventId);
+            }
+        }
+    }
+
+    // ===== CALENDAR IMPORT =====
+
+    /**
+     * Upload an .ics file for parsing and show the preview table
+     * CSV spreadsheets are sent to previewCsvImport instead
+     * Nothing is saved until the user confirms the import
+     * @param {File} file - File chosen in the import file input
+     */
+    async previewImport(file) {
+        if (/\.csv$/i.test(file.name) || file.type === 'text/csv') {
+            this.importCsv = { text: await file.text() };
+            await this.previewCsvImport();
+            return;
+        }
+
+        this.importCsv = null;
+        this.renderCsvMapping();
+
+        try {
+            const response = await fetch('/api/events/import/preview', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'text/calendar',
+                    'Authorization': `Bearer ${this.authToken}`
+                },
+                body: await file.text()
+            });
+
+            // Handle authentication expiration
+            if (this.handleSessionExpired(response)) return;
+
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to read calendar file');
+            }
+
+            // Valid, non-duplicate rows are selected by default; invalid rows can never be selected
+            this.importTypes = result.types;
+            this.importRows = result.rows.map(row => ({
+                ...row,
+                type: row.suggestedType || '',
+                include: row.errors.length === 0 && !row.duplicate
+            }));
+
+            if (this.importRows.length === 0) {
+                this.showNotification('No events found in this file', 'info');
+                this.resetImport();
+                return;
+            }
+
+            this.renderImportPreview();
+        } catch (error) {
+            console.error('Error previewing import:', error);
+            this.showNotification(error.message || 'Error reading calendar file', 'error');
+        }
+    }
+
+    /**
+     * Check the chosen spreadsheet on the server (a dry run) and show what would be imported
+     * @param {Object} [mapping] - Column number (or null) for each event field; the server
+     *   matches columns by their headers when this is left out
+     */
+    async previewCsvImport(mapping) {
+        try {
+            const response = await fetch('/api/events/import/csv/preview', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.authToken}`
+                },
+                body: JSON.stringify({ csv: this.importCsv.text, mapping })
+            });
+            if (this.handleSessionExpired(response)) return;
+
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to read CSV file');
+            }
+
+            // Same selection rules as .ics rows; a row with an unknown type waits for a type to be chosen
+            this.importCsv = { text: this.importCsv.text, headers: result.headers, mapping: result.mapping, fields: result.fields };
+            this.importTypes = result.types;
+            this.importRows = result.rows.map(row => ({
+                ...row,
+                type: row.suggestedType || '',
+                include: row.errors.length === 0 && !row.duplicate
+            }));
+
+            this.renderCsvMapping();
+            this.renderImportPreview();
+        } catch (error) {
+            console.error('Error previewing CSV import:', error);
+            this.showNotification(error.message || 'Error reading CSV file', 'error');
+        }
+    }
+
+    /**
+     * Render one dropdown per event field for choosing the spreadsheet column that fills it
+     * Hidden while an .ics file is previewed
+     */
+    renderCsvMapping() {
+        const container = document.getElementById('csvMapping');
+        if (!this.importCsv) {
+            container.innerHTML = '';
+            container.style.display = 'none';
+            return;
+        }
+
+        const { headers, mapping, fields } = this.importCsv;
+        container.innerHTML = `
+            <p class="csv-mapping-hint">
+                Choose the column that fills each field (* = required). Changing a column checks the file again.
+            </p>
+            <div class="csv-mapping-grid">
+                ${fields.map(({ field, label, required }) => `
+                    <label>
+                        <span>${label}${required ? ' *' : ''}</span>
+                        <select class="csv-mapping-select" data-field="${field}">
+                            <option value="">(not imported)</option>
+                            ${headers.map((header, column) => `
+                                <option value="${column}" ${mapping[field] === column ? 'selected' : ''}>${this.escapeHtml(header || `Column ${column + 1}`)}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                `).join('')}
+            </div>
+        `;
+        container.style.display = 'block';
+    }
+
+    /**
+     * Read the column chosen for each field from the mapping dropdowns
+     * @returns {Object} Column number, or null when a field is not imported, keyed by field
+     */
+    readCsvMapping() {
+        return Object.fromEntries([...document.querySelectorAll('#csvMapping .csv-mapping-select')]
+            .map(select => [select.dataset.field, select.value === '' ? null : Number(select.value)]));
+    }
+
+    /**
+     * Render the import preview table
+     * Each row gets an include checkbox, a type selector and a status label
+     */
+    renderImportPreview() {
+        const typeOptions = (selected) => [
+            `<option value="">Select Type</option>`,
+            ...this.importTypes.map(type =>
+                `<option value="${type}" ${type === selected ? 'selected' : ''}>${this.escapeHtml(this.getEventTypeLabel(type))}</option>`
+            )
+        ].join('');
+
+        document.getElementById('importRows').innerHTML = this.importRows.map((row, i) => {
+            const invalid = row.errors.length > 0;
+
+            // Status label: invalid rows list their errors, spreadsheet rows name a type that does not exist,
+            // duplicates say where the copy is
+            const unknownType = row.unknownType ? `Unknown type "${row.unknownType}"` : null;
+            let status = '<span class="import-status ok">Ready</span>';
+            if (invalid) {
+                status = `<span class="import-status invalid">${this.escapeHtml([...row.errors, unknownType].filter(Boolean).join('; '))}</span>`;
+            } else if (unknownType) {
+                status = `<span class="import-status warning">${this.escapeHtml(unknownType)} - choose a type</span>`;
+            } else if (row.duplicate) {
+                status = `<span class="import-status duplicate">Duplicate ${row.duplicate === 'existing' ? 'of an existing event' : 'within this file'}</span>`;
+            }
+
+            return `
+                <tr data-index="${i}" class="${invalid ? 'import-invalid' : ''}">
+                    <td><input type="checkbox" class="import-include" ${row.include ? 'checked' : ''} ${invalid ? 'disabled' : ''}></td>
+                    <td>${this.escapeHtml(row.title || '(untitled)')}</td>
+                    <td>${row.date ? this.formatDate(row.date) : '-'}${row.end_date ? ` – ${this.formatDate(row.end_date)}` : ''}</td>
+                    <td>${row.all_day ? 'All day' : row.time ? this.formatTime(row.time) : '-'}${row.end_time ? ` – ${this.formatTime(row.end_time)}` : ''}</td>
+                    <td><select class="import-type" ${invalid ? 'disabled' : ''}>${typeOptions(row.type)}</select></td>
+                    <td>${status}</td>
+                </tr>
+            `;
+        }).join('');
+
+        document.getElementById('importPreview').style.display = 'block';
+        this.updateImportSummary();
+    }
+
+    /**
+     * Update the summary line above the import preview table
+     */
+    updateImportSummary() {
+        const invalid = this.importRows.filter(row => row.errors.length > 0).length;
+        const duplicates = this.importRows.filter(row => row.duplicate).length;
+        const unknownTypes = this.importRows.filter(row => row.unknownType).length;
+        const selected = this.importRows.filter(row => row.include).length;
+
+        document.getElementById('importSummary').textContent =
+            `${this.importRows.length} events found - ${selected} selected, ${invalid} invalid, ${duplicates} duplicates` +
+            (unknownTypes > 0 ? `, ${unknownTypes} with unknown types` : '');
+    }
+
+    /**
+     * Send the selected rows to the bulk import endpoint
+     * Every selected row must have a type before anything is sent
+     */
+    async confirmImport() {
+        const selectedRows = this.importRows.filter(row => row.include);
+
+        if (selectedRows.length === 0) {
+            this.showNotification('Select at least one event to import', 'error');
+            return;
+        }
+
+        if (selectedRows.some(row => !row.type)) {
+            this.showNotification('Please choose a type for every selected event', 'error');
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/events/import', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.authToken}`
+                },
+                body: JSON.stringify({
+                    events: selectedRows.map(row => ({
+                        title: row.title,
+                        description: row.description,
+                        date: row.date,
+                        time: row.time,
+                        end_date: row.end_date,
+                        end_time: row.end_time,
+                        all_day: row.all_day,
+                        location: row.location,
+                        online_url: row.online_url,
+                        // Only spreadsheets have these; .ics rows leave them out
+                        dial_in: row.dial_in,
+                        capacity: row.capacity,
+                        recurrence_rule: row.recurrence_rule,
+                        timezone: row.timezone,
+                        type: row.type
+                    }))
+                })
+            });
+
+            // Handle authentication expiration
+            if (this.handleSessionExpired(response)) return;
+
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to import events');
+            }
+
+            this.showNotification(`Imported ${result.imported} events successfully!`, 'success');
+            this.resetImport();
+
+            // Refresh all data and displays
+            await this.loadEvents();
+            this.renderAdminEvents();
+        } catch (error) {
+            console.error('Error importing events:', error);
+            this.showNotification(error.message || 'Error importing events', 'error');
+        }
+    }
+
+    /**
+     * Clear the import file input and hide the preview
+     */
+    resetImport() {
+        this.importRows = [];
+        this.importCsv = null;
+        this.renderCsvMapping();
+        document.getElementById('importFile').value = '';
+        document.getElementById('importRows').innerHTML = '';
+        document.getElementById('importPreview').style.display = 'none';
+    }
+
+    /**
+     * Escape text for safe insertion into HTML
+     * Used for content that comes from uploaded files rather than the admin form
+     * @param {string} text - Untrusted text
+     * @returns {string} HTML-escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    // ===== USER MANAGEMENT =====
+
+    /**
+     * Load all user accounts from the backend (admins only)
+     */
+    async loadUsers() {
+        try {
+            const response = await fetch('/api/users', {
+                headers: { 'Authorization': `Bearer ${this.authToken}` }
+            });
+            if (this.handleSessionExpired(response)) return;
+            if (!response.ok) throw new Error('Failed to load users');
+
+            const result = await response.json();
+            this.users = result.users;
+            this.renderUsers(result.roles);
+        } catch (error) {
+            console.error('Error loading users:', error);
+            this.showNotification('Error loading users', 'error');
+        }
+    }
+
+    /**
+     * Render the user table with a role dropdown and active checkbox per user
+     * The current user's own controls are disabled so admins cannot lock themselves out
+     * @param {Array<string>} roles - Available roles, least privileged first
+     */
+    renderUsers(roles) {
+        document.getElementById('usersList').innerHTML = this.users.map(user => {
+            const isSelf = user.id === this.currentUser.id;
+            return `
+                <tr data-user-id="${user.id}">
+                    <td>${this.escapeHtml(user.full_name || '')}</td>
+                    <td>${this.escapeHtml(user.username)}</td>
+                    <td>${this.escapeHtml(user.email)}</td>
+                    <td>
+                        <select class="user-role-select" ${isSelf ? 'disabled' : ''}>
+                            ${roles.map(role => `<option value="${role}" ${role === user.role ? 'selected' : ''}>${role}</option>`).join('')}
+                        </select>
+                    </td>
+                    <td><input type="checkbox" class="user-active-checkbox" ${user.is_active ? 'checked' : ''} ${isSelf ? 'disabled' : ''}></td>
+                    <td>${user.last_login ? this.formatDate(user.last_login.split(' ')[0]) : 'Never'}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Save a change to a user's role or active status
+     * Reloads the table afterwards so it always reflects what the server stored
+     * @param {string} userId - ID of the user to update
+     * @param {Object} changes - { role } or { isActive }
+     */
+    async updateUser(userId, changes) {
+        try {
+            const response = await fetch(`/api/users/${userId}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.authToken}`
+                },
+                body: JSON.stringify(changes)
+            });
+            if (this.handleSessionExpired(response)) return;
+
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Failed to update user');
+
+            this.showNotification(`Updated ${result.user.username}`, 'success');
+        } catch (error) {
+            console.error('Error updating user:', error);
+            this.showNotification(error.message, 'error');
+        }
+        await this.loadUsers();
+    }
+
+    // ===== LOGIN LOCKOUTS =====
+    // The server locks a username, or an address, after too many failed logins (see
+    // backend/login-throttle.js). Admins can see what is locked and unlock it early.
+
+    /**
+     * Load the usernames and addresses locked right now (admins only)
+     */
+    async loadLockouts() {
+        try {
+            const response = await fetch('/api/login-lockouts', {
+                headers: { 'Authorization': `Bearer ${this.authToken}` }
+            });
+            if (this.handleSessionExpired(response)) return;
+            if (!response.ok) throw new Error('Failed to load locked sign-ins');
+
+            const result = await response.json();
+            this.lockouts = result.lockouts;
+            this.renderLockouts();
+        } catch (error) {
+            console.error('Error loading locked sign-ins:', error);
+            this.showNotification('Error loading locked sign-ins', 'error');
+        }
+    }
+
+    /**
+     * Render the Locked Sign-Ins table, the lockouts that end soonest first
+     */
+    renderLockouts() {
+        const list = document.getElementById('lockoutsList');
+        const timeZone = this.getDisplayTimezone();
+
+        if (this.lockouts.length === 0) {
+            list.innerHTML = '<tr><td colspan="5">Nothing is locked.</td></tr>';
+            return;
+        }
+
+        list.innerHTML = this.lockouts.map(lockout => {
+            const lastFailure = this.toZone(lockout.last_failure_at, timeZone);
+            const lockedUntil = this.toZone(lockout.locked_until, timeZone);
+            return `
+                <tr>
+                    <td>
+                        <i class="fas ${lockout.scope === 'username' ? 'fa-user' : 'fa-network-wired'}"></i>
+                        ${lockout.scope === 'username' ? 'Username' : 'Address'} <strong>${this.escapeHtml(lockout.key)}</strong>
+                    </td>
+                    <td>${lockout.failures}</td>
+                    <td>${this.formatDate(lastFailure.date)}<br>${this.formatTime(lastFailure.time)}</td>
+                    <td>${this.formatDate(lockedUntil.date)}<br>${this.formatTime(lockedUntil.time)}</td>
+                    <td>
+                        <button class="btn btn-outline btn-small unlock-login-btn"
+                                data-scope="${lockout.scope}" data-key="${this.escapeHtml(lockout.key)}">
+                            <i class="fas fa-unlock"></i> Unlock
+                        </button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Unlock a username or address before its lockout ends
+     * Reloads the table afterwards so it always reflects what the server holds
+     * @param {string} scope - 'username' or 'ip'
+     * @param {string} key - The username or address
+     */
+    async clearLockout(scope, key) {
+        try {
+            const response = await fetch(`/api/login-lockouts/${scope}/${encodeURIComponent(key)}`, {
+                method: 'DELETE',
+                headers: { 'Authorization': `Bearer ${this.authToken}` }
+            });
+            if (this.handleSessionExpired(response)) return;
+
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Failed to unlock sign-in');
+
+            this.showNotification(`Unlocked ${key}`, 'success');
+        } catch (error) {
+            console.error('Error unlocking sign-in:', error);
+            this.showNotification(error.message, 'error');
+        }
+        await this.loadLockouts();
+    }
+
+    // ===== ACTIVITY (AUDIT LOG) =====
+    // Admins can see who changed which event, and every login and logout, newest first.
+
+    /**
+     * Load one page of the audit log with the filters currently chosen (admins only)
+     */
+    async loadActivity() {
+        const form = document.getElementById('activityFilters');
+        const params = new URLSearchParams({ limit: ACTIVITY_PAGE_SIZE, offset: this.activityOffset });
+        ['action', 'user_id', 'event_id', 'from', 'to'].forEach(name => {
+            const value = form.elements[name].value.trim();
+            if (value) params.set(name, value);
+        });
+
+        try {
+            const response = await fetch(`/api/audit-log?${params}`, {
+                headers: { 'Authorization': `Bearer ${this.authToken}` }
+            });
+            if (this.handleSessionExpired(response)) return;
+
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Failed to load activity');
+
+            this.activityEntries = result.entries;
+            this.activityTotal = result.total;
+            this.populateActivityFilters(result.actions);
+            this.renderActivity();
+        } catch (error) {
+            console.error('Error loading activity:', error);
+            this.showNotification(error.message || 'Error loading activity', 'error');
+        }
+    }
+
+    /**
+     * Fill the action and user dropdowns of the activity filters, keeping the current choices
+     * @param {Array<string>} actions - Every action the audit log records
+     */
+    populateActivityFilters(actions) {
+        const actionSelect = document.getElementById('activityAction');
+        const userSelect = document.getElementById('activityUser');
+        const selectedAction = actionSelect.value;
+        const selectedUser = userSelect.value;
+
+        actionSelect.innerHTML = '<option value="">All actions</option>' + actions.map(action =>
+            `<option value="${action}">${this.escapeHtml(ACTIVITY_ACTION_LABELS[action] || action)}</option>`
+        ).join('');
+        userSelect.innerHTML = '<option value="">All users</option>' + this.users.map(user =>
+            `<option value="${user.id}">${this.escapeHtml(user.username)}</option>`
+        ).join('');
+
+        actionSelect.value = selectedAction;
+        userSelect.value = selectedUser;
+    }
+
+    /**
+     * Render the loaded audit log entries and the pager below them
+     * Times are shown in the same timezone as the event lists
+     */
+    renderActivity() {
+        const list = document.getElementById('activityList');
+        const timeZone = this.getDisplayTimezone();
+
+        if (this.activityEntries.length === 0) {
+            list.innerHTML = '<tr><td colspan="6">No activity matches these filters.</td></tr>';
+        } else {
+            list.innerHTML = this.activityEntries.map(entry => {
+                // Stored as "YYYY-MM-DD HH:MM:SS" in UTC
+                const when = this.toZone(`${entry.created_at.replace(' ', 'T')}Z`, timeZone);
+                return `
+                    <tr class="${['auth.login_failed', 'auth.lockout'].includes(entry.action) ? 'activity-failed' : ''}">
+                        <td>${this.formatDate(when.date)}<br>${this.formatTime(when.time)}</td>
+                        <td>${this.escapeHtml(entry.username || 'Unknown')}</td>
+                        <td><code title="${entry.action}">${this.escapeHtml(ACTIVITY_ACTION_LABELS[entry.action] || entry.action)}</code></td>
+                        <td>${entry.entity_id ? `#${entry.entity_id} ` : ''}${this.escapeHtml(entry.entity_label || '')}</td>
+                        <td>${this.escapeHtml(entry.ip_address || '')}</td>
+                        <td>${this.renderActivityChanges(entry.changes)}</td>
+                    </tr>
+                `;
+            }).join('');
+        }
+
+        // "Showing 51-100 of 230"
+        const first = this.activityTotal === 0 ? 0 : this.activityOffset + 1;
+        const last = this.activityOffset + this.activityEntries.length;
+        document.getElementById('activityPageInfo').textContent = `Showing ${first}-${last} of ${this.activityTotal}`;
+        document.getElementById('activityNewer').disabled = this.activityOffset === 0;
+        document.getElementById('activityOlder').disabled = last >= this.activityTotal;
+    }
+
+    /**
+     * Build the before/after list of an audit log entry
+     * @param {Object|null} changes - { field: { before, after } }
+     * @returns {string} HTML list, one line per changed field
+     */
+    renderActivityChanges(changes) {
+        if (!changes || Object.keys(changes).length === 0) return '';
+
+        // Long values such as descriptions are shortened; the full text is in the tooltip
+        const show = (value) => {
+            const text = value === null || value === '' ? '(empty)' : String(value);
+            const short = text.length > 60 ? `${text.slice(0, 57)}...` : text;
+            return `<span title="${this.escapeHtml(text)}">${this.escapeHtml(short)}</span>`;
+        };
+
+        return `<ul class="activity-changes">${Object.entries(changes).map(([field, { before, after }]) => `
+            <li>
+                <strong>${this.escapeHtml(field)}</strong>:
+                ${before !== null ? `<del>${show(before)}</del>` : ''}
+                ${before !== null && after !== null ? '&rarr;' : ''}
+                ${after !== null ? `<ins>${show(after)}</ins>` : ''}
+            </li>
+        `).join('')}</ul>`;
+    }
+
+    /**
+     * Show newer or older entries
+     * @param {number} direction - -1 for newer, 1 for older
+     */
+    pageActivity(direction) {
+        this.activityOffset = Math.max(0, this.activityOffset + direction * ACTIVITY_PAGE_SIZE);
+        this.loadActivity();
+    }
+
+    // ===== EVENT TYPES =====
+
+    /**
+     * Load the event types from the backend and refresh everything built from them:
+     * type colors, the event form's type dropdown, statistics and (for admins) the Event Types table
+     */
+    async loadEventTypes() {
+        try {
+            const response = await fetch('/api/event-types');
+            if (!response.ok) throw new Error('Failed to load event types');
+            this.eventTypes = await response.json();
+        } catch (error) {
+            console.error('Error loading event types:', error);
+            this.showNotification('Error loading event types', 'error');
+        }
+
+        this.applyEventTypeStyles();
+        this.populateTypeSelect();
+        this.updateStatistics();    // Also redraws the Event Types table for admins
+    }
+
+    /**
+     * Give each event type its color
+     * Elements for an event carry a type-<name> class; this sets the --type-color
+     * variable that styles.css uses for their badges, cards and icons
+     */
+    applyEventTypeStyles() {
+        let style = document.getElementById('eventTypeStyles');
+        if (!style) {
+            style = document.createElement('style');
+            style.id = 'eventTypeStyles';
+            document.head.appendChild(style);
+        }
+        // Names and colors are checked by the server (lowercase identifiers and #rrggbb)
+        style.textContent = this.eventTypes
+            .map(type => `.type-${type.name} { --type-color: ${type.color}; }`)
+            .join('\n');
+    }
+
+    /**
+     * Fill the event form's type dropdown, and the bulk bar's and list filter's, keeping the current choices
+     */
+    populateTypeSelect() {
+        const select = document.getElementById('eventType');
+        const selected = select.value;
+
+        select.innerHTML = '<option value="">Select Type</option>' + this.eventTypes
+            .map(type => `<option value="${type.name}">${this.escapeHtml(type.label)}</option>`)
+            .join('');
+        select.value = selected;
+
+        // The bulk bar's type dropdown offers the same types
+        const bulkSelect = document.getElementById('bulkType');
+        const bulkSelected = bulkSelect.value;
+        bulkSelect.innerHTML = '<option value="">New type...</option>' + this.eventTypes
+            .map(type => `<option value="${type.name}">${this.escapeHtml(type.label)}</option>`)
+            .join('');
+        bulkSelect.value = bulkSelected;
+
+        // So does the Manage Events type filter; a filter on a deleted type falls back to every type
+        const filter = document.getElementById('adminTypeFilter');
+        filter.innerHTML = '<option value="">All types</option>' + this.eventTypes
+            .map(type => `<option value="${type.name}">${this.escapeHtml(type.label)}</option>`)
+            .join('');
+        filter.value = this.typeFilter;
+        this.typeFilter = filter.value;
+    }
+
+    /**
+     * Render the Event Types table with edit and delete buttons
+     * Types that events still use cannot be deleted, so their delete button is disabled
+     */
+    renderEventTypes() {
+        document.getElementById('eventTypesList').innerHTML = this.eventTypes.map(type => {
+            const count = this.countEventsOfType(type.name);
+            return `
+                <tr data-type-id="${type.id}">
+                    <td><span class="event-type type-${type.name}"><i class="${type.icon}"></i> ${this.escapeHtml(type.label)}</span></td>
+                    <td><code>${type.name}</code></td>
+                    <td><span class="type-swatch type-${type.name}"></span> ${type.color}</td>
+                    <td><i class="${type.icon}"></i> <code>${type.icon}</code></td>
+                    <td>${count}</td>
+                    <td class="type-actions">
+                        <button type="button" class="btn btn-outline btn-small edit-type-btn">
+                            <i class="fas fa-edit"></i> Edit
+                        </button>
+                        <button type="button" class="btn btn-danger btn-small delete-type-btn" ${count > 0 ? 'disabled title="Used by events - change their type first"' : ''}>
+                            <i class="fas fa-trash"></i> Delete
+                        </button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Load an event type into the form for editing
+     * The name is locked because events refer to their type by name
+     * @param {number} typeId - ID of the event type
+     */
+    editEventType(typeId) {
+        const type = this.eventTypes.find(item => item.id === typeId);
+        if (!type) return;
+
+        this.editingTypeId = typeId;
+        this.clearFieldErrors('eventTypeForm');
+        document.getElementById('typeLabel').value = type.label;
+        document.getElementById('typeName').value = type.name;
+        document.getElementById('typeName').disabled = true;
+        document.getElementById('typeColor').value = type.color;
+        document.getElementById('typeIcon').value = type.icon;
+        document.getElementById('typeIconPreview').className = type.icon;
+        document.getElementById('submitTypeText').textContent = 'Update Event Type';
+        document.getElementById('cancelTypeEdit').style.display = '';
+        document.getElementById('eventTypeForm').scrollIntoView({ behavior: 'smooth' });
+    }
+
+    /**
+     * Clear the event type form and switch it back to adding a new type
+     */
+    resetEventTypeForm() {
+        this.editingTypeId = null;
+        document.getElementById('eventTypeForm').reset();
+        this.clearFieldErrors('eventTypeForm');
+        document.getElementById('typeName').disabled = false;
+        document.getElementById('typeIconPreview').className = document.getElementById('typeIcon').value;
+        document.getElementById('submitTypeText').textContent = 'Add Event Type';
+        document.getElementById('cancelTypeEdit').style.display = 'none';
+    }
+
+    /**
+     * Create or update an event type from the form
+     * The server checks every field; its messages are shown under the inputs
+     */
+    async saveEventType() {
+        const typeData = {
+            label: document.getElementById('typeLabel').value.trim(),
+            color: document.getElementById('typeColor').value,
+            icon: document.getElementById('typeIcon').value.trim()
+        };
+        if (!this.editingTypeId) {
+            typeData.name = document.getElementById('typeName').value.trim();
+        }
+
+        try {
+            const response = await fetch(this.editingTypeId ? `/api/event-types/${this.editingTypeId}` : '/api/event-types', {
+                method: this.editingTypeId ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.authToken}`
+                },
+                body: JSON.stringify(typeData)
+            });
+            if (this.handleSessionExpired(response)) return;
+
+            const result = await response.json();
+            if (response.status === 422) {
+                this.showFieldErrors(result.errors, 'eventTypeForm', EVENT_TYPE_FIELD_INPUTS);
+                return;
+            }
+            if (!response.ok) throw new Error(result.error || 'Failed to save event type');
+
+            this.showNotification(`${this.editingTypeId ? 'Updated' : 'Added'} ${result.label}`, 'success');
+            this.resetEventTypeForm();
+            await this.refreshEventTypes();
+        } catch (error) {
+            console.error('Error saving event type:', error);
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Delete an event type with confirmation
+     * @param {number} typeId - ID of the event type
+     */
+    deleteEventType(typeId) {
+        const type = this.eventTypes.find(item => item.id === typeId);
+        if (!type) return;
+
+        this.showConfirmModal(`Are you sure you want to delete the event type "${type.label}"?`, async () => {
+            try {
+                const response = await fetch(`/api/event-types/${typeId}`, {
+                    method: 'DELETE',
+                    headers: { 'Authorization': `Bearer ${this.authToken}` }
+                });
+                if (this.handleSessionExpired(response)) return;
+
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || 'Failed to delete event type');
+
+                this.showNotification(`Deleted ${type.label}`, 'success');
+                if (this.editingTypeId === typeId) this.resetEventTypeForm();
+                await this.refreshEventTypes();
+            } catch (error) {
+                console.error('Error deleting event type:', error);
+                this.showNotification(error.message, 'error');
+            }
+        });
+    }
+
+    /**
+     * Reload the event types and redraw the event lists so new labels, colors and icons show everywhere
+     */
+    async refreshEventTypes() {
+        await this.loadEventTypes();
+        this.renderAdminEvents();
+        this.updateTodaysEvents();
+        if (this.importRows.length > 0) {
+            this.renderImportPreview();
+        }
+    }
+
+    // ===== TIMEZONES =====
+
+    /**
+     * Get the timezone event times are currently listed in
+     * @returns {string} IANA timezone name
+     */
+    getDisplayTimezone() {
+        return this.timezoneMode === 'institution' ? this.settings.timezone : this.viewerTimezone;
+    }
+
+    /**
+     * Convert a UTC instant into a date and time in a timezone
+     * @param {string|Date} instant - UTC instant (e.g. an event's starts_at_utc)
+     * @param {string} timeZone - IANA timezone name
+     * @returns {Object} { date: 'YYYY-MM-DD', time: 'HH:MM' }
+     */
+    toZone(instant, timeZone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit'
+        }).formatToParts(new Date(instant)).forEach(({ type, value }) => {
+            parts[type] = value;
+        });
+        return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+    }
+
+    /**
+     * Add a number of days to a date string
+     * @param {string} dateString - Date in YYYY-MM-DD format
+     * @param {number} days - Days to add (may be negative)
+     * @returns {string} Resulting date in YYYY-MM-DD format
+     */
+    addDays(dateString, days) {
+        const date = new Date(`${dateString}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().split('T')[0];
+    }
+
+    /**
+     * Work out the dates and times each event starts and ends on in the displayed timezone
+     * Stored as display_date/display_time and display_end_date/display_end_time; date and time
+     * keep the values used by the form. All-day events cover the same dates in every timezone.
+     * @param {Array<Object>} events - Events or occurrences with starts_at_utc and ends_at_utc
+     */
+    localizeEvents(events) {
+        const timeZone = this.getDisplayTimezone();
+        events.forEach(event => {
+            if (event.all_day) {
+                event.display_date = event.date;
+                event.display_time = null;
+                event.display_end_date = event.end_date || event.date;
+                event.display_end_time = null;
+                return;
+            }
+
+            const local = this.toZone(event.starts_at_utc, timeZone);
+            const localEnd = event.ends_at_utc ? this.toZone(event.ends_at_utc, timeZone) : null;
+            event.display_date = local.date;
+            event.display_time = local.time;
+            event.display_end_date = localEnd ? localEnd.date : local.date;
+            event.display_end_time = localEnd ? localEnd.time : null;
+        });
+    }
+
+    /**
+     * Re-render every list that shows event times after the displayed timezone changes
+     */
+    refreshDisplayedTimes() {
+        this.localizeEvents(this.events);
+        this.localizeEvents(this.todaysOccurrences);
+        this.renderAdminEvents();
+        this.updateTodaysEvents();
+        if (this.canEditEvents()) {
+            this.localizeEvents(this.trashedEvents);
+            this.renderTrash();
+        }
+        if (this.hasRole('admin')) {
+            this.renderActivity();
+        }
+    }
+
+    /**
+     * Fill the timezone selector with the browser's and the institution's timezone
+     */
+    renderTimezoneOptions() {
+        const select = document.getElementById('timezoneMode');
+        select.innerHTML = `
+            <option value="viewer">Your time (${this.formatTimezone(this.viewerTimezone)})</option>
+            <option value="institution">Institution time (${this.formatTimezone(this.settings.timezone)})</option>
+        `;
+        select.value = this.timezoneMode;
+
+        // Keep the form label in step unless an existing event is being edited
+        if (!this.editingEventId && !this.editingOccurrence) {
+            this.updateFormTimezone();
+        }
+    }
+
+    /**
+     * Show which timezone the event form's date and time are entered in
+     * @param {string} [timeZone] - Timezone of the event being edited (defaults to the institution's)
+     */
+    updateFormTimezone(timeZone = this.settings.timezone) {
+        document.getElementById('formTimezone').textContent = `(${this.formatTimezone(timeZone)})`;
+    }
+
+    /**
+     * Format a timezone name for display
+     * @param {string} timeZone - IANA timezone name such as "America/New_York"
+     * @returns {string} Readable name such as "America/New York"
+     */
+    formatTimezone(timeZone) {
+        return String(timeZone || '').replace(/_/g, ' ');
+    }
+
+    // ===== BACKUP & RESTORE =====
+    // Admins download the whole calendar as a JSON or SQLite backup, restore from one,
+    // and fetch the backups the server takes on a schedule (when BACKUP_DIR is set).
+
+    /**
+     * Download a backup in the format chosen in the Backup & Restore section
+     */
+    async downloadBackup() {
+        const format = document.getElementById('backupFormat').value;
+        const includePasswords = document.getElementById('backupIncludePasswords').checked;
+        const params = new URLSearchParams({ format, include_passwords: includePasswords });
+
+        // The server names the file after the moment it was taken; this name is close enough
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+        await this.downloadFile(`/api/backup?${params}`, `boxo-backup-${stamp}.${format === 'sqlite' ? 'db' : 'json'}`, 'backup');
+    }
+
+    /**
+     * Ask for confirmation, then restore the chosen backup file
+     */
+    startRestore() {
+        const file = document.getElementById('restoreFile').files[0];
+        if (!file) return;
+
+        this.showConfirmModal(
+            `Restore "${file.name}"? Everything in the calendar will be replaced with the contents of the backup. This cannot be undone.`,
+            () => this.restoreBackup(file)
+        );
+    }
+
+    /**
+     * Upload a backup file and replace the calendar with it
+     * The file is sent as it is; the server tells JSON and SQLite backups apart.
+     * Afterwards every section is loaded again, since all of it may have changed.
+     * @param {File} file - Backup chosen in the file picker
+     */
+    async restoreBackup(file) {
+        const button = document.getElementById('restoreBackup');
+        button.disabled = true;
+
+        try {
+            const response = await fetch('/api/backup/restore', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/octet-stream',
+                    'Authorization': `Bearer ${this.authToken}`
+                },
+                body: file
+            });
+            if (this.handleSessionExpired(response)) return;
+
+            const result = await response.json();
+            if (!response.ok) {
+                this.renderRestoreReport(result.error || 'Failed to restore backup', result.details || [], 'error');
+                return;
+            }
+
+            const restored = Object.entries(result.counts)
+                .filter(([, count]) => count.after > 0)
+                .map(([table, count]) => `${table.replace(/_/g, ' ')}: ${count.after}`);
+            const locked = result.locked_users.length > 0
+                ? [`Deactivated until you set a password: ${result.locked_users.join(', ')}`]
+                : [];
+            this.renderRestoreReport('Backup restored.', [...locked, ...restored], 'success');
+            this.showNotification('Backup restored successfully!', 'success');
+
+            document.getElementById('restoreFile').value = '';
+            await this.reloadAfterRestore();
+        } catch (error) {
+            console.error('Error restoring backup:', error);
+            this.showNotification('Error restoring backup', 'error');
+        } finally {
+            button.disabled = !document.getElementById('restoreFile').files.length;
+        }
+    }
+
+    /**
+     * Show what a restore did, or why the backup was refused, under the restore controls
+     * @param {string} message - Summary line
+     * @param {Array<string>} details - One line per restored table or problem found
+     * @param {string} type - 'success' or 'error'
+     */
+    renderRestoreReport(message, details, type) {
+        const report = document.getElementById('restoreReport');
+        report.className = `restore-report ${type}`;
+        report.innerHTML = `
+            <p>${this.escapeHtml(message)}</p>
+            ${details.length > 0 ? `<ul>${details.map(detail => `<li>${this.escapeHtml(detail)}</li>`).join('')}</ul>` : ''}
+        `;
+        report.style.display = 'block';
+    }
+
+    /**
+     * Load every section again after a restore replaced the calendar
+     */
+    async reloadAfterRestore() {
+        await this.loadSettings();
+        await this.loadEventTypes();
+        await this.loadEvents();
+        this.renderAdminEvents();
+        await this.loadTrash();
+        await this.loadUsers();
+        await this.loadActivity();
+    }
+
+    /**
+     * Load the scheduled backup settings and the backups kept on the server
+     */
+    async loadBackups() {
+        try {
+            const response = await fetch('/api/backups', {
+                headers: {
+                    'Authorization': `Bearer ${this.authToken}`
+                }
+            });
+            if (this.handleSessionExpired(response)) return;
+            if (!response.ok) throw new Error('Failed to load backups');
+
+            this.renderBackups(await response.json());
+        } catch (error) {
+            console.error('Error loading backups:', error);
+            this.showNotification('Error loading backups', 'error');
+        }
+    }
+
+    /**
+     * Show the scheduled backups, newest first, with a download button for each
+     * @param {Object} status - Response of GET /api/backups
+     */
+    renderBackups(status) {
+        const info = document.getElementById('scheduledBackupsInfo');
+        const container = document.getElementById('scheduledBackups');
+
+        if (!status.enabled) {
+            info.textContent = 'Scheduled backups are off. Set BACKUP_DIR on the server to turn them on.';
+            container.style.display = 'none';
+            return;
+        }
+
+        const lastRun = status.last_run && status.last_run.error
+            ? ` The last backup failed: ${status.last_run.error}`
+            : '';
+        info.textContent = `Every ${status.interval_hours} hours to ${status.directory}, keeping the newest ${status.retention}.${lastRun}`;
+        container.style.display = 'block';
+
+        const list = document.getElementById('scheduledBackupsList');
+        if (status.backups.length === 0) {
+            list.innerHTML = '<tr><td colspan="4">No backups taken yet.</td></tr>';
+            return;
+        }
+
+        const timeZone = this.getDisplayTimezone();
+        list.innerHTML = status.backups.map(file => {
+            const taken = this.toZone(file.created_at, timeZone);
+            return `
+                <tr>
+                    <td><code>${this.escapeHtml(file.name)}</code></td>
+                    <td>${this.formatDate(taken.date)}, ${this.formatTime(taken.time)}</td>
+                    <td>${this.formatFileSize(file.size)}</td>
+                    <td>
+                        <button type="button" class="btn btn-outline btn-small" data-backup-name="${this.escapeHtml(file.name)}">
+                            <i class="fas fa-download"></i> Download
+                        </button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Take a scheduled backup right away
+     */
+    async takeBackupNow() {
+        const button = document.getElementById('backupNow');
+        button.disabled = true;
+
+        try {
+            const response = await fetch('/api/backups', {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.authToken}`
+                }
+            });
+            if (this.handleSessionExpired(response)) return;
+
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Failed to take backup');
+
+            this.showNotification(`Saved backup ${result.name}`, 'success');
+            await this.loadBackups();
+        } catch (error) {
+            console.error('Error taking backup:', error);
+            this.showNotification(error.message, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Format a file size for display
+     * @param {number} bytes - Size in bytes
+     * @returns {string} e.g. "512 B", "132 KB" or "4.2 MB"
+     */
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    // ===== SYSTEM SETTINGS =====
+
+    /**
+     * Load site settings from the backend
+     * Everyone needs the institution timezone; admins also get the settings form filled in,
+     * from the admin-only endpoint that includes the admin email
+     */
+    async loadSettings() {
+        try {
+            const isAdmin = this.hasRole('admin');
+            const response = await fetch(isAdmin ? '/api/settings/admin' : '/api/settings', {
+                headers: isAdmin ? { 'Authorization': `Bearer ${this.authToken}` } : {}
+            });
+            if (this.handleSessionExpired(response)) return;
+            if (!response.ok) throw new Error('Failed to load settings');
+            const settings = await response.json();
+            this.settings = settings;
+            this.renderTimezoneOptions();
+
+            if (!isAdmin) return;
+            document.getElementById('siteTitle').value = settings.siteTitle;
+            document.getElementById('adminEmail').value = settings.adminEmail;
+            this.populateTimezones(settings.timezone);
+        } catch (error) {
+            console.error('Error loading settings:', error);
+            this.showNotification('Error loading settings', 'error');
+        }
+    }
+
+    /**
+     * Fill the timezone dropdown with every IANA timezone the browser knows
+     * @param {string} selectedTimezone - Timezone to select (added to the list if the browser lacks it)
+     */
+    populateTimezones(selectedTimezone) {
+        const select = document.getElementById('timezone');
+
+        // Older browsers without Intl.supportedValuesOf only get UTC and the saved value
+        const timezones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+        [selectedTimezone, 'UTC'].forEach(timezone => {
+            if (timezone && !timezones.includes(timezone)) timezones.unshift(timezone);
+        });
+
+        select.innerHTML = '<option value="">Select Timezone</option>' + timezones
+            .map(timezone => `<option value="${timezone}">${timezone.replace(/_/g, ' ')}</option>`)
+            .join('');
+        select.value = selectedTimezone;
+    }
+
+    /**
+     * Save the settings form to the backend
+     */
+    async saveSettings() {
+        const submitText = document.getElementById('submitSettingsText');
+        submitText.textContent = 'Saving...';
+
+        try {
+            const response = await fetch('/api/settings', {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.authToken}`
+                },
+                body: JSON.stringify({
+                    siteTitle: document.getElementById('siteTitle').value,
+                    adminEmail: document.getElementById('adminEmail').value,
+                    timezone: document.getElementById('timezone').value
+                })
+            });
+            if (this.handleSessionExpired(response)) return;
+
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Failed to save settings');
+
+            this.settings = result.settings;
+            this.renderTimezoneOptions();
+            this.refreshDisplayedTimes();
+            this.showNotification('Settings saved successfully!', 'success');
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            this.showNotification(error.message, 'error');
+        } finally {
+            submitText.textContent = 'Save Settings';
+        }
+    }
+
+    /**
+     * Render the admin events list with edit and delete controls
+     * Shows all events sorted by date and time
+     */
+    renderAdminEvents() {
+        const adminEventsList = document.getElementById('adminEventsList');
+        
+        // Handle empty events state
+        if (this.events.length === 0) {
+            adminEventsList.innerHTML = '<p>No events found. Create your first event above!</p>';
+            this.syncBulkSelection([]);
+            return;
+        }
+
+        // While searching, list the matches best first; otherwise every event chronologically
+        // (ISO UTC timestamps sort correctly as strings)
+        // The type filter narrows either list
+        const matches = new Map((this.searchResults || []).map(result => [result.id, result]));
+        const sortedEvents = (this.searchResults
+            ? this.searchResults.map(result => this.events.find(event => event.id === result.id)).filter(Boolean)
+            : [...this.events].sort((a, b) => a.starts_at_utc.localeCompare(b.starts_at_utc))
+        ).filter(event => !this.typeFilter || event.type === this.typeFilter);
+
+        if (sortedEvents.length === 0) {
+            adminEventsList.innerHTML = this.searchResults
+                ? `<p>No events match "${this.escapeHtml(this.searchQuery)}".</p>`
+                : `<p>No ${this.escapeHtml(this.getEventTypeLabel(this.typeFilter))} events.</p>`;
+            this.syncBulkSelection([]);
+            return;
+        }
+
+        // Bulk actions only ever apply to events the user can see in the list
+        this.syncBulkSelection(sortedEvents.map(event => event.id));
+
+        // Render events as admin cards with management controls
+        // Search matches show the server's highlighted title and description snippet
+        adminEventsList.innerHTML = sortedEvents.map(event => `
+            <div class="admin-event-card${this.selectedEventIds.has(event.id) ? ' selected' : ''}" data-event-id="${event.id}">
+                <div class="admin-event-info">
+                    <h4>
+                        ${this.canEditEvents() ? `
+                        <!-- Tick to include the event in a bulk action -->
+                        <input type="checkbox" class="bulk-select-event" data-event-id="${event.id}" aria-label="Select for bulk actions"${this.selectedEventIds.has(event.id) ? ' checked' : ''}>` : ''}
+                        ${matches.has(event.id) ? matches.get(event.id).title_html : this.escapeHtml(event.title)}
+                    </h4>
+                    <div class="admin-event-meta">
+                        <span><i class="fas fa-calendar"></i> ${this.formatDateRange(event)}</span>
+                        <span><i class="fas fa-clock"></i> ${this.formatTimeRange(event)}</span>
+                        <span class="event-type type-${event.type}"><i class="${this.getEventTypeIcon(event.type)}"></i> ${this.escapeHtml(this.getEventTypeLabel(event.type))}</span>
+                        ${this.renderLocationBadges(event)}
+                        ${event.recurrence_rule ? `<span class="recurrence-badge"><i class="fas fa-redo"></i> ${this.describeRecurrence(event.recurrence_rule)}</span>` : ''}
+                        ${this.renderRegistrationBadge(event)}
+                    </div>
+                    <p>${matches.has(event.id) ? matches.get(event.id).snippet_html : this.escapeHtml(event.description)}</p>
+                </div>
+                <div class="admin-event-actions">
+                    ${event.recurrence_rule ? `
+                    <!-- Show the individual occurrences of a recurring series -->
+                    <button class="btn btn-outline btn-small toggle-occurrences-btn" data-event-id="${event.id}">
+                        <i class="fas fa-list"></i> Occurrences
+                    </button>` : ''}
+                    ${this.canEditEvents() ? `
+                    <!-- Show who has registered -->
+                    <button class="btn btn-outline btn-small toggle-roster-btn" data-event-id="${event.id}">
+                        <i class="fas fa-users"></i> Roster
+                    </button>
+                    <!-- Show the check-in QR code and who has attended -->
+                    <button class="btn btn-outline btn-small toggle-attendance-btn" data-event-id="${event.id}">
+                        <i class="fas fa-qrcode"></i> Attendance
+                    </button>
+                    <!-- Show earlier versions of the event -->
+                    <button class="btn btn-outline btn-small toggle-revisions-btn" data-event-id="${event.id}">
+                        <i class="fas fa-history"></i> History
+                    </button>` : ''}
+                    ${this.canEditEvents() ? `
+                    <!-- Edit button with event ID for modification (edits the whole series for recurring events) -->
+                    <button class="btn btn-outline btn-small edit-event-btn" data-event-id="${event.id}" onclick="window.admin.editEvent('${event.id}')">
+                        <i class="fas fa-edit"></i> ${event.recurrence_rule ? 'Edit Series' : 'Edit'}
+                    </button>
+                    <!-- Delete button with event ID for removal -->
+                    <button class="btn btn-danger btn-small delete-event-btn" data-event-id="${event.id}" onclick="window.admin.deleteEvent('${event.id}')">
+                        <i class="fas fa-trash"></i> ${event.recurrence_rule ? 'Delete Series' : 'Delete'}
+                    </button>` : ''}
+                </div>
+                <!-- Occurrences of a recurring series - filled in when toggled -->
+                <div class="occurrence-list" id="occurrences-${event.id}" style="display: none;"></div>
+                <!-- Registration roster - filled in when toggled -->
+                <div class="roster-list" id="roster-${event.id}" style="display: none;"></div>
+                <!-- Check-in QR code and attendance - filled in when toggled -->
+                <div class="roster-list attendance-list" id="attendance-${event.id}" style="display: none;"></div>
+                <!-- Revision history - filled in when toggled -->
+                <div class="roster-list revision-list" id="revisions-${event.id}" style="display: none;"></div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Build the badge showing how many people have registered for an event
+     * @param {Object} event - Event with capacity, registered_count and waitlist_count
+     * @returns {string} HTML for the badge, e.g. "12/30 registered, 3 waitlisted"
+     */
+    renderRegistrationBadge(event) {
+        const full = event.capacity && event.registered_count >= event.capacity;
+        const seats = event.capacity ? `${event.registered_count}/${event.capacity}` : event.registered_count;
+        return `
+            <span class="registration-badge${full ? ' full' : ''}">
+                <i class="fas fa-users"></i> ${seats} registered${event.waitlist_count > 0 ? `, ${event.waitlist_count} waitlisted` : ''}
+            </span>
+        `;
+    }
+
+    /**
+     * Build the venue and "Online" badges shown with an event
+     * @param {Object} event - Event with optional location and online_url
+     * @returns {string} HTML for zero, one or two badges
+     */
+    renderLocationBadges(event) {
+        return [
+            event.location ? `<span class="location-badge"><i class="fas fa-map-marker-alt"></i> ${this.escapeHtml(event.location)}</span>` : '',
+            event.online_url ? '<span class="location-badge online"><i class="fas fa-video"></i> Online</span>' : ''
+        ].join('');
+    }
+
+    /**
+     * Search events as the user types, waiting for a pause in typing first
+     * @param {string} searchTerm - Text to search for in event titles and descriptions
+     */
+    filterEvents(searchTerm) {
+        clearTimeout(this.searchTimer);
+        this.searchQuery = searchTerm.trim();
+
+        // An empty box shows every event again straight away
+        if (!this.searchQuery) {
+            this.searchResults = null;
+            this.renderAdminEvents();
+            return;
+        }
+
+        this.searchTimer = setTimeout(async () => {
+            await this.runSearch();
+            this.renderAdminEvents();
+        }, SEARCH_DELAY);
+    }
+
+    /**
+     * Run the current search on the server and store the ranked results
+     * Words match as prefixes, so "java work" finds "JavaScript Workshop"
+     */
+    async runSearch() {
+        const query = this.searchQuery;
+
+        try {
+            const params = new URLSearchParams({ q: query, limit: SEARCH_LIMIT });
+            if (this.typeFilter) params.set('type', this.typeFilter);
+            const response = await fetch(`/api/events/search?${params}`);
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Search failed');
+            }
+
+            // Ignore the answer if the user has typed something else in the meantime
+            if (query === this.searchQuery) {
+                this.searchResults = result.events;
+            }
+        } catch (error) {
+            console.error('Error searching events:', error);
+            this.showNotification(error.message || 'Error searching events', 'error');
+        }
+    }
+
+    /**
+     * Download the events in the Manage Events list - the current search and type filter applied - as CSV
+     */
+    async exportEventsCsv() {
+        const params = new URLSearchParams();
+        if (this.searchQuery) params.set('q', this.searchQuery);
+        if (this.typeFilter) params.set('type', this.typeFilter);
+
+        const today = this.toZone(new Date(), this.settings.timezone).date;
+        await this.downloadFile(`/api/events/export.csv?${params}`, `events-${today}.csv`, 'events');
+    }
+
+    /**
+     * Edit an existing event by populating the form with its data
+     * @param {string} eventId - ID of event to edit
+     */
+    editEvent(eventId) {
+        // Convert eventId to number for comparison since database IDs are numbers
+        const numericEventId = parseInt(eventId);
+        const event = this.events.find(e => e.id === numericEventId);
+        if (!event) return; // Exit if event not found
+
+        // Set editing mode and populate form (editing a series clears any single-occurrence edit)
+        this.editingEventId = numericEventId;
+        this.editingOccurrence = null;
+        this.editingOriginalDate = event.date;
+        this.clearFieldErrors();
+        document.getElementById('recurrenceFields').style.display = '';
+        document.getElementById('durationFields').style.display = '';
+        document.getElementById('locationFields').style.display = '';
+        document.getElementById('capacityGroup').style.display = '';
+        this.fillRecurrenceFields(event.recurrence_rule);
+        
+        // Populate all form fields with existing event data
+        document.getElementById('eventTitle').value = event.title;
+        document.getElementById('eventDescription').value = event.description;
+        document.getElementById('eventDate').value = event.date;
+        document.getElementById('eventTime').value = event.all_day ? '' : event.time;
+        document.getElementById('eventEndDate').value = event.end_date || '';
+        document.getElementById('eventEndTime').value = event.end_time || '';
+        document.getElementById('eventAllDay').checked = event.all_day;
+        this.updateTimeFields();
+        document.getElementById('eventLocation').value = event.location || '';
+        document.getElementById('eventOnlineUrl').value = event.online_url || '';
+        document.getElementById('eventDialIn').value = event.dial_in || '';
+        document.getElementById('eventCapacity').value = event.capacity || '';
+        document.getElementById('eventType').value = event.type;
+        // The stored time is in the event's own timezone, which may predate a settings change
+        this.updateFormTimezone(event.timezone);
+
+        // Update form UI to indicate edit mode
+        document.getElementById('submitText').textContent = event.recurrence_rule ? 'Update Series' : 'Update Event';
+        this.showCancelEditButton();
+
+        // Show user feedback about edit mode
+        this.showNotification(`Editing: ${event.title}`, 'info');
+    }
+
+    /**
+     * Scroll to the event form and add a "Cancel Edit" button if not already present
+     */
+    showCancelEditButton() {
+        const form = document.getElementById('eventForm');
+        form.scrollIntoView({ behavior: 'smooth' }); // Scroll to form
+
+        // Add cancel button if not already present
+        if (!document.getElementById('cancelEdit')) {
+            const cancelBtn = document.createElement('button');
+            cancelBtn.type = 'button';
+            cancelBtn.id = 'cancelEdit';
+            cancelBtn.className = 'btn btn-outline btn-full';
+            cancelBtn.innerHTML = '<i class="fas fa-times"></i> Cancel Edit';
+            cancelBtn.onclick = () => this.cancelEdit();
+            form.appendChild(cancelBtn);
+        }
     }
 
     /**
@@ -533,6 +3629,12 @@ class ProtectedAdminPanel {
      */
     cancelEdit() {
         this.editingEventId = null;           // Clear editing ID
+        this.editingOccurrence = null;        // Clear single-occurrence edit
+        this.editingOriginalDate = null;      // New events cannot start in the past
+        document.getElementById('recurrenceFields').style.display = ''; // Recurrence applies to new events again
+        document.getElementById('durationFields').style.display = '';   // ...and so does the event's end
+        document.getElementById('locationFields').style.display = '';   // ...and its venue
+        document.getElementById('capacityGroup').style.display = '';    // ...and its capacity
         this.resetForm();                     // Clear form fields
         document.getElementById('submitText').textContent = 'Add Event'; // Reset button text
         
@@ -556,7 +3658,7 @@ class ProtectedAdminPanel {
 
         // Show confirmation modal with event title
         this.showConfirmModal(
-            `Are you sure you want to delete "${event.title}"?`,
+            `Move "${event.title}" to the trash? It can be restored from the Trash section.`,
             () => this.performDelete(numericEventId)
         );
     }
@@ -587,12 +3689,13 @@ class ProtectedAdminPanel {
 
             // Handle successful deletion
             if (response.ok) {
-                this.showNotification('Event deleted successfully!', 'success');
+                this.showNotification('Event moved to the trash', 'success');
                 // Refresh all data and displays
                 await this.loadEvents();
                 this.renderAdminEvents();
                 this.updateStatistics();     // Update dashboard statistics
                 this.updateTodaysEvents();   // Update today's events section
+                await this.loadTrash();      // The event is now in the trash
             } else {
                 throw new Error('Failed to delete event');
             }
@@ -646,7 +3749,11 @@ class ProtectedAdminPanel {
      */
     resetForm() {
         document.getElementById('eventForm').reset(); // Clear all form fields
+        this.clearFieldErrors(); // Remove validation messages
         this.setMinDate(); // Reset minimum date constraint
+        this.updateRecurrenceFields(); // Hide recurrence options again
+        this.updateTimeFields(); // Show the time inputs again
+        this.updateFormTimezone(); // New events use the institution's timezone
     }
 
     /**
@@ -674,8 +3781,10 @@ class ProtectedAdminPanel {
         notification.className = `notification notification-${type}`;
         notification.innerHTML = `
             <i class="fas fa-${type === 'success' ? 'check-circle' : type === 'error' ? 'exclamation-circle' : 'info-circle'}"></i>
-            <span>${message}</span>
+            <span></span>
         `;
+        // Messages often carry titles, usernames and server errors - set as text, never as markup
+        notification.querySelector('span').textContent = message;
 
         // Add notification styles if not already present
         if (!document.getElementById('notificationStyles')) {
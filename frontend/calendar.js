@@ -3,14 +3,44 @@
 // ============================================================================
 // This file contains all the frontend logic for the calendar application:
 // 1. EventCalendar class that manages the entire calendar interface
-// 2. Event loading from backend API
-// 3. Calendar rendering and navigation
-// 4. Event filtering and display
+// 2. Event loading from backend API (only the months around the one being viewed)
+// 3. Calendar rendering (month grid, hourly week and day views) and navigation,
+//    with multi-day and all-day events drawn as bars spanning the days they cover
+// 4. Event filtering, full-text search and display
 // 5. Browser notification system
-// 6. Modal popup for event details
+// 6. Modal popup for event details, with the venue, dial-in details and a Join button
+//    for online events
 // 7. Responsive user interface interactions
+// 8. Showing event times in the visitor's or the institution's timezone
+// 9. Registering for events (and joining their waitlists) for signed-in users
+// 10. Live updates: events created, changed or deleted elsewhere appear without a refresh
 // ============================================================================
 
+// ===== LOADING LIMITS =====
+const MONTH_BUFFER = 1;      // Months loaded either side of the one being viewed, so the next click is instant
+const UPCOMING_LIMIT = 20;   // Events shown in the "Upcoming Events" list
+const SEARCH_LIMIT = 10;     // Search results shown under the search box
+const SEARCH_DELAY = 250;    // Milliseconds to wait after the last keystroke before searching
+
+// ===== MONTH GRID =====
+const MONTH_BAR_TOP = 40;     // Pixels from the top of a day cell to its first multi-day bar (below the day number)
+const MONTH_BAR_STEP = 22;    // Pixels per line of multi-day bars
+
+// ===== TIME GRID (WEEK AND DAY VIEWS) =====
+const VIEWS = ['month', 'week', 'day'];  // Calendar views, in the order of the switcher buttons
+const HOUR_HEIGHT = 48;                  // Pixels per hour slot
+const EVENT_MINUTES = 60;                // Length of the block for events without an end time
+const MIN_BLOCK_MINUTES = 30;            // Shortest block drawn, so brief events stay readable
+const DEFAULT_SCROLL_HOUR = 8;           // Hour scrolled into view when a day has no events
+const DAY_MS = 24 * 60 * 60 * 1000;      // Events lasting this long or longer are drawn as bars
+
+// ===== ONLINE MEETINGS =====
+const JOIN_OPENS_MINUTES = 15;           // The Join button becomes active this long before an event starts
+const JOIN_REFRESH_MS = 30 * 1000;       // How often an open event modal re-checks whether joining is possible
+
+// ===== LIVE UPDATES =====
+const LIVE_RECONNECT_DELAY = 5 * 1000;   // Wait before reopening the live stream when the browser gives up on it
+
 // ===== MAIN CALENDAR CLASS =====
 /**
  * EventCalendar - Main class that handles all calendar functionality
@@ -22,10 +52,31 @@ class EventCalendar {
      * Sets up default state when calendar is created
      */
     constructor() {
-        this.events = [];                   // Array to store all events loaded from backend
+        this.events = [];                   // Occurrences around the month being viewed (recurring series expanded)
+        this.loadedRange = null;            // { from, to } dates covered by this.events
+        this.eventsRequest = 0;             // Increases with every month fetch so slow, outdated responses are ignored
+        this.upcomingEvents = [];           // Next occurrences from today, for the events list and notifications
+        this.upcomingTotal = 0;             // Number of upcoming occurrences on the server (may exceed the list)
+        this.searchQuery = '';              // Text in the search box
+        this.searchResults = [];            // Ranked matches from /api/events/search
+        this.searchTotal = 0;               // Number of matches on the server (may exceed the results shown)
+        this.searchTimer = null;            // Pending search while the visitor is still typing
+        this.joinTimer = null;              // Keeps the Join button in the event modal up to date
+        this.modalContent = null;           // What the modal shows: { occurrenceKey, eventId } or { date } of a day list
+        this.liveUpdates = null;            // EventSource connected to /api/events/stream
+        this.liveUpdatesLost = false;       // True while the live stream is down, so changes may have been missed
+        this.authToken = localStorage.getItem('adminToken'); // Session token from login.html, if signed in
+        this.currentUser = null;            // Signed-in user ({ id, username, fullName, role }), or null
+        this.registrations = {};            // The signed-in user's registrations, keyed by event ID
         this.currentDate = new Date();      // Current date being viewed in calendar
-        this.selectedFilter = 'all';        // Current filter type ('all', 'assignment', 'webinar', 'workshop')
+        this.view = VIEWS.includes(localStorage.getItem('calendarView'))
+            ? localStorage.getItem('calendarView') : 'month'; // Active view: 'month', 'week' or 'day'
+        this.selectedFilter = 'all';        // Current filter: 'all' or the name of an event type
+        this.eventTypes = [];               // Event types (name, label, color, icon) from /api/event-types
         this.notificationsEnabled = false;  // Whether user has enabled browser notifications
+        this.settings = { siteTitle: 'Boxo Event Calendar', timezone: 'UTC' }; // Site settings (replaced from backend)
+        this.viewerTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone; // Visitor's own timezone
+        this.timezoneMode = localStorage.getItem('timezoneMode') || 'viewer';   // 'viewer' or 'institution'
         
         // Start the calendar initialization process
         this.init();
@@ -36,10 +87,16 @@ class EventCalendar {
      * This method runs all setup functions in the correct order
      */
     async init() {
-        await this.loadEvents();           // Load events from backend API
+        await this.loadSettings();         // Load site title and timezone from backend API
+        await this.loadEventTypes();       // Load type labels, colors and icons, and build the filter buttons
+        await this.loadCurrentUser();      // Find out who is signed in, and what they have registered for
+        // Load the visible months and the upcoming list from the backend API
+        await Promise.all([this.loadEvents(), this.loadUpcomingEvents()]);
         this.setupEventListeners();       // Set up all button clicks and interactions
         this.renderCalendar();            // Draw the calendar grid
         this.renderEvents();              // Display events in the events list
+        this.connectLiveUpdates();        // Keep the events current as they are changed on the server
+        this.updateSubscribeLink();       // Point the subscribe button at the iCalendar feed
         this.checkNotificationPermission(); // Check if notifications are available/enabled
     }
 
@@ -52,38 +109,66 @@ class EventCalendar {
         
         // ===== CALENDAR NAVIGATION =====
         
-        // Previous month button
+        // Previous button - back one month, week or day depending on the view
         document.getElementById('prevMonth').addEventListener('click', () => {
-            // Move to previous month and re-render calendar
-            this.currentDate.setMonth(this.currentDate.getMonth() - 1);
-            this.renderCalendar();
+            this.stepView(-1);
         });
 
-        // Next month button
+        // Next button - forward one month, week or day
         document.getElementById('nextMonth').addEventListener('click', () => {
-            // Move to next month and re-render calendar
-            this.currentDate.setMonth(this.currentDate.getMonth() + 1);
-            this.renderCalendar();
+            this.stepView(1);
+        });
+
+        // View switcher (Month / Week / Day)
+        document.querySelectorAll('.view-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.view = btn.dataset.view;
+                localStorage.setItem('calendarView', this.view);  // Remember the view for next visit
+                this.showCurrentView();
+            });
         });
 
         // ===== EVENT FILTER BUTTONS =====
         
-        // Set up click handlers for all filter buttons
-        document.querySelectorAll('.filter-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                // Remove 'active' class from all filter buttons
-                document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
-                
-                // Add 'active' class to clicked button
-                e.target.classList.add('active');
-                
-                // Update selected filter from button's data-type attribute
-                this.selectedFilter = e.target.dataset.type;
-                
-                // Re-render events and calendar with new filter
-                this.renderEvents();
-                this.renderCalendar();
-            });
+        // One click handler for every filter button (the type buttons are built from /api/event-types)
+        document.querySelector('.filter-buttons').addEventListener('click', async (e) => {
+            const btn = e.target.closest('.filter-btn');
+            if (!btn) return;
+
+            // Remove 'active' class from all filter buttons
+            document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
+            
+            // Add 'active' class to clicked button
+            btn.classList.add('active');
+            
+            // Update selected filter from button's data-type attribute
+            this.selectedFilter = btn.dataset.type;
+            
+            // Re-render events and calendar with new filter
+            // (the upcoming list is fetched per type so it always holds the next events of that type)
+            await this.loadUpcomingEvents();
+            this.renderEvents();
+            this.renderCalendar();
+            this.updateSubscribeLink();
+        });
+
+        // ===== EVENT SEARCH =====
+
+        // Search titles and descriptions as the visitor types (after a short pause)
+        document.getElementById('calendarSearch').addEventListener('input', (e) => {
+            this.searchEvents(e.target.value);
+        });
+
+        // ===== TIMEZONE SELECTOR =====
+
+        // Switch between the visitor's timezone and the institution's
+        document.getElementById('timezoneMode').addEventListener('change', (e) => {
+            this.timezoneMode = e.target.value;
+            localStorage.setItem('timezoneMode', this.timezoneMode);  // Remember the choice for next visit
+            this.localizeEvents();
+            this.renderCalendar();
+            this.renderEvents();
+            this.renderSearchResults();
         });
 
         // ===== NOTIFICATION BUTTON =====
@@ -106,52 +191,239 @@ class EventCalendar {
                 document.getElementById('eventModal').style.display = 'none';
             }
         });
+
+        // Register / cancel buttons in the event modal
+        document.getElementById('eventDetails').addEventListener('click', (e) => {
+            const button = e.target.closest('.register-btn, .cancel-registration-btn');
+            if (!button) return;
+            const { eventId, occurrenceKey } = button.dataset;
+            this.changeRegistration(eventId, occurrenceKey, button.classList.contains('register-btn'));
+        });
     }
 
     // ===== DATA LOADING =====
     /**
-     * Load events from the backend API
-     * Makes HTTP request to /api/events and stores results
+     * Load site settings from the backend API and apply them to the page
+     * Keeps the built-in defaults if the request fails
+     */
+    async loadSettings() {
+        try {
+            const response = await fetch('/api/settings');
+            if (response.ok) {
+                this.settings = await response.json();
+            }
+        } catch (error) {
+            console.error('Error loading settings:', error);
+        }
+
+        // Show the configured site title in the header and browser tab
+        document.getElementById('siteTitle').textContent = this.settings.siteTitle;
+        document.title = this.settings.siteTitle;
+
+        this.renderTimezoneOptions();
+    }
+
+    /**
+     * Load events for the month being viewed, plus MONTH_BUFFER months either side
+     * Makes HTTP request to /api/events?from=&to= and stores results
+     * Recurring events are expanded so every occurrence appears on its own day
      */
     async loadEvents() {
+        const range = this.getMonthRange(MONTH_BUFFER);
+        const requestId = ++this.eventsRequest;
+
         try {
-            // Fetch events from backend server
-            const response = await fetch('/api/events');
-            
+            // Fetch events from backend server, one entry per occurrence in the range
+            const response = await fetch(`/api/events?from=${range.from}&to=${range.to}`);
+            if (!response.ok) {
+                throw new Error(`Server responded with ${response.status}`);
+            }
+            const events = await response.json();
+
+            // A newer request was made while this one was in flight (e.g. quick month clicks)
+            if (requestId !== this.eventsRequest) return;
+
             // Parse JSON response and store in events array
-            this.events = await response.json();
+            this.events = events;
+            this.loadedRange = range;
+
+            // Work out where each occurrence falls in the timezone being displayed
+            this.localizeEvents();
         } catch (error) {
             // Log error if API request fails
             console.error('Error loading events:', error);
             
             // Set empty array if loading fails to prevent crashes
             this.events = [];
+            this.loadedRange = null;
+        }
+    }
+
+    /**
+     * Load the next UPCOMING_LIMIT occurrences for the events list
+     * Only the selected type is requested, so filtering never leaves the list short
+     */
+    async loadUpcomingEvents() {
+        // Start a day early: an event on yesterday's date in the institution's timezone
+        // can still be today in the visitor's
+        const params = new URLSearchParams({
+            from: this.addDays(this.getToday(), -1),
+            limit: UPCOMING_LIMIT
+        });
+        if (this.selectedFilter !== 'all') {
+            params.set('type', this.selectedFilter);
+        }
+
+        try {
+            const response = await fetch(`/api/events?${params}`);
+            if (!response.ok) {
+                throw new Error(`Server responded with ${response.status}`);
+            }
+            const page = await response.json();
+
+            this.upcomingEvents = page.events;
+            this.upcomingTotal = page.total;
+            this.localizeEvents();
+        } catch (error) {
+            console.error('Error loading upcoming events:', error);
+            this.upcomingEvents = [];
+            this.upcomingTotal = 0;
         }
     }
 
+    /**
+     * Show the month, week or day containing this.currentDate, fetching its events first if they are not loaded yet
+     */
+    async showCurrentView() {
+        const needed = this.getVisibleRange();
+        const loaded = this.loadedRange;
+
+        if (!loaded || needed.from < loaded.from || needed.to > loaded.to) {
+            await this.loadEvents();
+        }
+        this.renderCalendar();
+    }
+
+    /**
+     * Get the dates the active view shows, plus a day either side for timezone shifts
+     * @returns {Object} { from, to } in YYYY-MM-DD format
+     */
+    getVisibleRange() {
+        if (this.view === 'month') {
+            return this.getMonthRange(0);
+        }
+        const days = this.getViewDays();
+        return { from: this.addDays(days[0], -1), to: this.addDays(days[days.length - 1], 1) };
+    }
+
+    /**
+     * Get the dates shown as columns in the week or day view
+     * Weeks run Sunday to Saturday, like the month grid
+     * @returns {Array<string>} Dates in YYYY-MM-DD format
+     */
+    getViewDays() {
+        const current = this.toDateString(this.currentDate);
+        if (this.view === 'day') {
+            return [current];
+        }
+        const sunday = this.addDays(current, -this.currentDate.getDay());
+        return [0, 1, 2, 3, 4, 5, 6].map(offset => this.addDays(sunday, offset));
+    }
+
+    /**
+     * Move forward or back by the active view's unit (a month, a week or a day)
+     * @param {number} direction - 1 for next, -1 for previous
+     */
+    stepView(direction) {
+        const year = this.currentDate.getFullYear();
+        const month = this.currentDate.getMonth();
+        const day = this.currentDate.getDate();
+
+        if (this.view === 'month') {
+            // Keep the day of the month where possible, without spilling into the following month
+            const daysInTarget = new Date(year, month + direction + 1, 0).getDate();
+            this.currentDate = new Date(year, month + direction, Math.min(day, daysInTarget));
+        } else {
+            this.currentDate = new Date(year, month, day + direction * (this.view === 'week' ? 7 : 1));
+        }
+        this.showCurrentView();
+    }
+
+    /**
+     * Get the dates covered by the month being viewed and a number of months either side
+     * One extra day is added at each end because an event can move to the neighbouring
+     * day once it is shown in the visitor's timezone
+     * @param {number} monthsAround - Whole months to include before and after the current month
+     * @returns {Object} { from, to } in YYYY-MM-DD format
+     */
+    getMonthRange(monthsAround) {
+        const year = this.currentDate.getFullYear();
+        const month = this.currentDate.getMonth();
+
+        const dayBefore = new Date(year, month - monthsAround, 0);     // Day 0 is the last day of the month before
+        const dayAfter = new Date(year, month + monthsAround + 1, 1);  // First day of the month after the range
+        return { from: this.toDateString(dayBefore), to: this.toDateString(dayAfter) };
+    }
+
     // ===== CALENDAR RENDERING =====
     /**
-     * Render the calendar grid for the current month
-     * Creates a visual calendar with days and events
+     * Render the active view (month grid, or hourly week/day view)
+     * Called whenever the date, view, filter, timezone or events change
      */
     renderCalendar() {
+        const isMonth = this.view === 'month';
+
+        // Show the container for the active view and mark its switcher button
+        document.querySelector('.calendar-grid').style.display = isMonth ? '' : 'none';
+        document.getElementById('timeGrid').style.display = isMonth ? 'none' : '';
+        document.querySelectorAll('.view-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.view === this.view);
+        });
+
+        document.getElementById('monthYear').textContent = this.getPeriodTitle();
+
+        if (isMonth) {
+            this.renderMonthView();
+        } else {
+            this.renderTimeGrid();
+        }
+    }
+
+    /**
+     * Describe the period the active view shows
+     * @returns {string} e.g. "December 2024", "Dec 1 – 7, 2024" or "Sunday, December 1, 2024"
+     */
+    getPeriodTitle() {
+        if (this.view === 'month') {
+            return new Intl.DateTimeFormat('en-US', { month: 'long', year: 'numeric' }).format(this.currentDate);
+        }
+        if (this.view === 'day') {
+            return new Intl.DateTimeFormat('en-US', {
+                weekday: 'long', month: 'long', day: 'numeric', year: 'numeric'
+            }).format(this.currentDate);
+        }
+
+        // Week: formatRange leaves out repeated parts ("Dec 1 – 7, 2024", "Nov 30 – Dec 6, 2024")
+        const days = this.getViewDays().map(date => new Date(`${date}T00:00:00`));
+        return new Intl.DateTimeFormat('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+            .formatRange(days[0], days[days.length - 1]);
+    }
+
+    /**
+     * Render the calendar grid for the current month
+     * Creates a visual calendar with days and events; multi-day and all-day events
+     * are drawn as bars spanning the day cells they cover
+     */
+    renderMonthView() {
         // Get DOM elements for calendar
-        const monthYear = document.getElementById('monthYear');
         const calendarGrid = document.querySelector('.calendar-grid');
         
-        // Remove existing calendar days (but keep day headers like "Sun", "Mon", etc.)
-        const existingDays = calendarGrid.querySelectorAll('.calendar-day');
-        existingDays.forEach(day => day.remove());
+        // Remove existing calendar days and bars (but keep day headers like "Sun", "Mon", etc.)
+        calendarGrid.querySelectorAll('.calendar-day, .month-event-bar').forEach(element => element.remove());
 
         // Get current year and month being displayed
         const year = this.currentDate.getFullYear();
         const month = this.currentDate.getMonth();
-        
-        // Update month/year display (e.g., "December 2024")
-        monthYear.textContent = new Intl.DateTimeFormat('en-US', {
-            month: 'long',
-            year: 'numeric'
-        }).format(this.currentDate);
 
         // Calculate calendar layout information
         const firstDay = new Date(year, month, 1);          // First day of current month
@@ -159,6 +431,33 @@ class EventCalendar {
         const daysInMonth = lastDay.getDate();              // Number of days in month
         const startingDayOfWeek = firstDay.getDay();        // What day of week month starts on (0=Sun, 6=Sat)
 
+        // ===== LAY OUT MULTI-DAY BARS =====
+        // Each week row gets its own bars; day cells leave room for as many lines as their week needs
+        const gridStart = this.addDays(this.toDateString(firstDay), -startingDayOfWeek);
+        const weekCount = Math.ceil((startingDayOfWeek + daysInMonth) / 7);
+        const spanningEvents = this.getFilteredEvents().filter(event => this.isSpanningEvent(event));
+        const weeks = Array.from({ length: weekCount }, (_, week) => {
+            const days = Array.from({ length: 7 }, (_, day) => this.addDays(gridStart, week * 7 + day));
+            const bars = this.layoutSpanningEvents(spanningEvents, days);
+            return { bars, lanes: bars.reduce((lanes, bar) => Math.max(lanes, bar.lane + 1), 0) };
+        });
+
+        /**
+         * Put a day cell in its row and column and reserve space for its week's bars
+         * Every cell is placed explicitly so the bars can share grid cells with the days
+         * @param {HTMLElement} element - Day cell
+         * @param {number} index - Position of the cell counted from the top-left of the grid
+         */
+        const placeDay = (element, index) => {
+            const week = Math.floor(index / 7);
+            element.style.gridRow = String(week + 2);         // Row 1 holds the day headers
+            element.style.gridColumn = String((index % 7) + 1);
+            element.querySelector('.day-number').insertAdjacentHTML('afterend',
+                `<div class="day-bar-space" style="height: ${weeks[week].lanes * MONTH_BAR_STEP}px"></div>`);
+            calendarGrid.appendChild(element);
+        };
+        let cellIndex = 0;
+
         // ===== ADD EMPTY CELLS FOR PREVIOUS MONTH =====
         // Fill in days from previous month to complete the first week
         for (let i = 0; i < startingDayOfWeek; i++) {
@@ -169,7 +468,7 @@ class EventCalendar {
             const prevMonthDay = new Date(year, month, 0 - (startingDayOfWeek - 1 - i));
             emptyDay.innerHTML = `<div class="day-number">${prevMonthDay.getDate()}</div>`;
             
-            calendarGrid.appendChild(emptyDay);
+            placeDay(emptyDay, cellIndex++);
         }
 
         // ===== ADD DAYS OF CURRENT MONTH =====
@@ -179,15 +478,17 @@ class EventCalendar {
             
             // Create date string in YYYY-MM-DD format for comparison
             const currentDateString = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-            const today = new Date().toISOString().split('T')[0];  // Today's date in same format
+            const today = this.getToday();  // Today's date in the displayed timezone
             
             // Highlight today's date
             if (currentDateString === today) {
                 dayElement.classList.add('today');
             }
 
-            // Get events scheduled for this specific day
+            // Get events happening on this specific day (bars included);
+            // only the ones without a bar are listed inside the cell
             const dayEvents = this.getEventsForDay(currentDateString);
+            const listedEvents = dayEvents.filter(event => !this.isSpanningEvent(event));
             
             // Add visual indicator if day has events
             if (dayEvents.length > 0) {
@@ -198,10 +499,10 @@ class EventCalendar {
             dayElement.innerHTML = `
                 <div class="day-number">${day}</div>
                 <div class="day-events">
-                    ${dayEvents.slice(0, 2).map(event => 
-                        `<div class="day-event ${event.type}">${event.title}</div>`
+                    ${listedEvents.slice(0, 2).map(event => 
+                        `<div class="day-event type-${event.type}">${this.escapeHtml(event.title)}</div>`
                     ).join('')}
-                    ${dayEvents.length > 2 ? `<div class="day-event">+${dayEvents.length - 2} more</div>` : ''}
+                    ${listedEvents.length > 2 ? `<div class="day-event">+${listedEvents.length - 2} more</div>` : ''}
                 </div>
             `;
 
@@ -211,59 +512,362 @@ class EventCalendar {
             });
 
             // Add day to calendar grid
-            calendarGrid.appendChild(dayElement);
+            placeDay(dayElement, cellIndex++);
         }
 
         // ===== ADD EMPTY CELLS FOR NEXT MONTH =====
         // Fill remaining cells to complete the last week
-        const totalCells = calendarGrid.children.length;
-        const cellsNeeded = Math.ceil(totalCells / 7) * 7;  // Round up to nearest multiple of 7
+        const cellsNeeded = weekCount * 7;
         
-        for (let i = totalCells; i < cellsNeeded; i++) {
+        for (let i = cellIndex; i < cellsNeeded; i++) {
             const emptyDay = document.createElement('div');
             emptyDay.className = 'calendar-day other-month';
             
             // Calculate day from next month
-            const nextMonthDay = i - totalCells + 1;
+            const nextMonthDay = i - startingDayOfWeek - daysInMonth + 1;
             emptyDay.innerHTML = `<div class="day-number">${nextMonthDay}</div>`;
             
-            calendarGrid.appendChild(emptyDay);
+            placeDay(emptyDay, i);
         }
+
+        // ===== ADD MULTI-DAY BARS =====
+        // Bars are placed over the day cells of their week, one line per lane
+        weeks.forEach(({ bars }, week) => {
+            bars.forEach(bar => {
+                const element = document.createElement('div');
+                element.className = [
+                    'month-event-bar',
+                    `type-${bar.event.type}`,
+                    bar.continuesBefore ? 'continues-before' : '',
+                    bar.continuesAfter ? 'continues-after' : ''
+                ].filter(Boolean).join(' ');
+                element.style.gridRow = String(week + 2);
+                element.style.gridColumn = `${bar.column + 1} / span ${bar.span}`;
+                element.style.marginTop = `${MONTH_BAR_TOP + bar.lane * MONTH_BAR_STEP}px`;
+                element.title = `${bar.event.title} (${this.formatTimeRange(bar.event)})`;
+                element.innerHTML = `
+                    ${bar.event.all_day || bar.continuesBefore ? '' : `<span class="month-event-bar-time">${this.formatTime(bar.event.display_time)}</span>`}
+                    ${this.escapeHtml(bar.event.title)}
+                `;
+                element.addEventListener('click', () => this.showEventDetails(bar.event.occurrence_key));
+                calendarGrid.appendChild(element);
+            });
+        });
+    }
+
+    /**
+     * Lay out bars for events that span whole days across a row of consecutive days
+     * Each bar is cut to the row; bars that would overlap go on separate lines (lanes)
+     * @param {Array<Object>} events - Spanning events (see isSpanningEvent)
+     * @param {Array<string>} days - Consecutive dates in the row (YYYY-MM-DD)
+     * @returns {Array<Object>} { event, column, span, lane, continuesBefore, continuesAfter } with columns counted from 0
+     */
+    layoutSpanningEvents(events, days) {
+        const first = days[0];
+        const last = days[days.length - 1];
+        const laneEnds = [];    // Last column used in each lane
+
+        return events
+            .filter(event => event.display_date <= last && event.display_end_date >= first)
+            // Earliest first, and the longest of events starting together on top
+            .sort((a, b) => a.display_date.localeCompare(b.display_date)
+                || b.display_end_date.localeCompare(a.display_end_date)
+                || a.starts_at_utc.localeCompare(b.starts_at_utc))
+            .map(event => {
+                const column = days.indexOf(event.display_date < first ? first : event.display_date);
+                const span = days.indexOf(event.display_end_date > last ? last : event.display_end_date) - column + 1;
+
+                // Reuse the first lane that is free by this column, or open a new one
+                let lane = laneEnds.findIndex(laneEnd => laneEnd < column);
+                if (lane === -1) {
+                    lane = laneEnds.length;
+                }
+                laneEnds[lane] = column + span - 1;
+
+                return {
+                    event,
+                    column,
+                    span,
+                    lane,
+                    continuesBefore: event.display_date < first,    // Started before this row
+                    continuesAfter: event.display_end_date > last   // Carries on after this row
+                };
+            });
+    }
+
+    /**
+     * Render the week or day view: one column per day with hourly time slots
+     * Events are placed by their start and end times in the displayed timezone; events that
+     * overlap are shown side by side. All-day events and events lasting a day or more are
+     * drawn as bars in an "All day" row above the hours.
+     */
+    renderTimeGrid() {
+        const timeGrid = document.getElementById('timeGrid');
+        const days = this.getViewDays();
+        const today = this.getToday();
+        const columns = `60px repeat(${days.length}, 1fr)`;   // Hour labels, then one column per day
+
+        timeGrid.classList.toggle('week', this.view === 'week');
+        timeGrid.style.setProperty('--hour-height', `${HOUR_HEIGHT}px`);
+
+        const hours = Array.from({ length: 24 }, (_, hour) => hour);
+        const hourLabels = hours.map(hour =>
+            `<div class="time-label">${hour === 0 ? '' : this.formatTime(`${String(hour).padStart(2, '0')}:00`)}</div>`
+        ).join('');
+
+        // Earliest event in view, so the grid opens scrolled to it
+        let firstMinute = null;
+
+        const dayColumns = days.map(date => {
+            const timedEvents = this.getEventsForDay(date).filter(event => !this.isSpanningEvent(event));
+            const blocks = this.layoutDayEvents(timedEvents, date).map(({ event, start, end, lane, lanes }) => {
+                firstMinute = firstMinute === null ? start : Math.min(firstMinute, start);
+                const style = [
+                    `top: ${start / 60 * HOUR_HEIGHT}px`,
+                    `height: ${(end - start) / 60 * HOUR_HEIGHT - 2}px`,   // Leave a small gap below each block
+                    `left: calc(${lane / lanes * 100}% + 2px)`,
+                    `width: calc(${100 / lanes}% - 4px)`
+                ].join('; ');
+
+                return `
+                    <div class="time-event type-${event.type}" style="${style}"
+                         onclick="calendar.showEventDetails('${event.occurrence_key}')">
+                        <span class="time-event-time">${this.formatTime(event.display_time)}${event.display_end_time ? ` – ${this.formatTime(event.display_end_time)}` : ''}</span>
+                        <span class="time-event-title">${this.escapeHtml(event.title)}</span>
+                    </div>
+                `;
+            }).join('');
+
+            return `
+                <div class="time-grid-column ${date === today ? 'today' : ''}" data-date="${date}">
+                    ${hours.map(() => '<div class="time-slot"></div>').join('')}
+                    ${blocks}
+                </div>
+            `;
+        }).join('');
+
+        // Day headings (clicking one in the week view opens that day)
+        const dayHeaders = days.map(date => `
+            <div class="time-grid-day-header ${date === today ? 'today' : ''}" onclick="calendar.openDay('${date}')">
+                ${new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+            </div>
+        `).join('');
+
+        // All-day row: bars across the days they cover, one line per lane
+        const bars = this.layoutSpanningEvents(this.getFilteredEvents().filter(event => this.isSpanningEvent(event)), days);
+        const lanes = bars.reduce((count, bar) => Math.max(count, bar.lane + 1), 0);
+        const allDayRow = bars.length === 0 ? '' : `
+            <div class="time-grid-all-day" style="grid-template-columns: ${columns}">
+                <div class="all-day-label" style="grid-row: 1 / span ${lanes}">All day</div>
+                ${bars.map(bar => `
+                    <div class="all-day-event type-${bar.event.type} ${bar.continuesBefore ? 'continues-before' : ''} ${bar.continuesAfter ? 'continues-after' : ''}"
+                         style="grid-row: ${bar.lane + 1}; grid-column: ${bar.column + 2} / span ${bar.span}"
+                         title="${this.escapeHtml(`${bar.event.title} (${this.formatTimeRange(bar.event)})`)}"
+                         onclick="calendar.showEventDetails('${bar.event.occurrence_key}')">
+                        ${this.escapeHtml(bar.event.title)}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        timeGrid.innerHTML = `
+            <div class="time-grid-top">
+                <div class="time-grid-header" style="grid-template-columns: ${columns}">
+                    <div></div>
+                    ${dayHeaders}
+                </div>
+                ${allDayRow}
+            </div>
+            <div class="time-grid-body" style="grid-template-columns: ${columns}">
+                <div class="time-labels">${hourLabels}</div>
+                ${dayColumns}
+            </div>
+        `;
+
+        // Open at the first event (or the start of a typical day), an hour early for context
+        const scrollHour = firstMinute === null ? DEFAULT_SCROLL_HOUR : Math.max(0, Math.floor(firstMinute / 60) - 1);
+        timeGrid.scrollTop = scrollHour * HOUR_HEIGHT;
+    }
+
+    /**
+     * Work out where each of a day's events goes in the time grid
+     * Events running past midnight are cut at the edges of the day; overlapping events
+     * are split into side-by-side lanes, and a group of events that overlap each other
+     * shares the column width equally
+     * @param {Array} events - The day's timed events, sorted by start time
+     * @param {string} date - The day being laid out (YYYY-MM-DD)
+     * @returns {Array<Object>} { event, start, end, lane, lanes } with start/end in minutes after midnight
+     */
+    layoutDayEvents(events, date) {
+        const placed = [];
+        let group = [];         // Events overlapping (directly or through each other) the current one
+        let groupEnd = 0;       // When the last event in the group ends
+        let laneEnds = [];      // When the last event in each lane ends
+
+        // Every event in a finished group gets the same number of lanes
+        const closeGroup = () => group.forEach(item => { item.lanes = laneEnds.length; });
+
+        const toMinutes = (time) => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+
+        events.forEach(event => {
+            // Events that started on an earlier day begin at midnight here
+            const start = event.display_date < date ? 0 : toMinutes(event.display_time);
+            let end = start + EVENT_MINUTES;                         // Events without an end get a standard block
+            if (event.display_end_time) {
+                end = event.display_end_date > date ? 24 * 60 : toMinutes(event.display_end_time);
+            }
+            end = Math.min(Math.max(end, start + MIN_BLOCK_MINUTES), 24 * 60);   // Blocks stop at midnight
+
+            if (start >= groupEnd) {
+                closeGroup();
+                group = [];
+                laneEnds = [];
+            }
+
+            // Reuse the first lane that is free by now, or open a new one
+            let lane = laneEnds.findIndex(laneEnd => laneEnd <= start);
+            if (lane === -1) {
+                lane = laneEnds.length;
+            }
+            laneEnds[lane] = end;
+
+            const item = { event, start, end, lane, lanes: 1 };
+            group.push(item);
+            placed.push(item);
+            groupEnd = Math.max(groupEnd, end);
+        });
+        closeGroup();
+
+        return placed;
+    }
+
+    /**
+     * Switch to the day view for a date (e.g. from a week view heading)
+     * @param {string} date - Date in YYYY-MM-DD format
+     */
+    openDay(date) {
+        const [year, month, day] = date.split('-').map(Number);
+        this.currentDate = new Date(year, month - 1, day);
+        this.view = 'day';
+        localStorage.setItem('calendarView', this.view);
+        this.showCurrentView();
     }
 
     // ===== UTILITY FUNCTIONS =====
     
+    /**
+     * Escape text for safe insertion into HTML
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    // ===== EVENT TYPES =====
+
+    /**
+     * Load the event types admins have set up, then color events and build the filter buttons
+     * Makes HTTP request to /api/event-types
+     */
+    async loadEventTypes() {
+        try {
+            const response = await fetch('/api/event-types');
+            if (!response.ok) {
+                throw new Error(`Server responded with ${response.status}`);
+            }
+            this.eventTypes = await response.json();
+        } catch (error) {
+            // Events still show without types - just in the default color and icon
+            console.error('Error loading event types:', error);
+        }
+
+        this.applyEventTypeStyles();
+        this.renderFilterButtons();
+    }
+
+    /**
+     * Give each event type its color
+     * Elements for an event carry a type-<name> class; this sets the --type-color
+     * variable that styles.css uses for their badges, bars and borders
+     */
+    applyEventTypeStyles() {
+        let style = document.getElementById('eventTypeStyles');
+        if (!style) {
+            style = document.createElement('style');
+            style.id = 'eventTypeStyles';
+            document.head.appendChild(style);
+        }
+        // Names and colors are checked by the server (lowercase identifiers and #rrggbb)
+        style.textContent = this.eventTypes
+            .map(type => `.type-${type.name} { --type-color: ${type.color}; }`)
+            .join('\n');
+    }
+
+    /**
+     * Build one filter button per event type after the "All Events" button
+     */
+    renderFilterButtons() {
+        const container = document.querySelector('.filter-buttons');
+        container.querySelectorAll('.filter-btn:not([data-type="all"])').forEach(btn => btn.remove());
+
+        container.insertAdjacentHTML('beforeend', this.eventTypes.map(type => `
+            <button class="filter-btn ${type.name === this.selectedFilter ? 'active' : ''}" data-type="${type.name}">
+                <i class="${type.icon}"></i> ${this.escapeHtml(type.label)}
+            </button>
+        `).join(''));
+    }
+
     /**
      * Get appropriate icon for each event type
-     * @param {string} eventType - Type of event ('assignment', 'webinar', 'workshop')
+     * @param {string} eventType - Name of the event type (e.g. 'workshop')
      * @returns {string} Font Awesome CSS class for icon
      */
     getEventTypeIcon(eventType) {
-        const icons = {
-            'assignment': 'fas fa-file-alt',    // Document icon for assignments
-            'webinar': 'fas fa-video',          // Video icon for webinars
-            'workshop': 'fas fa-tools'          // Tools icon for workshops
-        };
-        // Return appropriate icon or default calendar icon
-        return icons[eventType] || 'fas fa-calendar-check';
+        const type = this.eventTypes.find(item => item.name === eventType);
+        // Return the type's icon or default calendar icon
+        return type ? type.icon : 'fas fa-calendar-check';
+    }
+
+    /**
+     * Get the name of an event type as shown to visitors
+     * @param {string} eventType - Name of the event type (e.g. 'workshop')
+     * @returns {string} Label such as "Workshop" (the name itself for unknown types)
+     */
+    getEventTypeLabel(eventType) {
+        const type = this.eventTypes.find(item => item.name === eventType);
+        return type ? type.label : eventType;
+    }
+
+    /**
+     * Get the loaded events that match the current filter setting
+     * @returns {Array} Array of events
+     */
+    getFilteredEvents() {
+        // Apply current filter (if not 'all')
+        if (this.selectedFilter === 'all') {
+            return this.events;
+        }
+        return this.events.filter(event => event.type === this.selectedFilter);
     }
 
     /**
      * Get events for a specific day, filtered by current filter setting
+     * Multi-day events belong to every day from their start to their end
      * @param {string} dateString - Date in YYYY-MM-DD format
      * @returns {Array} Array of events for that day
      */
     getEventsForDay(dateString) {
-        // First, get all events for this date
-        let dayEvents = this.events.filter(event => event.date === dateString);
-        
-        // Apply current filter (if not 'all')
-        if (this.selectedFilter !== 'all') {
-            dayEvents = dayEvents.filter(event => event.type === this.selectedFilter);
-        }
+        const dayEvents = this.getFilteredEvents()
+            .filter(event => event.display_date <= dateString && event.display_end_date >= dateString);
         
         // Sort events by time (earliest first)
-        return dayEvents.sort((a, b) => a.time.localeCompare(b.time));
+        return dayEvents.sort((a, b) => a.starts_at_utc.localeCompare(b.starts_at_utc));
     }
 
     /**
@@ -289,19 +893,22 @@ class EventCalendar {
             ${events.length === 0 ? 
                 '<p>No events scheduled for this day.</p>' : 
                 events.map(event => `
-                    <div class="event-card ${event.type}">
+                    <div class="event-card type-${event.type}">
                         <div class="event-header">
                             <div>
                                 <div class="event-title">
-                                    <i class="${this.getEventTypeIcon(event.type)}"></i> ${event.title}
+                                    <i class="${this.getEventTypeIcon(event.type)}"></i> ${this.escapeHtml(event.title)}
                                 </div>
                                 <div class="event-datetime">
-                                    <span><i class="fas fa-clock"></i> ${this.formatTime(event.time)}</span>
+                                    ${event.display_end_date !== event.display_date ? `<span><i class="fas fa-calendar"></i> ${this.formatDateRange(event)}</span>` : ''}
+                                    <span><i class="fas fa-clock"></i> ${this.formatTimeRange(event)}</span>
+                                    ${event.recurrence_rule ? `<span><i class="fas fa-redo"></i> ${this.describeRecurrence(event.recurrence_rule)}</span>` : ''}
+                                    ${this.renderLocationBadges(event)}
                                 </div>
                             </div>
-                            <span class="event-type ${event.type}">${event.type}</span>
+                            <span class="event-type type-${event.type}">${this.escapeHtml(this.getEventTypeLabel(event.type))}</span>
                         </div>
-                        <div class="event-description">${event.description}</div>
+                        <div class="event-description">${this.escapeHtml(event.description)}</div>
                     </div>
                 `).join('')
             }
@@ -309,6 +916,106 @@ class EventCalendar {
         
         // Show the modal
         modal.style.display = 'block';
+        this.modalContent = { date };
+    }
+
+    // ===== EVENT SEARCH =====
+
+    /**
+     * Search events as the visitor types, waiting for a pause in typing first
+     * @param {string} text - Text in the search box
+     */
+    searchEvents(text) {
+        clearTimeout(this.searchTimer);
+        this.searchQuery = text.trim();
+
+        // An empty box hides the results straight away
+        if (!this.searchQuery) {
+            this.searchResults = [];
+            this.searchTotal = 0;
+            this.renderSearchResults();
+            return;
+        }
+
+        this.searchTimer = setTimeout(() => this.runSearch(), SEARCH_DELAY);
+    }
+
+    /**
+     * Run the current search on the server and show the ranked results
+     * Words match as prefixes, so "java work" finds "JavaScript Workshop"
+     */
+    async runSearch() {
+        const query = this.searchQuery;
+
+        try {
+            const params = new URLSearchParams({ q: query, limit: SEARCH_LIMIT });
+            const response = await fetch(`/api/events/search?${params}`);
+            if (!response.ok) {
+                throw new Error(`Server responded with ${response.status}`);
+            }
+            const result = await response.json();
+
+            // Ignore the answer if the visitor has typed something else in the meantime
+            if (query !== this.searchQuery) return;
+
+            // Results are whole events (one per recurring series), keyed apart from the occurrences
+            this.searchResults = result.events.map(event => ({ ...event, occurrence_key: `search-${event.id}` }));
+            this.searchTotal = result.total;
+            this.localizeEvents();
+        } catch (error) {
+            console.error('Error searching events:', error);
+            this.searchResults = [];
+            this.searchTotal = 0;
+        }
+        this.renderSearchResults();
+    }
+
+    /**
+     * Show the search results under the search box
+     * Titles and snippets come from the server already escaped, with matches in <mark> tags
+     */
+    renderSearchResults() {
+        const container = document.getElementById('searchResults');
+
+        if (!this.searchQuery) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+        container.style.display = '';
+
+        if (this.searchResults.length === 0) {
+            container.innerHTML = '<p>No events match your search.</p>';
+            return;
+        }
+
+        container.innerHTML = this.searchResults.map(event => `
+            <div class="search-result type-${event.type}" onclick="calendar.openSearchResult('${event.occurrence_key}')">
+                <div class="search-result-title"><i class="${this.getEventTypeIcon(event.type)}"></i> ${event.title_html}</div>
+                <div class="search-result-meta">
+                    ${this.formatDateRange(event)} · ${this.formatTimeRange(event)}
+                    ${event.recurrence_rule ? ' · <i class="fas fa-redo"></i> Repeats' : ''}
+                </div>
+                <div class="search-result-snippet">${event.snippet_html}</div>
+            </div>
+        `).join('') + (this.searchTotal > this.searchResults.length
+            ? `<p class="events-more">Showing the best ${this.searchResults.length} of ${this.searchTotal} matches - add more words to narrow it down.</p>`
+            : '');
+    }
+
+    /**
+     * Jump the calendar to a search result's date and show its details
+     * @param {string} occurrenceKey - Key of the search result
+     */
+    async openSearchResult(occurrenceKey) {
+        const event = this.searchResults.find(e => e.occurrence_key === occurrenceKey);
+        if (!event) return;
+
+        // Land on the event's own day so the week and day views show it too
+        const [year, month, day] = event.display_date.split('-').map(Number);
+        this.currentDate = new Date(year, month - 1, day);
+        await this.showCurrentView();
+        this.showEventDetails(occurrenceKey);
     }
 
     // ===== EVENTS LIST RENDERING =====
@@ -319,25 +1026,14 @@ class EventCalendar {
     renderEvents() {
         const eventsList = document.getElementById('eventsList');
         
-        // Apply current filter to events
-        let filteredEvents = this.events;
-        if (this.selectedFilter !== 'all') {
-            filteredEvents = this.events.filter(event => event.type === this.selectedFilter);
-        }
+        // The upcoming list is already limited to the selected type by loadUpcomingEvents
+        // Sort events chronologically (ISO UTC timestamps sort correctly as strings)
+        const sortedEvents = [...this.upcomingEvents].sort((a, b) => a.starts_at_utc.localeCompare(b.starts_at_utc));
 
-        // Sort events chronologically (date first, then time)
-        filteredEvents.sort((a, b) => {
-            const dateCompare = new Date(a.date) - new Date(b.date);
-            if (dateCompare === 0) {
-                // If same date, sort by time
-                return a.time.localeCompare(b.time);
-            }
-            return dateCompare;
-        });
-
-        // Show only upcoming events (today and future)
-        const today = new Date().toISOString().split('T')[0];
-        const upcomingEvents = filteredEvents.filter(event => event.date >= today);
+        // Show only upcoming events (today and future, in the displayed timezone),
+        // including multi-day events that have started but not finished
+        const today = this.getToday();
+        const upcomingEvents = sortedEvents.filter(event => event.display_end_date >= today);
 
         // Handle case where no upcoming events exist
         if (upcomingEvents.length === 0) {
@@ -347,34 +1043,45 @@ class EventCalendar {
 
         // Generate HTML for events list
         eventsList.innerHTML = upcomingEvents.map(event => `
-            <div class="event-card ${event.type}" onclick="calendar.showEventDetails('${event.id}')">
+            <div class="event-card type-${event.type}" onclick="calendar.showEventDetails('${event.occurrence_key}')">
                 <div class="event-header">
                     <div>
                         <div class="event-title">
-                            <i class="${this.getEventTypeIcon(event.type)}"></i> ${event.title}
+                            <i class="${this.getEventTypeIcon(event.type)}"></i> ${this.escapeHtml(event.title)}
                         </div>
                         <div class="event-datetime">
-                            <span><i class="fas fa-calendar"></i> ${this.formatDate(event.date)}</span>
-                            <span><i class="fas fa-clock"></i> ${this.formatTime(event.time)}</span>
+                            <span><i class="fas fa-calendar"></i> ${this.formatDateRange(event)}</span>
+                            <span><i class="fas fa-clock"></i> ${this.formatTimeRange(event)}</span>
+                            ${event.recurrence_rule ? '<span><i class="fas fa-redo"></i> Repeats</span>' : ''}
+                            ${this.renderLocationBadges(event)}
+                            ${this.renderRegistrationBadges(event)}
                         </div>
                     </div>
-                    <span class="event-type ${event.type}">${event.type}</span>
+                    <span class="event-type type-${event.type}">${this.escapeHtml(this.getEventTypeLabel(event.type))}</span>
                 </div>
-                <div class="event-description">${event.description}</div>
+                <div class="event-description">${this.escapeHtml(event.description)}</div>
             </div>
         `).join('');
 
+        // Say so when there are more upcoming events than the list shows
+        const moreCount = this.upcomingTotal - this.upcomingEvents.length;
+        if (moreCount > 0) {
+            eventsList.innerHTML += `<p class="events-more">Showing the next ${upcomingEvents.length} events - ${moreCount} more scheduled later.</p>`;
+        }
+
         // Check if any events need notification alerts
         this.checkUpcomingNotifications(upcomingEvents);
     }
 
     /**
      * Show detailed information for a specific event
-     * @param {string} eventId - ID of event to display
+     * @param {string} occurrenceKey - Key of the occurrence to display (event ID, plus date for recurring events)
      */
-    showEventDetails(eventId) {
-        // Find event by ID
-        const event = this.events.find(e => e.id === eventId);
+    showEventDetails(occurrenceKey) {
+        // Find the occurrence by its key (it may come from the month view or the upcoming list)
+        const event = this.events.find(e => e.occurrence_key === occurrenceKey)
+            || this.upcomingEvents.find(e => e.occurrence_key === occurrenceKey)
+            || this.searchResults.find(e => e.occurrence_key === occurrenceKey);
         if (!event) return;  // Exit if event not found
 
         const modal = document.getElementById('eventModal');
@@ -383,23 +1090,592 @@ class EventCalendar {
         // Generate detailed event display
         eventDetails.innerHTML = `
             <h2><i class="fas fa-info-circle"></i> Event Details</h2>
-            <div class="event-card ${event.type}">
+            <div class="event-card type-${event.type}">
                 <div class="event-header">
                     <div>
-                        <div class="event-title">${event.title}</div>
+                        <div class="event-title">${this.escapeHtml(event.title)}</div>
                         <div class="event-datetime">
-                            <span><i class="fas fa-calendar"></i> ${this.formatDate(event.date)}</span>
-                            <span><i class="fas fa-clock"></i> ${this.formatTime(event.time)}</span>
+                            <span><i class="fas fa-calendar"></i> ${this.formatDateRange(event)}</span>
+                            <span><i class="fas fa-clock"></i> ${this.formatTimeRange(event)}</span>
+                            ${event.recurrence_rule ? `<span><i class="fas fa-redo"></i> ${this.describeRecurrence(event.recurrence_rule)}</span>` : ''}
                         </div>
+                        ${this.getDisplayTimezone() !== event.timezone && !event.all_day ? `
+                        <!-- Also show the time as scheduled, in the institution's timezone (all-day events are the same everywhere) -->
+                        <div class="event-datetime">
+                            <span><i class="fas fa-globe"></i> ${this.formatDate(event.date)}, ${this.formatTime(event.time)}${event.end_time ? ` – ${event.end_date !== event.date ? `${this.formatDate(event.end_date)}, ` : ''}${this.formatTime(event.end_time)}` : ''} ${this.formatTimezone(event.timezone)}</span>
+                        </div>` : ''}
                     </div>
-                    <span class="event-type ${event.type}">${event.type}</span>
+                    <span class="event-type type-${event.type}">${this.escapeHtml(this.getEventTypeLabel(event.type))}</span>
                 </div>
-                <div class="event-description">${event.description}</div>
+                <div class="event-description">${this.escapeHtml(event.description)}</div>
+                ${this.renderEventLocation(event)}
+                <div class="event-registration">${this.renderRegistration(event)}</div>
             </div>
         `;
         
         // Show modal with event details
         modal.style.display = 'block';
+        this.modalContent = { occurrenceKey, eventId: event.id };
+
+        // Keep the Join button in step with the clock while the modal stays open
+        clearInterval(this.joinTimer);
+        if (event.online_url) {
+            this.joinTimer = setInterval(() => {
+                const container = eventDetails.querySelector('.join-meeting');
+                if (!container || modal.style.display === 'none') {
+                    clearInterval(this.joinTimer);   // Modal closed or showing something else
+                    return;
+                }
+                container.innerHTML = this.renderJoinButton(event);
+            }, JOIN_REFRESH_MS);
+        }
+    }
+
+    // ===== REGISTRATION =====
+    // Signed-in users (any role) can register for an event. Full events take a waitlist instead,
+    // and registering for a recurring event signs up for the whole series.
+
+    /**
+     * Check the stored session token and, if it is valid, load the user's registrations
+     * Visitors who are not signed in can still browse; they are offered a login link instead
+     */
+    async loadCurrentUser() {
+        if (!this.authToken) return;
+
+        try {
+            const response = await fetch('/api/auth/verify', {
+                headers: { 'Authorization': `Bearer ${this.authToken}` }
+            });
+            if (!response.ok) {
+                // Expired or invalid session - browse as a visitor
+                this.authToken = null;
+                return;
+            }
+            this.currentUser = (await response.json()).user;
+            await this.loadRegistrations();
+        } catch (error) {
+            console.error('Error checking login:', error);
+        }
+    }
+
+    /**
+     * Load the signed-in user's registrations from /api/registrations
+     */
+    async loadRegistrations() {
+        try {
+            const response = await fetch('/api/registrations', {
+                headers: { 'Authorization': `Bearer ${this.authToken}` }
+            });
+            if (!response.ok) {
+                throw new Error(`Server responded with ${response.status}`);
+            }
+            const registrations = await response.json();
+            this.registrations = Object.fromEntries(registrations.map(registration => [registration.event_id, registration]));
+        } catch (error) {
+            console.error('Error loading registrations:', error);
+        }
+    }
+
+    /**
+     * Describe how many seats an event has left
+     * @param {Object} event - Event with capacity, registered_count and waitlist_count
+     * @returns {string} Text such as "12 of 30 seats taken" or "Full - 3 on the waitlist"
+     */
+    describeSeats(event) {
+        if (!event.capacity) {
+            return `${event.registered_count} registered`;
+        }
+        if (event.registered_count < event.capacity) {
+            return `${event.registered_count} of ${event.capacity} seats taken`;
+        }
+        return event.waitlist_count > 0 ? `Full - ${event.waitlist_count} on the waitlist` : 'Full';
+    }
+
+    /**
+     * Build the registration badges shown with an event in the upcoming list
+     * @param {Object} event - Event with registration counts
+     * @returns {string} HTML for the seats badge, plus one for the user's own registration
+     */
+    renderRegistrationBadges(event) {
+        const full = event.capacity && event.registered_count >= event.capacity;
+        const registration = this.registrations[event.id];
+
+        return `
+            <span class="registration-badge${full ? ' full' : ''}"><i class="fas fa-users"></i> ${this.describeSeats(event)}</span>
+            ${!registration ? '' : registration.status === 'registered'
+                ? '<span class="registration-badge mine"><i class="fas fa-check"></i> Registered</span>'
+                : `<span class="registration-badge mine"><i class="fas fa-hourglass-half"></i> Waitlist #${registration.position}</span>`}
+        `;
+    }
+
+    /**
+     * Build the registration section of the event modal: seats left and a button to register or cancel
+     * @param {Object} event - Localized event with registration counts
+     * @param {string} [message] - Problem to show under the button (e.g. from a failed request)
+     * @returns {string} HTML for the section
+     */
+    renderRegistration(event, message) {
+        const registration = this.registrations[event.id];
+        const full = event.capacity && event.registered_count >= event.capacity;
+        const ids = `data-event-id="${event.id}" data-occurrence-key="${event.occurrence_key}"`;
+
+        let action;
+        if (!this.currentUser) {
+            action = '<a href="login.html" class="btn btn-outline"><i class="fas fa-sign-in-alt"></i> Log in to register</a>';
+        } else if (registration && registration.status === 'registered') {
+            action = `
+                <span class="registration-status"><i class="fas fa-check-circle"></i> You are registered</span>
+                <button class="btn btn-outline cancel-registration-btn" ${ids}>Cancel registration</button>
+            `;
+        } else if (registration) {
+            action = `
+                <span class="registration-status"><i class="fas fa-hourglass-half"></i> You are number ${registration.position} on the waitlist</span>
+                <button class="btn btn-outline cancel-registration-btn" ${ids}>Leave waitlist</button>
+            `;
+        } else if (!event.recurrence_rule && new Date(event.starts_at_utc) <= new Date()) {
+            // Series stay open until their last occurrence; the server says so if that has passed
+            action = '<span class="registration-status">Registration has closed</span>';
+        } else {
+            action = `
+                <button class="btn btn-primary register-btn" ${ids}>
+                    <i class="fas fa-user-plus"></i> ${full ? 'Join waitlist' : 'Register'}
+                </button>
+            `;
+        }
+
+        return `
+            <div class="registration-seats"><i class="fas fa-users"></i> ${this.describeSeats(event)}</div>
+            <div class="registration-actions">${action}</div>
+            ${event.recurrence_rule ? '<div class="registration-note">Registration covers every date in this series.</div>' : ''}
+            ${message ? `<div class="registration-note error">${this.escapeHtml(message)}</div>` : ''}
+        `;
+    }
+
+    /**
+     * Register for an event or cancel a registration, then refresh the numbers everywhere
+     * @param {string} eventId - ID of the event (or recurring series)
+     * @param {string} occurrenceKey - Occurrence shown in the modal, re-rendered afterwards
+     * @param {boolean} register - True to register, false to cancel
+     */
+    async changeRegistration(eventId, occurrenceKey, register) {
+        let message = null;
+
+        try {
+            const response = await fetch(`/api/events/${eventId}/registration`, {
+                method: register ? 'POST' : 'DELETE',
+                headers: { 'Authorization': `Bearer ${this.authToken}` }
+            });
+            if (response.status === 401) {
+                // Session expired - show the login link
+                this.authToken = null;
+                this.currentUser = null;
+                this.registrations = {};
+            } else if (!response.ok) {
+                const result = await response.json().catch(() => ({}));
+                message = result.error || 'Something went wrong. Please try again.';
+            }
+        } catch (error) {
+            console.error('Error changing registration:', error);
+            message = 'Could not reach the server. Please try again.';
+        }
+
+        // Reload the numbers (someone else may have taken the last seat) and redraw
+        await Promise.all([this.loadEvents(), this.loadUpcomingEvents(), this.currentUser ? this.loadRegistrations() : null]);
+        this.renderCalendar();
+        this.renderEvents();
+
+        const event = this.events.find(e => e.occurrence_key === occurrenceKey)
+            || this.upcomingEvents.find(e => e.occurrence_key === occurrenceKey);
+        const container = document.querySelector('#eventDetails .event-registration');
+        if (event && container) {
+            container.innerHTML = this.renderRegistration(event, message);
+        }
+    }
+
+    // ===== LIVE UPDATES =====
+    // The server pushes every event change over Server-Sent Events (/api/events/stream),
+    // so the calendar stays current without the visitor refreshing the page.
+
+    /**
+     * Subscribe to live event changes
+     * The browser reconnects by itself after short drops; if it gives up (e.g. the server
+     * was restarted and refused the first attempt) a new connection is opened after
+     * LIVE_RECONNECT_DELAY. Changes missed while disconnected are caught up on by a full reload.
+     */
+    connectLiveUpdates() {
+        if (!window.EventSource) return;   // Very old browsers keep the events loaded with the page
+
+        const source = new EventSource('/api/events/stream');
+        this.liveUpdates = source;
+
+        source.addEventListener('change', (e) => {
+            this.applyLiveChange(JSON.parse(e.data));
+        });
+
+        // Sent when everything may have changed, e.g. after a backup was restored
+        source.addEventListener('reload', () => {
+            this.refreshEvents();
+        });
+
+        source.addEventListener('open', () => {
+            if (this.liveUpdatesLost) {
+                this.liveUpdatesLost = false;
+                this.refreshEvents();
+            }
+        });
+
+        source.addEventListener('error', () => {
+            this.liveUpdatesLost = true;
+            if (source.readyState === EventSource.CLOSED) {
+                source.close();
+                setTimeout(() => this.connectLiveUpdates(), LIVE_RECONNECT_DELAY);
+            }
+        });
+    }
+
+    /**
+     * Apply one change from the live stream and redraw in place
+     * The loaded months are patched with the occurrences sent by the server; the upcoming
+     * list and search results are pages chosen by the server, so they are fetched again.
+     * @param {Object} change - { action: 'created' | 'updated' | 'deleted', id, event, occurrences }
+     */
+    async applyLiveChange(change) {
+        // Swap the changed event's occurrences in the loaded months
+        this.events = this.events.filter(event => event.id !== change.id);
+        if (change.action !== 'deleted' && this.loadedRange) {
+            const { from, to } = this.loadedRange;
+            const loaded = change.occurrences.filter(event => (event.end_date || event.date) >= from && event.date <= to);
+            this.events = [...this.events, ...loaded].sort((a, b) => a.starts_at_utc.localeCompare(b.starts_at_utc));
+        }
+
+        // Seats may have changed hands (e.g. someone moved up from the waitlist)
+        await Promise.all([
+            this.loadUpcomingEvents(),
+            this.searchQuery ? this.runSearch() : null,
+            this.currentUser ? this.loadRegistrations() : null
+        ]);
+
+        this.localizeEvents();
+        this.renderCalendar();
+        this.renderEvents();
+        this.refreshModal(change.id);
+    }
+
+    /**
+     * Reload everything shown from the server (after the live stream was interrupted)
+     */
+    async refreshEvents() {
+        await Promise.all([
+            this.loadEvents(),
+            this.loadUpcomingEvents(),
+            this.searchQuery ? this.runSearch() : null,
+            this.currentUser ? this.loadRegistrations() : null
+        ]);
+        this.renderCalendar();
+        this.renderEvents();
+        this.refreshModal(null);
+    }
+
+    /**
+     * Redraw the open modal with the latest data
+     * A day list is always redrawn; event details only when they show the changed event
+     * (or after a full reload), so a registration message the visitor is reading stays put.
+     * @param {number|null} changedId - ID of the event that changed, or null after a full reload
+     */
+    refreshModal(changedId) {
+        const modal = document.getElementById('eventModal');
+        const content = this.modalContent;
+        if (!content || modal.style.display === 'none') return;
+
+        if (content.date) {
+            this.showDayEvents(content.date, this.getEventsForDay(content.date));
+            return;
+        }
+        if (changedId !== null && content.eventId !== changedId) return;
+
+        const stillListed = [...this.events, ...this.upcomingEvents, ...this.searchResults]
+            .some(event => event.occurrence_key === content.occurrenceKey);
+        if (stillListed) {
+            this.showEventDetails(content.occurrenceKey);
+        } else {
+            // Deleted, cancelled or moved out of the loaded months
+            clearInterval(this.joinTimer);
+            this.modalContent = null;
+            document.getElementById('eventDetails').innerHTML = `
+                <h2><i class="fas fa-info-circle"></i> Event Details</h2>
+                <p>This event is no longer on the calendar. It may have been cancelled or moved.</p>
+            `;
+        }
+    }
+
+    // ===== LOCATIONS AND ONLINE MEETINGS =====
+
+    /**
+     * Build the venue and "Online" badges shown with an event in lists
+     * @param {Object} event - Event with optional location and online_url
+     * @returns {string} HTML for zero, one or two badges
+     */
+    renderLocationBadges(event) {
+        return [
+            event.location ? `<span class="location-badge"><i class="fas fa-map-marker-alt"></i> ${this.escapeHtml(event.location)}</span>` : '',
+            event.online_url ? '<span class="location-badge online"><i class="fas fa-video"></i> Online</span>' : ''
+        ].join('');
+    }
+
+    /**
+     * Build the "where" section of the event modal: venue, dial-in details and Join button
+     * @param {Object} event - Localized event
+     * @returns {string} HTML, or an empty string for events without any location details
+     */
+    renderEventLocation(event) {
+        if (!event.location && !event.online_url && !event.dial_in) return '';
+
+        return `
+            <div class="event-location">
+                ${event.location ? `<div><i class="fas fa-map-marker-alt"></i> ${this.escapeHtml(event.location)}</div>` : ''}
+                ${event.dial_in ? `<div><i class="fas fa-phone"></i> ${this.escapeHtml(event.dial_in)}</div>` : ''}
+                ${event.online_url ? `<div class="join-meeting">${this.renderJoinButton(event)}</div>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Build the Join button for an online event
+     * The button links to the meeting from JOIN_OPENS_MINUTES before the start until the end
+     * (or the standard block length for events without an end); otherwise it is disabled
+     * with a note saying when it opens or that the event is over
+     * @param {Object} event - Event with online_url, starts_at_utc and ends_at_utc
+     * @returns {string} HTML for the button and its note
+     */
+    renderJoinButton(event) {
+        const now = Date.now();
+        const opensAt = new Date(event.starts_at_utc).getTime() - JOIN_OPENS_MINUTES * 60 * 1000;
+        const closesAt = event.ends_at_utc
+            ? new Date(event.ends_at_utc).getTime()
+            : new Date(event.starts_at_utc).getTime() + EVENT_MINUTES * 60 * 1000;
+
+        if (now >= opensAt && now < closesAt) {
+            return `
+                <a class="btn btn-primary btn-join" href="${this.escapeHtml(event.online_url)}" target="_blank" rel="noopener noreferrer">
+                    <i class="fas fa-video"></i> Join
+                </a>
+                <span class="join-note">The meeting is open</span>
+            `;
+        }
+
+        let note = 'This event has ended';
+        if (now < opensAt) {
+            const opens = this.toDisplayZone(new Date(opensAt));
+            note = opens.date === this.getToday()
+                ? `Opens at ${this.formatTime(opens.time)}`
+                : `Opens ${this.formatDate(opens.date)} at ${this.formatTime(opens.time)}`;
+        }
+        return `
+            <button class="btn btn-primary btn-join" disabled><i class="fas fa-video"></i> Join</button>
+            <span class="join-note">${note}</span>
+        `;
+    }
+
+    /**
+     * Describe a recurrence rule in words
+     * @param {string} rule - Rule such as "FREQ=WEEKLY;INTERVAL=2;COUNT=6"
+     * @returns {string} Description such as "Every 2 weeks, 6 times"
+     */
+    describeRecurrence(rule) {
+        const parts = Object.fromEntries(rule.split(';').map(part => part.split('=')));
+        const interval = parseInt(parts.INTERVAL, 10) || 1;
+        const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' }[parts.FREQ] || 'time';
+
+        const every = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+        if (parts.COUNT) return `${every}, ${parts.COUNT} times`;
+        if (parts.UNTIL) {
+            const until = `${parts.UNTIL.slice(0, 4)}-${parts.UNTIL.slice(4, 6)}-${parts.UNTIL.slice(6, 8)}`;
+            return `${every} until ${this.formatDate(until)}`;
+        }
+        return every;
+    }
+
+    // ===== TIMEZONES =====
+
+    /**
+     * Get the timezone times are currently displayed in
+     * @returns {string} IANA timezone name
+     */
+    getDisplayTimezone() {
+        return this.timezoneMode === 'institution' ? this.settings.timezone : this.viewerTimezone;
+    }
+
+    /**
+     * Convert a UTC instant into a date and time in the displayed timezone
+     * @param {string|Date} instant - UTC instant (e.g. an event's starts_at_utc)
+     * @returns {Object} { date: 'YYYY-MM-DD', time: 'HH:MM' }
+     */
+    toDisplayZone(instant) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: this.getDisplayTimezone(),
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit'
+        }).formatToParts(new Date(instant)).forEach(({ type, value }) => {
+            parts[type] = value;
+        });
+        return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+    }
+
+    /**
+     * Get today's date in the displayed timezone
+     * @returns {string} Date in YYYY-MM-DD format
+     */
+    getToday() {
+        return this.toDisplayZone(new Date()).date;
+    }
+
+    /**
+     * Format a local Date object as YYYY-MM-DD
+     * @param {Date} date - Date to format
+     * @returns {string} Date string such as '2025-07-15'
+     */
+    toDateString(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Add a number of days to a date string
+     * @param {string} dateString - Date in YYYY-MM-DD format
+     * @param {number} days - Days to add (negative to go back)
+     * @returns {string} Resulting date in YYYY-MM-DD format
+     */
+    addDays(dateString, days) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        return this.toDateString(new Date(year, month - 1, day + days));
+    }
+
+    /**
+     * Work out the dates and times each event starts and ends on in the displayed timezone
+     * Stored as display_date/display_time and display_end_date/display_end_time; date and time
+     * keep the institution's values. All-day events cover the same dates in every timezone.
+     */
+    localizeEvents() {
+        [...this.events, ...this.upcomingEvents, ...this.searchResults].forEach(event => {
+            if (event.all_day) {
+                event.display_date = event.date;
+                event.display_time = null;
+                event.display_end_date = event.end_date || event.date;
+                event.display_end_time = null;
+                return;
+            }
+
+            const local = this.toDisplayZone(event.starts_at_utc);
+            const localEnd = event.ends_at_utc ? this.toDisplayZone(event.ends_at_utc) : null;
+            event.display_date = local.date;
+            event.display_time = local.time;
+            event.display_end_date = localEnd ? localEnd.date : local.date;
+            event.display_end_time = localEnd ? localEnd.time : null;
+        });
+    }
+
+    // ===== EVENT DURATIONS =====
+
+    /**
+     * Check whether an event is drawn as a bar across whole days rather than at a time of day
+     * That is every all-day event, and timed events lasting a day or more
+     * @param {Object} event - Localized event
+     * @returns {boolean} True for events drawn as bars
+     */
+    isSpanningEvent(event) {
+        if (event.all_day) return true;
+        return Boolean(event.ends_at_utc) && new Date(event.ends_at_utc) - new Date(event.starts_at_utc) >= DAY_MS;
+    }
+
+    /**
+     * Format the days an event covers
+     * @param {Object} event - Localized event
+     * @returns {string} "Mon, Mar 15, 2027" or "Mon, Mar 15, 2027 – Wed, Mar 17, 2027"
+     */
+    formatDateRange(event) {
+        if (event.display_end_date === event.display_date) {
+            return this.formatDate(event.display_date);
+        }
+        return `${this.formatDate(event.display_date)} – ${this.formatDate(event.display_end_date)}`;
+    }
+
+    /**
+     * Format when an event starts and ends during the day, with its duration
+     * @param {Object} event - Localized event
+     * @returns {string} "All day", "All day (3 days)" or "2:00 PM – 4:00 PM (2 hours)"
+     */
+    formatTimeRange(event) {
+        const duration = this.describeDuration(event);
+        if (event.all_day) {
+            return event.display_end_date !== event.display_date ? `All day (${duration})` : 'All day';
+        }
+        if (!event.ends_at_utc) {
+            return this.formatTime(event.display_time);
+        }
+        return `${this.formatTime(event.display_time)} – ${this.formatTime(event.display_end_time)} (${duration})`;
+    }
+
+    /**
+     * Describe how long an event lasts
+     * All-day events are counted in days; timed events in days, hours and minutes
+     * @param {Object} event - Event with all_day, date/end_date and starts_at_utc/ends_at_utc
+     * @returns {string|null} Duration such as "3 days" or "1 hour 30 min", or null if the event has no end
+     */
+    describeDuration(event) {
+        const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+        if (event.all_day) {
+            const days = Math.round((new Date(`${event.end_date || event.date}T00:00:00Z`) - new Date(`${event.date}T00:00:00Z`)) / DAY_MS) + 1;
+            return plural(days, 'day');
+        }
+        if (!event.ends_at_utc) return null;
+
+        const totalMinutes = Math.round((new Date(event.ends_at_utc) - new Date(event.starts_at_utc)) / 60000);
+        const days = Math.floor(totalMinutes / 1440);
+        const hours = Math.floor((totalMinutes % 1440) / 60);
+        const minutes = totalMinutes % 60;
+        return [
+            days > 0 ? plural(days, 'day') : '',
+            hours > 0 ? plural(hours, 'hour') : '',
+            minutes > 0 ? `${minutes} min` : ''
+        ].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Fill the timezone selector with the visitor's and the institution's timezone
+     */
+    renderTimezoneOptions() {
+        const select = document.getElementById('timezoneMode');
+        select.innerHTML = `
+            <option value="viewer">Your time (${this.formatTimezone(this.viewerTimezone)})</option>
+            <option value="institution">Institution time (${this.formatTimezone(this.settings.timezone)})</option>
+        `;
+        select.value = this.timezoneMode;
+    }
+
+    /**
+     * Format a timezone name for display
+     * @param {string} timeZone - IANA timezone name such as "America/New_York"
+     * @returns {string} Readable name such as "America/New York"
+     */
+    formatTimezone(timeZone) {
+        return String(timeZone || '').replace(/_/g, ' ');
+    }
+
+    // ===== CALENDAR SUBSCRIPTION =====
+
+    /**
+     * Update the subscribe button to point at the iCalendar feed
+     * The feed follows the current filter, and webcal:// makes calendar apps subscribe instead of download
+     */
+    updateSubscribeLink() {
+        const link = document.getElementById('subscribeLink');
+        if (!link) return;
+
+        // Only pass a type filter when one is selected
+        const query = this.selectedFilter !== 'all' ? `?type=${encodeURIComponent(this.selectedFilter)}` : '';
+        link.href = `webcal://${window.location.host}/api/events/feed.ics${query}`;
     }
 
     // ===== DATE/TIME FORMATTING =====
@@ -500,23 +1776,26 @@ class EventCalendar {
         const oneDayFromNow = new Date(now.getTime() + 24 * 60 * 60 * 1000); // 24 hours from now
 
         events.forEach(event => {
-            // Convert event date/time to Date object
-            const eventDateTime = new Date(`${event.date}T${event.time}`);
+            // Use the event's absolute start time so reminders are right in every timezone
+            const eventDateTime = new Date(event.starts_at_utc);
             
             // Check if event is within notification window (24 hours)
             if (eventDateTime > now && eventDateTime <= oneDayFromNow) {
                 const timeDiff = eventDateTime - now;
                 const hoursUntil = Math.floor(timeDiff / (1000 * 60 * 60));
                 
+                // Each occurrence of a recurring event is notified separately
+                const notificationKey = event.occurrence_key || event.id;
+
                 // Send 1-hour warning notification
-                if (hoursUntil <= 1 && !this.hasNotified(event.id, '1hour')) {
+                if (hoursUntil <= 1 && !this.hasNotified(notificationKey, '1hour')) {
                     this.sendNotification(event, 'Starting in 1 hour!');
-                    this.markAsNotified(event.id, '1hour');
+                    this.markAsNotified(notificationKey, '1hour');
                 } 
                 // Send 24-hour advance notification
-                else if (hoursUntil <= 24 && !this.hasNotified(event.id, '24hours')) {
+                else if (hoursUntil <= 24 && !this.hasNotified(notificationKey, '24hours')) {
                     this.sendNotification(event, `Starting in ${hoursUntil} hours`);
-                    this.markAsNotified(event.id, '24hours');
+                    this.markAsNotified(notificationKey, '24hours');
                 }
             }
         });
@@ -530,10 +1809,10 @@ class EventCalendar {
     sendNotification(event, timeMessage) {
         // Double-check that notifications are available and permitted
         if (this.notificationsEnabled && 'Notification' in window && Notification.permission === 'granted') {
-            new Notification(`Upcoming ${event.type}: ${event.title}`, {
+            new Notification(`Upcoming ${this.getEventTypeLabel(event.type).toLowerCase()}: ${event.title}`, {
                 body: `${timeMessage}\n${event.description}`,
                 icon: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="%23667eea"><path d="M19 3h-1V1h-2v2H8V1H6v2H5c-1.11 0-1.99.9-1.99 2L3 19c0 1.1.89 2 2 2h14c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zm0 16H5V8h14v11zM7 10h5v5H7z"/></svg>',
-                tag: event.id  // Prevents duplicate notifications for same event
+                tag: event.occurrence_key || event.id  // Prevents duplicate notifications for same occurrence
             });
         }
     }
@@ -576,7 +1855,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // Set up periodic notification checking (every minute)
     setInterval(() => {
         if (calendar.notificationsEnabled) {
-            calendar.checkUpcomingNotifications(calendar.events);
+            calendar.checkUpcomingNotifications(calendar.upcomingEvents);
         }
     }, 60000); // 60,000 milliseconds = 1 minute
 });
@@ -586,33 +1865,47 @@ document.addEventListener('DOMContentLoaded', () => {
 // ============================================================================
 //
 // FUNCTIONALITY SUMMARY:
-// 1. Calendar Display: Visual month-view calendar with event indicators
-// 2. Event Loading: Fetches events from backend API (/api/events)
-// 3. Event Filtering: Filter by event type (all, assignments, webinars, workshops)
+// 1. Calendar Display: Month grid with event indicators, plus week and day views with hourly slots
+// 2. Event Loading: Fetches the months around the visible one, plus the next upcoming events (/api/events)
+// 3. Event Filtering: Filter by event type (one button per type set up in the admin panel)
+//    and search titles/descriptions (ranked, highlighted results from the server)
 // 4. Event Details: Click events to see detailed information in modal
-// 5. Navigation: Previous/next month navigation
+// 5. Navigation: Previous/next by month, week or day (loads more events when leaving the loaded range)
 // 6. Notifications: Browser notifications for upcoming events
 // 7. Responsive Design: Works on desktop and mobile devices
+// 8. Timezones: Times shown in the visitor's timezone, or the institution's on request
+// 9. Registration: Signed-in users register or join the waitlist from the event modal
+// 10. Live Updates: Changes pushed by the server are patched in and redrawn in place
 //
 // DATA FLOW:
 // 1. Page loads → calendar.js executes
 // 2. EventCalendar class is instantiated
 // 3. Events are loaded from backend API
 // 4. Calendar is rendered with events
-// 5. User interactions trigger re-rendering
+// 5. User interactions and live changes from the server trigger re-rendering
 // 6. Notifications are checked periodically
 //
 // BROWSER STORAGE:
-// - localStorage: Used to track which notifications have been sent
+// - localStorage: Used to track which notifications have been sent, the chosen timezone and calendar view,
+//   and read for the session token saved by login.html
 // - sessionStorage: Not used
 // - cookies: Not used
 //
 // API ENDPOINTS USED:
-// - GET /api/events: Fetch all events from backend
+// - GET /api/events?from=&to=: Occurrences in the visible month plus a month either side
+// - GET /api/events?from=&limit=&type=: Next page of upcoming occurrences for the events list
+// - GET /api/events/search?q=: Full-text search for the search box
+// - GET /api/events/feed.ics: iCalendar feed linked from the subscribe button
+// - GET /api/settings: Site title and institution timezone
+// - GET /api/event-types: Labels, colors and icons of the event types (and the filter buttons)
+// - GET /api/auth/verify, GET /api/registrations: Who is signed in and what they registered for
+// - POST/DELETE /api/events/:id/registration: Register for an event or cancel
+// - GET /api/events/stream: Server-Sent Events with every event change, to patch the calendar live
 //
 // BROWSER FEATURES USED:
 // - Notification API: For event reminders
 // - localStorage: For notification tracking
 // - Fetch API: For HTTP requests
+// - EventSource: For live updates from the server
 // - Date/Time APIs: For date formatting and calculations
 // ============================================================================